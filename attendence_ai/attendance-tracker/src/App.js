@@ -1,110 +1,389 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { PieChart, Pie, Cell, Tooltip, ResponsiveContainer, Legend } from 'recharts';
-import { Sun, Moon, Plus, AlertTriangle, Trash2, Edit, Save, X, Calendar, CheckCircle, XCircle, Settings, ChevronLeft, ChevronRight, Dot } from 'lucide-react';
-
-// --- Helper Functions ---
-const formatTime12Hour = (timeString) => {
-    if (!timeString) return '';
-    const [hourString, minute] = timeString.split(":");
-    const hour = +hourString % 24;
-    const ampm = hour < 12 || hour === 24 ? "AM" : "PM";
-    const formattedHour = hour % 12 || 12;
-    return `${formattedHour}:${minute} ${ampm}`;
-};
+import React, { useState, useEffect, useMemo, useCallback, useRef, useId } from 'react';
+import { createPortal } from 'react-dom';
+import { PieChart, Pie, Cell, Tooltip, ResponsiveContainer, Legend, LineChart, Line, XAxis, YAxis, CartesianGrid, ReferenceLine, BarChart, Bar } from 'recharts';
+import { Sun, Moon, Clock, Plus, AlertTriangle, Trash2, Edit, Save, X, Calendar, CalendarCog, CheckCircle, XCircle, Settings, ChevronLeft, ChevronRight, Dot, Ban, Undo2, DatabaseBackup, Download, Upload, ListChecks, Bell, CheckCheck, Redo2, Cloud, CloudOff, RefreshCw, CalendarSync, Archive, ArchiveRestore, FolderCog, FileText, Printer, MinusCircle } from 'lucide-react';
+import { parseBackup, mergeData, createBackup, recordsToCsv, downloadFile, migrateLegacySubjects } from './backup';
+import { DEFAULT_STATUSES, STATUS_POLICIES, STATUS_COLORS, findStatus, describePolicy } from './statuses';
+import { formatTime12Hour, getWeekDateRange, DAY_NAMES, getWeekDates, toDateKey, dateTimeFromKey, formatDateKey, addDaysToKey, getTimeOfDay, minutesOfDay } from './dates';
+import { DEFAULT_SEMESTER, DEFAULT_TIME_SLOTS, CLASS_TYPES, getClassType, getClassWeight, getTypeThreshold, entryCoversSlot, getSpanEndTime, buildSession, timesOverlap, entryTimes, validateTimeSlot, findTimetableConflicts, isWithinSemester, findHoliday, isClassCancelled, getScheduledClasses, countRemainingClasses, getTodaySchedule, isDuringClassHours, removeSubject, removeTimeSlot, changeTimeSlot } from './timetable';
+import { recordKey, getRecordEntryId, markClasses, removeTimetableEntry, listClassesInRange, countUnmarkedClasses, getWeightedRecords, formatCount, getCarryOverTotal, buildAttendanceTrend, buildWeekdayBreakdown, buildMonthHeatmap, percentageAfterMark, projectAttendance, computeSubjectStats, computeOverallAttendance } from './attendance';
+import { timetableToIcs, parseIcs, planTimetableImport, applyTimetableImport, isAddable } from './ical';
+import { monthRange, buildReport, describeRange, REPORT_CSS, reportToHtml } from './report';
+import { subscribeToUpdates, applyUpdate } from './serviceWorkerRegistration';
+import { loadProfiles, saveProfiles, profileKey, makeProfile, updateProfile, removeProfile, deleteProfileData, seedProfile, migrateDateKeys } from './profiles';
+import { loadHistory, saveHistory, diffSnapshots, snapshotOf, pushEntry, stepBack, stepForward } from './history';
+import { DEFAULT_SYNC_SETTINGS, SYNC_SETTINGS_KEY, loadSyncState, prepareSyncState, recordLocalChanges, syncWithServer, unflattenData, checkServer, clearConflicts, describeSyncKey } from './sync';
+import { DEFAULT_NOTIFICATION_SETTINGS, NOTIFICATION_SETTINGS_KEY, getNotificationPermission, requestNotificationPermission, isQuietTime, showNotification, loadSentNotifications, saveSentNotifications, planNotifications } from './notifications';
 
-const getWeekDateRange = (weekOffset = 0) => {
-    const today = new Date();
-    const startOfWeek = new Date(new Date().setDate(today.getDate() - (today.getDay() + 6) % 7 + (weekOffset * 7)));
-    const endOfWeek = new Date(new Date(startOfWeek).setDate(startOfWeek.getDate() + 4));
+// --- Today ---
+// The statuses offered as one-tap buttons, when they are still configured.
+const QUICK_STATUS_IDS = ['present', 'absent', 'late'];
 
-    const options = { month: 'short', day: 'numeric' };
-    const yearOption = { year: 'numeric' };
-    
-    const start = startOfWeek.toLocaleDateString('en-US', options);
-    const end = endOfWeek.toLocaleDateString('en-US', options);
-    const year = endOfWeek.toLocaleDateString('en-US', yearOption);
+// --- Profiles ---
+// The stored data of a profile other than the one on screen, with the same defaults the tracker loads with.
+const readProfileData = (profileId) => {
+    migrateDateKeys(profileId);
+    const read = (key) => JSON.parse(localStorage.getItem(profileKey(key, profileId)));
+    return {
+        subjects: migrateLegacySubjects(read('attendance-subjects') || []),
+        timetable: read('attendance-timetable') || {},
+        timeSlots: read('attendance-timeSlots') || DEFAULT_TIME_SLOTS,
+        attendanceRecords: read('attendance-records') || {},
+        semester: { ...DEFAULT_SEMESTER, ...read('attendance-semester') },
+        statuses: read('attendance-statuses') || DEFAULT_STATUSES,
+    };
+};
 
-    return `${start} - ${end}, ${year}`;
+// One row of the semester comparison.
+const summarizeProfile = (profile, data) => {
+    const stats = computeSubjectStats(data.subjects, data.attendanceRecords, data.timetable, data.semester, data.statuses);
+    const overall = computeOverallAttendance(stats);
+    const belowThreshold = data.subjects.filter(subject => stats[subject.id].total > 0 && stats[subject.id].percentage < subject.threshold);
+    return { profile, ...overall, subjectCount: data.subjects.length, belowThreshold: belowThreshold.map(subject => subject.name), startDate: data.semester.startDate, endDate: data.semester.endDate };
 };
 
+// What the sync modal shows about the stored sync state.
+const summarizeSyncState = (state) => ({ queued: state.queue.length, lastSyncedAt: state.lastSyncedAt, conflicts: state.conflicts });
+
+// Shortcuts from the installed app's menu (see public/manifest.json) open it with `?shortcut=...`.
+const readLaunchShortcut = () => new URLSearchParams(window.location.search).get('shortcut');
 
 // --- Main App Component ---
+// Keeps the profile list and shows the active profile's tracker. The tracker is keyed by profile, so
+// switching remounts it and every piece of state is loaded afresh from that profile's storage keys.
 const App = () => {
+    const [profileState, setProfileState] = useState(loadProfiles);
+    const activeProfile = profileState.profiles.find(p => p.id === profileState.activeId);
+
+    // Saved straight away rather than in an effect: modules that look up the active profile's storage
+    // keys (history, reminders, sync) must see the new profile as soon as its tracker mounts.
+    const updateProfiles = (next) => {
+        saveProfiles(next);
+        setProfileState(next);
+    };
+
+    const switchProfile = (profileId) => updateProfiles({ ...profileState, activeId: profileId });
+
+    const createProfile = (name, source, options) => {
+        const profile = makeProfile(name);
+        seedProfile(profile.id, source, options);
+        updateProfiles({ activeId: profile.id, profiles: [...profileState.profiles, profile] });
+    };
+
+    const renameProfile = (profileId, name) => updateProfiles(updateProfile(profileState, profileId, { name }));
+
+    const setProfileArchived = (profileId, archived) => updateProfiles(updateProfile(profileState, profileId, { archived, archivedAt: archived ? new Date().toISOString() : null }));
+
+    const deleteProfile = (profileId) => {
+        if (profileId === profileState.activeId) return;
+        deleteProfileData(profileId);
+        updateProfiles(removeProfile(profileState, profileId));
+    };
+
+    return <Tracker key={activeProfile.id} profile={activeProfile} profiles={profileState.profiles} onSwitchProfile={switchProfile} onCreateProfile={createProfile} onRenameProfile={renameProfile} onSetProfileArchived={setProfileArchived} onDeleteProfile={deleteProfile} />;
+};
+
+const Tracker = ({ profile, profiles, onSwitchProfile, onCreateProfile, onRenameProfile, onSetProfileArchived, onDeleteProfile }) => {
+    // Subjects, timetable, records and per-semester settings live under this profile's keys.
+    const storageKey = (key) => profileKey(key, profile.id);
+    const readOnly = profile.archived;
+    // Archived semesters are read-only: handlers that change data are swapped for one that says so.
+    const editable = (handler) => (readOnly ? () => alert(`"${profile.name}" is archived. Restore it from Manage semesters to make changes.`) : handler);
+
     // --- STATE MANAGEMENT ---
-    const [subjects, setSubjects] = useState(() => JSON.parse(localStorage.getItem('attendance-subjects')) || []);
-    const [timetable, setTimetable] = useState(() => JSON.parse(localStorage.getItem('attendance-timetable')) || {});
-    const [timeSlots, setTimeSlots] = useState(() => JSON.parse(localStorage.getItem('attendance-timeSlots')) || [
-        { id: 1, start: '09:00', end: '10:00' },
-        { id: 2, start: '10:00', end: '11:00' },
-    ]);
-    const [attendanceRecords, setAttendanceRecords] = useState(() => JSON.parse(localStorage.getItem('attendance-records')) || {});
+    // Does nothing once the profile's dates are local; must run before the state below is read.
+    migrateDateKeys(profile.id);
+    const [subjects, setSubjects] = useState(() => migrateLegacySubjects(JSON.parse(localStorage.getItem(storageKey('attendance-subjects'))) || []));
+    const [timetable, setTimetable] = useState(() => JSON.parse(localStorage.getItem(storageKey('attendance-timetable'))) || {});
+    const [timeSlots, setTimeSlots] = useState(() => JSON.parse(localStorage.getItem(storageKey('attendance-timeSlots'))) || DEFAULT_TIME_SLOTS);
+    const [attendanceRecords, setAttendanceRecords] = useState(() => JSON.parse(localStorage.getItem(storageKey('attendance-records'))) || {});
     const [isDarkMode, setIsDarkMode] = useState(() => JSON.parse(localStorage.getItem('dark-mode')) || false);
+    const [semester, setSemester] = useState(() => ({ ...DEFAULT_SEMESTER, ...JSON.parse(localStorage.getItem(storageKey('attendance-semester'))) }));
+    const [statuses, setStatuses] = useState(() => JSON.parse(localStorage.getItem(storageKey('attendance-statuses'))) || DEFAULT_STATUSES);
+    const [notificationSettings, setNotificationSettings] = useState(() => ({ ...DEFAULT_NOTIFICATION_SETTINGS, ...JSON.parse(localStorage.getItem(storageKey(NOTIFICATION_SETTINGS_KEY))) }));
     const [selectedSubjectId, setSelectedSubjectId] = useState(null);
-    const [view, setView] = useState('dashboard');
+    const [launchShortcut, setLaunchShortcut] = useState(readLaunchShortcut);
+    const [view, setView] = useState(() => {
+        if (launchShortcut === 'mark-today' || launchShortcut === 'timetable') return 'timetable';
+        return isDuringClassHours(timetable, semester) ? 'today' : 'dashboard';
+    });
+    const [updateRegistration, setUpdateRegistration] = useState(null);
     const [isSlotModalOpen, setIsSlotModalOpen] = useState(false);
     const [isTimeManagerOpen, setIsTimeManagerOpen] = useState(false);
+    const [isSemesterModalOpen, setIsSemesterModalOpen] = useState(false);
+    const [isDataModalOpen, setIsDataModalOpen] = useState(false);
+    const [isReportOpen, setIsReportOpen] = useState(false);
+    const [isStatusModalOpen, setIsStatusModalOpen] = useState(false);
+    const [isNotificationModalOpen, setIsNotificationModalOpen] = useState(false);
+    const [syncSettings, setSyncSettings] = useState(() => ({ ...DEFAULT_SYNC_SETTINGS, ...JSON.parse(localStorage.getItem(storageKey(SYNC_SETTINGS_KEY))) }));
+    const [syncStatus, setSyncStatus] = useState(() => ({ state: 'idle', message: '', ...summarizeSyncState(loadSyncState()) }));
+    const [isSyncModalOpen, setIsSyncModalOpen] = useState(false);
+    const [isProfileModalOpen, setIsProfileModalOpen] = useState(false);
+    const syncDataRef = useRef(null);
+    const syncInFlight = useRef(false);
+    const syncTimer = useRef(null);
+    const [history, setHistory] = useState(loadHistory);
+    const [toast, setToast] = useState(null);
+    const pendingChange = useRef(null);
+    const historyActions = useRef({});
     const [modalData, setModalData] = useState(null);
 
     // --- EFFECTS ---
-    useEffect(() => localStorage.setItem('attendance-subjects', JSON.stringify(subjects)), [subjects]);
-    useEffect(() => localStorage.setItem('attendance-timetable', JSON.stringify(timetable)), [timetable]);
-    useEffect(() => localStorage.setItem('attendance-timeSlots', JSON.stringify(timeSlots)), [timeSlots]);
-    useEffect(() => localStorage.setItem('attendance-records', JSON.stringify(attendanceRecords)), [attendanceRecords]);
+    useEffect(() => localStorage.setItem(profileKey('attendance-subjects', profile.id), JSON.stringify(subjects)), [profile.id, subjects]);
+    useEffect(() => localStorage.setItem(profileKey('attendance-timetable', profile.id), JSON.stringify(timetable)), [profile.id, timetable]);
+    useEffect(() => localStorage.setItem(profileKey('attendance-timeSlots', profile.id), JSON.stringify(timeSlots)), [profile.id, timeSlots]);
+    useEffect(() => localStorage.setItem(profileKey('attendance-records', profile.id), JSON.stringify(attendanceRecords)), [profile.id, attendanceRecords]);
     useEffect(() => localStorage.setItem('dark-mode', JSON.stringify(isDarkMode)), [isDarkMode]);
+    useEffect(() => localStorage.setItem(profileKey('attendance-semester', profile.id), JSON.stringify(semester)), [profile.id, semester]);
+    useEffect(() => localStorage.setItem(profileKey('attendance-statuses', profile.id), JSON.stringify(statuses)), [profile.id, statuses]);
+    useEffect(() => localStorage.setItem(profileKey(NOTIFICATION_SETTINGS_KEY, profile.id), JSON.stringify(notificationSettings)), [profile.id, notificationSettings]);
+    useEffect(() => localStorage.setItem(profileKey(SYNC_SETTINGS_KEY, profile.id), JSON.stringify(syncSettings)), [profile.id, syncSettings]);
+
+    // --- INSTALLED APP ---
+    useEffect(() => subscribeToUpdates(setUpdateRegistration), []);
+
+    // The shortcut has been acted on by the first render; drop it from the address bar so a reload doesn't repeat it.
+    useEffect(() => {
+        if (!launchShortcut) return;
+        window.history.replaceState(null, '', window.location.pathname);
+        setLaunchShortcut(null);
+    }, [launchShortcut]);
 
     useEffect(() => {
         document.documentElement.classList.toggle('dark', isDarkMode);
     }, [isDarkMode]);
 
+    useEffect(() => { saveHistory(history); }, [history]);
+
+    // --- UNDO / REDO ---
+    // Handlers call `recordChange` before they update state; once the update renders, the changed
+    // slices become one history entry. Undo and redo set slices directly, so they are never recorded.
+    const trackedState = { subjects, timetable, timeSlots, attendanceRecords, semester, statuses };
+
+    const recordChange = (label, { showToast = false } = {}) => {
+        if (!pendingChange.current) pendingChange.current = { before: trackedState };
+        pendingChange.current.label = label;
+        pendingChange.current.showToast = pendingChange.current.showToast || showToast;
+    };
+
+    useEffect(() => {
+        const pending = pendingChange.current;
+        if (!pending) return;
+        pendingChange.current = null;
+        const entry = diffSnapshots(pending.label, pending.before, { subjects, timetable, timeSlots, attendanceRecords, semester, statuses });
+        if (!entry) return;
+        setHistory(prev => pushEntry(prev, entry));
+        if (pending.showToast) setToast({ id: Date.now(), message: entry.label, action: 'undo' });
+    }, [subjects, timetable, timeSlots, attendanceRecords, semester, statuses]);
+
+    const applySnapshot = (snapshot) => {
+        if ('subjects' in snapshot) setSubjects(snapshot.subjects);
+        if ('timetable' in snapshot) setTimetable(snapshot.timetable);
+        if ('timeSlots' in snapshot) setTimeSlots(snapshot.timeSlots);
+        if ('attendanceRecords' in snapshot) setAttendanceRecords(snapshot.attendanceRecords);
+        if ('semester' in snapshot) setSemester(snapshot.semester);
+        if ('statuses' in snapshot) setStatuses(snapshot.statuses);
+    };
+
+    const undo = () => {
+        const step = stepBack(history);
+        if (!step) return;
+        pendingChange.current = null;
+        applySnapshot(snapshotOf(step.entry, 'before'));
+        setHistory(step.history);
+        setToast({ id: Date.now(), message: `Undone: ${step.entry.label}`, action: 'redo' });
+    };
+
+    const redo = () => {
+        const step = stepForward(history);
+        if (!step) return;
+        pendingChange.current = null;
+        applySnapshot(snapshotOf(step.entry, 'after'));
+        setHistory(step.history);
+        setToast({ id: Date.now(), message: `Redone: ${step.entry.label}`, action: 'undo' });
+    };
+
+    const dismissToast = useCallback(() => setToast(null), []);
+
+    historyActions.current = { undo: editable(undo), redo: editable(redo) };
+
+    // Ctrl+Z / Ctrl+Shift+Z (or Cmd on macOS). Text fields keep their own undo.
+    useEffect(() => {
+        const handleKeyDown = (event) => {
+            if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+            if (event.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                historyActions.current.undo();
+            } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+                event.preventDefault();
+                historyActions.current.redo();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, []);
+
+    // --- SYNC ---
+    // Local edits are queued as soon as they render and pushed a couple of seconds later; the app also
+    // syncs every 30 seconds and whenever the browser comes back online. Remote changes replace only the
+    // slices they touch and are not added to the undo history.
+    syncDataRef.current = trackedState;
+    const isSyncActive = syncSettings.enabled && !readOnly;
+
+    const applySyncedData = (data) => {
+        const current = syncDataRef.current;
+        const changed = (key) => JSON.stringify(current[key]) !== JSON.stringify(data[key]);
+        if (changed('subjects')) setSubjects(data.subjects);
+        if (changed('timetable')) setTimetable(data.timetable);
+        if (changed('timeSlots')) setTimeSlots(data.timeSlots);
+        if (changed('attendanceRecords')) setAttendanceRecords(data.attendanceRecords);
+        if (changed('semester')) setSemester(data.semester);
+        if (changed('statuses')) setStatuses(data.statuses);
+    };
+
+    const runSync = async () => {
+        if (!isSyncActive || syncInFlight.current) return;
+        if (!navigator.onLine) {
+            setSyncStatus(prev => ({ ...prev, state: 'offline', message: 'Offline — changes will sync when you reconnect.' }));
+            return;
+        }
+        syncInFlight.current = true;
+        setSyncStatus(prev => ({ ...prev, state: 'syncing', message: '' }));
+        try {
+            const { flat, state } = await syncWithServer(syncSettings, () => syncDataRef.current);
+            if (flat) applySyncedData(unflattenData(flat, { semester: DEFAULT_SEMESTER, statuses: DEFAULT_STATUSES }));
+            setSyncStatus({ state: 'idle', message: '', ...summarizeSyncState(state) });
+        } catch (error) {
+            setSyncStatus(prev => ({ ...prev, state: 'error', message: error.message }));
+        } finally {
+            syncInFlight.current = false;
+        }
+    };
+
+    const syncActions = useRef({});
+    syncActions.current = { runSync };
+
+    useEffect(() => {
+        if (!isSyncActive) return;
+        const state = recordLocalChanges({ subjects, timetable, timeSlots, attendanceRecords, semester, statuses });
+        setSyncStatus(prev => ({ ...prev, ...summarizeSyncState(state) }));
+        if (state.queue.length === 0) return;
+        clearTimeout(syncTimer.current);
+        syncTimer.current = setTimeout(() => syncActions.current.runSync(), 2000);
+    }, [isSyncActive, subjects, timetable, timeSlots, attendanceRecords, semester, statuses]);
+
+    useEffect(() => {
+        if (!isSyncActive) return;
+        const sync = () => syncActions.current.runSync();
+        const goOffline = () => setSyncStatus(prev => ({ ...prev, state: 'offline', message: 'Offline — changes will sync when you reconnect.' }));
+        sync();
+        const timer = setInterval(sync, 30 * 1000);
+        window.addEventListener('online', sync);
+        window.addEventListener('offline', goOffline);
+        return () => {
+            clearInterval(timer);
+            clearTimeout(syncTimer.current);
+            window.removeEventListener('online', sync);
+            window.removeEventListener('offline', goOffline);
+        };
+    }, [syncSettings, isSyncActive]);
+
+    const enableSync = async (settings) => {
+        try {
+            await checkServer(settings);
+        } catch (error) {
+            alert(`Could not reach the sync server: ${error.message}`);
+            return;
+        }
+        prepareSyncState(settings);
+        setSyncSettings({ ...settings, enabled: true });
+    };
+
+    const disableSync = () => {
+        setSyncSettings(prev => ({ ...prev, enabled: false }));
+        setSyncStatus(prev => ({ ...prev, state: 'idle', message: '' }));
+    };
+
+    const dismissConflicts = () => {
+        clearConflicts();
+        setSyncStatus(prev => ({ ...prev, conflicts: [] }));
+    };
+
     // --- DATA DERIVATION & CALCULATIONS ---
-    const subjectStats = useMemo(() => {
-        const stats = {};
+    const subjectStats = useMemo(() => computeSubjectStats(subjects, attendanceRecords, timetable, semester, statuses), [subjects, attendanceRecords, timetable, semester, statuses]);
+
+    const overallAttendance = useMemo(() => computeOverallAttendance(subjectStats), [subjectStats]);
+
+    const projections = useMemo(() => {
+        const remainingCounts = countRemainingClasses(timetable, semester);
+        const result = {};
         subjects.forEach(subject => {
-            const relevantRecords = Object.values(attendanceRecords).filter(rec => rec.subjectId === subject.id);
-            const attended = relevantRecords.filter(rec => rec.status === 'present').length;
-            const total = relevantRecords.length;
-            const percentage = total > 0 ? (attended / total) * 100 : 0;
-            stats[subject.id] = { attended, total, percentage };
+            const stat = subjectStats[subject.id] || { attended: 0, total: 0 };
+            result[subject.id] = projectAttendance(stat, subject.threshold, remainingCounts[subject.id] || 0, !!semester.endDate);
         });
-        return stats;
-    }, [subjects, attendanceRecords]);
+        return result;
+    }, [subjects, subjectStats, timetable, semester]);
 
-    const overallAttendance = useMemo(() => {
-        const totalAttended = Object.values(subjectStats).reduce((sum, stat) => sum + stat.attended, 0);
-        const totalConducted = Object.values(subjectStats).reduce((sum, stat) => sum + stat.total, 0);
-        const percentage = totalConducted > 0 ? (totalAttended / totalConducted) * 100 : 0;
-        return { percentage, totalAttended, totalConducted };
-    }, [subjectStats]);
+    const unmarkedCount = useMemo(() => countUnmarkedClasses(timetable, semester, attendanceRecords), [timetable, semester, attendanceRecords]);
+
+    // --- NOTIFICATIONS ---
+    // Checks once a minute while the app is open. Reminders that fall in quiet hours wait until they end.
+    useEffect(() => {
+        if (readOnly || !notificationSettings.enabled || getNotificationPermission() !== 'granted') return;
+        const check = () => {
+            const now = new Date();
+            if (isQuietTime(notificationSettings, getTimeOfDay(now))) return;
+            const sent = loadSentNotifications();
+            const due = planNotifications({ subjects, subjectStats, timetable, semester, attendanceRecords, settings: notificationSettings, sent, now });
+            if (due.length === 0) return;
+            due.forEach(notification => {
+                sent[notification.tag] = toDateKey(now);
+                showNotification(notification).catch(error => console.error('Could not show notification:', error));
+            });
+            saveSentNotifications(sent, toDateKey(now));
+        };
+        check();
+        const timer = setInterval(check, 60 * 1000);
+        return () => clearInterval(timer);
+    }, [readOnly, notificationSettings, subjects, subjectStats, timetable, semester, attendanceRecords]);
 
     // --- HANDLER FUNCTIONS ---
     const addSubject = (name, threshold) => {
         const newSubject = { id: Date.now(), name, threshold: parseInt(threshold, 10) || 75 };
+        recordChange(`Subject "${name}" added`);
         setSubjects(prev => [...prev, newSubject]);
     };
 
-    const updateSubjectDetails = (id, name, threshold) => {
-        setSubjects(prev => prev.map(sub => sub.id === id ? { ...sub, name, threshold: parseInt(threshold, 10) } : sub));
+    const updateSubjectDetails = (id, name, threshold, typeThresholds = {}) => {
+        const parsedTypeThresholds = {};
+        Object.entries(typeThresholds).forEach(([classType, value]) => {
+            if (value !== '' && !isNaN(parseInt(value, 10))) parsedTypeThresholds[classType] = parseInt(value, 10);
+        });
+        recordChange('Subject updated');
+        setSubjects(prev => prev.map(sub => sub.id === id ? { ...sub, name, threshold: parseInt(threshold, 10), typeThresholds: parsedTypeThresholds } : sub));
     };
 
     const deleteSubject = (id) => {
-        setSubjects(prev => prev.filter(sub => sub.id !== id));
-        const newTimetable = { ...timetable };
-        Object.keys(newTimetable).forEach(day => {
-            newTimetable[day] = newTimetable[day].filter(slot => slot.subjectId !== id);
-        });
-        setTimetable(newTimetable);
-        const newRecords = { ...attendanceRecords };
-        Object.keys(newRecords).forEach(key => {
-            if (newRecords[key].subjectId === id) delete newRecords[key];
-        });
-        setAttendanceRecords(newRecords);
+        const next = removeSubject({ subjects, timetable, attendanceRecords, semester }, id);
+        recordChange('Subject deleted', { showToast: true });
+        setSubjects(next.subjects);
+        setTimetable(next.timetable);
+        setAttendanceRecords(next.attendanceRecords);
+        setSemester(next.semester);
         if (selectedSubjectId === id) setSelectedSubjectId(null);
     };
 
-    const addTimetableEntry = (day, timeSlotId, subjectId) => {
-        const timeSlot = timeSlots.find(ts => ts.id === timeSlotId);
-        if (!timeSlot) return;
-        const newEntry = { id: Date.now(), startTime: timeSlot.start, endTime: timeSlot.end, subjectId: parseInt(subjectId, 10), timeSlotId };
+    // An entry with marked classes before `dateKey` is part of history and must be split rather than rewritten.
+    const hasRecordsBefore = (entryId, dateKey) => Object.entries(attendanceRecords).some(([key, rec]) => getRecordEntryId(key) === entryId && rec.date < dateKey);
+
+    const addTimetableEntry = (day, timeSlotId, details, effectiveFrom) => {
+        const session = buildSession(timeSlots, timeSlotId, details);
+        if (!session) return;
+        const newEntry = { id: Date.now(), ...session };
+        if (effectiveFrom) newEntry.validFrom = effectiveFrom;
+        recordChange('Class added');
         setTimetable(prev => {
             const daySlots = prev[day] ? [...prev[day], newEntry] : [newEntry];
             daySlots.sort((a, b) => a.startTime.localeCompare(b.startTime));
@@ -113,84 +392,376 @@ const App = () => {
         setIsSlotModalOpen(false);
     };
     
-    const updateTimetableEntry = (day, entryId, newSubjectId) => {
-        setTimetable(prev => {
-            const newDaySlots = prev[day].map(entry => 
-                entry.id === entryId ? { ...entry, subjectId: parseInt(newSubjectId, 10) } : entry
-            );
-            return { ...prev, [day]: newDaySlots };
-        });
+    const updateTimetableEntry = (day, entryId, details, effectiveFrom) => {
+        const existing = (timetable[day] || []).find(entry => entry.id === entryId);
+        const session = existing && buildSession(timeSlots, existing.timeSlotId, details);
+        if (!session) return;
+        const recordFields = { subjectId: session.subjectId, classType: session.classType, weight: session.weight };
+        recordChange('Class updated');
+        if (!effectiveFrom || !hasRecordsBefore(entryId, effectiveFrom)) {
+            setTimetable(prev => {
+                const newDaySlots = prev[day].map(entry => 
+                    entry.id === entryId ? { ...entry, ...session } : entry
+                );
+                return { ...prev, [day]: newDaySlots };
+            });
+            setAttendanceRecords(prev => {
+                const newRecords = { ...prev };
+                Object.keys(newRecords).forEach(key => {
+                    if (getRecordEntryId(key) === entryId && (!effectiveFrom || newRecords[key].date >= effectiveFrom)) newRecords[key] = { ...newRecords[key], ...recordFields };
+                });
+                return newRecords;
+            });
+        } else {
+            // Close the old entry the day before and start a new one, moving any marks made from that date onwards.
+            const newEntry = { ...existing, ...session, id: Date.now(), validFrom: effectiveFrom };
+            setTimetable(prev => {
+                const newDaySlots = [...prev[day].map(entry => entry.id === entryId ? { ...entry, validUntil: addDaysToKey(effectiveFrom, -1) } : entry), newEntry];
+                newDaySlots.sort((a, b) => a.startTime.localeCompare(b.startTime));
+                return { ...prev, [day]: newDaySlots };
+            });
+            setAttendanceRecords(prev => {
+                const newRecords = { ...prev };
+                Object.keys(newRecords).forEach(key => {
+                    if (getRecordEntryId(key) !== entryId || newRecords[key].date < effectiveFrom) return;
+                    newRecords[recordKey(newRecords[key].date, newEntry.id)] = { ...newRecords[key], ...recordFields };
+                    delete newRecords[key];
+                });
+                return newRecords;
+            });
+        }
         setIsSlotModalOpen(false);
     };
 
-    const deleteTimetableEntry = (day, entryId) => {
-        setTimetable(prev => ({ ...prev, [day]: prev[day].filter(entry => entry.id !== entryId) }));
+    const deleteTimetableEntry = (day, entryId, effectiveFrom) => {
+        const next = removeTimetableEntry({ timetable, attendanceRecords }, day, entryId, effectiveFrom);
+        recordChange('Class removed', { showToast: true });
+        setTimetable(next.timetable);
+        setAttendanceRecords(next.attendanceRecords);
     };
     
-    const handleOpenSlotModal = (day, timeSlot, existingEntry = null) => {
-        setModalData({ day, timeSlot, existingEntry });
+    const handleOpenSlotModal = (day, timeSlot, existingEntry = null, dateKey = null) => {
+        setModalData({ day, timeSlot, existingEntry, dateKey });
         setIsSlotModalOpen(true);
     };
+
+    // --- SEMESTER CALENDAR ---
+    const updateSemesterDates = (startDate, endDate) => {
+        recordChange('Semester dates changed');
+        setSemester(prev => ({ ...prev, startDate, endDate }));
+    };
+
+    const updateWorkingWeek = (workingDays, weekStartsOn) => {
+        recordChange('Working week changed');
+        setSemester(prev => ({ ...prev, workingDays, weekStartsOn }));
+    };
+
+    const addHoliday = (start, end, label) => {
+        const holiday = { id: Date.now(), start, end: end && end >= start ? end : start, label: label.trim() || 'Holiday' };
+        recordChange('Holiday added');
+        setSemester(prev => ({ ...prev, holidays: [...prev.holidays, holiday].sort((a, b) => a.start.localeCompare(b.start)) }));
+    };
+
+    const deleteHoliday = (id) => {
+        recordChange('Holiday removed', { showToast: true });
+        setSemester(prev => ({ ...prev, holidays: prev.holidays.filter(h => h.id !== id) }));
+    };
+
+    const updateOverride = (dateKey, update) => {
+        setSemester(prev => {
+            const current = { cancelled: [], extra: [], ...prev.overrides[dateKey] };
+            return { ...prev, overrides: { ...prev.overrides, [dateKey]: update(current) } };
+        });
+    };
+
+    const toggleClassCancelled = (dateKey, entryId) => {
+        recordChange(isClassCancelled(semester, dateKey, entryId) ? 'Class restored' : 'Class cancelled');
+        updateOverride(dateKey, override => ({
+            ...override,
+            cancelled: override.cancelled.includes(entryId) ? override.cancelled.filter(id => id !== entryId) : [...override.cancelled, entryId],
+        }));
+    };
+
+    const addExtraClass = (dateKey, timeSlotId, details) => {
+        const session = buildSession(timeSlots, timeSlotId, details);
+        if (!session) return;
+        const newEntry = { id: Date.now(), ...session, isExtra: true };
+        recordChange('Extra class added');
+        updateOverride(dateKey, override => ({ ...override, extra: [...override.extra, newEntry].sort((a, b) => a.startTime.localeCompare(b.startTime)) }));
+        setIsSlotModalOpen(false);
+    };
+
+    const updateExtraClass = (dateKey, entryId, timeSlotId, details) => {
+        const session = buildSession(timeSlots, timeSlotId, details);
+        if (!session) return;
+        const recordFields = { subjectId: session.subjectId, classType: session.classType, weight: session.weight };
+        recordChange('Extra class updated');
+        updateOverride(dateKey, override => ({ ...override, extra: override.extra.map(entry => entry.id === entryId ? { ...entry, ...session } : entry) }));
+        setAttendanceRecords(prev => {
+            const key = recordKey(dateKey, entryId);
+            return prev[key] ? { ...prev, [key]: { ...prev[key], ...recordFields } } : prev;
+        });
+        setIsSlotModalOpen(false);
+    };
+
+    const deleteExtraClass = (dateKey, entryId) => {
+        recordChange('Extra class removed', { showToast: true });
+        updateOverride(dateKey, override => ({ ...override, extra: override.extra.filter(entry => entry.id !== entryId) }));
+        setAttendanceRecords(prev => {
+            const { [recordKey(dateKey, entryId)]: removed, ...rest } = prev;
+            return removed ? rest : prev;
+        });
+    };
     
+    // Overlapping slots are refused here as well as in the form, so no caller can store one.
     const addCustomTimeSlot = (start, end) => {
+        if (validateTimeSlot(timeSlots, start, end)) return;
+        recordChange('Time slot added');
         setTimeSlots(prev => [...prev, { id: Date.now(), start, end }].sort((a,b) => a.start.localeCompare(b.start)));
     };
 
+    const updateTimeSlot = (id, start, end) => {
+        if (!timeSlots.some(ts => ts.id === id) || validateTimeSlot(timeSlots, start, end, id)) return;
+        const next = changeTimeSlot({ timeSlots, timetable, semester }, id, start, end);
+        recordChange('Time slot changed');
+        setTimeSlots(next.timeSlots);
+        setTimetable(next.timetable);
+        setSemester(next.semester);
+    };
+
     const deleteCustomTimeSlot = (id) => {
-        setTimeSlots(prev => prev.filter(ts => ts.id !== id));
-        const newTimetable = { ...timetable };
-        Object.keys(newTimetable).forEach(day => {
-            newTimetable[day] = newTimetable[day].filter(slot => slot.timeSlotId !== id);
-        });
-        setTimetable(newTimetable);
+        const next = removeTimeSlot({ timeSlots, timetable, semester }, id);
+        recordChange('Time slot deleted', { showToast: true });
+        setTimeSlots(next.timeSlots);
+        setTimetable(next.timetable);
+        setSemester(next.semester);
+    };
+
+    const markAttendance = (slot, dateKey, status) => {
+        recordChange(`Marked ${findStatus(statuses, status)?.label || status}`);
+        setAttendanceRecords(prev => markClasses(prev, [{ dateKey, entry: slot }], status));
+    };
+
+    // Marks every class in `classes` (a list of `{ dateKey, entry }`) in one update, so the whole batch
+    // is a single undo step.
+    const markAttendanceBulk = (classes, status) => {
+        if (classes.length === 0) return;
+        const label = findStatus(statuses, status)?.label || status;
+        recordChange(`Marked ${classes.length} class${classes.length === 1 ? '' : 'es'} ${label}`, { showToast: true });
+        setAttendanceRecords(prev => markClasses(prev, classes, status));
     };
 
-    const markAttendance = (slot, date, status) => {
-        const recordKey = `${date.toISOString().split('T')[0]}_${slot.id}`;
-        setAttendanceRecords(prev => ({ ...prev, [recordKey]: { subjectId: slot.subjectId, status, date: date.toISOString().split('T')[0] } }));
+    // --- ATTENDANCE STATUSES ---
+    const addStatus = (label, policy, credit, color) => {
+        const status = { id: `custom-${Date.now()}`, label: label.trim(), policy, color };
+        if (policy === 'fractional') status.credit = credit;
+        recordChange('Status added');
+        setStatuses(prev => [...prev, status]);
     };
 
+    const updateStatus = (id, changes) => {
+        recordChange('Status policy changed');
+        setStatuses(prev => prev.map(status => {
+            if (status.id !== id || status.builtIn) return status;
+            const updated = { ...status, ...changes };
+            if (updated.policy !== 'fractional') delete updated.credit;
+            else if (updated.credit === undefined) updated.credit = 0.5;
+            return updated;
+        }));
+    };
+
+    const deleteStatus = (id) => {
+        const inUse = Object.values(attendanceRecords).filter(rec => rec.status === id).length;
+        if (inUse > 0) {
+            alert(`This status is used by ${inUse} attendance record(s). Re-mark those classes before removing it, or change its policy instead.`);
+            return;
+        }
+        recordChange('Status removed', { showToast: true });
+        setStatuses(prev => prev.filter(status => status.id !== id || status.builtIn));
+    };
+
+    const updateNotificationSettings = (changes) => {
+        setNotificationSettings(prev => ({ ...prev, ...changes }));
+    };
+
+    const enableNotifications = async () => {
+        const permission = await requestNotificationPermission();
+        if (permission !== 'granted') {
+            alert(permission === 'unsupported' ? "This browser doesn't support notifications." : "Notifications are blocked. Allow them for this site in your browser settings, then try again.");
+            return;
+        }
+        setNotificationSettings(prev => ({ ...prev, enabled: true, subjectIds: prev.subjectIds.length > 0 ? prev.subjectIds : subjects.map(s => s.id) }));
+    };
+
+    // --- BACKUP & RESTORE ---
+    const currentData = { subjects, timetable, timeSlots, attendanceRecords, semester, statuses, darkMode: isDarkMode };
+
+    const importData = (incoming, mode) => {
+        const data = mode === 'merge' ? mergeData(currentData, incoming) : incoming;
+        recordChange(mode === 'merge' ? 'Backup merged' : 'Data replaced from backup', { showToast: true });
+        setSubjects(data.subjects);
+        setTimetable(data.timetable);
+        setTimeSlots(data.timeSlots);
+        setAttendanceRecords(data.attendanceRecords);
+        setSemester(data.semester);
+        setStatuses(data.statuses);
+        setIsDarkMode(data.darkMode);
+        setSelectedSubjectId(null);
+        setIsDataModalOpen(false);
+    };
+
+    // Adds the classes from an .ics import, creating missing subjects and time slots. If no semester
+    // dates are set yet, the calendar's date range fills them in.
+    const importTimetable = (plan) => {
+        const next = applyTimetableImport(plan, { subjects, timeSlots, timetable });
+        recordChange(next.skipped > 0 ? `Timetable imported from calendar; ${next.skipped} class(es) skipped for overlapping time slots` : 'Timetable imported from calendar', { showToast: true });
+        setSubjects(next.subjects);
+        setTimeSlots(next.timeSlots);
+        setTimetable(next.timetable);
+        if (!semester.startDate && !semester.endDate && plan.range.startDate) {
+            setSemester(prev => ({ ...prev, startDate: plan.range.startDate, endDate: plan.range.endDate }));
+        }
+    };
+
+    // Compares the stored profiles; the one on screen uses its live state.
+    const comparison = useMemo(() => {
+        if (view !== 'compare') return [];
+        const current = { subjects, timetable, timeSlots, attendanceRecords, semester, statuses };
+        return profiles.map(p => summarizeProfile(p, p.id === profile.id ? current : readProfileData(p.id)));
+    }, [view, profiles, profile.id, subjects, timetable, timeSlots, attendanceRecords, semester, statuses]);
+
     const selectedSubject = subjects.find(s => s.id === selectedSubjectId);
     const selectedSubjectStat = selectedSubjectId ? subjectStats[selectedSubjectId] : null;
+    const selectedSubjectProjection = selectedSubjectId ? projections[selectedSubjectId] : null;
 
     return (
         <div className="min-h-screen bg-gray-100 dark:bg-gray-900 text-gray-800 dark:text-gray-200 font-sans transition-colors duration-300">
-            <Header isDarkMode={isDarkMode} setIsDarkMode={setIsDarkMode} />
+            <Header isDarkMode={isDarkMode} setIsDarkMode={setIsDarkMode} onOpenSemester={() => setIsSemesterModalOpen(true)} onOpenData={() => setIsDataModalOpen(true)} onOpenReport={() => setIsReportOpen(true)} onOpenStatuses={() => setIsStatusModalOpen(true)} onOpenNotifications={() => setIsNotificationModalOpen(true)} syncEnabled={isSyncActive} syncState={syncStatus.state} onOpenSync={() => setIsSyncModalOpen(true)} canUndo={!readOnly && history.past.length > 0} canRedo={!readOnly && history.future.length > 0} onUndo={undo} onRedo={redo} profile={profile} profiles={profiles} onSwitchProfile={onSwitchProfile} onOpenProfiles={() => setIsProfileModalOpen(true)} />
             <main className="container mx-auto p-4 md:p-6">
+                {readOnly && (
+                    <div className="flex justify-between items-center gap-4 mb-6 p-4 rounded-lg bg-purple-100 dark:bg-purple-900/40 text-purple-800 dark:text-purple-200">
+                        <p className="flex items-center text-sm"><Archive size={18} className="mr-2 flex-shrink-0"/> "{profile.name}" is archived and read-only.</p>
+                        <button onClick={() => onSetProfileArchived(profile.id, false)} className="text-sm font-semibold flex items-center gap-1 hover:underline"><ArchiveRestore size={16}/> Restore</button>
+                    </div>
+                )}
                 <div className="flex justify-center mb-6">
                     <div className="inline-flex rounded-lg shadow-sm">
-                        <button onClick={() => setView('dashboard')} className={`px-6 py-2 text-sm font-medium rounded-l-lg transition-colors ${view === 'dashboard' ? 'bg-blue-600 text-white' : 'bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600'}`}>Dashboard</button>
-                        <button onClick={() => setView('timetable')} className={`px-6 py-2 text-sm font-medium rounded-r-lg transition-colors ${view === 'timetable' ? 'bg-blue-600 text-white' : 'bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600'}`}>Timetable</button>
+                        <button onClick={() => setView('today')} className={`px-6 py-2 text-sm font-medium rounded-l-lg transition-colors ${view === 'today' ? 'bg-blue-600 text-white' : 'bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600'}`}>Today</button>
+                        <button onClick={() => setView('dashboard')} className={`px-6 py-2 text-sm font-medium transition-colors ${view === 'dashboard' ? 'bg-blue-600 text-white' : 'bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600'}`}>Dashboard</button>
+                        <button onClick={() => setView('timetable')} className={`px-6 py-2 text-sm font-medium ${profiles.length > 1 ? '' : 'rounded-r-lg'} transition-colors ${view === 'timetable' ? 'bg-blue-600 text-white' : 'bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600'}`}>Timetable</button>
+                        {profiles.length > 1 && <button onClick={() => setView('compare')} className={`px-6 py-2 text-sm font-medium rounded-r-lg transition-colors ${view === 'compare' ? 'bg-blue-600 text-white' : 'bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600'}`}>Compare</button>}
                     </div>
                 </div>
 
-                {view === 'dashboard' ? (
+                {view === 'today' ? (
+                    <TodayView readOnly={readOnly} timetable={timetable} semester={semester} subjects={subjects} statuses={statuses} attendanceRecords={attendanceRecords} subjectStats={subjectStats} onMark={editable(markAttendance)} onOpenTimetable={() => setView('timetable')} />
+                ) : view === 'dashboard' ? (
                     <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
                         <div className="lg:col-span-2">
-                            <DashboardStats overall={overallAttendance} />
-                            <AddSubjectForm onAdd={addSubject} />
-                            <SubjectList subjects={subjects} subjectStats={subjectStats} onDelete={deleteSubject} onSelect={setSelectedSubjectId} selectedSubjectId={selectedSubjectId} />
+                            <DashboardStats overall={overallAttendance} unmarkedCount={unmarkedCount} semester={semester} onOpenSemester={() => setIsSemesterModalOpen(true)} subjects={subjects} timetable={timetable} attendanceRecords={attendanceRecords} statuses={statuses} />
+                            {!readOnly && <AddSubjectForm onAdd={addSubject} />}
+                            <SubjectList subjects={subjects} subjectStats={subjectStats} projections={projections} onDelete={editable(deleteSubject)} onSelect={setSelectedSubjectId} selectedSubjectId={selectedSubjectId} />
                         </div>
                         <div className="lg:col-span-1">
-                            {selectedSubject ? <SubjectDetail subject={selectedSubject} stats={selectedSubjectStat} onUpdateDetails={updateSubjectDetails} onClose={() => setSelectedSubjectId(null)} /> : <Placeholder text="Select a subject to see details." />}
+                            {selectedSubject ? <SubjectDetail key={selectedSubject.id} subject={selectedSubject} stats={selectedSubjectStat} projection={selectedSubjectProjection} timetable={timetable} semester={semester} attendanceRecords={attendanceRecords} statuses={statuses} onUpdateDetails={editable(updateSubjectDetails)} onClose={() => setSelectedSubjectId(null)} /> : <Placeholder text="Select a subject to see details." />}
                         </div>
                     </div>
+                ) : view === 'compare' ? (
+                    <ProfileComparison rows={comparison} activeProfileId={profile.id} onSwitchProfile={onSwitchProfile} />
                 ) : (
-                    <TimetableGrid timetable={timetable} subjects={subjects} onMarkAttendance={markAttendance} attendanceRecords={attendanceRecords} onOpenSlotModal={handleOpenSlotModal} timeSlots={timeSlots} onDeleteTimetableEntry={deleteTimetableEntry} onOpenTimeManager={() => setIsTimeManagerOpen(true)} />
+                    <TimetableGrid readOnly={readOnly} timetable={timetable} semester={semester} subjects={subjects} statuses={statuses} onMarkAttendance={editable(markAttendance)} onBulkMark={editable(markAttendanceBulk)} initialBulkMark={launchShortcut === 'mark-today' ? { from: toDateKey(new Date()), to: toDateKey(new Date()), onlyUnmarked: true } : null} onImportTimetable={editable(importTimetable)} attendanceRecords={attendanceRecords} onOpenSlotModal={editable(handleOpenSlotModal)} timeSlots={timeSlots} onDeleteTimetableEntry={editable(deleteTimetableEntry)} onDeleteExtraClass={editable(deleteExtraClass)} onToggleCancelled={editable(toggleClassCancelled)} onOpenTimeManager={() => setIsTimeManagerOpen(true)} />
                 )}
             </main>
-            {isSlotModalOpen && <SlotEditModal subjects={subjects} onAddEntry={addTimetableEntry} onUpdateEntry={updateTimetableEntry} onClose={() => setIsSlotModalOpen(false)} modalData={modalData} />}
-            {isTimeManagerOpen && <TimeSlotManagerModal timeSlots={timeSlots} onAddTimeSlot={addCustomTimeSlot} onDeleteTimeSlot={deleteCustomTimeSlot} onClose={() => setIsTimeManagerOpen(false)} />}
+            {isSlotModalOpen && <SlotEditModal subjects={subjects} timeSlots={timeSlots} timetable={timetable} semester={semester} onAddEntry={addTimetableEntry} onUpdateEntry={updateTimetableEntry} onAddExtra={addExtraClass} onUpdateExtra={updateExtraClass} onClose={() => setIsSlotModalOpen(false)} modalData={modalData} />}
+            {isTimeManagerOpen && <TimeSlotManagerModal timeSlots={timeSlots} onAddTimeSlot={editable(addCustomTimeSlot)} onUpdateTimeSlot={editable(updateTimeSlot)} onDeleteTimeSlot={editable(deleteCustomTimeSlot)} onClose={() => setIsTimeManagerOpen(false)} />}
+            {isSemesterModalOpen && <SemesterModal semester={semester} onUpdateDates={editable(updateSemesterDates)} onUpdateWorkingWeek={editable(updateWorkingWeek)} onAddHoliday={editable(addHoliday)} onDeleteHoliday={editable(deleteHoliday)} onClose={() => setIsSemesterModalOpen(false)} />}
+            {isStatusModalOpen && <StatusModal statuses={statuses} onAddStatus={editable(addStatus)} onUpdateStatus={editable(updateStatus)} onDeleteStatus={editable(deleteStatus)} onClose={() => setIsStatusModalOpen(false)} />}
+            {updateRegistration && <UpdateBanner onReload={() => applyUpdate(updateRegistration)} onDismiss={() => setUpdateRegistration(null)} />}
+            {toast && <Toast key={toast.id} message={toast.message} actionLabel={toast.action === 'redo' ? 'Redo' : 'Undo'} onAction={toast.action === 'redo' ? editable(redo) : editable(undo)} onDismiss={dismissToast} />}
+            {isNotificationModalOpen && <NotificationModal settings={notificationSettings} subjects={subjects} onEnable={enableNotifications} onUpdate={updateNotificationSettings} onClose={() => setIsNotificationModalOpen(false)} />}
+            {isSyncModalOpen && <SyncModal readOnly={readOnly} settings={syncSettings} status={syncStatus} subjects={subjects} onEnable={enableSync} onDisable={disableSync} onSyncNow={runSync} onDismissConflicts={dismissConflicts} onClose={() => setIsSyncModalOpen(false)} />}
+            {isProfileModalOpen && <ProfileModal profiles={profiles} activeProfileId={profile.id} onCreate={(name, copyClasses) => onCreateProfile(name, { subjects, timetable, timeSlots, semester, statuses }, { copyClasses })} onRename={onRenameProfile} onSetArchived={onSetProfileArchived} onDelete={onDeleteProfile} onSwitch={onSwitchProfile} onClose={() => setIsProfileModalOpen(false)} />}
+            {isDataModalOpen && <DataModal data={currentData} onImport={editable(importData)} onClose={() => setIsDataModalOpen(false)} />}
+            {isReportOpen && <ReportView profileName={profile.name} subjects={subjects} timetable={timetable} semester={semester} attendanceRecords={attendanceRecords} statuses={statuses} onClose={() => setIsReportOpen(false)} />}
         </div>
     );
 };
 
+// --- Dialogs ---
+// Every modal is a labelled dialog: focus moves into it when it opens, Tab and Shift+Tab cycle within
+// it, Escape closes it, and focus goes back to whatever opened it. Only the topmost open dialog reacts.
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+const openDialogs = [];
+
+const useDialog = (onClose) => {
+    const ref = useRef(null);
+    const titleId = useId();
+    const onCloseRef = useRef(onClose);
+    useEffect(() => { onCloseRef.current = onClose; });
+
+    useEffect(() => {
+        const dialog = ref.current;
+        if (!dialog) return undefined;
+        const opener = document.activeElement;
+        const focusables = () => [...dialog.querySelectorAll(FOCUSABLE_SELECTOR)];
+        openDialogs.push(dialog);
+        (focusables()[0] || dialog).focus();
+
+        const handleKeyDown = (event) => {
+            if (openDialogs[openDialogs.length - 1] !== dialog) return;
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                onCloseRef.current();
+                return;
+            }
+            if (event.key !== 'Tab') return;
+            const items = focusables();
+            const first = items[0] || dialog;
+            const last = items[items.length - 1] || dialog;
+            if (!dialog.contains(document.activeElement)) {
+                event.preventDefault();
+                first.focus();
+            } else if (event.shiftKey && document.activeElement === first) {
+                event.preventDefault();
+                last.focus();
+            } else if (!event.shiftKey && document.activeElement === last) {
+                event.preventDefault();
+                first.focus();
+            }
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => {
+            document.removeEventListener('keydown', handleKeyDown);
+            openDialogs.splice(openDialogs.indexOf(dialog), 1);
+            if (opener && document.contains(opener)) opener.focus();
+        };
+    }, []);
+
+    return { titleId, dialogProps: { ref, role: 'dialog', 'aria-modal': true, 'aria-labelledby': titleId, tabIndex: -1 } };
+};
+
 // --- Reusable & Dashboard Components (Mostly unchanged) ---
-const Header = ({ isDarkMode, setIsDarkMode }) => (
+const Header = ({ isDarkMode, setIsDarkMode, onOpenSemester, onOpenData, onOpenReport, onOpenStatuses, onOpenNotifications, syncEnabled, syncState, onOpenSync, canUndo, canRedo, onUndo, onRedo, profile, profiles, onSwitchProfile, onOpenProfiles }) => (
     <header className="bg-white dark:bg-gray-800 shadow-md sticky top-0 z-20">
         <div className="container mx-auto px-4 md:px-6 py-4 flex justify-between items-center">
-            <h1 className="text-2xl md:text-3xl font-bold text-blue-600 dark:text-blue-400">Attendance Pro</h1>
-            <button onClick={() => setIsDarkMode(!isDarkMode)} className="p-2 rounded-full text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700"><Sun className="dark:hidden" /><Moon className="hidden dark:block" /></button>
+            <div className="flex items-center gap-3 min-w-0">
+                <h1 className="text-2xl md:text-3xl font-bold text-blue-600 dark:text-blue-400">Attendance Pro</h1>
+                <select aria-label="Semester" value={profile.id} onChange={e => onSwitchProfile(e.target.value)} className="max-w-[10rem] md:max-w-xs p-1 text-sm rounded-md bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 truncate">
+                    {profiles.map(p => <option key={p.id} value={p.id}>{p.name}{p.archived ? ' (archived)' : ''}</option>)}
+                </select>
+                <button onClick={onOpenProfiles} title="Manage semesters" className="p-2 rounded-full text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700"><FolderCog size={20} /></button>
+            </div>
+            <div className="flex items-center gap-2">
+                <button onClick={onOpenSemester} title="Semester calendar" className="p-2 rounded-full text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700"><CalendarCog /></button>
+                <button onClick={onUndo} disabled={!canUndo} title="Undo (Ctrl+Z)" className="p-2 rounded-full text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-30 disabled:hover:bg-transparent"><Undo2 /></button>
+                <button onClick={onRedo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)" className="p-2 rounded-full text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-30 disabled:hover:bg-transparent"><Redo2 /></button>
+                <button onClick={onOpenNotifications} title="Reminders" className="p-2 rounded-full text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700"><Bell /></button>
+                <button onClick={onOpenStatuses} title="Attendance statuses" className="p-2 rounded-full text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700"><ListChecks /></button>
+                <button onClick={onOpenSync} title={syncEnabled ? `Sync: ${syncState}` : 'Sync (off)'} className={`p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 ${!syncEnabled ? 'text-gray-600 dark:text-gray-300' : syncState === 'error' ? 'text-red-500' : syncState === 'offline' ? 'text-yellow-500' : 'text-green-500'}`}>{syncEnabled && syncState !== 'offline' && syncState !== 'error' ? <Cloud className={syncState === 'syncing' ? 'animate-pulse' : ''} /> : <CloudOff />}</button>
+                <button onClick={onOpenReport} title="Attendance report" className="p-2 rounded-full text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700"><FileText /></button>
+                <button onClick={onOpenData} title="Backup & restore" className="p-2 rounded-full text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700"><DatabaseBackup /></button>
+                <button onClick={() => setIsDarkMode(!isDarkMode)} className="p-2 rounded-full text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700"><Sun className="dark:hidden" /><Moon className="hidden dark:block" /></button>
+            </div>
         </div>
     </header>
 );
@@ -202,16 +773,112 @@ const Placeholder = ({ text }) => (
     </div>
 );
 
-const DashboardStats = ({ overall }) => {
+const TodayView = ({ readOnly, timetable, semester, subjects, statuses, attendanceRecords, subjectStats, onMark, onOpenTimetable }) => {
+    const [now, setNow] = useState(() => new Date());
+
+    // Keeps the now / next markers moving while the view is open.
+    useEffect(() => {
+        const timer = setInterval(() => setNow(new Date()), 30000);
+        return () => clearInterval(timer);
+    }, []);
+
+    const todayKey = toDateKey(now);
+    const schedule = useMemo(() => getTodaySchedule(timetable, semester, now), [timetable, semester, now]);
+    const quickStatuses = QUICK_STATUS_IDS.map(id => findStatus(statuses, id)).filter(Boolean);
+    const holiday = findHoliday(semester, todayKey);
+    const current = schedule.find(item => item.phase === 'now');
+    const next = schedule.find(item => item.phase === 'next');
+    const subjectName = (subjectId) => subjects.find(s => s.id === subjectId)?.name || 'Unknown';
+    const timeUntil = (time) => {
+        const minutes = minutesOfDay(time) - minutesOfDay(getTimeOfDay(now));
+        return minutes >= 60 ? `${Math.floor(minutes / 60)} h ${minutes % 60} min` : `${minutes} min`;
+    };
+
+    const percentageColor = (subjectId, percentage) => {
+        const threshold = subjects.find(s => s.id === subjectId)?.threshold ?? 75;
+        return percentage >= threshold ? 'text-green-500' : percentage >= threshold - 5 ? 'text-yellow-500' : 'text-red-500';
+    };
+
+    return (
+        <div className="max-w-3xl mx-auto">
+            <div className="mb-6 p-4 bg-white dark:bg-gray-800 rounded-2xl shadow-lg">
+                <h2 className="text-xl font-bold">{now.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}</h2>
+                <div className="mt-2 space-y-1 text-sm">
+                    {current && <p className="flex items-center text-green-600 dark:text-green-400 font-semibold"><span className="w-2 h-2 mr-2 rounded-full bg-green-500 animate-pulse"/> Now: {subjectName(current.entry.subjectId)} until {formatTime12Hour(current.entry.endTime)}</p>}
+                    {next && <p className="flex items-center text-blue-600 dark:text-blue-400"><Clock size={14} className="mr-2"/> Next: {subjectName(next.entry.subjectId)} at {formatTime12Hour(next.entry.startTime)} (in {timeUntil(next.entry.startTime)})</p>}
+                    {schedule.length > 0 && !current && !next && <p className="text-gray-500 dark:text-gray-400">No more classes today.</p>}
+                </div>
+            </div>
+
+            {schedule.length === 0 ? (
+                <div className="text-center p-8 bg-white dark:bg-gray-800 rounded-2xl shadow-lg">
+                    <h3 className="text-lg font-semibold">{holiday ? `Holiday: ${holiday.label}` : 'No classes today'}</h3>
+                    <button onClick={onOpenTimetable} className="mt-2 text-sm text-blue-500 hover:underline">Open the timetable</button>
+                </div>
+            ) : (
+                <ol className="space-y-3">
+                    {schedule.map(({ entry, phase }) => {
+                        const record = attendanceRecords[recordKey(todayKey, entry.id)];
+                        const markedStatus = record ? findStatus(statuses, record.status) : null;
+                        const stat = subjectStats[entry.subjectId];
+                        const classType = getClassType(entry);
+                        // A class can be marked once it has started, never ahead of time.
+                        const canMark = phase === 'now' || phase === 'done';
+                        return (
+                            <li key={entry.id} className={`p-4 bg-white dark:bg-gray-800 rounded-2xl shadow-lg border-l-4 ${phase === 'now' ? 'border-green-500' : phase === 'next' ? 'border-blue-500' : 'border-transparent'} ${phase === 'done' && record ? 'opacity-75' : ''}`}>
+                                <div className="flex justify-between items-start gap-4">
+                                    <div>
+                                        <p className="text-sm text-gray-500 dark:text-gray-400">
+                                            {formatTime12Hour(entry.startTime)} - {formatTime12Hour(entry.endTime)}
+                                            {phase === 'now' && <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-green-100 text-green-700 dark:bg-green-900/50 dark:text-green-300">Now</span>}
+                                            {phase === 'next' && <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-blue-100 text-blue-700 dark:bg-blue-900/50 dark:text-blue-300">Next</span>}
+                                        </p>
+                                        <h3 className="text-lg font-bold">{subjectName(entry.subjectId)}{classType !== 'lecture' && <span className="ml-2 text-xs font-normal text-gray-500 dark:text-gray-400">{CLASS_TYPES[classType].label}</span>}{entry.isExtra && <span className="ml-2 text-xs font-normal text-gray-500 dark:text-gray-400">Extra class</span>}</h3>
+                                        <p className="text-sm text-gray-500 dark:text-gray-400">{markedStatus ? `Marked ${markedStatus.label}` : record ? `Marked ${record.status}` : 'Not marked yet'}</p>
+                                    </div>
+                                    <div className="text-right">
+                                        <p className={`text-2xl font-extrabold ${stat && stat.total > 0 ? percentageColor(entry.subjectId, stat.percentage) : 'text-gray-500'}`}>{stat && stat.total > 0 ? `${stat.percentage.toFixed(1)}%` : '—'}</p>
+                                        <p className="text-xs text-gray-500 dark:text-gray-400">{stat ? `${formatCount(stat.attended)} / ${stat.total} classes` : ''}</p>
+                                    </div>
+                                </div>
+                                {!readOnly && quickStatuses.length > 0 && (
+                                    <div className="mt-3 grid gap-2" style={{ gridTemplateColumns: `repeat(${quickStatuses.length}, minmax(0, 1fr))` }}>
+                                        {quickStatuses.map(status => {
+                                            const isMarked = record?.status === status.id;
+                                            const after = percentageAfterMark(stat, entry, record, status.id, statuses);
+                                            return (
+                                                <button key={status.id} onClick={() => onMark(entry, todayKey, status.id)} disabled={isMarked || !canMark} aria-pressed={isMarked} title={isMarked ? `Marked ${status.label}` : !canMark ? `Can be marked from ${formatTime12Hour(entry.startTime)}` : `${subjectName(entry.subjectId)} would be at ${after.toFixed(1)}%`} className={`py-2 rounded-lg font-semibold transition-colors disabled:cursor-not-allowed ${isMarked ? STATUS_COLORS[status.color]?.button || 'bg-gray-500 text-white' : canMark ? 'bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600' : 'bg-gray-100 dark:bg-gray-700 opacity-50'}`}>
+                                                    {status.label}
+                                                    <span className="block text-xs font-normal opacity-80">{isMarked ? 'Marked' : `→ ${after.toFixed(1)}%`}</span>
+                                                </button>
+                                            );
+                                        })}
+                                    </div>
+                                )}
+                            </li>
+                        );
+                    })}
+                </ol>
+            )}
+        </div>
+    );
+};
+
+const DashboardStats = ({ overall, unmarkedCount, semester, onOpenSemester, subjects, timetable, attendanceRecords, statuses }) => {
+    const [showHistory, setShowHistory] = useState(false);
+    const carryOver = useMemo(() => getCarryOverTotal(subjects), [subjects]);
     const overallColor = overall.percentage >= 75 ? 'text-green-500' : 'text-red-500';
     return (
         <div className="mb-6 p-4 bg-white dark:bg-gray-800 rounded-2xl shadow-lg">
             <h2 className="text-xl font-bold mb-2">Overall Summary</h2>
             <div className="flex justify-around items-center text-center">
                 <div><p className="text-sm text-gray-500 dark:text-gray-400">Overall %</p><p className={`text-3xl font-extrabold ${overallColor}`}>{overall.percentage.toFixed(2)}%</p></div>
-                <div><p className="text-sm text-gray-500 dark:text-gray-400">Total Attended</p><p className="text-3xl font-extrabold">{overall.totalAttended}</p></div>
+                <div><p className="text-sm text-gray-500 dark:text-gray-400">Total Attended</p><p className="text-3xl font-extrabold">{formatCount(overall.totalAttended)}</p></div>
                 <div><p className="text-sm text-gray-500 dark:text-gray-400">Total Marked</p><p className="text-3xl font-extrabold">{overall.totalConducted}</p></div>
+                <div><p className="text-sm text-gray-500 dark:text-gray-400">Unmarked</p><p className={`text-3xl font-extrabold ${unmarkedCount > 0 ? 'text-yellow-500' : ''}`}>{unmarkedCount}</p></div>
             </div>
+            <div className="flex justify-between mt-4 text-sm"><button onClick={() => setShowHistory(!showHistory)} className="text-blue-500 hover:underline">{showHistory ? 'Hide history' : 'Show history'}</button><button onClick={onOpenSemester} className="text-blue-500 hover:underline">{semester.startDate || semester.endDate ? `Semester: ${formatDateKey(semester.startDate) || '…'} – ${formatDateKey(semester.endDate) || '…'}` : 'Set semester dates'}</button></div>
+            {showHistory && <div className="mt-4"><AttendanceHistory subjectId={null} threshold={75} carryOver={carryOver} timetable={timetable} semester={semester} attendanceRecords={attendanceRecords} statuses={statuses} /></div>}
         </div>
     );
 };
@@ -233,145 +900,513 @@ const AddSubjectForm = ({ onAdd }) => {
     );
 };
 
-const SubjectList = ({ subjects, subjectStats, onDelete, onSelect, selectedSubjectId }) => (
-    <div className="space-y-4">{subjects.length > 0 ? subjects.map(subject => <SubjectItem key={subject.id} subject={subject} stats={subjectStats[subject.id]} onDelete={onDelete} onSelect={onSelect} isSelected={selectedSubjectId === subject.id} />) : <div className="text-center p-8 bg-white dark:bg-gray-800 rounded-2xl shadow-lg"><h3 className="text-lg font-semibold">No subjects yet!</h3><p className="text-gray-500 dark:text-gray-400">Click "Add New Subject" to get started.</p></div>}</div>
+const SubjectList = ({ subjects, subjectStats, projections, onDelete, onSelect, selectedSubjectId }) => (
+    <div className="space-y-4">{subjects.length > 0 ? subjects.map(subject => <SubjectItem key={subject.id} subject={subject} stats={subjectStats[subject.id]} projection={projections[subject.id]} onDelete={onDelete} onSelect={onSelect} isSelected={selectedSubjectId === subject.id} />) : <div className="text-center p-8 bg-white dark:bg-gray-800 rounded-2xl shadow-lg"><h3 className="text-lg font-semibold">No subjects yet!</h3><p className="text-gray-500 dark:text-gray-400">Click "Add New Subject" to get started.</p></div>}</div>
 );
 
-const SubjectItem = ({ subject, stats, onDelete, onSelect, isSelected }) => {
+const ProjectionBadge = ({ projection }) => {
+    if (!projection || (projection.remaining === 0 && projection.canSkip === 0 && projection.mustAttend === 0)) return null;
+    if (!projection.reachable) return <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-red-100 text-red-700 dark:bg-red-900/50 dark:text-red-300">Can't recover</span>;
+    if (projection.mustAttend > 0) return <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-red-100 text-red-700 dark:bg-red-900/50 dark:text-red-300">Attend next {projection.mustAttend}</span>;
+    return <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-green-100 text-green-700 dark:bg-green-900/50 dark:text-green-300">Can skip {projection.canSkip}</span>;
+};
+
+const SubjectItem = ({ subject, stats, projection, onDelete, onSelect, isSelected }) => {
     const { id, name, threshold } = subject;
     const { attended, total, percentage } = stats || { attended: 0, total: 0, percentage: 0 };
     const getStatus = () => {
-        if (total === 0) return { color: 'bg-gray-500', textColor: 'text-gray-500', darkTextColor: 'dark:text-gray-400', message: 'No classes marked' };
-        if (percentage >= threshold) return { color: 'bg-green-500', textColor: 'text-green-500', darkTextColor: 'dark:text-green-400', message: 'Safe Zone' };
-        if (percentage >= threshold - 5) return { color: 'bg-yellow-500', textColor: 'text-yellow-500', darkTextColor: 'dark:text-yellow-400', message: 'Nearing Threshold' };
-        return { color: 'bg-red-500', textColor: 'text-red-500', darkTextColor: 'dark:text-red-400', message: 'Danger Zone' };
+        if (total === 0) return { color: 'bg-gray-500', textColor: 'text-gray-500', darkTextColor: 'dark:text-gray-400', message: 'No classes marked', Icon: MinusCircle };
+        if (percentage >= threshold) return { color: 'bg-green-500', textColor: 'text-green-500', darkTextColor: 'dark:text-green-400', message: 'Safe Zone', Icon: CheckCircle };
+        if (percentage >= threshold - 5) return { color: 'bg-yellow-500', textColor: 'text-yellow-500', darkTextColor: 'dark:text-yellow-400', message: 'Nearing Threshold', Icon: AlertTriangle };
+        return { color: 'bg-red-500', textColor: 'text-red-500', darkTextColor: 'dark:text-red-400', message: 'Danger Zone', Icon: XCircle };
     };
     const status = getStatus();
+    const { Icon } = status;
     return (<div onClick={() => onSelect(id)} className={`p-4 bg-white dark:bg-gray-800 rounded-2xl shadow-lg cursor-pointer transition-all duration-300 hover:shadow-xl hover:scale-[1.02] ${isSelected ? 'ring-4 ring-blue-500 dark:ring-blue-400' : 'ring-2 ring-transparent'}`}>
-        <div className="flex justify-between items-start"><div><h3 className="text-lg font-bold">{name}</h3><p className={`text-sm font-semibold ${status.textColor} ${status.darkTextColor}`}>{status.message}</p></div><div className="text-right"><p className={`text-2xl font-extrabold ${status.textColor} ${status.darkTextColor}`}>{percentage.toFixed(1)}%</p><p className="text-xs text-gray-500 dark:text-gray-400">{attended} / {total} classes</p></div></div>
+        <div className="flex justify-between items-start"><div><h3 className="text-lg font-bold">{name}</h3><p className={`text-sm font-semibold flex items-center gap-1 ${status.textColor} ${status.darkTextColor}`}><Icon size={14} aria-hidden="true" />{status.message}</p></div><div className="text-right"><p className={`text-2xl font-extrabold ${status.textColor} ${status.darkTextColor}`}>{percentage.toFixed(1)}%</p><p className="text-xs text-gray-500 dark:text-gray-400">{formatCount(attended)} / {total} classes</p></div></div>
         <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2.5 mt-3"><div className={`${status.color} h-2.5 rounded-full`} style={{ width: `${percentage}%` }}></div></div>
-        <div className="flex justify-end items-center mt-2"><button onClick={(e) => { e.stopPropagation(); onDelete(id); }} className="p-2 text-gray-500 hover:text-red-500 dark:text-gray-400 dark:hover:text-red-400 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700"><Trash2 size={20} /></button></div>
+        <div className="flex justify-between items-center mt-2"><div><ProjectionBadge projection={projection} /></div><button onClick={(e) => { e.stopPropagation(); onDelete(id); }} className="p-2 text-gray-500 hover:text-red-500 dark:text-gray-400 dark:hover:text-red-400 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700"><Trash2 size={20} /></button></div>
     </div>);
 };
 
-const SubjectDetail = ({ subject, stats, onUpdateDetails, onClose }) => {
+const SubjectDetail = ({ subject, stats, projection, timetable, semester, attendanceRecords, statuses, onUpdateDetails, onClose }) => {
     const { id, name, threshold } = subject;
     const { attended, total } = stats || { attended: 0, total: 0 };
+    const [tab, setTab] = useState('overview');
     const [isEditing, setIsEditing] = useState(false);
     const [editName, setEditName] = useState(name);
     const [editThreshold, setEditThreshold] = useState(threshold);
-    const handleSave = () => { onUpdateDetails(id, editName, editThreshold); setIsEditing(false); };
-    const chartData = [{ name: 'Attended', value: attended }, { name: 'Missed', value: total - attended }];
+    const [editTypeThresholds, setEditTypeThresholds] = useState(subject.typeThresholds || {});
+    const handleSave = () => { onUpdateDetails(id, editName, editThreshold, editTypeThresholds); setIsEditing(false); };
+    const byType = stats?.byType || {};
+    const shownTypes = Object.keys(CLASS_TYPES).filter(type => isEditing || byType[type] || subject.typeThresholds?.[type] !== undefined);
+    const chartData = [{ name: 'Attended', value: formatCount(attended) }, { name: 'Missed', value: formatCount(total - attended) }];
     const COLORS = ['#10B981', '#EF4444'];
     return (<div className="sticky top-24 p-4 md:p-6 bg-white dark:bg-gray-800 rounded-2xl shadow-lg animate-fade-in">
         <div className="flex justify-between items-center mb-4">{isEditing ? <input type="text" value={editName} onChange={(e) => setEditName(e.target.value)} className="text-xl font-bold bg-transparent border-b-2 border-blue-500 focus:outline-none" /> : <h2 className="text-xl font-bold">{name}</h2>}<div className="flex items-center gap-2">{isEditing ? (<><button onClick={handleSave} className="p-2 text-green-600 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full"><Save size={20}/></button><button onClick={() => setIsEditing(false)} className="p-2 text-red-600 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full"><X size={20}/></button></>) : (<button onClick={() => setIsEditing(true)} className="p-2 text-gray-500 hover:text-blue-500 dark:text-gray-400 dark:hover:text-blue-400 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700"><Edit size={20}/></button>)}<button onClick={onClose} className="p-2 text-gray-500 hover:text-red-500 dark:text-gray-400 dark:hover:text-red-400 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700"><X size={24} /></button></div></div>
+        <div className="flex mb-4 bg-gray-100 dark:bg-gray-700 rounded-lg p-1 text-sm font-medium">
+            <button onClick={() => setTab('overview')} className={`flex-1 py-1 rounded-md ${tab === 'overview' ? 'bg-white dark:bg-gray-800 shadow' : 'text-gray-500 dark:text-gray-400'}`}>Overview</button>
+            <button onClick={() => setTab('history')} className={`flex-1 py-1 rounded-md ${tab === 'history' ? 'bg-white dark:bg-gray-800 shadow' : 'text-gray-500 dark:text-gray-400'}`}>History</button>
+        </div>
+        {tab === 'history' ? <AttendanceHistory subjectId={id} threshold={threshold} carryOver={subject.carryOver} timetable={timetable} semester={semester} attendanceRecords={attendanceRecords} statuses={statuses} /> : (<>
         {isEditing && (<div className="mb-4"><label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Threshold (%)</label><input type="number" value={editThreshold} onChange={(e) => setEditThreshold(e.target.value)} className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-gray-50 dark:bg-gray-700" /></div>)}
         <div className="h-48 w-full mb-4"><ResponsiveContainer><PieChart><Pie data={chartData} dataKey="value" nameKey="name" cx="50%" cy="50%" outerRadius={60} fill="#8884d8" label>{chartData.map((entry, index) => <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />)}</Pie><Tooltip /><Legend /></PieChart></ResponsiveContainer></div>
-        <p className="text-center text-gray-600 dark:text-gray-400">Note: Predictions are complex with date-based records and are not shown in this view.</p>
+        {subject.carryOver && <p className="text-xs text-center text-gray-500 dark:text-gray-400 mb-4">Includes {subject.carryOver.attended} / {subject.carryOver.total} classes carried over from the old tracker.</p>}
+        {shownTypes.length > 0 && (<div className="mb-4 p-4 bg-gray-100 dark:bg-gray-700 rounded-xl">
+            <h4 className="font-semibold mb-2">By Class Type</h4>
+            <div className="space-y-2 text-sm">
+                {shownTypes.map(type => {
+                    const typeStat = byType[type] || { attended: 0, total: 0, percentage: 0 };
+                    const typeThreshold = getTypeThreshold(subject, type);
+                    const isBelow = typeStat.total > 0 && typeStat.percentage < typeThreshold;
+                    return (<div key={type} className="flex justify-between items-center gap-2">
+                        <span className="font-semibold w-20">{CLASS_TYPES[type].label}</span>
+                        <span className="text-gray-500 dark:text-gray-400">{formatCount(typeStat.attended)} / {typeStat.total}</span>
+                        <span className={`font-bold ${typeStat.total === 0 ? 'text-gray-500' : isBelow ? 'text-red-500' : 'text-green-500'}`}>{typeStat.percentage.toFixed(1)}%</span>
+                        {isEditing
+                            ? <input type="number" aria-label={`${CLASS_TYPES[type].label} threshold`} value={editTypeThresholds[type] ?? ''} placeholder={editThreshold} onChange={(e) => setEditTypeThresholds(prev => ({ ...prev, [type]: e.target.value }))} className="w-16 p-1 border border-gray-300 dark:border-gray-600 rounded-lg bg-gray-50 dark:bg-gray-800" />
+                            : <span className="text-gray-500 dark:text-gray-400 w-16 text-right">min {typeThreshold}%</span>}
+                    </div>);
+                })}
+            </div>
+        </div>)}
+        {projection && (<div className="p-4 bg-gray-100 dark:bg-gray-700 rounded-xl">
+            <h4 className="font-semibold flex items-center"><AlertTriangle size={18} className="mr-2 text-yellow-500" /> Status & Advice</h4>
+            <p className="text-gray-700 dark:text-gray-300">{projection.message}</p>
+            <div className="flex justify-around text-center mt-2">
+                <div><p className="text-sm text-gray-500">Can Skip</p><p className="text-2xl font-bold text-green-500">{projection.canSkip}</p></div>
+                <div><p className="text-sm text-gray-500">Must Attend</p><p className="text-2xl font-bold text-red-500">{projection.mustAttend === Infinity ? '∞' : projection.mustAttend}</p></div>
+                <div><p className="text-sm text-gray-500">Remaining</p><p className="text-2xl font-bold">{projection.remaining}</p></div>
+            </div>
+            {!projection.hasEndDate && <p className="text-xs text-center text-gray-500 dark:text-gray-400 mt-2">Set the semester end date in the semester calendar to count upcoming classes.</p>}
+        </div>)}
+        </>)}
+    </div>);
+};
+
+const HEATMAP_COLORS = {
+    present: 'bg-green-500 text-white',
+    absent: 'bg-red-500 text-white',
+    mixed: 'bg-yellow-400 text-gray-900',
+    unmarked: 'bg-gray-400 dark:bg-gray-500 text-white',
+};
+// Shown with the colours so the heatmap still reads without them.
+const HEATMAP_MARKS = { present: '✓', absent: '✗', mixed: '±', unmarked: '?' };
+
+const AttendanceHistory = ({ subjectId, threshold, carryOver, timetable, semester, attendanceRecords, statuses }) => {
+    const [monthOffset, setMonthOffset] = useState(0);
+    const weightedRecords = useMemo(() => getWeightedRecords(attendanceRecords, timetable, semester, statuses, subjectId), [attendanceRecords, timetable, semester, statuses, subjectId]);
+    const trend = useMemo(() => buildAttendanceTrend(weightedRecords, carryOver), [weightedRecords, carryOver]);
+    const weekdays = useMemo(() => buildWeekdayBreakdown(weightedRecords), [weightedRecords]);
+
+    const today = new Date();
+    const monthStart = new Date(today.getFullYear(), today.getMonth() + monthOffset, 1, 12);
+    const year = monthStart.getFullYear();
+    const month = monthStart.getMonth();
+    const heatmap = useMemo(() => buildMonthHeatmap(year, month, weightedRecords, timetable, semester, attendanceRecords, subjectId), [year, month, weightedRecords, timetable, semester, attendanceRecords, subjectId]);
+    const leadingBlanks = (monthStart.getDay() - semester.weekStartsOn + 7) % 7;
+    const weekdayLabels = Array.from({ length: 7 }, (_, i) => DAY_NAMES[(semester.weekStartsOn + i) % 7].slice(0, 2));
+
+    return (<div className="space-y-4">
+        <div>
+            <h4 className="font-semibold mb-2">Trend</h4>
+            {trend.length > 0 ? (<div className="h-48 w-full"><ResponsiveContainer><LineChart data={trend} margin={{ top: 5, right: 10, left: -20, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#9CA3AF" strokeOpacity={0.3} />
+                <XAxis dataKey="label" tick={{ fontSize: 11 }} />
+                <YAxis domain={[0, 100]} tick={{ fontSize: 11 }} />
+                <Tooltip formatter={(value) => [`${value}%`, 'Attendance']} />
+                <ReferenceLine y={threshold} stroke="#EF4444" strokeDasharray="4 4" />
+                <Line type="monotone" dataKey="percentage" stroke="#3B82F6" strokeWidth={2} dot={trend.length < 30} />
+            </LineChart></ResponsiveContainer></div>) : <p className="text-sm text-gray-500 dark:text-gray-400">No attendance marked yet.</p>}
+        </div>
+        <div>
+            <div className="flex justify-between items-center mb-2">
+                <button onClick={() => setMonthOffset(monthOffset - 1)} aria-label="Previous month" className="p-1 rounded-full hover:bg-gray-200 dark:hover:bg-gray-600"><ChevronLeft size={18}/></button>
+                <h4 className="font-semibold">{monthStart.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}</h4>
+                <button onClick={() => setMonthOffset(monthOffset + 1)} aria-label="Next month" className="p-1 rounded-full hover:bg-gray-200 dark:hover:bg-gray-600"><ChevronRight size={18}/></button>
+            </div>
+            <div className="grid grid-cols-7 gap-1 text-center text-xs">
+                {weekdayLabels.map(label => <div key={label} className="text-gray-500 dark:text-gray-400">{label}</div>)}
+                {Array.from({ length: leadingBlanks }, (_, i) => <div key={`blank-${i}`} />)}
+                {heatmap.map(cell => (
+                    <div key={cell.dateKey} title={`${formatDateKey(cell.dateKey)}${cell.status ? `: ${cell.status}` : ''}`} aria-label={`${formatDateKey(cell.dateKey)}${cell.status ? `: ${cell.status}` : ''}`} className={`aspect-square flex flex-col items-center justify-center rounded leading-none ${cell.status ? HEATMAP_COLORS[cell.status] : 'bg-gray-100 dark:bg-gray-700 text-gray-400'}`}>{cell.day}{cell.status && <span aria-hidden="true" className="text-[10px] font-bold">{HEATMAP_MARKS[cell.status]}</span>}</div>
+                ))}
+            </div>
+            <div className="flex justify-center gap-3 mt-2 text-xs text-gray-500 dark:text-gray-400">
+                {Object.entries(HEATMAP_COLORS).map(([status, color]) => <span key={status} className="flex items-center gap-1"><span aria-hidden="true" className={`w-3 h-3 rounded flex items-center justify-center text-[8px] font-bold ${color}`}>{HEATMAP_MARKS[status]}</span>{status.charAt(0).toUpperCase() + status.slice(1)}</span>)}
+            </div>
+        </div>
+        <div>
+            <h4 className="font-semibold mb-2">By Weekday</h4>
+            {weekdays.length > 0 ? (<div className="h-40 w-full"><ResponsiveContainer><BarChart data={weekdays} margin={{ top: 5, right: 10, left: -20, bottom: 0 }}>
+                <XAxis dataKey="day" tick={{ fontSize: 11 }} />
+                <YAxis allowDecimals={false} tick={{ fontSize: 11 }} />
+                <Tooltip />
+                <Legend />
+                <Bar dataKey="attended" name="Attended" stackId="a" fill="#10B981" />
+                <Bar dataKey="missed" name="Missed" stackId="a" fill="#EF4444" />
+            </BarChart></ResponsiveContainer></div>) : <p className="text-sm text-gray-500 dark:text-gray-400">No attendance marked yet.</p>}
+        </div>
     </div>);
 };
 
 // --- Timetable Components ---
-const TimetableGrid = ({ timetable, subjects, onOpenSlotModal, timeSlots, onOpenTimeManager, onDeleteTimetableEntry, onMarkAttendance, attendanceRecords }) => {
-    const days = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday"];
+const TimetableGrid = ({ readOnly = false, timetable, semester, subjects, statuses, onOpenSlotModal, timeSlots, onOpenTimeManager, onDeleteTimetableEntry, onDeleteExtraClass, onToggleCancelled, onMarkAttendance, onBulkMark, initialBulkMark = null, onImportTimetable, attendanceRecords }) => {
     const [isEditMode, setIsEditMode] = useState(false);
     const [weekOffset, setWeekOffset] = useState(0);
+    const [bulkMark, setBulkMark] = useState(initialBulkMark);
+    const [isCalendarOpen, setIsCalendarOpen] = useState(false);
+    const [showConflicts, setShowConflicts] = useState(false);
+    const [activeCell, setActiveCell] = useState({ row: 0, col: 0 });
+    const [announcement, setAnnouncement] = useState('');
+    const gridRef = useRef(null);
 
-    const dayHeaders = useMemo(() => {
-        const headers = [];
-        const today = new Date();
-        const startOfWeek = new Date(new Date().setDate(today.getDate() - (today.getDay() + 6) % 7 + (weekOffset * 7)));
-        for (let i = 0; i < 5; i++) {
-            const currentDate = new Date(startOfWeek);
-            currentDate.setDate(startOfWeek.getDate() + i);
-            headers.push({
-                dayName: days[i],
+    const conflicts = useMemo(() => findTimetableConflicts(timetable, semester, toDateKey(new Date())), [timetable, semester]);
+
+    const weekDates = useMemo(() => getWeekDates(weekOffset, semester.weekStartsOn), [weekOffset, semester.weekStartsOn]);
+
+    const dayHeaders = useMemo(() => weekDates
+        .filter(currentDate => semester.workingDays.includes(DAY_NAMES[currentDate.getDay()]))
+        .map(currentDate => {
+            const dateKey = toDateKey(currentDate);
+            return {
+                dayName: DAY_NAMES[currentDate.getDay()],
                 date: currentDate.getDate(),
-                month: currentDate.toLocaleString('en-US', { month: 'short' })
-            });
+                month: currentDate.toLocaleString('en-US', { month: 'short' }),
+                cellDate: currentDate,
+                dateKey,
+                holiday: findHoliday(semester, dateKey),
+                isInSemester: isWithinSemester(semester, dateKey),
+                classes: getScheduledClasses(timetable, semester, dateKey)
+            };
+        }), [weekDates, timetable, semester]);
+
+    // The grid is a single tab stop: one cell at a time is focusable and the arrow keys move between
+    // cells. Slots or days removed since then pull the active cell back inside the grid.
+    const active = { row: Math.min(activeCell.row, timeSlots.length - 1), col: Math.min(activeCell.col, dayHeaders.length - 1) };
+
+    const focusCell = (row, col) => {
+        setActiveCell({ row, col });
+        gridRef.current.querySelector(`[data-row="${row}"][data-col="${col}"]`)?.focus();
+    };
+
+    // P and A mark the class the focus is on, or else the cell's first class still to be marked.
+    const markFocusedClass = (event, row, col, statusId) => {
+        const header = dayHeaders[col];
+        const markable = header.classes.filter(entry => entry.timeSlotId === timeSlots[row].id && canMarkClass(entry, header.dateKey, header.holiday));
+        const focusedId = Number(event.target.closest('[data-entry-id]')?.dataset.entryId);
+        const entry = markable.find(e => e.id === focusedId) || markable.find(e => !attendanceRecords[recordKey(header.dateKey, e.id)]) || markable[0];
+        if (!entry) {
+            setAnnouncement('No class to mark here.');
+            return;
+        }
+        onMarkAttendance(entry, header.dateKey, statusId);
+        setAnnouncement(`${subjects.find(s => s.id === entry.subjectId)?.name || 'Class'} on ${header.dayName} marked ${findStatus(statuses, statusId)?.label || statusId}.`);
+    };
+
+    const handleGridKeyDown = (event) => {
+        const cell = event.target.closest('[role="gridcell"]');
+        if (!cell || event.altKey || event.ctrlKey || event.metaKey || ['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+        const row = Number(cell.dataset.row);
+        const col = Number(cell.dataset.col);
+        const moves = { ArrowUp: [row - 1, col], ArrowDown: [row + 1, col], ArrowLeft: [row, col - 1], ArrowRight: [row, col + 1], Home: [row, 0], End: [row, dayHeaders.length - 1] };
+        const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+        if (moves[key]) {
+            event.preventDefault();
+            const [nextRow, nextCol] = moves[key];
+            if (nextRow >= 0 && nextRow < timeSlots.length && nextCol >= 0 && nextCol < dayHeaders.length) focusCell(nextRow, nextCol);
+        } else if ((key === 'p' || key === 'a') && !readOnly && !isEditMode) {
+            event.preventDefault();
+            markFocusedClass(event, row, col, key === 'p' ? 'present' : 'absent');
+        } else if ((key === 'Enter' || key === ' ') && event.target === cell && isEditMode && !dayHeaders[col].holiday) {
+            event.preventDefault();
+            onOpenSlotModal(dayHeaders[col].dayName, timeSlots[row], null, dayHeaders[col].dateKey);
         }
-        return headers;
-    }, [weekOffset]);
+    };
 
     return (
         <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg p-6">
             <div className="flex justify-between items-center mb-4">
                 <h2 className="text-2xl font-bold flex items-center"><Calendar className="mr-3 text-blue-500"/> Weekly Timetable</h2>
-                <button onClick={() => setIsEditMode(!isEditMode)} className={`px-4 py-2 rounded-lg flex items-center gap-2 text-sm font-semibold transition-colors ${isEditMode ? 'bg-red-500 text-white' : 'bg-blue-500 text-white'}`}>
-                    {isEditMode ? <><X size={16}/> Cancel</> : <><Edit size={16}/> Edit Timetable</>}
-                </button>
+                <div className="flex gap-2">
+                    <button onClick={() => setIsCalendarOpen(true)} title="Export to or import from a calendar (.ics)" className="px-4 py-2 rounded-lg flex items-center gap-2 text-sm font-semibold bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"><CalendarSync size={16}/> Calendar</button>
+                    {!readOnly && <button onClick={() => setIsEditMode(!isEditMode)} className={`px-4 py-2 rounded-lg flex items-center gap-2 text-sm font-semibold transition-colors ${isEditMode ? 'bg-red-500 text-white' : 'bg-blue-500 text-white'}`}>
+                        {isEditMode ? <><X size={16}/> Cancel</> : <><Edit size={16}/> Edit Timetable</>}
+                    </button>}
+                </div>
             </div>
             
             <div className="flex justify-between items-center mb-4 bg-gray-100 dark:bg-gray-700/50 p-2 rounded-lg">
-                <button onClick={() => setWeekOffset(weekOffset - 1)} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-600"><ChevronLeft/></button>
+                <button onClick={() => setWeekOffset(weekOffset - 1)} aria-label="Previous week" className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-600"><ChevronLeft/></button>
                 <div className="font-semibold text-center">
-                    <p>{getWeekDateRange(weekOffset)}</p>
-                    <button onClick={() => setWeekOffset(0)} className="text-xs text-blue-500 hover:underline">Go to Today</button>
+                    <p>{getWeekDateRange(dayHeaders.length > 0 ? dayHeaders.map(header => header.cellDate) : weekDates)}</p>
+                    <div className="flex justify-center gap-3 text-xs">
+                        <button onClick={() => setWeekOffset(0)} className="text-blue-500 hover:underline">Go to Today</button>
+                        {!readOnly && !isEditMode && dayHeaders.length > 0 && <button onClick={() => setBulkMark({ from: dayHeaders[0].dateKey, to: dayHeaders[dayHeaders.length - 1].dateKey, onlyUnmarked: true })} className="text-blue-500 hover:underline">Mark unmarked this week</button>}
+                        {!readOnly && !isEditMode && <button onClick={() => setBulkMark({ from: '', to: toDateKey(new Date()), onlyUnmarked: false })} className="text-blue-500 hover:underline">Mark a date range…</button>}
+                    </div>
                 </div>
-                <button onClick={() => setWeekOffset(weekOffset + 1)} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-600"><ChevronRight/></button>
+                <button onClick={() => setWeekOffset(weekOffset + 1)} aria-label="Next week" className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-600"><ChevronRight/></button>
             </div>
 
+            {conflicts.length > 0 && (
+                <div className="mb-4 p-3 rounded-lg bg-yellow-100 dark:bg-yellow-900/30 text-yellow-800 dark:text-yellow-200 text-sm">
+                    <button onClick={() => setShowConflicts(!showConflicts)} aria-expanded={showConflicts} className="w-full flex justify-between items-center font-semibold">
+                        <span className="flex items-center"><AlertTriangle size={16} className="mr-2"/> {conflicts.length} timetable conflict{conflicts.length === 1 ? '' : 's'}</span>
+                        <span className="text-xs underline">{showConflicts ? 'Hide' : 'Show'}</span>
+                    </button>
+                    {showConflicts && (
+                        <ul className="mt-2 space-y-1">
+                            {conflicts.map(conflict => (
+                                <li key={`${conflict.dateKey || conflict.day}-${conflict.entries[0].id}-${conflict.entries[1].id}`} className="flex flex-wrap items-center gap-x-2">
+                                    <span className="font-semibold">{conflict.dateKey ? formatDateKey(conflict.dateKey) : `Every ${conflict.day}`}:</span>
+                                    {conflict.entries.map((entry, i) => (
+                                        <React.Fragment key={entry.id}>
+                                            {i > 0 && <span>overlaps</span>}
+                                            <button disabled={readOnly || !timeSlots.some(ts => ts.id === entry.timeSlotId)} onClick={() => onOpenSlotModal(conflict.day, timeSlots.find(ts => ts.id === entry.timeSlotId), entry, entry.isExtra ? conflict.dateKey : null)} className="hover:underline disabled:no-underline">{subjects.find(s => s.id === entry.subjectId)?.name || 'Unknown'} ({formatTime12Hour(entry.startTime)} - {formatTime12Hour(entry.endTime)})</button>
+                                        </React.Fragment>
+                                    ))}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+
             <div className="overflow-x-auto">
-                <div className="grid gap-px bg-gray-200 dark:bg-gray-700" style={{ gridTemplateColumns: '120px repeat(5, 1fr)', minWidth: '800px' }}>
-                    <div onClick={onOpenTimeManager} className="bg-gray-100 dark:bg-gray-800 p-2 text-center font-bold flex items-center justify-center cursor-pointer hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors">
-                        <Settings size={16} className="mr-2"/> Time
-                    </div>
-                    {dayHeaders.map(header => (
-                        <div key={header.dayName} className="bg-gray-100 dark:bg-gray-800 p-2 text-center font-bold">
-                           <div className="text-sm font-normal text-gray-500">{header.date} {header.month}</div>
-                           <div>{header.dayName}</div>
+                <div ref={gridRef} role="grid" aria-label={`Weekly timetable, ${getWeekDateRange(weekDates)}`} aria-describedby="timetable-keys" onKeyDown={handleGridKeyDown} className="grid gap-px bg-gray-200 dark:bg-gray-700" style={{ gridTemplateColumns: `120px repeat(${dayHeaders.length}, 1fr)`, minWidth: `${Math.max(400, 120 + dayHeaders.length * 136)}px` }}>
+                    <div role="row" className="contents">
+                        <div role="columnheader" className="bg-gray-100 dark:bg-gray-800 flex">
+                            <button onClick={onOpenTimeManager} title="Manage time slots" className="w-full p-2 font-bold flex items-center justify-center hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors">
+                                <Settings size={16} className="mr-2"/> Time
+                            </button>
                         </div>
-                    ))}
-                    {timeSlots.map(ts => (
-                        <React.Fragment key={ts.id}>
-                            <div className="bg-gray-100 dark:bg-gray-800 p-2 text-center font-bold flex items-center justify-center">{formatTime12Hour(ts.start)} - {formatTime12Hour(ts.end)}</div>
-                            {days.map((day, dayIndex) => {
-                                const entry = (timetable[day] || []).find(s => s.timeSlotId === ts.id);
-                                return <TimetableCell key={`${day}-${ts.id}`} entry={entry} timeSlot={ts} day={day} dayIndex={dayIndex} subjects={subjects} onMarkAttendance={onMarkAttendance} attendanceRecords={attendanceRecords} onOpenSlotModal={onOpenSlotModal} onDeleteTimetableEntry={onDeleteTimetableEntry} isEditMode={isEditMode} weekOffset={weekOffset} />;
+                        {dayHeaders.map(header => (
+                            <div key={header.dayName} role="columnheader" className="bg-gray-100 dark:bg-gray-800 p-2 text-center font-bold">
+                               <div className="text-sm font-normal text-gray-500">{header.date} {header.month}</div>
+                               <div>{header.dayName}</div>
+                               {header.holiday && <div className="text-xs font-normal text-purple-500 truncate" title={header.holiday.label}>{header.holiday.label}</div>}
+                               {!readOnly && !isEditMode && !header.holiday && header.classes.length > 0 && <button title={`Mark all of ${header.dayName}'s classes`} onClick={() => setBulkMark({ from: header.dateKey, to: header.dateKey, onlyUnmarked: false })} className="text-gray-400 hover:text-blue-500 p-1"><CheckCheck size={14}/></button>}
+                            </div>
+                        ))}
+                    </div>
+                    {timeSlots.map((ts, row) => (
+                        <div key={ts.id} role="row" className="contents">
+                            <div role="rowheader" className="bg-gray-100 dark:bg-gray-800 p-2 text-center font-bold flex items-center justify-center">{formatTime12Hour(ts.start)} - {formatTime12Hour(ts.end)}</div>
+                            {dayHeaders.map((header, col) => {
+                                const sessions = header.classes.filter(s => s.timeSlotId === ts.id);
+                                const continuing = header.classes.filter(s => entryCoversSlot(s, ts));
+                                return <TimetableCell key={`${header.dayName}-${ts.id}`} row={row} col={col} isActive={row === active.row && col === active.col} onFocusCell={() => setActiveCell({ row, col })} sessions={sessions} continuing={continuing} timeSlot={ts} day={header.dayName} dateKey={header.dateKey} holiday={header.holiday} isInSemester={header.isInSemester} subjects={subjects} statuses={statuses} onMarkAttendance={onMarkAttendance} attendanceRecords={attendanceRecords} onOpenSlotModal={onOpenSlotModal} onDeleteTimetableEntry={onDeleteTimetableEntry} onDeleteExtraClass={onDeleteExtraClass} onToggleCancelled={onToggleCancelled} isEditMode={isEditMode} />;
                             })}
-                        </React.Fragment>
+                        </div>
                     ))}
                 </div>
             </div>
+            <p id="timetable-keys" className="mt-2 text-xs text-gray-500 dark:text-gray-400">Arrow keys move between cells. {isEditMode ? 'Enter adds a class to an empty cell.' : 'P marks the focused class present, A absent.'}</p>
+            <p className="sr-only" aria-live="polite">{announcement}</p>
+            {bulkMark && <BulkMarkModal initial={bulkMark} timetable={timetable} semester={semester} subjects={subjects} statuses={statuses} attendanceRecords={attendanceRecords} onApply={(classes, status) => { onBulkMark(classes, status); setBulkMark(null); }} onClose={() => setBulkMark(null)} />}
+            {isCalendarOpen && <CalendarModal readOnly={readOnly} subjects={subjects} timetable={timetable} timeSlots={timeSlots} semester={semester} attendanceRecords={attendanceRecords} statuses={statuses} onImport={(plan) => { onImportTimetable(plan); setIsCalendarOpen(false); }} onClose={() => setIsCalendarOpen(false)} />}
+        </div>
+    );
+};
+
+const CalendarModal = ({ readOnly = false, subjects, timetable, timeSlots, semester, attendanceRecords, statuses, onImport, onClose }) => {
+    const { dialogProps, titleId } = useDialog(onClose);
+    const [includeAttendance, setIncludeAttendance] = useState(false);
+    const [plan, setPlan] = useState(null);
+    const [error, setError] = useState('');
+
+    const handleExport = () => {
+        const ics = timetableToIcs({ subjects, timetable, semester, attendanceRecords, statuses }, { includeAttendance, timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone });
+        downloadFile(`timetable-${toDateKey(new Date())}.ics`, ics, 'text/calendar');
+    };
+
+    const handleFileChange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        setPlan(null);
+        setError('');
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const nextPlan = planTimetableImport(parseIcs(reader.result), { subjects, timeSlots, timetable });
+                if (nextPlan.classes.length === 0) throw new Error('No timed classes were found in this calendar.');
+                setPlan(nextPlan);
+            } catch (err) {
+                setError(err.message);
+            }
+        };
+        reader.readAsText(file);
+    };
+
+    const addCount = plan ? plan.classes.filter(isAddable).length : 0;
+    const overlapCount = plan ? plan.classes.filter(c => !c.isDuplicate && c.slotError).length : 0;
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 animate-fade-in" onClick={onClose}>
+            <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl p-6 w-full max-w-lg transform transition-transform scale-95 animate-scale-in" onClick={e => e.stopPropagation()} {...dialogProps}>
+                <h3 id={titleId} className="text-2xl font-bold mb-6 text-center">Calendar (.ics)</h3>
+                <div className="p-4 bg-gray-100 dark:bg-gray-700/50 rounded-lg mb-6">
+                    <p className="text-sm mb-3">Exports every weekly class as a repeating event from the start to the end of the semester, skipping holidays and cancelled classes. Works with Google Calendar, Outlook and Apple Calendar.</p>
+                    {!semester.endDate && <p className="text-xs text-yellow-600 dark:text-yellow-400 mb-3">No semester end date is set, so the events will repeat indefinitely.</p>}
+                    <label className="flex items-center gap-2 text-sm mb-3"><input type="checkbox" checked={includeAttendance} onChange={e => setIncludeAttendance(e.target.checked)}/> Include my attendance on past classes</label>
+                    <button onClick={handleExport} className="w-full bg-blue-600 text-white p-2 rounded-md hover:bg-blue-700 flex items-center justify-center shadow-md hover:shadow-lg transition-shadow"><Download size={18} className="mr-2"/> Export Timetable</button>
+                </div>
+                {!readOnly && <div className="p-4 bg-gray-100 dark:bg-gray-700/50 rounded-lg">
+                    <label htmlFor="ics-file" className="text-sm font-medium flex items-center"><Upload size={16} className="mr-2"/> Import a timetable</label>
+                    <input id="ics-file" type="file" accept=".ics,text/calendar" onChange={handleFileChange} className="w-full mt-2 text-sm"/>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Each event title becomes a subject. Times are read as local time.</p>
+                    {error && <p className="mt-3 text-sm text-red-500">{error}</p>}
+                    {plan && (
+                        <div className="mt-4 space-y-3">
+                            <p className="text-sm">{addCount} class(es) to add{plan.newSubjects.length > 0 && `, ${plan.newSubjects.length} new subject(s)`}{plan.newSlots.length > 0 && `, ${plan.newSlots.length} new time slot(s)`}.{plan.skipped > 0 && ` ${plan.skipped} event(s) without a weekly time were skipped.`}{overlapCount > 0 && ` ${overlapCount} class(es) overlap existing time slots and will be skipped.`}</p>
+                            <div className="max-h-48 overflow-y-auto pr-2 space-y-1 text-sm">
+                                {plan.classes.map(c => (
+                                    <div key={`${c.day}-${c.startTime}-${c.endTime}-${c.subjectName}-${c.classType}`} className={`flex justify-between items-center bg-white dark:bg-gray-800 p-2 rounded-md ${isAddable(c) ? '' : 'opacity-50'}`}>
+                                        <span><span className="font-semibold">{c.subjectName}</span> <span className="text-xs text-gray-500">{CLASS_TYPES[c.classType].label}</span></span>
+                                        <span className="text-xs text-right">
+                                            {c.day.slice(0, 3)} {formatTime12Hour(c.startTime)} - {formatTime12Hour(c.endTime)}
+                                            {c.isDuplicate ? <span className="ml-2 text-gray-500">already added</span> : c.slotError ? <span className="ml-2 text-red-500" title={c.slotError}>overlapping time</span> : <>{c.isNewSubject && <span className="ml-2 text-blue-500">new subject</span>}{c.isNewSlot && <span className="ml-2 text-purple-500">new time</span>}</>}
+                                        </span>
+                                    </div>
+                                ))}
+                            </div>
+                            {!semester.startDate && !semester.endDate && plan.range.startDate && <p className="text-xs text-gray-500 dark:text-gray-400">The semester will be set to {formatDateKey(plan.range.startDate)}{plan.range.endDate && ` – ${formatDateKey(plan.range.endDate)}`}.</p>}
+                            <button onClick={() => onImport(plan)} disabled={addCount === 0} className="w-full p-2 text-white rounded-lg transition-colors bg-green-600 hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed">Add {addCount} Class(es) to Timetable</button>
+                        </div>
+                    )}
+                </div>}
+                <div className="mt-6 text-center">
+                    <button onClick={onClose} className="px-6 py-2 rounded-lg bg-gray-200 dark:bg-gray-600 hover:bg-gray-300 dark:hover:bg-gray-500 font-semibold">Close</button>
+                </div>
+            </div>
         </div>
     );
 };
 
-const TimeSlotManagerModal = ({ timeSlots, onAddTimeSlot, onDeleteTimeSlot, onClose }) => {
+const BulkMarkModal = ({ initial, timetable, semester, subjects, statuses, attendanceRecords, onApply, onClose }) => {
+    const { dialogProps, titleId } = useDialog(onClose);
+    const [from, setFrom] = useState(initial.from);
+    const [to, setTo] = useState(initial.to);
+    const [subjectId, setSubjectId] = useState('');
+    const [onlyUnmarked, setOnlyUnmarked] = useState(initial.onlyUnmarked);
+    const [status, setStatus] = useState('present');
+
+    const classes = useMemo(
+        () => (from && to && from <= to ? listClassesInRange(timetable, semester, attendanceRecords, from, to, { subjectId: subjectId ? parseInt(subjectId, 10) : null, onlyUnmarked }) : []),
+        [timetable, semester, attendanceRecords, from, to, subjectId, onlyUnmarked]
+    );
+    const alreadyMarked = classes.filter(({ dateKey, entry }) => attendanceRecords[recordKey(dateKey, entry.id)]).length;
+
+    const handleApply = () => {
+        if (!from || !to || from > to) {
+            alert("Please choose a start date on or before the end date.");
+            return;
+        }
+        onApply(classes, status);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 animate-fade-in" onClick={onClose}>
+            <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl p-6 w-full max-w-md transform transition-transform scale-95 animate-scale-in" onClick={e => e.stopPropagation()} {...dialogProps}>
+                <h3 id={titleId} className="text-2xl font-bold mb-6 text-center">Mark Attendance</h3>
+                <div className="space-y-4">
+                    <div className="grid grid-cols-2 gap-4">
+                        <div><label htmlFor="bulk-from" className="text-sm font-medium">From</label><input id="bulk-from" type="date" value={from} onChange={e => setFrom(e.target.value)} className="w-full p-2 mt-1 rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600"/></div>
+                        <div><label htmlFor="bulk-to" className="text-sm font-medium">To</label><input id="bulk-to" type="date" value={to} onChange={e => setTo(e.target.value)} className="w-full p-2 mt-1 rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600"/></div>
+                    </div>
+                    <div><label htmlFor="bulk-subject" className="text-sm font-medium">Subject</label><select id="bulk-subject" value={subjectId} onChange={e => setSubjectId(e.target.value)} className="w-full p-2 mt-1 rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600"><option value="">All subjects</option>{subjects.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}</select></div>
+                    <div><label htmlFor="bulk-status" className="text-sm font-medium">Mark as</label><select id="bulk-status" value={status} onChange={e => setStatus(e.target.value)} className="w-full p-2 mt-1 rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600">{statuses.map(st => <option key={st.id} value={st.id}>{st.label}</option>)}</select></div>
+                    <label className="flex items-center gap-2 text-sm"><input type="checkbox" checked={onlyUnmarked} onChange={e => setOnlyUnmarked(e.target.checked)}/> Only classes that aren't marked yet</label>
+                    <p className="text-sm text-gray-600 dark:text-gray-400">{classes.length === 0 ? 'No finished classes match.' : `${classes.length} class${classes.length === 1 ? '' : 'es'} will be marked${alreadyMarked > 0 ? `, replacing ${alreadyMarked} existing mark${alreadyMarked === 1 ? '' : 's'}` : ''}.`} Holidays, cancelled and upcoming classes are skipped.</p>
+                </div>
+                <div className="mt-6 flex justify-end gap-3">
+                    <button onClick={onClose} className="px-4 py-2 rounded-lg bg-gray-200 dark:bg-gray-600 hover:bg-gray-300 dark:hover:bg-gray-500">Cancel</button>
+                    <button onClick={handleApply} disabled={classes.length === 0} className="px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50">Mark {classes.length}</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const Toast = ({ message, actionLabel, onAction, onDismiss }) => {
+    useEffect(() => {
+        const timer = setTimeout(onDismiss, 8000);
+        return () => clearTimeout(timer);
+    }, [onDismiss]);
+
+    return (
+        <div role="status" className="fixed bottom-6 left-1/2 -translate-x-1/2 z-40 flex items-center gap-4 px-4 py-3 rounded-xl shadow-2xl bg-gray-900 text-white dark:bg-gray-100 dark:text-gray-900 animate-fade-in">
+            <span>{message}</span>
+            <button onClick={onAction} className="font-bold text-blue-400 dark:text-blue-600 hover:underline flex items-center gap-1">{actionLabel === 'Redo' ? <Redo2 size={16}/> : <Undo2 size={16}/>} {actionLabel}</button>
+            <button onClick={onDismiss} aria-label="Dismiss" className="opacity-70 hover:opacity-100"><X size={16}/></button>
+        </div>
+    );
+};
+
+const UpdateBanner = ({ onReload, onDismiss }) => (
+    <div role="status" className="fixed top-4 left-1/2 -translate-x-1/2 z-40 flex items-center gap-4 px-4 py-3 rounded-xl shadow-2xl bg-blue-600 text-white animate-fade-in">
+        <span>A new version of Attendance Pro is available.</span>
+        <button onClick={onReload} className="font-bold hover:underline flex items-center gap-1"><RefreshCw size={16}/> Reload</button>
+        <button onClick={onDismiss} aria-label="Dismiss" className="opacity-70 hover:opacity-100"><X size={16}/></button>
+    </div>
+);
+
+const TimeSlotManagerModal = ({ timeSlots, onAddTimeSlot, onUpdateTimeSlot, onDeleteTimeSlot, onClose }) => {
+    const { dialogProps, titleId } = useDialog(onClose);
     const [start, setStart] = useState('11:00');
     const [end, setEnd] = useState('12:00');
+    const [editing, setEditing] = useState(null);
+
+    const addError = validateTimeSlot(timeSlots, start, end);
+    const editError = editing ? validateTimeSlot(timeSlots, editing.start, editing.end, editing.id) : '';
+    // Slots saved before overlaps were checked can still clash; flag them so they can be fixed.
+    const overlapping = new Set(timeSlots.filter(ts => timeSlots.some(other => other.id !== ts.id && timesOverlap(ts, other))).map(ts => ts.id));
 
     const handleAdd = () => {
-        if (start >= end) {
-            alert("Start time must be before end time.");
-            return;
-        }
+        if (addError) return;
         onAddTimeSlot(start, end);
     };
-    
-    useEffect(() => {
-        const handleEsc = (event) => {
-            if (event.keyCode === 27) onClose();
-        };
-        window.addEventListener('keydown', handleEsc);
-        return () => window.removeEventListener('keydown', handleEsc);
-    }, [onClose]);
 
+    const handleSaveEdit = () => {
+        if (editError) return;
+        onUpdateTimeSlot(editing.id, editing.start, editing.end);
+        setEditing(null);
+    };
+    
     return (
         <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 animate-fade-in" onClick={onClose}>
-            <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl p-6 w-full max-w-lg transform transition-transform scale-95 animate-scale-in" onClick={e => e.stopPropagation()}>
-                <h3 className="text-2xl font-bold mb-6 text-center">Manage Time Slots</h3>
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end mb-6 p-4 bg-gray-100 dark:bg-gray-700/50 rounded-lg">
-                    <div><label className="text-sm font-medium">Start Time</label><input type="time" value={start} onChange={e => setStart(e.target.value)} className="w-full p-2 mt-1 rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600"/></div>
-                    <div><label className="text-sm font-medium">End Time</label><input type="time" value={end} onChange={e => setEnd(e.target.value)} className="w-full p-2 mt-1 rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600"/></div>
-                    <button onClick={handleAdd} className="bg-blue-600 text-white p-2 rounded-md hover:bg-blue-700 flex items-center justify-center h-10 shadow-md hover:shadow-lg transition-shadow"><Plus size={20} className="mr-1"/> Add Slot</button>
+            <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl p-6 w-full max-w-lg transform transition-transform scale-95 animate-scale-in" onClick={e => e.stopPropagation()} {...dialogProps}>
+                <h3 id={titleId} className="text-2xl font-bold mb-6 text-center">Manage Time Slots</h3>
+                <div className="mb-6 p-4 bg-gray-100 dark:bg-gray-700/50 rounded-lg">
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+                        <div><label htmlFor="new-slot-start" className="text-sm font-medium">Start Time</label><input id="new-slot-start" type="time" value={start} onChange={e => setStart(e.target.value)} aria-invalid={!!addError} className={`w-full p-2 mt-1 rounded-md bg-white dark:bg-gray-800 border ${addError ? 'border-red-500' : 'border-gray-300 dark:border-gray-600'}`}/></div>
+                        <div><label htmlFor="new-slot-end" className="text-sm font-medium">End Time</label><input id="new-slot-end" type="time" value={end} onChange={e => setEnd(e.target.value)} aria-invalid={!!addError} className={`w-full p-2 mt-1 rounded-md bg-white dark:bg-gray-800 border ${addError ? 'border-red-500' : 'border-gray-300 dark:border-gray-600'}`}/></div>
+                        <button onClick={handleAdd} disabled={!!addError} className="bg-blue-600 text-white p-2 rounded-md hover:bg-blue-700 flex items-center justify-center h-10 shadow-md hover:shadow-lg transition-shadow disabled:opacity-50 disabled:cursor-not-allowed"><Plus size={20} className="mr-1"/> Add Slot</button>
+                    </div>
+                    {addError && <p role="alert" className="mt-2 text-sm text-red-500">{addError}</p>}
                 </div>
                 <div className="space-y-3 max-h-60 overflow-y-auto pr-2">
                     <h4 className="font-semibold text-lg">Current Slots:</h4>
-                    {timeSlots.map(ts => (
+                    {timeSlots.map(ts => editing?.id === ts.id ? (
+                        <div key={ts.id} className="bg-gray-50 dark:bg-gray-700 p-3 rounded-lg shadow-sm">
+                            <div className="flex items-center gap-2">
+                                <input type="time" aria-label="Slot start" value={editing.start} onChange={e => setEditing({ ...editing, start: e.target.value })} className={`flex-1 p-1 rounded-md bg-white dark:bg-gray-800 border ${editError ? 'border-red-500' : 'border-gray-300 dark:border-gray-600'}`}/>
+                                <span>-</span>
+                                <input type="time" aria-label="Slot end" value={editing.end} onChange={e => setEditing({ ...editing, end: e.target.value })} className={`flex-1 p-1 rounded-md bg-white dark:bg-gray-800 border ${editError ? 'border-red-500' : 'border-gray-300 dark:border-gray-600'}`}/>
+                                <button onClick={handleSaveEdit} disabled={!!editError} title="Save" className="p-1 text-green-500 hover:text-green-600 disabled:opacity-40"><Save size={16}/></button>
+                                <button onClick={() => setEditing(null)} title="Cancel" className="p-1 text-gray-400 hover:text-gray-600"><X size={16}/></button>
+                            </div>
+                            {editError ? <p role="alert" className="mt-1 text-xs text-red-500">{editError}</p> : <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Classes in this slot move with it.</p>}
+                        </div>
+                    ) : (
                         <div key={ts.id} className="flex justify-between items-center bg-gray-50 dark:bg-gray-700 p-3 rounded-lg shadow-sm transition-all hover:shadow-md">
                             <span className="font-mono font-semibold text-blue-600 dark:text-blue-400">{formatTime12Hour(ts.start)} - {formatTime12Hour(ts.end)}</span>
-                            <button onClick={() => onDeleteTimeSlot(ts.id)} className="text-gray-400 hover:text-red-500 p-1 rounded-full hover:bg-red-100 dark:hover:bg-red-900/50 transition-colors"><Trash2 size={16}/></button>
+                            {overlapping.has(ts.id) && <span className="text-xs text-yellow-600 dark:text-yellow-400 flex items-center"><AlertTriangle size={14} className="mr-1"/> Overlaps another slot</span>}
+                            <div className="flex items-center gap-1">
+                                <button onClick={() => setEditing({ id: ts.id, start: ts.start, end: ts.end })} title="Change times" className="text-gray-400 hover:text-blue-500 p-1 rounded-full hover:bg-blue-100 dark:hover:bg-blue-900/50 transition-colors"><Edit size={16}/></button>
+                                <button onClick={() => onDeleteTimeSlot(ts.id)} className="text-gray-400 hover:text-red-500 p-1 rounded-full hover:bg-red-100 dark:hover:bg-red-900/50 transition-colors"><Trash2 size={16}/></button>
+                            </div>
                         </div>
                     ))}
                 </div>
@@ -383,69 +1418,666 @@ const TimeSlotManagerModal = ({ timeSlots, onAddTimeSlot, onDeleteTimeSlot, onCl
     );
 };
 
-const TimetableCell = ({ entry, timeSlot, day, dayIndex, subjects, onMarkAttendance, attendanceRecords, onOpenSlotModal, onDeleteTimetableEntry, isEditMode, weekOffset }) => {
-    const now = new Date();
-    const startOfWeek = new Date(new Date().setDate(now.getDate() - (now.getDay() + 6) % 7 + (weekOffset * 7)));
-    const cellDate = new Date(startOfWeek.setDate(startOfWeek.getDate() + dayIndex));
+const SemesterModal = ({ semester, onUpdateDates, onUpdateWorkingWeek, onAddHoliday, onDeleteHoliday, onClose }) => {
+    const { dialogProps, titleId } = useDialog(onClose);
+    const [holidayStart, setHolidayStart] = useState('');
+    const [holidayEnd, setHolidayEnd] = useState('');
+    const [holidayLabel, setHolidayLabel] = useState('');
 
-    const subject = entry ? subjects.find(s => s.id === entry.subjectId) : null;
-    const classDateTime = entry ? new Date(`${cellDate.toISOString().split('T')[0]}T${entry.endTime}`) : null;
-    const isPast = classDateTime && classDateTime < new Date();
-    const recordKey = entry ? `${cellDate.toISOString().split('T')[0]}_${entry.id}` : null;
-    const record = recordKey ? attendanceRecords[recordKey] : null;
+    const handleAddHoliday = () => {
+        if (!holidayStart) {
+            alert("Please choose the first day of the holiday.");
+            return;
+        }
+        onAddHoliday(holidayStart, holidayEnd, holidayLabel);
+        setHolidayStart('');
+        setHolidayEnd('');
+        setHolidayLabel('');
+    };
 
-    const getStatusStyles = () => {
-        if (!isPast && entry) return "bg-gray-200 dark:bg-gray-700 text-gray-400";
-        if (isPast && !record) return "bg-yellow-100 dark:bg-yellow-900/50";
-        if (record?.status === 'present') return "bg-green-100 dark:bg-green-900/50";
-        if (record?.status === 'absent') return "bg-red-100 dark:bg-red-900/50";
-        return "bg-white dark:bg-gray-900";
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 animate-fade-in" onClick={onClose}>
+            <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl p-6 w-full max-w-lg transform transition-transform scale-95 animate-scale-in" onClick={e => e.stopPropagation()} {...dialogProps}>
+                <h3 id={titleId} className="text-2xl font-bold mb-6 text-center">Semester Calendar</h3>
+                <div className="grid grid-cols-2 gap-4 mb-6">
+                    <div><label htmlFor="semester-start" className="text-sm font-medium">Starts on</label><input id="semester-start" type="date" value={semester.startDate} onChange={e => onUpdateDates(e.target.value, semester.endDate)} className="w-full p-2 mt-1 rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600"/></div>
+                    <div><label htmlFor="semester-end" className="text-sm font-medium">Ends on</label><input id="semester-end" type="date" value={semester.endDate} onChange={e => onUpdateDates(semester.startDate, e.target.value)} className="w-full p-2 mt-1 rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600"/></div>
+                </div>
+                <div className="mb-6">
+                    <div className="flex justify-between items-center mb-2">
+                        <h4 className="font-semibold">Working Week</h4>
+                        <label className="text-sm flex items-center gap-2">Starts on
+                            <select value={semester.weekStartsOn} onChange={e => onUpdateWorkingWeek(semester.workingDays, parseInt(e.target.value, 10))} className="p-1 rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600">
+                                {DAY_NAMES.map((name, index) => <option key={name} value={index}>{name}</option>)}
+                            </select>
+                        </label>
+                    </div>
+                    <div className="flex flex-wrap gap-2">
+                        {DAY_NAMES.map((_, i) => DAY_NAMES[(semester.weekStartsOn + i) % 7]).map(name => {
+                            const isOn = semester.workingDays.includes(name);
+                            const toggled = isOn ? semester.workingDays.filter(d => d !== name) : [...semester.workingDays, name];
+                            return <button key={name} onClick={() => onUpdateWorkingWeek(DAY_NAMES.filter(d => toggled.includes(d)), semester.weekStartsOn)} className={`px-3 py-1 rounded-full text-sm font-semibold transition-colors ${isOn ? 'bg-blue-600 text-white' : 'bg-gray-200 dark:bg-gray-600'}`}>{name.slice(0, 3)}</button>;
+                        })}
+                    </div>
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-end mb-6 p-4 bg-gray-100 dark:bg-gray-700/50 rounded-lg">
+                    <div><label htmlFor="holiday-start" className="text-sm font-medium">Holiday from</label><input id="holiday-start" type="date" value={holidayStart} onChange={e => setHolidayStart(e.target.value)} className="w-full p-2 mt-1 rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600"/></div>
+                    <div><label htmlFor="holiday-end" className="text-sm font-medium">Until (optional)</label><input id="holiday-end" type="date" value={holidayEnd} onChange={e => setHolidayEnd(e.target.value)} className="w-full p-2 mt-1 rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600"/></div>
+                    <div><label htmlFor="holiday-label" className="text-sm font-medium">Label</label><input id="holiday-label" type="text" value={holidayLabel} onChange={e => setHolidayLabel(e.target.value)} placeholder="e.g., Diwali break" className="w-full p-2 mt-1 rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600"/></div>
+                    <button onClick={handleAddHoliday} className="bg-blue-600 text-white p-2 rounded-md hover:bg-blue-700 flex items-center justify-center h-10 shadow-md hover:shadow-lg transition-shadow"><Plus size={20} className="mr-1"/> Add Holiday</button>
+                </div>
+                <div className="space-y-3 max-h-60 overflow-y-auto pr-2">
+                    <h4 className="font-semibold text-lg">Holidays & No-Class Days:</h4>
+                    {semester.holidays.length === 0 && <p className="text-sm text-gray-500 dark:text-gray-400">None yet.</p>}
+                    {semester.holidays.map(h => (
+                        <div key={h.id} className="flex justify-between items-center bg-gray-50 dark:bg-gray-700 p-3 rounded-lg shadow-sm transition-all hover:shadow-md">
+                            <div>
+                                <p className="font-semibold">{h.label}</p>
+                                <p className="text-xs font-mono text-blue-600 dark:text-blue-400">{formatDateKey(h.start)}{h.end !== h.start && ` – ${formatDateKey(h.end)}`}</p>
+                            </div>
+                            <button onClick={() => onDeleteHoliday(h.id)} className="text-gray-400 hover:text-red-500 p-1 rounded-full hover:bg-red-100 dark:hover:bg-red-900/50 transition-colors"><Trash2 size={16}/></button>
+                        </div>
+                    ))}
+                </div>
+                <div className="mt-6 text-center">
+                    <button onClick={onClose} className="px-6 py-2 rounded-lg bg-gray-200 dark:bg-gray-600 hover:bg-gray-300 dark:hover:bg-gray-500 font-semibold">Close</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const StatusModal = ({ statuses, onAddStatus, onUpdateStatus, onDeleteStatus, onClose }) => {
+    const { dialogProps, titleId } = useDialog(onClose);
+    const [label, setLabel] = useState('');
+    const [policy, setPolicy] = useState('excluded');
+    const [credit, setCredit] = useState('50');
+    const [color, setColor] = useState('purple');
+
+    const handleAdd = () => {
+        if (!label.trim()) {
+            alert("Please give the status a name.");
+            return;
+        }
+        const percent = parseFloat(credit);
+        if (policy === 'fractional' && !(percent >= 0 && percent <= 100)) {
+            alert("Partial credit must be between 0 and 100%.");
+            return;
+        }
+        onAddStatus(label, policy, percent / 100, color);
+        setLabel('');
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 animate-fade-in" onClick={onClose}>
+            <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl p-6 w-full max-w-lg transform transition-transform scale-95 animate-scale-in" onClick={e => e.stopPropagation()} {...dialogProps}>
+                <h3 id={titleId} className="text-2xl font-bold mb-2 text-center">Attendance Statuses</h3>
+                <p className="text-sm text-center text-gray-500 dark:text-gray-400 mb-6">Policies apply to every class already marked with that status.</p>
+                <div className="space-y-3 max-h-72 overflow-y-auto pr-2 mb-6">
+                    {statuses.map(status => (
+                        <div key={status.id} className="flex items-center gap-2 bg-gray-50 dark:bg-gray-700 p-3 rounded-lg shadow-sm">
+                            <span className={`w-3 h-3 rounded-full flex-shrink-0 ${STATUS_COLORS[status.color]?.swatch || STATUS_COLORS.gray.swatch}`} />
+                            <span className="font-semibold flex-1">{status.label}</span>
+                            {status.builtIn ? <span className="text-sm text-gray-500 dark:text-gray-400">{describePolicy(status)}</span> : (<>
+                                <select aria-label={`${status.label} policy`} value={status.policy} onChange={e => onUpdateStatus(status.id, { policy: e.target.value })} className="p-1 text-sm rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600">
+                                    {Object.entries(STATUS_POLICIES).map(([value, text]) => <option key={value} value={value}>{text}</option>)}
+                                </select>
+                                {status.policy === 'fractional' && <label className="text-sm flex items-center gap-1"><input type="number" aria-label={`${status.label} credit`} min="0" max="100" value={Math.round(status.credit * 100)} onChange={e => onUpdateStatus(status.id, { credit: Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)) / 100 })} className="w-14 p-1 rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600" />%</label>}
+                                <button onClick={() => onDeleteStatus(status.id)} className="text-gray-400 hover:text-red-500 p-1 rounded-full hover:bg-red-100 dark:hover:bg-red-900/50 transition-colors"><Trash2 size={16}/></button>
+                            </>)}
+                        </div>
+                    ))}
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-end p-4 bg-gray-100 dark:bg-gray-700/50 rounded-lg">
+                    <div><label htmlFor="status-label" className="text-sm font-medium">Name</label><input id="status-label" type="text" value={label} onChange={e => setLabel(e.target.value)} placeholder="e.g., On duty" className="w-full p-2 mt-1 rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600"/></div>
+                    <div><label htmlFor="status-policy" className="text-sm font-medium">Policy</label><select id="status-policy" value={policy} onChange={e => setPolicy(e.target.value)} className="w-full p-2 mt-1 rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600">{Object.entries(STATUS_POLICIES).map(([value, text]) => <option key={value} value={value}>{text}</option>)}</select></div>
+                    {policy === 'fractional' && <div><label htmlFor="status-credit" className="text-sm font-medium">Credit (%)</label><input id="status-credit" type="number" min="0" max="100" value={credit} onChange={e => setCredit(e.target.value)} className="w-full p-2 mt-1 rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600"/></div>}
+                    <div><span className="text-sm font-medium">Colour</span><div className="flex gap-2 mt-2">{Object.keys(STATUS_COLORS).map(name => <button key={name} title={name} onClick={() => setColor(name)} className={`w-6 h-6 rounded-full ${STATUS_COLORS[name].swatch} ${color === name ? 'ring-2 ring-offset-2 ring-blue-500 dark:ring-offset-gray-700' : ''}`} />)}</div></div>
+                    <button onClick={handleAdd} className="md:col-span-2 bg-blue-600 text-white p-2 rounded-md hover:bg-blue-700 flex items-center justify-center h-10 shadow-md hover:shadow-lg transition-shadow"><Plus size={20} className="mr-1"/> Add Status</button>
+                </div>
+                <div className="mt-6 text-center">
+                    <button onClick={onClose} className="px-6 py-2 rounded-lg bg-gray-200 dark:bg-gray-600 hover:bg-gray-300 dark:hover:bg-gray-500 font-semibold">Close</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const NotificationModal = ({ settings, subjects, onEnable, onUpdate, onClose }) => {
+    const { dialogProps, titleId } = useDialog(onClose);
+    const permission = getNotificationPermission();
+    const isActive = settings.enabled && permission === 'granted';
+    const toggleSubject = (subjectId) => onUpdate({ subjectIds: settings.subjectIds.includes(subjectId) ? settings.subjectIds.filter(id => id !== subjectId) : [...settings.subjectIds, subjectId] });
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 animate-fade-in" onClick={onClose}>
+            <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl p-6 w-full max-w-lg transform transition-transform scale-95 animate-scale-in" onClick={e => e.stopPropagation()} {...dialogProps}>
+                <h3 id={titleId} className="text-2xl font-bold mb-6 text-center">Reminders</h3>
+                <div className="flex justify-between items-center mb-6 p-4 bg-gray-100 dark:bg-gray-700/50 rounded-lg">
+                    <div>
+                        <p className="font-semibold">{isActive ? 'Reminders are on' : 'Reminders are off'}</p>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">{permission === 'denied' ? 'Notifications are blocked for this site in your browser settings.' : permission === 'unsupported' ? "This browser doesn't support notifications." : 'Sent while Attendance Pro is open in a tab or installed.'}</p>
+                    </div>
+                    {isActive
+                        ? <button onClick={() => onUpdate({ enabled: false })} className="px-4 py-2 rounded-lg bg-gray-200 dark:bg-gray-600 hover:bg-gray-300 dark:hover:bg-gray-500 font-semibold">Turn Off</button>
+                        : <button onClick={onEnable} disabled={permission === 'denied' || permission === 'unsupported'} className="px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 font-semibold disabled:opacity-50">Turn On</button>}
+                </div>
+                <div className={`space-y-4 ${isActive ? '' : 'opacity-50 pointer-events-none'}`}>
+                    <div className="space-y-2 text-sm">
+                        <label className="flex items-center gap-2"><input type="checkbox" checked={settings.endOfClass} onChange={e => onUpdate({ endOfClass: e.target.checked })}/> Prompt to mark attendance when a class ends</label>
+                        <label className="flex items-center gap-2"><input type="checkbox" checked={settings.dailyDigest} onChange={e => onUpdate({ dailyDigest: e.target.checked })}/> Daily digest of unmarked classes at <input type="time" aria-label="Digest time" value={settings.digestTime} onChange={e => onUpdate({ digestTime: e.target.value })} className="p-1 rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600"/></label>
+                        <label className="flex items-center gap-2"><input type="checkbox" checked={settings.lowAttendance} onChange={e => onUpdate({ lowAttendance: e.target.checked })}/> Warn before a class I can't afford to miss</label>
+                    </div>
+                    <div className="grid grid-cols-2 gap-4">
+                        <div><label htmlFor="quiet-start" className="text-sm font-medium">Quiet from</label><input id="quiet-start" type="time" value={settings.quietStart} onChange={e => onUpdate({ quietStart: e.target.value })} className="w-full p-2 mt-1 rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600"/></div>
+                        <div><label htmlFor="quiet-end" className="text-sm font-medium">Quiet until</label><input id="quiet-end" type="time" value={settings.quietEnd} onChange={e => onUpdate({ quietEnd: e.target.value })} className="w-full p-2 mt-1 rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600"/></div>
+                    </div>
+                    <div>
+                        <h4 className="font-semibold mb-2">Subjects</h4>
+                        {subjects.length === 0 && <p className="text-sm text-gray-500 dark:text-gray-400">Add a subject first.</p>}
+                        <div className="flex flex-wrap gap-2">
+                            {subjects.map(subject => <button key={subject.id} onClick={() => toggleSubject(subject.id)} className={`px-3 py-1 rounded-full text-sm font-semibold transition-colors ${settings.subjectIds.includes(subject.id) ? 'bg-blue-600 text-white' : 'bg-gray-200 dark:bg-gray-600'}`}>{subject.name}</button>)}
+                        </div>
+                    </div>
+                </div>
+                <div className="mt-6 text-center">
+                    <button onClick={onClose} className="px-6 py-2 rounded-lg bg-gray-200 dark:bg-gray-600 hover:bg-gray-300 dark:hover:bg-gray-500 font-semibold">Close</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const ProfileModal = ({ profiles, activeProfileId, onCreate, onRename, onSetArchived, onDelete, onSwitch, onClose }) => {
+    const { dialogProps, titleId } = useDialog(onClose);
+    const [name, setName] = useState('');
+    const [copyClasses, setCopyClasses] = useState(false);
+    const [editingId, setEditingId] = useState(null);
+    const [editName, setEditName] = useState('');
+
+    const handleCreate = () => {
+        if (!name.trim()) {
+            alert('Please give the new semester a name.');
+            return;
+        }
+        onCreate(name.trim(), copyClasses);
+        onClose();
+    };
+
+    const handleRename = (profileId) => {
+        if (editName.trim()) onRename(profileId, editName.trim());
+        setEditingId(null);
+    };
+
+    const handleDelete = (profile) => {
+        if (window.confirm(`Delete "${profile.name}" and all of its subjects, timetable and records? This cannot be undone.`)) onDelete(profile.id);
     };
 
-    if (!entry) {
-        return <div onClick={isEditMode ? () => onOpenSlotModal(day, timeSlot) : null} className={`min-h-[80px] flex items-center justify-center text-gray-400 transition-colors ${isEditMode ? 'cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-800' : ''} ${getStatusStyles()}`}>{isEditMode && <Plus size={24}/>}</div>;
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 animate-fade-in" onClick={onClose}>
+            <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl p-6 w-full max-w-lg transform transition-transform scale-95 animate-scale-in" onClick={e => e.stopPropagation()} {...dialogProps}>
+                <h3 id={titleId} className="text-2xl font-bold mb-6 text-center">Semesters</h3>
+                <div className="space-y-2 max-h-64 overflow-y-auto pr-2 mb-6">
+                    {profiles.map(p => (
+                        <div key={p.id} className="flex justify-between items-center bg-gray-50 dark:bg-gray-700 p-3 rounded-lg">
+                            {editingId === p.id ? (
+                                <input type="text" aria-label="Semester name" value={editName} onChange={e => setEditName(e.target.value)} onBlur={() => handleRename(p.id)} onKeyDown={e => e.key === 'Enter' && handleRename(p.id)} autoFocus className="flex-1 mr-2 p-1 rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600"/>
+                            ) : (
+                                <button onClick={() => { onSwitch(p.id); onClose(); }} className="text-left min-w-0">
+                                    <p className="font-semibold truncate">{p.name} {p.id === activeProfileId && <span className="text-xs font-normal text-blue-500">(open)</span>}</p>
+                                    {p.archived && <p className="text-xs text-purple-500">Archived{p.archivedAt && ` ${formatDateKey(p.archivedAt.slice(0, 10))}`}</p>}
+                                </button>
+                            )}
+                            <div className="flex items-center gap-1 flex-shrink-0">
+                                <button onClick={() => { setEditingId(p.id); setEditName(p.name); }} title="Rename" className="p-1 text-gray-500 hover:text-blue-500"><Edit size={16}/></button>
+                                <button onClick={() => onSetArchived(p.id, !p.archived)} title={p.archived ? 'Restore' : 'Archive (read-only)'} className="p-1 text-gray-500 hover:text-purple-500">{p.archived ? <ArchiveRestore size={16}/> : <Archive size={16}/>}</button>
+                                {p.id !== activeProfileId && <button onClick={() => handleDelete(p)} title="Delete" className="p-1 text-gray-500 hover:text-red-500"><Trash2 size={16}/></button>}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+                <div className="p-4 bg-gray-100 dark:bg-gray-700/50 rounded-lg space-y-3">
+                    <h4 className="font-semibold">Start a new semester</h4>
+                    <input type="text" aria-label="New semester name" value={name} onChange={e => setName(e.target.value)} placeholder="e.g., Spring 2025" className="w-full p-2 rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600"/>
+                    <label className="flex items-center gap-2 text-sm"><input type="checkbox" checked={copyClasses} onChange={e => setCopyClasses(e.target.checked)}/> Copy subjects and the weekly timetable from the open semester</label>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">Time slots, statuses and working days are always copied. Records, dates and holidays start empty.</p>
+                    <button onClick={handleCreate} className="w-full bg-blue-600 text-white p-2 rounded-md hover:bg-blue-700 flex items-center justify-center"><Plus size={18} className="mr-2"/> Create & Open</button>
+                </div>
+                <div className="mt-6 text-center">
+                    <button onClick={onClose} className="px-6 py-2 rounded-lg bg-gray-200 dark:bg-gray-600 hover:bg-gray-300 dark:hover:bg-gray-500 font-semibold">Close</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const ProfileComparison = ({ rows, activeProfileId, onSwitchProfile }) => {
+    const chartData = rows.map(row => ({ name: row.profile.name, percentage: Math.round(row.percentage * 10) / 10 }));
+    return (
+        <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg p-6">
+            <h2 className="text-2xl font-bold mb-4">Semester Comparison</h2>
+            <div className="h-64 mb-6">
+                <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={chartData}>
+                        <CartesianGrid strokeDasharray="3 3" strokeOpacity={0.3} />
+                        <XAxis dataKey="name" tick={{ fontSize: 12 }} />
+                        <YAxis domain={[0, 100]} unit="%" tick={{ fontSize: 12 }} />
+                        <Tooltip formatter={(value) => [`${value}%`, 'Overall attendance']} />
+                        <ReferenceLine y={75} stroke="#ef4444" strokeDasharray="4 4" />
+                        <Bar dataKey="percentage" fill="#3b82f6" radius={[4, 4, 0, 0]} />
+                    </BarChart>
+                </ResponsiveContainer>
+            </div>
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm text-left">
+                    <thead className="text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                        <tr><th className="py-2 pr-4">Semester</th><th className="py-2 pr-4">Dates</th><th className="py-2 pr-4">Subjects</th><th className="py-2 pr-4">Attended</th><th className="py-2 pr-4">Overall</th><th className="py-2">Below target</th></tr>
+                    </thead>
+                    <tbody>
+                        {rows.map(row => (
+                            <tr key={row.profile.id} className="border-b border-gray-100 dark:border-gray-700/50">
+                                <td className="py-2 pr-4"><button onClick={() => onSwitchProfile(row.profile.id)} disabled={row.profile.id === activeProfileId} className="font-semibold text-left hover:underline disabled:no-underline">{row.profile.name}</button>{row.profile.archived && <span className="ml-2 text-xs text-purple-500">archived</span>}</td>
+                                <td className="py-2 pr-4 whitespace-nowrap">{row.startDate ? `${formatDateKey(row.startDate)} – ${formatDateKey(row.endDate) || '…'}` : '—'}</td>
+                                <td className="py-2 pr-4">{row.subjectCount}</td>
+                                <td className="py-2 pr-4">{formatCount(row.totalAttended)} / {formatCount(row.totalConducted)}</td>
+                                <td className={`py-2 pr-4 font-bold ${row.totalConducted === 0 ? '' : row.percentage >= 75 ? 'text-green-500' : 'text-red-500'}`}>{row.totalConducted > 0 ? `${row.percentage.toFixed(1)}%` : '—'}</td>
+                                <td className="py-2">{row.belowThreshold.length > 0 ? row.belowThreshold.join(', ') : '—'}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+const SyncModal = ({ readOnly = false, settings, status, subjects, onEnable, onDisable, onSyncNow, onDismissConflicts, onClose }) => {
+    const { dialogProps, titleId } = useDialog(onClose);
+    const [serverUrl, setServerUrl] = useState(settings.serverUrl);
+    const [userId, setUserId] = useState(settings.userId);
+    const [token, setToken] = useState(settings.token);
+
+    const handleEnable = () => {
+        if (!serverUrl.trim() || !/^[A-Za-z0-9_-]{1,64}$/.test(userId.trim())) {
+            alert("Please enter the server address and a user id made of letters, numbers, '-' or '_'.");
+            return;
+        }
+        onEnable({ serverUrl: serverUrl.trim(), userId: userId.trim(), token: token.trim() });
+    };
+
+    const describeSide = (side) => (side.deleted ? 'deleted' : side.value?.status || 'edited');
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 animate-fade-in" onClick={onClose}>
+            <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl p-6 w-full max-w-lg transform transition-transform scale-95 animate-scale-in" onClick={e => e.stopPropagation()} {...dialogProps}>
+                <h3 id={titleId} className="text-2xl font-bold mb-6 text-center">Sync</h3>
+                <div className={`space-y-4 mb-6 ${settings.enabled ? 'opacity-60 pointer-events-none' : ''}`}>
+                    <div><label htmlFor="sync-server" className="text-sm font-medium">Server address</label><input id="sync-server" type="url" value={serverUrl} onChange={e => setServerUrl(e.target.value)} placeholder="http://localhost:4000" className="w-full p-2 mt-1 rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600"/></div>
+                    <div className="grid grid-cols-2 gap-4">
+                        <div><label htmlFor="sync-user" className="text-sm font-medium">User id</label><input id="sync-user" type="text" value={userId} onChange={e => setUserId(e.target.value)} placeholder="e.g., alex" className="w-full p-2 mt-1 rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600"/></div>
+                        <div><label htmlFor="sync-token" className="text-sm font-medium">Token (optional)</label><input id="sync-token" type="password" value={token} onChange={e => setToken(e.target.value)} className="w-full p-2 mt-1 rounded-md bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600"/></div>
+                    </div>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">Run the server from <code>attendence_ai/sync-server</code> with <code>npm start</code>. The first sync keeps the server's copy wherever both sides have data. Each semester syncs on its own, so give each one its own user id.</p>
+                </div>
+                <div className="flex justify-between items-center p-4 bg-gray-100 dark:bg-gray-700/50 rounded-lg">
+                    <div className="text-sm">
+                        <p className="font-semibold">{readOnly ? 'Paused: this semester is archived' : !settings.enabled ? 'Sync is off' : status.state === 'syncing' ? 'Syncing…' : status.state === 'offline' ? 'Offline' : status.state === 'error' ? 'Sync failed' : 'Up to date'}</p>
+                        {settings.enabled && !readOnly && <p className="text-xs text-gray-500 dark:text-gray-400">{status.message || (status.lastSyncedAt ? `Last synced ${new Date(status.lastSyncedAt).toLocaleString()}` : 'Not synced yet')}{status.queued > 0 && ` · ${status.queued} change${status.queued === 1 ? '' : 's'} waiting`}</p>}
+                    </div>
+                    {!readOnly && <div className="flex gap-2">
+                        {settings.enabled && <button onClick={onSyncNow} title="Sync now" className="p-2 rounded-lg bg-gray-200 dark:bg-gray-600 hover:bg-gray-300 dark:hover:bg-gray-500"><RefreshCw size={18} className={status.state === 'syncing' ? 'animate-spin' : ''}/></button>}
+                        {settings.enabled
+                            ? <button onClick={onDisable} className="px-4 py-2 rounded-lg bg-gray-200 dark:bg-gray-600 hover:bg-gray-300 dark:hover:bg-gray-500 font-semibold">Turn Off</button>
+                            : <button onClick={handleEnable} className="px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 font-semibold">Turn On</button>}
+                    </div>}
+                </div>
+                {status.conflicts.length > 0 && (
+                    <div className="mt-6">
+                        <div className="flex justify-between items-center mb-2">
+                            <h4 className="font-semibold flex items-center"><AlertTriangle size={18} className="mr-2 text-yellow-500"/> Conflicts</h4>
+                            <button onClick={onDismissConflicts} className="text-sm text-blue-500 hover:underline">Dismiss all</button>
+                        </div>
+                        <div className="space-y-2 max-h-48 overflow-y-auto pr-2 text-sm">
+                            {status.conflicts.map((conflict, i) => (
+                                <div key={`${conflict.key}-${i}`} className="bg-gray-50 dark:bg-gray-700 p-2 rounded-lg">
+                                    <p className="font-semibold">{describeSyncKey(conflict.key, subjects)}</p>
+                                    <p className="text-xs text-gray-500 dark:text-gray-400">{conflict.kept === 'server'
+                                        ? `Kept the newer change from another device (${describeSide(conflict.server)}); this device's ${describeSide(conflict.device)} was older.`
+                                        : `This device's ${describeSide(conflict.device)} replaced an unseen change from another device (${describeSide(conflict.server)}).`}</p>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+                <div className="mt-6 text-center">
+                    <button onClick={onClose} className="px-6 py-2 rounded-lg bg-gray-200 dark:bg-gray-600 hover:bg-gray-300 dark:hover:bg-gray-500 font-semibold">Close</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const DataModal = ({ data, onImport, onClose }) => {
+    const { dialogProps, titleId } = useDialog(onClose);
+    const [pending, setPending] = useState(null);
+    const [error, setError] = useState('');
+    const [mode, setMode] = useState('merge');
+
+    const handleExportJson = () => downloadFile(`attendance-backup-${toDateKey(new Date())}.json`, createBackup(data), 'application/json');
+    const handleExportCsv = () => downloadFile(`attendance-records-${toDateKey(new Date())}.csv`, recordsToCsv(data), 'text/csv');
+
+    const handleFileChange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        setPending(null);
+        setError('');
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                setPending(parseBackup(reader.result));
+            } catch (err) {
+                setError(err.message);
+            }
+        };
+        reader.readAsText(file);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 animate-fade-in" onClick={onClose}>
+            <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl p-6 w-full max-w-lg transform transition-transform scale-95 animate-scale-in" onClick={e => e.stopPropagation()} {...dialogProps}>
+                <h3 id={titleId} className="text-2xl font-bold mb-6 text-center">Backup & Restore</h3>
+                <div className="grid grid-cols-2 gap-4 mb-6">
+                    <button onClick={handleExportJson} className="bg-blue-600 text-white p-2 rounded-md hover:bg-blue-700 flex items-center justify-center shadow-md hover:shadow-lg transition-shadow"><Download size={18} className="mr-2"/> Full Backup (JSON)</button>
+                    <button onClick={handleExportCsv} className="bg-gray-200 dark:bg-gray-600 p-2 rounded-md hover:bg-gray-300 dark:hover:bg-gray-500 flex items-center justify-center shadow-md hover:shadow-lg transition-shadow"><Download size={18} className="mr-2"/> Records (CSV)</button>
+                </div>
+                <div className="p-4 bg-gray-100 dark:bg-gray-700/50 rounded-lg">
+                    <label htmlFor="backup-file" className="text-sm font-medium flex items-center"><Upload size={16} className="mr-2"/> Import a backup</label>
+                    <input id="backup-file" type="file" accept=".json,application/json" onChange={handleFileChange} className="w-full mt-2 text-sm"/>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Also accepts data saved by the old single-page tracker.</p>
+                    {error && <p className="mt-3 text-sm text-red-500">{error}</p>}
+                    {pending && (
+                        <div className="mt-4 space-y-3">
+                            <p className="text-sm">Found {pending.subjects.length} subject(s), {pending.timeSlots.length} time slot(s), {Object.values(pending.timetable).reduce((sum, day) => sum + day.length, 0)} timetable class(es) and {Object.keys(pending.attendanceRecords).length} attendance record(s).</p>
+                            <div className="flex gap-4 text-sm">
+                                <label className="flex items-center gap-1"><input type="radio" name="import-mode" value="merge" checked={mode === 'merge'} onChange={() => setMode('merge')}/> Merge with current data</label>
+                                <label className="flex items-center gap-1"><input type="radio" name="import-mode" value="replace" checked={mode === 'replace'} onChange={() => setMode('replace')}/> Replace everything</label>
+                            </div>
+                            <button onClick={() => onImport(pending, mode)} className={`w-full p-2 text-white rounded-lg transition-colors ${mode === 'replace' ? 'bg-red-600 hover:bg-red-700' : 'bg-green-600 hover:bg-green-700'}`}>{mode === 'replace' ? 'Replace My Data' : 'Merge Into My Data'}</button>
+                        </div>
+                    )}
+                </div>
+                <div className="mt-6 text-center">
+                    <button onClick={onClose} className="px-6 py-2 rounded-lg bg-gray-200 dark:bg-gray-600 hover:bg-gray-300 dark:hover:bg-gray-500 font-semibold">Close</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// The attendance report (see report.js), rendered straight into <body> so the print stylesheet can
+// hide everything else on the page.
+const ReportView = ({ profileName, subjects, timetable, semester, attendanceRecords, statuses, onClose }) => {
+    const { dialogProps, titleId } = useDialog(onClose);
+    const [range, setRange] = useState(() => monthRange(0));
+    const [subjectId, setSubjectId] = useState('');
+    const reportRef = useRef(null);
+    const isValidRange = !!range.from && !!range.to && range.from <= range.to;
+    const report = useMemo(() => (isValidRange ? buildReport({ subjects, timetable, semester, attendanceRecords, statuses }, { ...range, subjectId: subjectId ? Number(subjectId) : null }) : null), [isValidRange, range, subjectId, subjects, timetable, semester, attendanceRecords, statuses]);
+    const threshold = report?.rows.length === 1 ? report.rows[0].threshold : 75;
+    const presets = [
+        { label: 'This month', range: monthRange(0) },
+        { label: 'Last month', range: monthRange(-1) },
+        ...(semester.startDate ? [{ label: 'Semester', range: { from: semester.startDate, to: semester.endDate || toDateKey(new Date()) } }] : []),
+    ];
+
+    const handleExportHtml = () => downloadFile(`attendance-report-${range.from}-to-${range.to}.html`, reportToHtml(`Attendance report: ${describeRange(range)}`, reportRef.current.outerHTML), 'text/html');
+
+    return createPortal(
+        <div className="report-screen fixed inset-0 z-50 overflow-y-auto bg-gray-200 dark:bg-gray-900" {...dialogProps}>
+            <style>{REPORT_CSS}</style>
+            <div className="report-toolbar sticky top-0 z-10 bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-200 shadow-md p-3 flex flex-wrap items-end gap-3 text-sm">
+                <h2 id={titleId} className="sr-only">Attendance report</h2>
+                <label className="flex flex-col">From<input type="date" value={range.from} onChange={e => setRange({ ...range, from: e.target.value })} className="p-1 rounded-md bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600"/></label>
+                <label className="flex flex-col">To<input type="date" value={range.to} onChange={e => setRange({ ...range, to: e.target.value })} className="p-1 rounded-md bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600"/></label>
+                <label className="flex flex-col">Subjects
+                    <select value={subjectId} onChange={e => setSubjectId(e.target.value)} className="p-1 rounded-md bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600">
+                        <option value="">All subjects</option>
+                        {subjects.map(subject => <option key={subject.id} value={subject.id}>{subject.name}</option>)}
+                    </select>
+                </label>
+                <div className="flex gap-2">
+                    {presets.map(preset => <button key={preset.label} onClick={() => setRange(preset.range)} className="px-2 py-1 rounded-md bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600">{preset.label}</button>)}
+                </div>
+                <div className="flex gap-2 ml-auto">
+                    <button onClick={() => window.print()} disabled={!report} title="Print, or choose “Save as PDF” as the printer" className="px-3 py-1 rounded-md bg-blue-600 text-white hover:bg-blue-700 flex items-center gap-1 disabled:opacity-50"><Printer size={16}/> Print / PDF</button>
+                    <button onClick={handleExportHtml} disabled={!report} className="px-3 py-1 rounded-md bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 flex items-center gap-1 disabled:opacity-50"><Download size={16}/> HTML</button>
+                    <button onClick={onClose} aria-label="Close report" className="p-1 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700"><X size={20}/></button>
+                </div>
+            </div>
+            {!report ? <p className="p-6 text-center text-red-500">Choose a start date on or before the end date.</p> : (
+            <div className="py-6 px-2">
+                <article ref={reportRef} className="report">
+                    <h1>Attendance report</h1>
+                    <p className="report-meta">{profileName} · {describeRange(report)}{subjectId && ` · ${report.rows[0]?.name}`}</p>
+                    <p className="report-meta">Generated {new Date(report.generatedAt).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })}</p>
+
+                    <h2>Summary</h2>
+                    <table>
+                        <thead><tr><th>Subject</th><th className="report-number">Attended</th><th className="report-number">Held</th><th className="report-number">Attendance</th><th className="report-number">Minimum</th><th>Status</th></tr></thead>
+                        <tbody>
+                            {report.rows.map(row => (
+                                <tr key={row.id}>
+                                    <td>{row.name}</td>
+                                    <td className="report-number">{formatCount(row.attended)}</td>
+                                    <td className="report-number">{formatCount(row.total)}</td>
+                                    <td className="report-number">{row.total > 0 ? `${row.percentage.toFixed(1)}%` : '–'}</td>
+                                    <td className="report-number">{row.threshold}%</td>
+                                    <td className={row.total === 0 ? '' : row.meetsThreshold ? 'report-ok' : 'report-low'}>{row.total === 0 ? 'No classes' : row.meetsThreshold ? 'Meets minimum' : 'Below minimum'}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                        {report.rows.length > 1 && <tfoot><tr><td>Overall</td><td className="report-number">{formatCount(report.overall.totalAttended)}</td><td className="report-number">{formatCount(report.overall.totalConducted)}</td><td className="report-number">{report.overall.totalConducted > 0 ? `${report.overall.percentage.toFixed(1)}%` : '–'}</td><td /><td /></tr></tfoot>}
+                    </table>
+                    <p className="report-note">Classes count by their weight; late and other partly credited marks count in part. Excused and cancelled classes, holidays and unmarked classes are left out.</p>
+                    {report.unmarked > 0 && <p className="report-note">{report.unmarked} held class{report.unmarked === 1 ? ' was' : 'es were'} not marked in this period.</p>}
+
+                    {report.trend.length > 0 && (<>
+                        <h2>Charts</h2>
+                        <div className="report-chart">
+                            <h3>Attendance over the period</h3>
+                            <LineChart width={680} height={220} data={report.trend} margin={{ top: 5, right: 10, left: -20, bottom: 0 }}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#9CA3AF" strokeOpacity={0.3} />
+                                <XAxis dataKey="label" tick={{ fontSize: 11 }} />
+                                <YAxis domain={[0, 100]} tick={{ fontSize: 11 }} />
+                                <ReferenceLine y={threshold} stroke="#EF4444" strokeDasharray="4 4" />
+                                <Line type="monotone" dataKey="percentage" stroke="#3B82F6" strokeWidth={2} dot={report.trend.length < 30} isAnimationActive={false} />
+                            </LineChart>
+                        </div>
+                        <div className="report-chart">
+                            <h3>By weekday</h3>
+                            <BarChart width={680} height={200} data={report.weekdays} margin={{ top: 5, right: 10, left: -20, bottom: 0 }}>
+                                <XAxis dataKey="day" tick={{ fontSize: 11 }} />
+                                <YAxis allowDecimals={false} tick={{ fontSize: 11 }} />
+                                <Legend />
+                                <Bar dataKey="attended" name="Attended" stackId="a" fill="#10B981" isAnimationActive={false} />
+                                <Bar dataKey="missed" name="Missed" stackId="a" fill="#EF4444" isAnimationActive={false} />
+                            </BarChart>
+                        </div>
+                    </>)}
+
+                    <h2>Absences</h2>
+                    {report.rows.map(row => (
+                        <section key={row.id} className="report-subject">
+                            <h3>{row.name}</h3>
+                            <div className="report-subject-summary">
+                                {row.total > 0 && <PieChart width={120} height={120}><Pie data={[{ name: 'Attended', value: formatCount(row.attended) }, { name: 'Missed', value: formatCount(row.total - row.attended) }]} dataKey="value" nameKey="name" cx="50%" cy="50%" outerRadius={50} isAnimationActive={false}><Cell fill="#10B981" /><Cell fill="#EF4444" /></Pie></PieChart>}
+                                <p>{row.total > 0 ? `Attended ${formatCount(row.attended)} of ${formatCount(row.total)} (${row.percentage.toFixed(1)}%), minimum ${row.threshold}%.` : 'No marked classes in this period.'}</p>
+                            </div>
+                            {row.absences.length > 0 ? (
+                                <table>
+                                    <thead><tr><th>Date</th><th>Day</th><th>Time</th><th>Marked</th></tr></thead>
+                                    <tbody>{row.absences.map(absence => <tr key={absence.key}><td>{formatDateKey(absence.date)}</td><td>{absence.day}</td><td>{absence.time}</td><td>{absence.status}{absence.weight !== 1 && ` (counts ${absence.weight})`}</td></tr>)}</tbody>
+                                </table>
+                            ) : row.total > 0 && <p className="report-note">No absences.</p>}
+                        </section>
+                    ))}
+                    <p className="report-footer">Generated by Attendance Pro.</p>
+                </article>
+            </div>)}
+        </div>,
+        document.body
+    );
+};
+
+// Icons that tell statuses apart without relying on their colour.
+const POLICY_ICONS = { attended: CheckCircle, missed: XCircle, fractional: Clock, excluded: MinusCircle };
+const StatusIcon = ({ status, size = 12 }) => {
+    const Icon = POLICY_ICONS[status.policy] || Dot;
+    return <Icon size={size} aria-hidden="true" className="flex-shrink-0" />;
+};
+
+// Whether a class can be marked: it has ended and wasn't called off.
+const canMarkClass = (entry, dateKey, holiday, now = new Date()) => !holiday && !entry.isCancelled && dateTimeFromKey(dateKey, entry.endTime) < now;
+
+// One grid cell. Only the active cell (and the controls inside it) is in the tab order; see TimetableGrid.
+const TimetableCell = ({ row, col, isActive, onFocusCell, sessions, continuing, timeSlot, day, dateKey, holiday, isInSemester, subjects, statuses, onMarkAttendance, attendanceRecords, onOpenSlotModal, onDeleteTimetableEntry, onDeleteExtraClass, onToggleCancelled, isEditMode }) => {
+    const canAdd = isEditMode && !holiday;
+    const baseStyles = holiday ? "bg-gray-100 dark:bg-gray-800 text-gray-400" : "bg-white dark:bg-gray-900";
+    const cellProps = { role: 'gridcell', 'data-row': row, 'data-col': col, tabIndex: isActive ? 0 : -1, onFocus: onFocusCell };
+    const focusStyles = 'focus:outline-none focus-visible:ring-2 focus-visible:ring-inset focus-visible:ring-blue-500';
+
+    if (sessions.length === 0 && continuing.length === 0) {
+        return <div {...cellProps} onClick={canAdd ? () => onOpenSlotModal(day, timeSlot, null, dateKey) : null} title={canAdd ? 'Add a class' : undefined} className={`min-h-[80px] flex items-center justify-center text-gray-400 transition-colors ${canAdd ? 'cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-800' : ''} ${baseStyles} ${focusStyles}`}>{canAdd ? <Plus size={24} aria-hidden="true"/> : <span className="sr-only">{holiday ? 'Holiday' : 'No class'}</span>}</div>;
     }
 
     return (
-        <div className={`p-2 min-h-[80px] text-xs relative group ${getStatusStyles()}`}>
+        <div {...cellProps} className={`p-1 min-h-[80px] text-xs flex flex-col gap-1 ${baseStyles} ${focusStyles}`}>
+            {continuing.map(entry => (
+                <div key={entry.id} className={`px-2 py-1 rounded italic text-gray-500 dark:text-gray-400 bg-gray-100 dark:bg-gray-800 ${entry.isCancelled ? 'line-through' : ''}`}>
+                    {subjects.find(s => s.id === entry.subjectId)?.name || "Error"} (cont.)
+                </div>
+            ))}
+            {sessions.map(entry => (
+                <ClassSession key={entry.id} tabbable={isActive} entry={entry} timeSlot={timeSlot} day={day} dateKey={dateKey} holiday={holiday} isInSemester={isInSemester} subjects={subjects} statuses={statuses} record={attendanceRecords[recordKey(dateKey, entry.id)]} onMarkAttendance={onMarkAttendance} onOpenSlotModal={onOpenSlotModal} onDeleteTimetableEntry={onDeleteTimetableEntry} onDeleteExtraClass={onDeleteExtraClass} onToggleCancelled={onToggleCancelled} isEditMode={isEditMode} />
+            ))}
+            {canAdd && <button title="Add another class in this slot" tabIndex={isActive ? 0 : -1} onClick={() => onOpenSlotModal(day, timeSlot, null, dateKey)} className="flex items-center justify-center p-1 rounded text-gray-400 hover:text-blue-500 hover:bg-gray-50 dark:hover:bg-gray-800"><Plus size={14}/></button>}
+        </div>
+    );
+};
+
+const ClassSession = ({ tabbable, entry, timeSlot, day, dateKey, holiday, isInSemester, subjects, statuses, record, onMarkAttendance, onOpenSlotModal, onDeleteTimetableEntry, onDeleteExtraClass, onToggleCancelled, isEditMode }) => {
+    const subject = subjects.find(s => s.id === entry.subjectId);
+    const tabIndex = tabbable ? 0 : -1;
+    const isPast = dateTimeFromKey(dateKey, entry.endTime) < new Date();
+    const isOff = !!holiday || entry.isCancelled;
+    const classType = getClassType(entry);
+    const weight = getClassWeight(entry);
+    const recordStatus = record ? findStatus(statuses, record.status) : null;
+    const otherStatuses = statuses.filter(status => !status.builtIn);
+
+    const getStatusStyles = () => {
+        if (isOff) return "bg-gray-100 dark:bg-gray-800 text-gray-400";
+        if (!isPast) return "bg-gray-200 dark:bg-gray-700 text-gray-400";
+        if (!record && isInSemester) return "bg-yellow-100 dark:bg-yellow-900/50";
+        if (recordStatus) return STATUS_COLORS[recordStatus.color]?.cell || STATUS_COLORS.gray.cell;
+        return "bg-white dark:bg-gray-900";
+    };
+
+    return (
+        <div data-entry-id={entry.id} className={`p-2 flex-1 rounded relative group ${getStatusStyles()}`}>
              {isEditMode && (
-                <div className="absolute top-1 right-1 flex items-center opacity-0 group-hover:opacity-100 transition-opacity z-10">
-                    <button onClick={(e) => {e.stopPropagation(); onOpenSlotModal(day, timeSlot, entry)}} className="text-gray-500 hover:text-blue-500 p-1"><Edit size={14}/></button>
-                    <button onClick={(e) => {e.stopPropagation(); onDeleteTimetableEntry(day, entry.id)}} className="text-gray-400 hover:text-red-500 p-1"><Trash2 size={14}/></button>
+                <div className="absolute top-1 right-1 flex items-center opacity-0 group-hover:opacity-100 group-focus-within:opacity-100 transition-opacity z-10">
+                    <button title="Edit class" tabIndex={tabIndex} onClick={(e) => {e.stopPropagation(); onOpenSlotModal(day, timeSlot, entry, dateKey)}} className="text-gray-500 hover:text-blue-500 p-1"><Edit size={14}/></button>
+                    <button title={entry.isExtra ? "Remove this extra class" : "Remove from this date onwards"} tabIndex={tabIndex} onClick={(e) => {e.stopPropagation(); entry.isExtra ? onDeleteExtraClass(dateKey, entry.id) : onDeleteTimetableEntry(day, entry.id, dateKey)}} className="text-gray-400 hover:text-red-500 p-1"><Trash2 size={14}/></button>
                 </div>
             )}
-            <p className="font-bold">{subject ? subject.name : "Error"}</p>
+            {!isEditMode && !holiday && (
+                <div className="absolute top-1 right-1 flex items-center opacity-0 group-hover:opacity-100 group-focus-within:opacity-100 transition-opacity z-10">
+                    {entry.isCancelled
+                        ? <button title="Restore class" tabIndex={tabIndex} onClick={() => onToggleCancelled(dateKey, entry.id)} className="text-gray-500 hover:text-blue-500 p-1"><Undo2 size={14}/></button>
+                        : <button title="Cancel this class" tabIndex={tabIndex} onClick={() => onToggleCancelled(dateKey, entry.id)} className="text-gray-400 hover:text-red-500 p-1"><Ban size={14}/></button>}
+                </div>
+            )}
+            <p className={`font-bold ${entry.isCancelled ? 'line-through' : ''}`}>{subject ? subject.name : "Error"}</p>
             <p className="text-gray-600 dark:text-gray-400">{formatTime12Hour(entry.startTime)} - {formatTime12Hour(entry.endTime)}</p>
-            {isPast && !isEditMode && (
-                <div className="absolute bottom-2 left-2 right-2 flex items-center justify-center gap-2">
-                    <button title="Present" onClick={() => onMarkAttendance(entry, cellDate, 'present')} className={`p-1 rounded-full transition-colors ${record?.status === 'present' ? 'bg-green-500 text-white' : 'bg-gray-300 dark:bg-gray-600 hover:bg-green-400'}`}><CheckCircle size={14} /></button>
-                    <button title="Absent" onClick={() => onMarkAttendance(entry, cellDate, 'absent')} className={`p-1 rounded-full transition-colors ${record?.status === 'absent' ? 'bg-red-500 text-white' : 'bg-gray-300 dark:bg-gray-600 hover:bg-red-400'}`}><XCircle size={14} /></button>
+            {(classType !== 'lecture' || weight !== 1) && <p className="text-purple-600 dark:text-purple-400 font-semibold">{CLASS_TYPES[classType]?.label || classType}{weight !== 1 && ` ×${weight}`}</p>}
+            {entry.isExtra && <p className="text-blue-500 font-semibold">Extra class</p>}
+            {holiday && <p className="font-semibold">Holiday</p>}
+            {entry.isCancelled && !holiday && <p className="font-semibold">Cancelled</p>}
+            {recordStatus && !isOff && <p className="font-semibold flex items-center gap-1" title={describePolicy(recordStatus)}><StatusIcon status={recordStatus} /> {recordStatus.label}</p>}
+            {!record && isPast && isInSemester && !isOff && <p className="font-semibold flex items-center gap-1"><AlertTriangle size={12} aria-hidden="true" className="flex-shrink-0" /> Not marked</p>}
+            {isPast && !isEditMode && !isOff && (
+                <div className="mt-1 flex items-center justify-center gap-2">
+                    <button title="Present" aria-label={`Mark ${subject?.name || 'class'} present`} aria-pressed={record?.status === 'present'} tabIndex={tabIndex} onClick={() => onMarkAttendance(entry, dateKey, 'present')} className={`p-1 rounded-full transition-colors ${record?.status === 'present' ? 'bg-green-500 text-white' : 'bg-gray-300 dark:bg-gray-600 hover:bg-green-400'}`}><CheckCircle size={14} /></button>
+                    <button title="Absent" aria-label={`Mark ${subject?.name || 'class'} absent`} aria-pressed={record?.status === 'absent'} tabIndex={tabIndex} onClick={() => onMarkAttendance(entry, dateKey, 'absent')} className={`p-1 rounded-full transition-colors ${record?.status === 'absent' ? 'bg-red-500 text-white' : 'bg-gray-300 dark:bg-gray-600 hover:bg-red-400'}`}><XCircle size={14} /></button>
+                    {otherStatuses.length > 0 && (
+                        <select aria-label="Other status" tabIndex={tabIndex} value={recordStatus && !recordStatus.builtIn ? recordStatus.id : ''} onChange={e => e.target.value && onMarkAttendance(entry, dateKey, e.target.value)} className={`w-6 h-6 rounded-full text-center appearance-none cursor-pointer ${recordStatus && !recordStatus.builtIn ? STATUS_COLORS[recordStatus.color]?.button || STATUS_COLORS.gray.button : 'bg-gray-300 dark:bg-gray-600'}`}>
+                            <option value="">…</option>
+                            {otherStatuses.map(status => <option key={status.id} value={status.id}>{status.label}</option>)}
+                        </select>
+                    )}
                 </div>
             )}
         </div>
     );
 };
 
-const SlotEditModal = ({ subjects, onAddEntry, onUpdateEntry, onClose, modalData }) => {
+const SlotEditModal = ({ subjects, timeSlots, timetable, semester, onAddEntry, onUpdateEntry, onAddExtra, onUpdateExtra, onClose, modalData }) => {
+    const { dialogProps, titleId } = useDialog(onClose);
     const [subjectId, setSubjectId] = useState("");
+    const [classType, setClassType] = useState("lecture");
+    const [weight, setWeight] = useState(1);
+    const [slotSpan, setSlotSpan] = useState(1);
+    const [repeat, setRepeat] = useState("weekly");
+    const [effectiveFrom, setEffectiveFrom] = useState("");
+
+    // The slots from the clicked one onwards, which a multi-slot session can stretch across.
+    const followingSlots = useMemo(() => {
+        if (!modalData) return [];
+        const sorted = [...timeSlots].sort((a, b) => a.start.localeCompare(b.start));
+        return sorted.slice(sorted.findIndex(ts => ts.id === modalData.timeSlot.id));
+    }, [timeSlots, modalData]);
+
+    // Classes the one being saved would overlap: weekly classes on that day still in force from the
+    // chosen date, or everything held on the date of a one-off class.
+    const clashes = useMemo(() => {
+        if (!modalData) return [];
+        const { day, timeSlot, existingEntry, dateKey } = modalData;
+        const candidate = { start: timeSlot.start, end: getSpanEndTime(timeSlots, timeSlot.id, slotSpan) };
+        const isOneOffClass = existingEntry ? !!existingEntry.isExtra : repeat === 'once';
+        const others = isOneOffClass
+            ? getScheduledClasses(timetable, semester, dateKey).filter(entry => !entry.isCancelled)
+            : (timetable[day] || []).filter(entry => !entry.validUntil || entry.validUntil >= (effectiveFrom || toDateKey(new Date())));
+        return others.filter(entry => entry.id !== existingEntry?.id && timesOverlap(candidate, entryTimes(entry)));
+    }, [modalData, timeSlots, timetable, semester, slotSpan, repeat, effectiveFrom]);
 
     useEffect(() => {
-        if (modalData?.existingEntry) {
-            setSubjectId(modalData.existingEntry.subjectId);
+        const existingEntry = modalData?.existingEntry;
+        if (existingEntry) {
+            setSubjectId(existingEntry.subjectId);
+            setClassType(getClassType(existingEntry));
+            setWeight(getClassWeight(existingEntry));
+            setSlotSpan(Math.max(1, followingSlots.filter(ts => ts.end <= existingEntry.endTime).length));
         } else {
             setSubjectId("");
+            setClassType("lecture");
+            setWeight(1);
+            setSlotSpan(1);
         }
-        const handleEsc = (event) => {
-            if (event.keyCode === 27) onClose();
-        };
-        window.addEventListener('keydown', handleEsc);
-        return () => window.removeEventListener('keydown', handleEsc);
-    }, [modalData, onClose]);
+        setRepeat("weekly");
+        setEffectiveFrom(modalData?.dateKey || "");
+    }, [modalData, followingSlots]);
 
     if (!modalData) return null;
 
-    const { day, timeSlot, existingEntry } = modalData;
+    const { day, timeSlot, existingEntry, dateKey } = modalData;
     const isEditing = !!existingEntry;
+    const isOneOff = isEditing ? !!existingEntry.isExtra : repeat === "once";
+
+    const handleClassTypeChange = (type) => {
+        setClassType(type);
+        setWeight(CLASS_TYPES[type].defaultWeight);
+    };
 
     const handleSubmit = (e) => {
         e.preventDefault();
@@ -453,17 +2085,22 @@ const SlotEditModal = ({ subjects, onAddEntry, onUpdateEntry, onClose, modalData
             alert("Please select a subject.");
             return;
         }
-        if (isEditing) {
-            onUpdateEntry(day, existingEntry.id, subjectId);
+        const details = { subjectId, classType, weight, slotSpan };
+        if (isEditing && existingEntry.isExtra) {
+            onUpdateExtra(dateKey, existingEntry.id, timeSlot.id, details);
+        } else if (isEditing) {
+            onUpdateEntry(day, existingEntry.id, details, effectiveFrom);
+        } else if (repeat === "once") {
+            onAddExtra(dateKey, timeSlot.id, details);
         } else {
-            onAddEntry(day, timeSlot.id, subjectId);
+            onAddEntry(day, timeSlot.id, details, effectiveFrom);
         }
     };
 
     return (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 animate-fade-in" onClick={onClose}>
-            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl p-6 w-full max-w-md animate-scale-in" onClick={e => e.stopPropagation()}>
-                <h3 className="text-lg font-bold mb-4">{isEditing ? 'Edit Class' : 'Add Class to Timetable'}</h3>
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl p-6 w-full max-w-md animate-scale-in" onClick={e => e.stopPropagation()} {...dialogProps}>
+                <h3 id={titleId} className="text-lg font-bold mb-4">{isEditing ? 'Edit Class' : 'Add Class to Timetable'}</h3>
                 <div className="mb-4">
                     <p><span className="font-semibold">Day:</span> {day}</p>
                     <p><span className="font-semibold">Time:</span> {formatTime12Hour(timeSlot.start)} - {formatTime12Hour(timeSlot.end)}</p>
@@ -474,6 +2111,43 @@ const SlotEditModal = ({ subjects, onAddEntry, onUpdateEntry, onClose, modalData
                         <option value="">-- Choose a subject --</option>
                         {subjects.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
                     </select>
+                    <div className="mt-4 grid grid-cols-3 gap-3">
+                        <div>
+                            <label htmlFor="class-type-select" className="block text-sm font-medium mb-2">Type</label>
+                            <select id="class-type-select" value={classType} onChange={e => handleClassTypeChange(e.target.value)} className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500">
+                                {Object.entries(CLASS_TYPES).map(([type, { label }]) => <option key={type} value={type}>{label}</option>)}
+                            </select>
+                        </div>
+                        <div>
+                            <label htmlFor="slot-span-select" className="block text-sm font-medium mb-2">Runs until</label>
+                            <select id="slot-span-select" value={slotSpan} onChange={e => setSlotSpan(parseInt(e.target.value, 10))} className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500">
+                                {followingSlots.map((ts, i) => <option key={ts.id} value={i + 1}>{formatTime12Hour(ts.end)}</option>)}
+                            </select>
+                        </div>
+                        <div>
+                            <label htmlFor="weight-input" className="block text-sm font-medium mb-2">Counts as</label>
+                            <input id="weight-input" type="number" min="0.5" step="0.5" value={weight} onChange={e => setWeight(e.target.value)} className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500" />
+                        </div>
+                    </div>
+                    {!isEditing && dateKey && (
+                        <div className="mt-4">
+                            <label htmlFor="repeat-select" className="block text-sm font-medium mb-2">Repeats</label>
+                            <select id="repeat-select" value={repeat} onChange={e => setRepeat(e.target.value)} className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500">
+                                <option value="weekly">Every {day}</option>
+                                <option value="once">Only on {formatDateKey(dateKey)} (extra class)</option>
+                            </select>
+                        </div>
+                    )}
+                    {!isOneOff && (
+                        <div className="mt-4">
+                            <label htmlFor="effective-from" className="block text-sm font-medium mb-2">Takes effect from</label>
+                            <input id="effective-from" type="date" value={effectiveFrom} onChange={e => setEffectiveFrom(e.target.value)} className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-gray-50 dark:bg-gray-700 focus:ring-2 focus:ring-blue-500" />
+                            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Earlier weeks keep their old timetable. Leave empty to apply to every week.</p>
+                        </div>
+                    )}
+                    {clashes.length > 0 && (
+                        <p role="alert" className="mt-4 text-sm text-yellow-700 dark:text-yellow-400 flex items-start"><AlertTriangle size={16} className="mr-2 mt-0.5 flex-shrink-0"/> Clashes with {clashes.map(entry => `${subjects.find(s => s.id === entry.subjectId)?.name || 'a class'} (${formatTime12Hour(entry.startTime)} - ${formatTime12Hour(entry.endTime)})`).join(', ')}.</p>
+                    )}
                     <div className="mt-6 flex justify-end gap-3">
                         <button type="button" onClick={onClose} className="px-4 py-2 rounded-lg bg-gray-200 dark:bg-gray-600 hover:bg-gray-300 dark:hover:bg-gray-500">Cancel</button>
                         <button type="submit" className="px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700">{isEditing ? 'Save Changes' : 'Add Class'}</button>
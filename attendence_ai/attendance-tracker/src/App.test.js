@@ -1,8 +1,228 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, within, act } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// The suite runs in America/New_York (see testTimezone.js); US clocks went forward on Sunday 10 March 2024.
+const MONDAY_AFTER_CLOCK_CHANGE = new Date(2024, 2, 11, 12, 0);
+
+const readStored = (key) => JSON.parse(localStorage.getItem(key));
+
+beforeAll(() => {
+    // recharts' ResponsiveContainer needs ResizeObserver, which jsdom doesn't provide.
+    global.ResizeObserver = class { observe() {} unobserve() {} disconnect() {} };
+});
+
+beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+    jest.useFakeTimers();
+    jest.setSystemTime(MONDAY_AFTER_CLOCK_CHANGE);
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+const addSubject = (name) => {
+    fireEvent.click(screen.getByText('Add New Subject'));
+    fireEvent.change(screen.getByLabelText('Subject Name'), { target: { value: name } });
+    fireEvent.click(screen.getByText('Save Subject'));
+};
+
+// Adds a weekly class in the grid's first free cell: the first time slot of the first working day.
+// It starts from the shown week unless `everyWeek` is set.
+const scheduleFirstSlot = (subjectName, { everyWeek = false } = {}) => {
+    fireEvent.click(screen.getByText('Timetable'));
+    fireEvent.click(screen.getByText('Edit Timetable'));
+    fireEvent.click(screen.getAllByTitle('Add a class')[0]);
+    const subject = readStored('attendance-subjects').find(s => s.name === subjectName);
+    fireEvent.change(screen.getByLabelText('Select Subject'), { target: { value: String(subject.id) } });
+    if (everyWeek) fireEvent.change(screen.getByLabelText('Takes effect from'), { target: { value: '' } });
+    fireEvent.click(screen.getByText('Add Class'));
+    fireEvent.click(screen.getByText('Cancel'));
+};
+
+test('adds a subject', () => {
+    render(<App />);
+    addSubject('Maths');
+    expect(screen.getByText('Maths')).toBeInTheDocument();
+    expect(screen.getByText('No classes marked')).toBeInTheDocument();
+    expect(readStored('attendance-subjects')).toEqual([expect.objectContaining({ name: 'Maths', threshold: 75 })]);
+});
+
+test('schedules a class and marks it present on its own date', () => {
+    render(<App />);
+    addSubject('Maths');
+    scheduleFirstSlot('Maths');
+
+    const [entry] = readStored('attendance-timetable').Monday;
+    expect(entry).toMatchObject({ startTime: '09:00', endTime: '10:00', classType: 'lecture', weight: 1, validFrom: '2024-03-11' });
+
+    fireEvent.click(screen.getByTitle('Present'));
+    expect(readStored('attendance-records')).toEqual({
+        [`2024-03-11_${entry.id}`]: { subjectId: entry.subjectId, status: 'present', date: '2024-03-11', classType: 'lecture', weight: 1 },
+    });
+
+    fireEvent.click(screen.getByText('Dashboard'));
+    expect(screen.getByText('100.0%')).toBeInTheDocument();
+});
+
+test('marks a class in the week before the clock change on that week\'s date', () => {
+    render(<App />);
+    addSubject('Maths');
+    scheduleFirstSlot('Maths', { everyWeek: true });
+    const [entry] = readStored('attendance-timetable').Monday;
+    expect(entry.validFrom).toBeUndefined();
+
+    fireEvent.click(screen.getByLabelText('Previous week'));
+    expect(screen.getByText('4 Mar')).toBeInTheDocument();
+    fireEvent.click(screen.getByTitle('Absent'));
+
+    expect(Object.keys(readStored('attendance-records'))).toEqual([`2024-03-04_${entry.id}`]);
+    expect(readStored('attendance-records')[`2024-03-04_${entry.id}`].status).toBe('absent');
+});
+
+test('an evening class is marked on its local date, not the UTC one', () => {
+    // 21:00 in New York is 02:00 the next day in UTC.
+    jest.setSystemTime(new Date(2024, 2, 11, 21, 0));
+    render(<App />);
+    addSubject('Maths');
+    scheduleFirstSlot('Maths');
+    const [entry] = readStored('attendance-timetable').Monday;
+    expect(entry.validFrom).toBe('2024-03-11');
+
+    fireEvent.click(screen.getByTitle('Present'));
+    expect(Object.keys(readStored('attendance-records'))).toEqual([`2024-03-11_${entry.id}`]);
+});
+
+test('opens on the Today view during class hours and marks with one tap', () => {
+    render(<App />);
+    addSubject('Maths');
+    scheduleFirstSlot('Maths');
+    const [entry] = readStored('attendance-timetable').Monday;
+
+    jest.setSystemTime(new Date(2024, 2, 18, 9, 15));
+    fireEvent.click(screen.getByText('Today'));
+    expect(screen.getByText(/^Now: Maths/)).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: /^Late/ }));
+    expect(readStored('attendance-records')[`2024-03-18_${entry.id}`].status).toBe('late');
+    expect(screen.getByText('Marked Late')).toBeInTheDocument();
+});
+
+test('does not offer to mark a class on the Today view before it starts', () => {
+    render(<App />);
+    addSubject('Maths');
+    scheduleFirstSlot('Maths');
+    const [entry] = readStored('attendance-timetable').Monday;
+
+    jest.setSystemTime(new Date(2024, 2, 18, 8, 45));
+    fireEvent.click(screen.getByText('Today'));
+    expect(screen.getByText(/^Next: Maths/)).toBeInTheDocument();
+    const markButtons = ['Present', 'Absent', 'Late'].map(label => screen.getByRole('button', { name: new RegExp(`^${label}`) }));
+    markButtons.forEach(button => expect(button).toBeDisabled());
+    fireEvent.click(markButtons[0]);
+    expect(readStored('attendance-records')[`2024-03-18_${entry.id}`]).toBeUndefined();
+});
+
+test('marks the unmarked classes of a week in one go and undoes them in one step', () => {
+    // Friday 15 March, after every class of the week has ended.
+    jest.setSystemTime(new Date(2024, 2, 15, 18, 0));
+    // New subjects and classes take their ids from the clock.
+    const tick = () => act(() => { jest.advanceTimersByTime(1000); });
+    render(<App />);
+    ['Maths', 'Physics', 'Chemistry'].forEach(name => {
+        addSubject(name);
+        tick();
+    });
+    ['Maths', 'Physics', 'Chemistry'].forEach(name => {
+        scheduleFirstSlot(name, { everyWeek: true });
+        tick();
+    });
+    expect(Object.values(readStored('attendance-timetable')).flat()).toHaveLength(3);
+
+    fireEvent.click(screen.getAllByTitle('Absent')[0]);
+    const marked = readStored('attendance-records');
+    expect(Object.keys(marked)).toHaveLength(1);
+
+    fireEvent.click(screen.getByText('Mark unmarked this week'));
+    const dialog = screen.getByRole('dialog');
+    expect(within(dialog).getByText(/^2 classes will be marked\./)).toBeInTheDocument();
+    fireEvent.click(within(dialog).getByText('Mark 2'));
+
+    const records = readStored('attendance-records');
+    expect(Object.keys(records)).toHaveLength(3);
+    expect(Object.values(records).map(rec => rec.status).sort()).toEqual(['absent', 'present', 'present']);
+    Object.values(records).forEach(rec => expect(rec.date >= '2024-03-11' && rec.date <= '2024-03-15').toBe(true));
+    expect(screen.getByText('Marked 2 classes Present')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Undo'));
+    expect(readStored('attendance-records')).toEqual(marked);
+});
+
+test('builds a printable report of the month with absences', () => {
+    render(<App />);
+    addSubject('Maths');
+    scheduleFirstSlot('Maths');
+    const [entry] = readStored('attendance-timetable').Monday;
+    fireEvent.click(screen.getByTitle('Absent'));
+
+    fireEvent.click(screen.getByTitle('Attendance report'));
+    const report = within(screen.getByRole('dialog', { name: 'Attendance report' }));
+    expect(report.getByText(/Mar 1, 2024 – Mar 31, 2024/)).toBeInTheDocument();
+    expect(report.getByRole('row', { name: /Maths 0 1 0.0% 75% Below minimum/ })).toBeInTheDocument();
+    expect(report.getByRole('row', { name: 'Mar 11, 2024 Monday 9:00 AM - 10:00 AM Absent' })).toBeInTheDocument();
+    expect(readStored('attendance-records')[`2024-03-11_${entry.id}`].status).toBe('absent');
+
+    fireEvent.change(report.getByLabelText('From'), { target: { value: '2024-03-12' } });
+    expect(report.getByRole('row', { name: /Maths 0 0 – 75% No classes/ })).toBeInTheDocument();
+    fireEvent.click(report.getByLabelText('Close report'));
+    expect(screen.queryByRole('dialog', { name: 'Attendance report' })).not.toBeInTheDocument();
+});
+
+test('moves around the timetable with the arrow keys and marks the focused class with P', () => {
+    render(<App />);
+    addSubject('Maths');
+    scheduleFirstSlot('Maths');
+    const [entry] = readStored('attendance-timetable').Monday;
+
+    const grid = screen.getByRole('grid', { name: /Weekly timetable/ });
+    const [monday, tuesday] = within(grid).getAllByRole('gridcell');
+    expect(monday).toHaveAttribute('tabindex', '0');
+    expect(tuesday).toHaveAttribute('tabindex', '-1');
+
+    act(() => monday.focus());
+    fireEvent.keyDown(monday, { key: 'ArrowRight' });
+    expect(tuesday).toHaveFocus();
+    expect(tuesday).toHaveAttribute('tabindex', '0');
+    fireEvent.keyDown(tuesday, { key: 'a' });
+    expect(screen.getByText('No class to mark here.')).toBeInTheDocument();
+    expect(readStored('attendance-records')).toEqual({});
+
+    fireEvent.keyDown(tuesday, { key: 'Home' });
+    expect(monday).toHaveFocus();
+    fireEvent.keyDown(monday, { key: 'p' });
+    expect(readStored('attendance-records')[`2024-03-11_${entry.id}`].status).toBe('present');
+    expect(screen.getByText('Maths on Monday marked Present.')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Mark Maths present' })).toHaveAttribute('aria-pressed', 'true');
+});
+
+test('dialogs take focus, keep Tab inside and hand focus back when closed with Escape', () => {
+    render(<App />);
+    const opener = screen.getByTitle('Semester calendar');
+    act(() => opener.focus());
+    fireEvent.click(opener);
+
+    const dialog = within(screen.getByRole('dialog', { name: 'Semester Calendar' }));
+    const first = dialog.getByLabelText('Starts on', { selector: 'input' });
+    expect(first).toHaveFocus();
+    const buttons = dialog.getAllByRole('button');
+    const last = buttons[buttons.length - 1];
+    act(() => last.focus());
+    fireEvent.keyDown(last, { key: 'Tab' });
+    expect(first).toHaveFocus();
+    fireEvent.keyDown(first, { key: 'Tab', shiftKey: true });
+    expect(last).toHaveFocus();
+
+    fireEvent.keyDown(last, { key: 'Escape' });
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    expect(opener).toHaveFocus();
 });
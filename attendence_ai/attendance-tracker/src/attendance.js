@@ -0,0 +1,269 @@
+import { DAY_NAMES, toDateKey, dateFromKey, addDaysToKey, dayNameOfKey, getTimeOfDay } from './dates';
+import { getClassType, getClassWeight, indexEntries, findHoliday, isClassCancelled, getHeldClasses } from './timetable';
+import { getStatusCredit } from './statuses';
+
+// --- Attendance ---
+// Marking classes and everything computed from the marks: per-subject stats, history charts and
+// how many classes can still be skipped.
+
+// Record keys look like `2024-01-31_1706000000000`: the class date and the timetable entry id.
+export const recordKey = (dateKey, entryId) => `${dateKey}_${entryId}`;
+export const getRecordEntryId = (key) => Number(key.split('_')[1]);
+
+// A mark for `entry` on `dateKey`. The class type and weight are copied in so later timetable edits
+// don't change what was already counted.
+const buildRecord = (entry, dateKey, status) => ({ subjectId: entry.subjectId, status, date: dateKey, classType: getClassType(entry), weight: getClassWeight(entry) });
+
+// `attendanceRecords` with every class in `classes` (a list of `{ dateKey, entry }`) marked `status`.
+export const markClasses = (attendanceRecords, classes, status) => {
+    const next = { ...attendanceRecords };
+    classes.forEach(({ dateKey, entry }) => { next[recordKey(dateKey, entry.id)] = buildRecord(entry, dateKey, status); });
+    return next;
+};
+
+// Removes a weekly class. From `effectiveFrom` on, if it has marks from before then: the class ends the
+// day before and only its later marks go. Otherwise the class and every mark made for it go.
+export const removeTimetableEntry = ({ timetable, attendanceRecords }, day, entryId, effectiveFrom = null) => {
+    const hasEarlierMarks = !!effectiveFrom && Object.entries(attendanceRecords).some(([key, record]) => getRecordEntryId(key) === entryId && record.date < effectiveFrom);
+    const entries = timetable[day] || [];
+    return {
+        timetable: {
+            ...timetable,
+            [day]: hasEarlierMarks
+                ? entries.map(entry => entry.id === entryId ? { ...entry, validUntil: addDaysToKey(effectiveFrom, -1) } : entry)
+                : entries.filter(entry => entry.id !== entryId),
+        },
+        attendanceRecords: Object.fromEntries(Object.entries(attendanceRecords).filter(([key, record]) => getRecordEntryId(key) !== entryId || (hasEarlierMarks && record.date < effectiveFrom))),
+    };
+};
+
+// A record only counts if its class was actually held; holidays and cancellations declared later drop it out.
+const isRecordCounted = (semester, key, record) => !findHoliday(semester, record.date) && !isClassCancelled(semester, record.date, getRecordEntryId(key));
+
+// Held classes that have already ended between two dates (inclusive), optionally only for one subject
+// and/or only those that have not been marked yet.
+export const listClassesInRange = (timetable, semester, attendanceRecords, fromKey, toKey, { subjectId = null, onlyUnmarked = false } = {}, now = new Date()) => {
+    if (!fromKey || !toKey) return [];
+    const todayKey = toDateKey(now);
+    const nowTime = getTimeOfDay(now);
+    const lastKey = toKey < todayKey ? toKey : todayKey;
+    const classes = [];
+    for (let dateKey = fromKey; dateKey <= lastKey; dateKey = addDaysToKey(dateKey, 1)) {
+        const isToday = dateKey === todayKey;
+        classes.push(...getHeldClasses(timetable, semester, dateKey)
+            .filter(entry => (subjectId === null || entry.subjectId === subjectId) && !(isToday && entry.endTime > nowTime) && !(onlyUnmarked && attendanceRecords[recordKey(dateKey, entry.id)]))
+            .map(entry => ({ dateKey, entry })));
+    }
+    return classes;
+};
+
+// Past classes inside the semester that were held but never marked. Without a semester start date
+// the list begins at the earliest marked record.
+export const listUnmarkedClasses = (timetable, semester, attendanceRecords, now = new Date()) => {
+    const firstRecordDate = Object.values(attendanceRecords).map(rec => rec.date).sort()[0];
+    const startKey = semester.startDate || firstRecordDate;
+    return listClassesInRange(timetable, semester, attendanceRecords, startKey, toDateKey(now), { onlyUnmarked: true }, now);
+};
+
+export const countUnmarkedClasses = (timetable, semester, attendanceRecords, now = new Date()) => listUnmarkedClasses(timetable, semester, attendanceRecords, now).length;
+
+// --- Attendance history ---
+// Counted records with their class type, weight and status credit resolved, for one subject or (with
+// `subjectId` null) all of them. Records whose status policy excludes them are dropped here.
+export const getWeightedRecords = (attendanceRecords, timetable, semester, statuses, subjectId = null) => {
+    const entryIndex = indexEntries(timetable, semester);
+    return Object.entries(attendanceRecords)
+        .filter(([key, rec]) => (subjectId === null || rec.subjectId === subjectId) && isRecordCounted(semester, key, rec))
+        .map(([key, rec]) => {
+            const entry = entryIndex.get(getRecordEntryId(key));
+            return { ...rec, key, entryId: getRecordEntryId(key), classType: rec.classType || getClassType(entry), weight: rec.weight ?? getClassWeight(entry), credit: getStatusCredit(statuses, rec.status) };
+        })
+        .filter(rec => rec.credit !== null);
+};
+
+// Fractional statuses can leave counts like 10.5; trims float noise for display.
+export const formatCount = (count) => Math.round(count * 100) / 100;
+
+export const getCarryOverTotal = (subjects) => subjects.reduce((sum, subject) => ({
+    attended: sum.attended + (subject.carryOver?.attended || 0),
+    total: sum.total + (subject.carryOver?.total || 0),
+}), { attended: 0, total: 0 });
+
+// Cumulative percentage after each date that has marks, starting from any carried-over counts.
+export const buildAttendanceTrend = (weightedRecords, carryOver = { attended: 0, total: 0 }) => {
+    const byDate = {};
+    weightedRecords.forEach(rec => {
+        const day = byDate[rec.date] || (byDate[rec.date] = { attended: 0, total: 0 });
+        day.total += rec.weight;
+        day.attended += rec.weight * rec.credit;
+    });
+    let { attended, total } = carryOver;
+    return Object.keys(byDate).sort().map(date => {
+        attended += byDate[date].attended;
+        total += byDate[date].total;
+        return { date, label: dateFromKey(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }), percentage: Math.round((attended / total) * 1000) / 10 };
+    });
+};
+
+// Attended and missed weight per weekday, in calendar order, skipping days with no marks.
+export const buildWeekdayBreakdown = (weightedRecords) => {
+    const byDay = {};
+    weightedRecords.forEach(rec => {
+        const dayName = dayNameOfKey(rec.date);
+        const day = byDay[dayName] || (byDay[dayName] = { day: dayName.slice(0, 3), attended: 0, missed: 0 });
+        day.attended += rec.weight * rec.credit;
+        day.missed += rec.weight * (1 - rec.credit);
+    });
+    return DAY_NAMES.filter(dayName => byDay[dayName]).map(dayName => byDay[dayName]);
+};
+
+// One status per day of a month for the heatmap: 'present', 'absent', 'mixed', 'unmarked' or null for no counted classes.
+export const buildMonthHeatmap = (year, month, weightedRecords, timetable, semester, attendanceRecords, subjectId = null, now = new Date()) => {
+    const recordsByDate = {};
+    weightedRecords.forEach(rec => { (recordsByDate[rec.date] = recordsByDate[rec.date] || []).push(rec); });
+    const todayKey = toDateKey(now);
+    const nowTime = getTimeOfDay(now);
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    return Array.from({ length: daysInMonth }, (_, i) => {
+        const dateKey = toDateKey(new Date(year, month, i + 1, 12));
+        const marked = recordsByDate[dateKey] || [];
+        const hasUnmarked = dateKey <= todayKey && getHeldClasses(timetable, semester, dateKey)
+            .some(entry => (subjectId === null || entry.subjectId === subjectId) && !(dateKey === todayKey && entry.endTime > nowTime) && !attendanceRecords[recordKey(dateKey, entry.id)]);
+        let status = null;
+        if (hasUnmarked) status = 'unmarked';
+        else if (marked.length > 0 && marked.every(rec => rec.credit === 1)) status = 'present';
+        else if (marked.length > 0 && marked.every(rec => rec.credit === 0)) status = 'absent';
+        else if (marked.length > 0) status = 'mixed';
+        return { dateKey, day: i + 1, status };
+    });
+};
+
+// A subject's percentage once `entry` is marked `statusId`, replacing the mark `record` it already has (if any).
+export const percentageAfterMark = (stat, entry, record, statusId, statuses) => {
+    let { attended, total } = stat || { attended: 0, total: 0 };
+    const count = (credit, weight, sign) => {
+        if (credit === null) return;
+        attended += sign * weight * credit;
+        total += sign * weight;
+    };
+    if (record) count(getStatusCredit(statuses, record.status), record.weight ?? getClassWeight(entry), -1);
+    count(getStatusCredit(statuses, statusId), getClassWeight(entry), 1);
+    return total > 0 ? (attended / total) * 100 : 0;
+};
+
+// --- Stats & projections ---
+// Works out how many of the remaining classes can be skipped while finishing at or above the
+// threshold, or how many consecutive classes are needed to climb back to it.
+export const projectAttendance = ({ attended, total }, threshold, remaining, hasEndDate) => {
+    const EPSILON = 1e-9;
+    const ratio = threshold / 100;
+    const percentage = total > 0 ? (attended / total) * 100 : 0;
+    const finalTotal = total + remaining;
+    const bestCase = finalTotal > 0 ? ((attended + remaining) / finalTotal) * 100 : 0;
+    const reachable = !hasEndDate || attended + remaining >= ratio * finalTotal - EPSILON;
+
+    let mustAttend = 0;
+    if (total > 0 && percentage < threshold) {
+        mustAttend = ratio >= 1 ? Infinity : Math.ceil((ratio * total - attended) / (1 - ratio) - EPSILON);
+    }
+
+    // Without a semester end date the only honest answer is "consecutive skips starting now".
+    const canSkip = hasEndDate
+        ? Math.min(remaining, Math.max(0, Math.floor(attended + remaining - ratio * finalTotal + EPSILON)))
+        : (ratio > 0 && mustAttend === 0 ? Math.max(0, Math.floor(attended / ratio - total + EPSILON)) : 0);
+
+    let message;
+    if (total === 0 && remaining === 0) message = hasEndDate ? 'No classes marked or scheduled before the semester ends.' : 'No classes marked yet.';
+    else if (!reachable) message = `Even attending all ${remaining} remaining class(es) only gets you to ${bestCase.toFixed(1)}%.`;
+    else if (mustAttend > 0) message = `Attend the next ${mustAttend} class(es) in a row to get back to ${threshold}%.`;
+    else if (hasEndDate) message = `You can skip ${canSkip} of the ${remaining} remaining class(es) and stay at or above ${threshold}%.`;
+    else message = `You can safely skip the next ${canSkip} class(es).`;
+
+    return { remaining, canSkip, mustAttend, reachable, bestCase, message, hasEndDate };
+};
+
+// Attended and total classes per subject (by weight and status credit), overall and per class type.
+export const computeSubjectStats = (subjects, attendanceRecords, timetable, semester, statuses) => {
+    const stats = {};
+    const weightedRecords = getWeightedRecords(attendanceRecords, timetable, semester, statuses);
+    subjects.forEach(subject => {
+        const byType = {};
+        weightedRecords
+            .filter(rec => rec.subjectId === subject.id)
+            .forEach(rec => {
+                const bucket = byType[rec.classType] || (byType[rec.classType] = { attended: 0, total: 0 });
+                bucket.total += rec.weight;
+                bucket.attended += rec.weight * rec.credit;
+            });
+        Object.values(byType).forEach(bucket => { bucket.percentage = bucket.total > 0 ? (bucket.attended / bucket.total) * 100 : 0; });
+        const carryOver = subject.carryOver || { attended: 0, total: 0 };
+        const attended = carryOver.attended + Object.values(byType).reduce((sum, bucket) => sum + bucket.attended, 0);
+        const total = carryOver.total + Object.values(byType).reduce((sum, bucket) => sum + bucket.total, 0);
+        const percentage = total > 0 ? (attended / total) * 100 : 0;
+        stats[subject.id] = { attended, total, percentage, byType };
+    });
+    return stats;
+};
+
+export const computeOverallAttendance = (subjectStats) => {
+    const totalAttended = Object.values(subjectStats).reduce((sum, stat) => sum + stat.attended, 0);
+    const totalConducted = Object.values(subjectStats).reduce((sum, stat) => sum + stat.total, 0);
+    const percentage = totalConducted > 0 ? (totalAttended / totalConducted) * 100 : 0;
+    return { percentage, totalAttended, totalConducted };
+};
+
+// --- Local-date migration ---
+// Records used to be keyed by the UTC date of the moment they were marked, as were the dates in
+// `semester.overrides`. That date is a day early east of UTC in the small hours and a day late west
+// of it in the evening. A weekly class is always held on its own weekday, so a date one day off that
+// weekday is moved back onto it; marks for extra classes follow the date of the calendar change that
+// adds the class. Anything that can't be placed (its class was deleted) keeps its date.
+
+// `dateKey`, or the day either side of it, whichever falls on `dayName`.
+const nearestDayNamed = (dateKey, dayName) => [dateKey, addDaysToKey(dateKey, -1), addDaysToKey(dateKey, 1)].find(key => dayNameOfKey(key) === dayName) || dateKey;
+
+const mergeOverrides = (a, b) => ({
+    cancelled: [...new Set([...(a.cancelled || []), ...(b.cancelled || [])])],
+    extra: [...(a.extra || []), ...(b.extra || []).filter(entry => !(a.extra || []).some(other => other.id === entry.id))],
+});
+
+// Returns the semester and records with every key on the local date of its class, and how many moved.
+export const rekeyToLocalDates = ({ timetable, semester, attendanceRecords }) => {
+    const weeklyDays = new Map();
+    Object.entries(timetable).forEach(([day, entries]) => entries.forEach(entry => weeklyDays.set(entry.id, day)));
+
+    // A calendar change moves when every class it cancels points to the same weekday.
+    const overrides = {};
+    let moved = 0;
+    Object.entries(semester.overrides || {}).forEach(([dateKey, override]) => {
+        const days = new Set((override.cancelled || []).map(id => weeklyDays.get(id)));
+        const target = days.size === 1 && !days.has(undefined) ? nearestDayNamed(dateKey, [...days][0]) : dateKey;
+        if (target !== dateKey) moved++;
+        overrides[target] = overrides[target] ? mergeOverrides(overrides[target], override) : override;
+    });
+    const extraDates = new Map();
+    Object.entries(overrides).forEach(([dateKey, override]) => (override.extra || []).forEach(entry => extraDates.set(entry.id, dateKey)));
+
+    const targetDate = (dateKey, entryId) => {
+        if (weeklyDays.has(entryId)) return nearestDayNamed(dateKey, weeklyDays.get(entryId));
+        const extraDate = extraDates.get(entryId);
+        return extraDate && [addDaysToKey(dateKey, -1), addDaysToKey(dateKey, 1)].includes(extraDate) ? extraDate : dateKey;
+    };
+
+    // Records already on the right date win over ones moved onto it.
+    const records = {};
+    const moves = [];
+    Object.entries(attendanceRecords).forEach(([key, record]) => {
+        const [dateKey] = key.split('_');
+        const entryId = getRecordEntryId(key);
+        const target = targetDate(dateKey, entryId);
+        if (target === dateKey) records[key] = record;
+        else moves.push([recordKey(target, entryId), { ...record, date: target }]);
+    });
+    moves.forEach(([key, record]) => {
+        moved++;
+        if (!records[key]) records[key] = record;
+    });
+
+    return { semester: { ...semester, overrides }, attendanceRecords: records, moved };
+};
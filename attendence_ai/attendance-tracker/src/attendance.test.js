@@ -0,0 +1,248 @@
+import { recordKey, getRecordEntryId, markClasses, removeTimetableEntry, listClassesInRange, listUnmarkedClasses, getWeightedRecords, getCarryOverTotal, buildAttendanceTrend, buildWeekdayBreakdown, buildMonthHeatmap, computeSubjectStats, computeOverallAttendance, projectAttendance, percentageAfterMark, rekeyToLocalDates } from './attendance';
+import { maths, physicsLab, sampleData } from './testData';
+
+const mark = (records, entry, dateKey, status) => markClasses(records, [{ dateKey, entry }], status);
+
+describe('marking', () => {
+    test('keys a record by class date and entry id', () => {
+        expect(recordKey('2024-01-01', 10)).toBe('2024-01-01_10');
+        expect(getRecordEntryId('2024-01-01_1706000000000')).toBe(1706000000000);
+    });
+
+    test('stores the subject, type and weight the class had when marked', () => {
+        const records = markClasses({}, [{ dateKey: '2024-01-01', entry: maths }, { dateKey: '2024-01-01', entry: physicsLab }], 'present');
+        expect(records).toEqual({
+            '2024-01-01_10': { subjectId: 1, status: 'present', date: '2024-01-01', classType: 'lecture', weight: 1 },
+            '2024-01-01_11': { subjectId: 2, status: 'present', date: '2024-01-01', classType: 'lab', weight: 2 },
+        });
+    });
+
+    test('re-marking replaces the earlier mark without touching the input', () => {
+        const first = mark({}, maths, '2024-01-01', 'present');
+        const second = mark(first, maths, '2024-01-01', 'absent');
+        expect(first['2024-01-01_10'].status).toBe('present');
+        expect(Object.keys(second)).toEqual(['2024-01-01_10']);
+        expect(second['2024-01-01_10'].status).toBe('absent');
+    });
+});
+
+describe('removeTimetableEntry', () => {
+    test('removes a class never marked before the date, with all of its marks', () => {
+        const { timetable } = sampleData();
+        const records = mark(mark({}, maths, '2024-01-08', 'present'), physicsLab, '2024-01-08', 'absent');
+        const next = removeTimetableEntry({ timetable, attendanceRecords: records }, 'Monday', maths.id, '2024-01-08');
+        expect(next.timetable.Monday).toEqual([physicsLab]);
+        expect(Object.keys(next.attendanceRecords)).toEqual(['2024-01-08_11']);
+        expect(removeTimetableEntry({ timetable, attendanceRecords: records }, 'Monday', maths.id).attendanceRecords).toEqual(next.attendanceRecords);
+    });
+
+    test('ends a class with earlier marks the day before, dropping only the later marks', () => {
+        const { timetable } = sampleData();
+        const records = mark(mark({}, maths, '2024-01-01', 'present'), maths, '2024-01-15', 'absent');
+        const next = removeTimetableEntry({ timetable, attendanceRecords: records }, 'Monday', maths.id, '2024-01-08');
+        expect(next.timetable.Monday).toEqual([{ ...maths, validUntil: '2024-01-07' }, physicsLab]);
+        expect(Object.keys(next.attendanceRecords)).toEqual(['2024-01-01_10']);
+    });
+});
+
+describe('computeSubjectStats', () => {
+    test('counts classes by weight and status credit', () => {
+        const { subjects, timetable, semester, statuses } = sampleData();
+        let records = mark({}, maths, '2024-01-01', 'present');
+        records = mark(records, maths, '2024-01-08', 'late');
+        records = mark(records, maths, '2024-01-15', 'excused');
+        records = mark(records, physicsLab, '2024-01-01', 'absent');
+        records = mark(records, physicsLab, '2024-01-08', 'present');
+        const stats = computeSubjectStats(subjects, records, timetable, semester, statuses);
+        expect(stats[1]).toMatchObject({ attended: 1.5, total: 2, percentage: 75 });
+        expect(stats[2]).toMatchObject({ attended: 2, total: 4, percentage: 50 });
+        expect(stats[2].byType.lab).toEqual({ attended: 2, total: 4, percentage: 50 });
+        expect(computeOverallAttendance(stats)).toEqual({ percentage: (3.5 / 6) * 100, totalAttended: 3.5, totalConducted: 6 });
+    });
+
+    test('drops marks on days later declared holidays or cancelled', () => {
+        const { subjects, timetable, semester, statuses } = sampleData();
+        let records = mark({}, maths, '2024-01-01', 'absent');
+        records = mark(records, maths, '2024-01-08', 'absent');
+        records = mark(records, maths, '2024-01-15', 'present');
+        const changed = { ...semester, holidays: [{ id: 1, start: '2024-01-01', end: '2024-01-01', label: 'New Year' }], overrides: { '2024-01-08': { cancelled: [10], extra: [] } } };
+        expect(computeSubjectStats(subjects, records, timetable, changed, statuses)[1]).toMatchObject({ attended: 1, total: 1, percentage: 100 });
+    });
+
+    test('adds carried-over counts and reports 0% for subjects with nothing marked', () => {
+        const { timetable, semester, statuses } = sampleData();
+        const subjects = [{ id: 1, name: 'Maths', threshold: 75, carryOver: { attended: 3, total: 4 } }, { id: 2, name: 'Physics', threshold: 75 }];
+        const stats = computeSubjectStats(subjects, mark({}, maths, '2024-01-01', 'present'), timetable, semester, statuses);
+        expect(stats[1]).toMatchObject({ attended: 4, total: 5, percentage: 80 });
+        expect(stats[2]).toEqual({ attended: 0, total: 0, percentage: 0, byType: {} });
+    });
+});
+
+describe('attendance history', () => {
+    // Maths: present, late (half credit), excused (not counted). The two-hour lab: absent, present.
+    const markedSemester = () => {
+        let records = mark({}, maths, '2024-01-01', 'present');
+        records = mark(records, maths, '2024-01-08', 'late');
+        records = mark(records, maths, '2024-01-15', 'excused');
+        records = mark(records, physicsLab, '2024-01-01', 'absent');
+        records = mark(records, physicsLab, '2024-01-08', 'present');
+        return { ...sampleData(), attendanceRecords: records };
+    };
+    const weighted = ({ attendanceRecords, timetable, semester, statuses }, subjectId = null) => getWeightedRecords(attendanceRecords, timetable, semester, statuses, subjectId);
+
+    test('the trend is cumulative per marked date and ends at the subject percentage', () => {
+        const data = markedSemester();
+        const subjects = [{ ...data.subjects[0], carryOver: { attended: 3, total: 4 } }, data.subjects[1]];
+        const stats = computeSubjectStats(subjects, data.attendanceRecords, data.timetable, data.semester, data.statuses);
+        const mathsTrend = buildAttendanceTrend(weighted(data, 1), subjects[0].carryOver);
+        expect(mathsTrend).toEqual([{ date: '2024-01-01', label: 'Jan 1', percentage: 80 }, { date: '2024-01-08', label: 'Jan 8', percentage: 75 }]);
+        expect(mathsTrend[mathsTrend.length - 1].percentage).toBe(stats[1].percentage);
+        // The lab weighs two: absent then present is 0% then 50%.
+        expect(buildAttendanceTrend(weighted(data, 2)).map(point => point.percentage)).toEqual([0, 50]);
+        expect(stats[2].percentage).toBe(50);
+    });
+
+    test('the overall trend adds up every subject and their carried-over counts', () => {
+        const data = markedSemester();
+        const subjects = [{ ...data.subjects[0], carryOver: { attended: 3, total: 4 } }, { ...data.subjects[1], carryOver: { attended: 1, total: 2 } }];
+        const trend = buildAttendanceTrend(weighted(data), getCarryOverTotal(subjects));
+        // 1 Jan: 4 + 1 of 6 + 3; 8 Jan: 4 + 2.5 more of 3 more.
+        expect(trend.map(point => point.percentage)).toEqual([55.6, 62.5]);
+        const overall = computeOverallAttendance(computeSubjectStats(subjects, data.attendanceRecords, data.timetable, data.semester, data.statuses));
+        expect(trend[trend.length - 1].percentage).toBe(Math.round(overall.percentage * 10) / 10);
+    });
+
+    test('the weekday bars split each class weight into attended and missed', () => {
+        const data = markedSemester();
+        const extra = { id: 20, subjectId: 1, timeSlotId: 102, startTime: '11:00', endTime: '12:00', isExtra: true };
+        data.semester = { ...data.semester, overrides: { '2024-01-10': { cancelled: [], extra: [extra] } } };
+        data.attendanceRecords = mark(data.attendanceRecords, extra, '2024-01-10', 'absent');
+        expect(buildWeekdayBreakdown(weighted(data))).toEqual([{ day: 'Mon', attended: 3.5, missed: 2.5 }, { day: 'Wed', attended: 0, missed: 1 }]);
+        expect(buildWeekdayBreakdown(weighted(data, 1))).toEqual([{ day: 'Mon', attended: 1.5, missed: 0.5 }, { day: 'Wed', attended: 0, missed: 1 }]);
+    });
+
+    describe('buildMonthHeatmap', () => {
+        const heatmapData = () => {
+            let records = markClasses({}, [{ dateKey: '2024-01-01', entry: maths }, { dateKey: '2024-01-01', entry: physicsLab }], 'present');
+            records = markClasses(records, [{ dateKey: '2024-01-08', entry: maths }, { dateKey: '2024-01-08', entry: physicsLab }], 'absent');
+            records = mark(mark(records, maths, '2024-01-15', 'late'), physicsLab, '2024-01-15', 'present');
+            records = mark(records, physicsLab, '2024-01-29', 'present');
+            const data = sampleData({ attendanceRecords: records });
+            return { ...data, semester: { ...data.semester, holidays: [{ id: 1, start: '2024-01-22', end: '2024-01-22', label: 'Break' }] } };
+        };
+        const statusesByDate = (data, subjectId, now) => Object.fromEntries(
+            buildMonthHeatmap(2024, 0, weighted(data, subjectId), data.timetable, data.semester, data.attendanceRecords, subjectId, now)
+                .filter(day => day.status !== null).map(day => [day.dateKey, day.status]));
+
+        test('colours each day by its marks, leaving holidays and days without classes blank', () => {
+            const data = heatmapData();
+            const days = buildMonthHeatmap(2024, 0, weighted(data), data.timetable, data.semester, data.attendanceRecords, null, new Date(2024, 0, 31, 23));
+            expect(days).toHaveLength(31);
+            expect(days[1]).toEqual({ dateKey: '2024-01-02', day: 2, status: null });
+            expect(statusesByDate(data, null, new Date(2024, 0, 31, 23))).toEqual({
+                '2024-01-01': 'present', '2024-01-08': 'absent', '2024-01-15': 'mixed', '2024-01-29': 'unmarked',
+            });
+        });
+
+        test('only counts the chosen subject, and not classes still to come', () => {
+            const data = heatmapData();
+            expect(statusesByDate(data, 2, new Date(2024, 0, 31, 23))['2024-01-29']).toBe('present');
+            expect(statusesByDate(data, 1, new Date(2024, 0, 31, 23))['2024-01-29']).toBe('unmarked');
+            expect(statusesByDate(data, 1, new Date(2024, 0, 15, 12))['2024-01-15']).toBe('mixed');
+            expect(statusesByDate(data, 1, new Date(2024, 0, 29, 9, 30))['2024-01-29']).toBeUndefined();
+        });
+    });
+});
+
+describe('percentageAfterMark', () => {
+    test('previews a new mark and a change of mark', () => {
+        const { statuses } = sampleData();
+        const stat = { attended: 3, total: 4 };
+        expect(percentageAfterMark(stat, maths, undefined, 'absent', statuses)).toBe(60);
+        expect(percentageAfterMark(stat, maths, { status: 'absent', weight: 1 }, 'present', statuses)).toBe(100);
+        expect(percentageAfterMark(stat, physicsLab, undefined, 'excused', statuses)).toBe(75);
+        expect(percentageAfterMark(undefined, maths, undefined, 'late', statuses)).toBe(50);
+    });
+});
+
+describe('projectAttendance', () => {
+    test('works out how many remaining classes can be skipped', () => {
+        expect(projectAttendance({ attended: 8, total: 10 }, 75, 10, true)).toMatchObject({ canSkip: 3, mustAttend: 0, reachable: true });
+    });
+
+    test('works out how many classes in a row are needed to recover', () => {
+        expect(projectAttendance({ attended: 5, total: 10 }, 75, 20, true)).toMatchObject({ canSkip: 2, mustAttend: 10, reachable: true });
+        expect(projectAttendance({ attended: 0, total: 10 }, 75, 5, true)).toMatchObject({ reachable: false });
+    });
+});
+
+describe('listClassesInRange', () => {
+    const keys = (classes) => classes.map(({ dateKey, entry }) => recordKey(dateKey, entry.id));
+    const endOfJanuary = new Date(2024, 0, 31, 23);
+
+    test('lists the held classes of a range, for one subject or all', () => {
+        const { timetable, semester } = sampleData();
+        expect(keys(listClassesInRange(timetable, semester, {}, '2024-01-01', '2024-01-08', {}, endOfJanuary))).toEqual(['2024-01-01_10', '2024-01-01_11', '2024-01-08_10', '2024-01-08_11']);
+        expect(keys(listClassesInRange(timetable, semester, {}, '2024-01-01', '2024-01-14', { subjectId: 2 }, endOfJanuary))).toEqual(['2024-01-01_11', '2024-01-08_11']);
+        expect(listClassesInRange(timetable, semester, {}, '', '2024-01-14', {}, endOfJanuary)).toEqual([]);
+    });
+
+    test('leaves out marked classes only when asked to', () => {
+        const { timetable, semester } = sampleData();
+        const records = mark({}, maths, '2024-01-01', 'absent');
+        expect(keys(listClassesInRange(timetable, semester, records, '2024-01-01', '2024-01-01', {}, endOfJanuary))).toEqual(['2024-01-01_10', '2024-01-01_11']);
+        expect(keys(listClassesInRange(timetable, semester, records, '2024-01-01', '2024-01-01', { onlyUnmarked: true }, endOfJanuary))).toEqual(['2024-01-01_11']);
+    });
+
+    test('skips holidays and cancelled classes', () => {
+        const { timetable, semester } = sampleData();
+        const changed = { ...semester, holidays: [{ id: 1, start: '2024-01-08', end: '2024-01-08', label: 'Break' }], overrides: { '2024-01-15': { cancelled: [11], extra: [] } } };
+        expect(keys(listClassesInRange(timetable, changed, {}, '2024-01-08', '2024-01-15', {}, endOfJanuary))).toEqual(['2024-01-15_10']);
+    });
+
+    test('stops at classes that have not ended yet', () => {
+        const { timetable, semester } = sampleData();
+        // Monday 15 January at 10:30: Maths has ended, the lab is still on.
+        expect(keys(listClassesInRange(timetable, semester, {}, '2024-01-08', '2024-01-31', {}, new Date(2024, 0, 15, 10, 30)))).toEqual(['2024-01-08_10', '2024-01-08_11', '2024-01-15_10']);
+    });
+});
+
+describe('listUnmarkedClasses', () => {
+    test('lists held classes that have ended and were never marked', () => {
+        const { timetable, semester } = sampleData();
+        const records = mark({}, maths, '2024-01-01', 'present');
+        const unmarked = listUnmarkedClasses(timetable, semester, records, new Date(2024, 0, 8, 10, 30));
+        // Monday 8 January at 10:30: Maths has ended, the lab hasn't.
+        expect(unmarked.map(({ dateKey, entry }) => recordKey(dateKey, entry.id))).toEqual(['2024-01-01_11', '2024-01-08_10']);
+    });
+});
+
+describe('rekeyToLocalDates', () => {
+    const utcRecord = (subjectId, date) => ({ subjectId, status: 'present', date });
+
+    test('moves weekly marks a day off their weekday back onto it', () => {
+        const { timetable, semester } = sampleData();
+        // Monday classes marked on a New York evening (keyed Tuesday) and an IST small hours (keyed Sunday).
+        const attendanceRecords = { '2024-01-02_10': utcRecord(1, '2024-01-02'), '2023-12-31_11': utcRecord(2, '2023-12-31'), '2024-01-08_10': utcRecord(1, '2024-01-08') };
+        const next = rekeyToLocalDates({ timetable, semester, attendanceRecords });
+        expect(next.attendanceRecords).toEqual({ '2024-01-01_10': utcRecord(1, '2024-01-01'), '2024-01-01_11': utcRecord(2, '2024-01-01'), '2024-01-08_10': utcRecord(1, '2024-01-08') });
+        expect(next.moved).toBe(2);
+    });
+
+    test('moves calendar changes with the classes they cancel and extra-class marks with them', () => {
+        const { timetable, semester } = sampleData();
+        const extra = { id: 20, subjectId: 1, timeSlotId: 102, startTime: '18:00', endTime: '19:00', isExtra: true };
+        const overrides = { '2024-01-09': { cancelled: [10], extra: [extra] } };
+        const next = rekeyToLocalDates({ timetable, semester: { ...semester, overrides }, attendanceRecords: { '2024-01-07_20': utcRecord(1, '2024-01-07') } });
+        expect(next.semester.overrides).toEqual({ '2024-01-08': overrides['2024-01-09'] });
+        expect(Object.keys(next.attendanceRecords)).toEqual(['2024-01-08_20']);
+    });
+
+    test('leaves correct and unplaceable keys alone, and never overwrites a correct mark', () => {
+        const { timetable, semester } = sampleData();
+        const attendanceRecords = { '2024-01-01_10': { ...utcRecord(1, '2024-01-01'), status: 'absent' }, '2024-01-02_10': utcRecord(1, '2024-01-02'), '2024-01-03_99': utcRecord(1, '2024-01-03') };
+        const next = rekeyToLocalDates({ timetable, semester, attendanceRecords });
+        expect(next.attendanceRecords).toEqual({ '2024-01-01_10': attendanceRecords['2024-01-01_10'], '2024-01-03_99': attendanceRecords['2024-01-03_99'] });
+        expect(rekeyToLocalDates({ timetable, semester, attendanceRecords: next.attendanceRecords }).moved).toBe(0);
+    });
+});
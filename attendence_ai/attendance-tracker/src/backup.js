@@ -0,0 +1,255 @@
+import { DEFAULT_STATUSES, STATUS_POLICIES, STATUS_COLORS } from './statuses';
+import { DAY_NAMES, dayNameOfKey } from './dates';
+import { rekeyToLocalDates } from './attendance';
+
+// --- Backup, Restore & Migration ---
+// A backup is a single JSON document holding everything the tracker keeps in localStorage.
+// `version` is bumped whenever the shape of `data` changes; older backups are migrated on import.
+// Version 2 keys records by local rather than UTC date.
+
+export const SCHEMA_VERSION = 2;
+export const BACKUP_APP_ID = 'attendance-pro';
+
+export const STORAGE_KEYS = {
+    subjects: 'attendance-subjects',
+    timetable: 'attendance-timetable',
+    timeSlots: 'attendance-timeSlots',
+    attendanceRecords: 'attendance-records',
+    semester: 'attendance-semester',
+    statuses: 'attendance-statuses',
+    darkMode: 'dark-mode',
+};
+
+const RECORD_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}_\d+$/;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// The old single-screen tracker (attendence_ai/react.js) stored running `attended`/`total` counts on
+// each subject. Those become a `carryOver` baseline that subject stats add on top of dated records.
+export const migrateLegacySubject = (subject) => {
+    if (subject.attended === undefined && subject.total === undefined) return subject;
+    const { attended, total, ...rest } = subject;
+    const carried = { attended: parseInt(attended, 10) || 0, total: parseInt(total, 10) || 0 };
+    return { ...rest, threshold: parseInt(rest.threshold, 10) || 75, carryOver: carried.total > 0 ? carried : undefined };
+};
+
+export const migrateLegacySubjects = (subjects) => (Array.isArray(subjects) ? subjects.map(migrateLegacySubject) : subjects);
+
+// --- Validation ---
+const fail = (message) => { throw new Error(`Invalid backup: ${message}`); };
+
+const validateSubjects = (subjects) => {
+    if (!Array.isArray(subjects)) fail('subjects must be a list.');
+    subjects.forEach((subject, i) => {
+        if (!isObject(subject) || typeof subject.id !== 'number') fail(`subject #${i + 1} has no numeric id.`);
+        if (typeof subject.name !== 'string' || !subject.name.trim()) fail(`subject #${i + 1} has no name.`);
+        if (typeof subject.threshold !== 'number' || subject.threshold < 0 || subject.threshold > 100) fail(`subject "${subject.name}" has an invalid threshold.`);
+    });
+};
+
+const validateTimeSlots = (timeSlots) => {
+    if (!Array.isArray(timeSlots)) fail('timeSlots must be a list.');
+    timeSlots.forEach((slot, i) => {
+        if (!isObject(slot) || typeof slot.id !== 'number') fail(`time slot #${i + 1} has no numeric id.`);
+        if (!TIME_PATTERN.test(slot.start) || !TIME_PATTERN.test(slot.end)) fail(`time slot #${i + 1} has invalid times.`);
+    });
+};
+
+const validateEntry = (entry, where) => {
+    if (!isObject(entry) || typeof entry.id !== 'number') fail(`${where} has no numeric id.`);
+    if (typeof entry.subjectId !== 'number') fail(`${where} has no subject.`);
+    if (entry.weight !== undefined && !(typeof entry.weight === 'number' && entry.weight > 0)) fail(`${where} has an invalid weight.`);
+    if (!TIME_PATTERN.test(entry.startTime) || !TIME_PATTERN.test(entry.endTime)) fail(`${where} has invalid times.`);
+};
+
+const validateTimetable = (timetable) => {
+    if (!isObject(timetable)) fail('timetable must be an object keyed by day.');
+    Object.entries(timetable).forEach(([day, entries]) => {
+        if (!Array.isArray(entries)) fail(`timetable for ${day} must be a list.`);
+        entries.forEach((entry, i) => validateEntry(entry, `${day} class #${i + 1}`));
+    });
+};
+
+const validateStatuses = (statuses) => {
+    if (!Array.isArray(statuses) || statuses.length === 0) fail('statuses must be a non-empty list.');
+    statuses.forEach((status, i) => {
+        if (!isObject(status) || typeof status.id !== 'string' || !status.id) fail(`status #${i + 1} has no id.`);
+        if (typeof status.label !== 'string' || !status.label.trim()) fail(`status "${status.id}" has no label.`);
+        if (!STATUS_POLICIES[status.policy]) fail(`status "${status.id}" has an unknown policy "${status.policy}".`);
+        if (status.policy === 'fractional' && !(typeof status.credit === 'number' && status.credit >= 0 && status.credit <= 1)) fail(`status "${status.id}" needs a credit between 0 and 1.`);
+        if (status.color !== undefined && !STATUS_COLORS[status.color]) fail(`status "${status.id}" has an unknown colour.`);
+    });
+};
+
+const validateRecords = (records) => {
+    if (!isObject(records)) fail('attendanceRecords must be an object.');
+    Object.entries(records).forEach(([key, record]) => {
+        if (!RECORD_KEY_PATTERN.test(key)) fail(`record key "${key}" is not in the YYYY-MM-DD_entryId format.`);
+        if (!isObject(record) || typeof record.subjectId !== 'number' || typeof record.status !== 'string') fail(`record "${key}" is incomplete.`);
+        if (record.date !== key.split('_')[0]) fail(`record "${key}" has a mismatched date.`);
+    });
+};
+
+const validateSemester = (semester) => {
+    if (!isObject(semester)) fail('semester must be an object.');
+    ['startDate', 'endDate'].forEach(field => {
+        if (semester[field] && !DATE_KEY_PATTERN.test(semester[field])) fail(`semester ${field} is not a date.`);
+    });
+    if (!Array.isArray(semester.holidays)) fail('semester holidays must be a list.');
+    if (!Array.isArray(semester.workingDays) || semester.workingDays.some(day => !DAY_NAMES.includes(day))) fail('semester working days must be a list of weekday names.');
+    if (!Number.isInteger(semester.weekStartsOn) || semester.weekStartsOn < 0 || semester.weekStartsOn > 6) fail('semester week start must be a weekday number.');
+    if (!isObject(semester.overrides)) fail('semester overrides must be an object.');
+    Object.entries(semester.overrides).forEach(([dateKey, override]) => {
+        (override.extra || []).forEach((entry, i) => validateEntry(entry, `extra class #${i + 1} on ${dateKey}`));
+    });
+};
+
+export const validateData = (data) => {
+    if (!isObject(data)) fail('no data section.');
+    validateSubjects(data.subjects);
+    validateTimeSlots(data.timeSlots);
+    validateTimetable(data.timetable);
+    validateRecords(data.attendanceRecords);
+    validateSemester(data.semester);
+    validateStatuses(data.statuses);
+
+    const statusIds = new Set(data.statuses.map(s => s.id));
+    const unknownStatus = Object.entries(data.attendanceRecords).find(([, record]) => !statusIds.has(record.status));
+    if (unknownStatus) fail(`record "${unknownStatus[0]}" uses the status "${unknownStatus[1].status}", which is not in the backup.`);
+
+    const subjectIds = new Set(data.subjects.map(s => s.id));
+    const orphan = Object.entries(data.attendanceRecords).find(([, record]) => !subjectIds.has(record.subjectId));
+    if (orphan) fail(`record "${orphan[0]}" belongs to a subject that is not in the backup.`);
+    return data;
+};
+
+// --- Import ---
+const withDefaults = (data) => ({
+    subjects: migrateLegacySubjects(data.subjects || []),
+    timetable: data.timetable || {},
+    timeSlots: data.timeSlots || [],
+    attendanceRecords: data.attendanceRecords || {},
+    semester: { startDate: '', endDate: '', holidays: [], overrides: {}, workingDays: DAY_NAMES.slice(1, 6), weekStartsOn: 1, ...data.semester },
+    statuses: data.statuses || DEFAULT_STATUSES,
+    darkMode: !!data.darkMode,
+});
+
+// Brings any supported input up to the current schema:
+//  - a versioned backup produced by `createBackup`,
+//  - a raw dump of the localStorage keys (`{ "attendance-subjects": [...], ... }`),
+//  - the legacy `attendance-subjects` list of `{ name, attended, total, threshold }`.
+const migrate = (parsed) => {
+    if (Array.isArray(parsed)) return withDefaults({ subjects: parsed });
+    if (!isObject(parsed)) fail('expected a JSON object.');
+
+    if (parsed.version === undefined) {
+        const fromStorage = {};
+        Object.entries(STORAGE_KEYS).forEach(([field, storageKey]) => {
+            if (parsed[storageKey] !== undefined) fromStorage[field] = parsed[storageKey];
+        });
+        if (Object.keys(fromStorage).length === 0) fail('no tracker data found.');
+        return withDefaults(fromStorage);
+    }
+
+    if (parsed.app !== BACKUP_APP_ID) fail('this file was not exported by Attendance Pro.');
+    if (typeof parsed.version !== 'number' || parsed.version > SCHEMA_VERSION) fail(`unsupported version ${parsed.version}; please update the app.`);
+    return withDefaults(parsed.data || {});
+};
+
+export const parseBackup = (text) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        fail('the file is not valid JSON.');
+    }
+    const data = validateData(migrate(parsed));
+    if (parsed.version >= 2) return data;
+    const { semester, attendanceRecords } = rekeyToLocalDates(data);
+    return { ...data, semester, attendanceRecords };
+};
+
+const unionById = (current, incoming) => {
+    const byId = new Map(current.map(item => [item.id, item]));
+    incoming.forEach(item => byId.set(item.id, item));
+    return [...byId.values()];
+};
+
+// Merging keeps everything already on this device and layers the backup on top: items with the
+// same id or record key are taken from the backup, everything else is kept from both sides.
+export const mergeData = (current, incoming) => {
+    const timetable = { ...current.timetable };
+    Object.entries(incoming.timetable).forEach(([day, entries]) => {
+        timetable[day] = unionById(timetable[day] || [], entries).sort((a, b) => a.startTime.localeCompare(b.startTime));
+    });
+
+    const overrides = { ...current.semester.overrides };
+    Object.entries(incoming.semester.overrides).forEach(([dateKey, override]) => {
+        const existing = { cancelled: [], extra: [], ...overrides[dateKey] };
+        overrides[dateKey] = {
+            cancelled: [...new Set([...existing.cancelled, ...(override.cancelled || [])])],
+            extra: unionById(existing.extra, override.extra || []),
+        };
+    });
+
+    return {
+        subjects: unionById(current.subjects, incoming.subjects),
+        timetable,
+        timeSlots: unionById(current.timeSlots, incoming.timeSlots).sort((a, b) => a.start.localeCompare(b.start)),
+        attendanceRecords: { ...current.attendanceRecords, ...incoming.attendanceRecords },
+        semester: {
+            startDate: current.semester.startDate || incoming.semester.startDate,
+            endDate: current.semester.endDate || incoming.semester.endDate,
+            holidays: unionById(current.semester.holidays, incoming.semester.holidays).sort((a, b) => a.start.localeCompare(b.start)),
+            overrides,
+            workingDays: current.semester.workingDays,
+            weekStartsOn: current.semester.weekStartsOn,
+        },
+        statuses: unionById(current.statuses, incoming.statuses),
+        darkMode: current.darkMode,
+    };
+};
+
+// --- Export ---
+export const createBackup = (data, exportedAt = new Date()) => JSON.stringify({
+    app: BACKUP_APP_ID,
+    version: SCHEMA_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    data,
+}, null, 2);
+
+const escapeCsv = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per attendance record, oldest first, with the subject name and class times joined in.
+export const recordsToCsv = ({ subjects, timetable, attendanceRecords, semester }) => {
+    const subjectNames = new Map(subjects.map(s => [s.id, s.name]));
+    const entries = new Map();
+    Object.values(timetable).forEach(dayEntries => dayEntries.forEach(entry => entries.set(entry.id, entry)));
+    Object.values(semester?.overrides || {}).forEach(override => (override.extra || []).forEach(entry => entries.set(entry.id, entry)));
+
+    const header = ['Date', 'Day', 'Subject', 'Type', 'Weight', 'Status', 'Start', 'End', 'Record Key'];
+    const rows = Object.entries(attendanceRecords)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, record]) => {
+            const entry = entries.get(Number(key.split('_')[1]));
+            const day = dayNameOfKey(record.date);
+            return [record.date, day, subjectNames.get(record.subjectId) || 'Deleted subject', record.classType || entry?.classType || 'lecture', record.weight ?? entry?.weight ?? 1, record.status, entry?.startTime, entry?.endTime, key];
+        });
+    return [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\r\n');
+};
+
+export const downloadFile = (filename, content, mimeType) => {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
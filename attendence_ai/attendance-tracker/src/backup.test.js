@@ -0,0 +1,103 @@
+import { parseBackup, mergeData, createBackup, recordsToCsv, migrateLegacySubject, SCHEMA_VERSION } from './backup';
+import { DEFAULT_STATUSES } from './statuses';
+import { maths, sampleData as baseData } from './testData';
+
+// One subject and one slot, so a record for Physics points at a subject the backup doesn't have.
+const sampleData = () => baseData({
+    subjects: [{ id: 1, name: 'Maths', threshold: 75 }],
+    timetable: { Monday: [maths] },
+    timeSlots: [{ id: 100, start: '09:00', end: '10:00' }],
+    attendanceRecords: { '2024-01-01_10': { subjectId: 1, status: 'present', date: '2024-01-01' } },
+    semester: { ...baseData().semester, endDate: '2024-05-31', workingDays: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'] },
+    darkMode: false,
+});
+
+describe('parseBackup', () => {
+    test('round-trips a versioned backup', () => {
+        const data = sampleData();
+        const text = createBackup(data, new Date('2024-02-01T00:00:00Z'));
+        expect(JSON.parse(text).version).toBe(SCHEMA_VERSION);
+        expect(parseBackup(text)).toEqual(data);
+    });
+
+    test('moves records in older backups onto the local date of their class', () => {
+        const data = sampleData();
+        data.attendanceRecords = { '2024-01-02_10': { subjectId: 1, status: 'present', date: '2024-01-02' } };
+        const restored = parseBackup(JSON.stringify({ app: 'attendance-pro', version: 1, data }));
+        expect(restored.attendanceRecords).toEqual({ '2024-01-01_10': { subjectId: 1, status: 'present', date: '2024-01-01' } });
+        expect(parseBackup(createBackup(data)).attendanceRecords).toEqual(data.attendanceRecords);
+    });
+
+    test('rejects backups from a newer schema', () => {
+        const text = JSON.stringify({ app: 'attendance-pro', version: SCHEMA_VERSION + 1, data: sampleData() });
+        expect(() => parseBackup(text)).toThrow(/unsupported version/);
+    });
+
+    test('rejects records that point at missing subjects', () => {
+        const data = sampleData();
+        data.attendanceRecords['2024-01-08_10'] = { subjectId: 2, status: 'absent', date: '2024-01-08' };
+        expect(() => parseBackup(createBackup(data))).toThrow(/not in the backup/);
+    });
+
+    test('rejects malformed record keys', () => {
+        const data = sampleData();
+        data.attendanceRecords['yesterday'] = { subjectId: 1, status: 'absent', date: 'yesterday' };
+        expect(() => parseBackup(createBackup(data))).toThrow(/YYYY-MM-DD_entryId/);
+    });
+
+    test('rejects records with a status that is not configured', () => {
+        const data = sampleData();
+        data.attendanceRecords['2024-01-08_10'] = { subjectId: 1, status: 'late', date: '2024-01-08' };
+        data.statuses = DEFAULT_STATUSES.filter(status => status.id !== 'late');
+        expect(() => parseBackup(createBackup(data))).toThrow(/status "late"/);
+    });
+
+    test('rejects fractional statuses without a valid credit', () => {
+        const data = sampleData();
+        data.statuses = [...DEFAULT_STATUSES, { id: 'half', label: 'Half day', policy: 'fractional', credit: 2 }];
+        expect(() => parseBackup(createBackup(data))).toThrow(/credit between 0 and 1/);
+    });
+
+    test('reads a raw localStorage dump', () => {
+        const data = sampleData();
+        const dump = { 'attendance-subjects': data.subjects, 'attendance-timetable': data.timetable, 'attendance-timeSlots': data.timeSlots, 'attendance-records': data.attendanceRecords };
+        const parsed = parseBackup(JSON.stringify(dump));
+        expect(parsed.attendanceRecords).toEqual(data.attendanceRecords);
+        expect(parsed.semester.holidays).toEqual([]);
+        expect(parsed.semester.workingDays).toEqual(['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday']);
+        expect(parsed.statuses).toEqual(DEFAULT_STATUSES);
+    });
+
+    test('migrates legacy attended/total subjects into a carry-over baseline', () => {
+        const legacy = [{ id: 1, name: 'Example Subject', attended: 15, total: 20, threshold: 75 }];
+        const parsed = parseBackup(JSON.stringify(legacy));
+        expect(parsed.subjects).toEqual([{ id: 1, name: 'Example Subject', threshold: 75, carryOver: { attended: 15, total: 20 } }]);
+    });
+});
+
+test('migrateLegacySubject leaves current subjects untouched', () => {
+    const subject = { id: 1, name: 'Maths', threshold: 75 };
+    expect(migrateLegacySubject(subject)).toBe(subject);
+});
+
+test('mergeData keeps both sides and prefers the backup on conflicts', () => {
+    const current = sampleData();
+    const incoming = sampleData();
+    incoming.subjects = [{ id: 1, name: 'Mathematics', threshold: 80 }, { id: 2, name: 'Physics', threshold: 75 }];
+    incoming.attendanceRecords = { '2024-01-08_10': { subjectId: 1, status: 'absent', date: '2024-01-08' } };
+    incoming.darkMode = true;
+
+    const merged = mergeData(current, incoming);
+    expect(merged.subjects.map(s => s.name)).toEqual(['Mathematics', 'Physics']);
+    expect(Object.keys(merged.attendanceRecords)).toEqual(['2024-01-01_10', '2024-01-08_10']);
+    expect(merged.timetable.Monday).toHaveLength(1);
+    expect(merged.darkMode).toBe(false);
+});
+
+test('recordsToCsv joins subject names and class times', () => {
+    const data = sampleData();
+    data.subjects[0].name = 'Maths, Applied';
+    const [header, row] = recordsToCsv(data).split('\r\n');
+    expect(header).toBe('Date,Day,Subject,Type,Weight,Status,Start,End,Record Key');
+    expect(row).toBe('2024-01-01,Monday,"Maths, Applied",lecture,1,present,09:00,10:00,2024-01-01_10');
+});
@@ -0,0 +1,65 @@
+// --- Dates ---
+// Calendar days are handled as YYYY-MM-DD keys and times of day as HH:MM strings, so both compare
+// correctly as plain strings. Both are always in the device's local time zone: a class on Monday at
+// 08:00 is keyed to Monday wherever the user is, never to the UTC date of that moment.
+
+export const formatTime12Hour = (timeString) => {
+    if (!timeString) return '';
+    const [hourString, minute] = timeString.split(":");
+    const hour = +hourString % 24;
+    const ampm = hour < 12 || hour === 24 ? "AM" : "PM";
+    const formattedHour = hour % 12 || 12;
+    return `${formattedHour}:${minute} ${ampm}`;
+};
+
+// Label for the span of a week, from its first to its last working date.
+export const getWeekDateRange = (dates) => {
+    const startOfWeek = dates[0];
+    const endOfWeek = dates[dates.length - 1];
+
+    const options = { month: 'short', day: 'numeric' };
+    const yearOption = { year: 'numeric' };
+    
+    const start = startOfWeek.toLocaleDateString('en-US', options);
+    const end = endOfWeek.toLocaleDateString('en-US', options);
+    const year = endOfWeek.toLocaleDateString('en-US', yearOption);
+
+    return `${start} - ${end}, ${year}`;
+};
+
+export const DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// The seven dates of the week `weekOffset` weeks from the one containing `now`, beginning on `weekStartsOn` (0 = Sunday).
+// Like every date built from a calendar day, they are anchored at local noon.
+export const getWeekDates = (weekOffset = 0, weekStartsOn = 1, now = new Date()) => {
+    const firstDay = now.getDate() - (now.getDay() - weekStartsOn + 7) % 7 + weekOffset * 7;
+    return Array.from({ length: 7 }, (_, i) => new Date(now.getFullYear(), now.getMonth(), firstDay + i, 12));
+};
+
+// Date keys are YYYY-MM-DD strings, the same format used in attendance record keys.
+// Dates built from a key are anchored at noon so the key survives the round trip.
+const pad = (value) => String(value).padStart(2, '0');
+export const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+export const dateFromKey = (dateKey) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day, 12);
+};
+export const dayNameOfKey = (dateKey) => DAY_NAMES[dateFromKey(dateKey).getDay()];
+// The moment a local time of day is reached on a calendar day, e.g. when a class ends.
+export const dateTimeFromKey = (dateKey, time) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(year, month - 1, day, hours, minutes);
+};
+export const formatDateKey = (dateKey) => dateKey ? dateFromKey(dateKey).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : '';
+export const addDaysToKey = (dateKey, days) => {
+    const date = dateFromKey(dateKey);
+    date.setDate(date.getDate() + days);
+    return toDateKey(date);
+};
+export const getTimeOfDay = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+export const minutesOfDay = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
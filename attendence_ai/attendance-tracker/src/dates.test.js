@@ -0,0 +1,76 @@
+import { formatTime12Hour, getWeekDates, toDateKey, dateFromKey, dateTimeFromKey, dayNameOfKey, addDaysToKey, getTimeOfDay, minutesOfDay } from './dates';
+
+// The suite runs in America/New_York (see testTimezone.js). US clocks went forward on 10 March 2024
+// and back on 3 November 2024.
+
+describe('formatTime12Hour', () => {
+    test('formats midnight, noon and afternoon times', () => {
+        expect(formatTime12Hour('00:30')).toBe('12:30 AM');
+        expect(formatTime12Hour('12:00')).toBe('12:00 PM');
+        expect(formatTime12Hour('23:05')).toBe('11:05 PM');
+        expect(formatTime12Hour('')).toBe('');
+    });
+});
+
+describe('getWeekDates', () => {
+    const wednesday = new Date(2024, 0, 3, 10, 0);
+
+    test('starts the week on the configured day', () => {
+        expect(getWeekDates(0, 1, wednesday).map(toDateKey)).toEqual(['2024-01-01', '2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05', '2024-01-06', '2024-01-07']);
+        expect(toDateKey(getWeekDates(0, 0, wednesday)[0])).toBe('2023-12-31');
+    });
+
+    test('moves by whole weeks across month and year ends', () => {
+        expect(toDateKey(getWeekDates(-1, 1, wednesday)[0])).toBe('2023-12-25');
+        expect(toDateKey(getWeekDates(5, 1, wednesday)[0])).toBe('2024-02-05');
+    });
+
+    test('keeps seven consecutive days in weeks where the clocks change', () => {
+        expect(getWeekDates(0, 1, new Date(2024, 2, 6, 10)).map(toDateKey)).toEqual(['2024-03-04', '2024-03-05', '2024-03-06', '2024-03-07', '2024-03-08', '2024-03-09', '2024-03-10']);
+        expect(getWeekDates(1, 1, new Date(2024, 2, 6, 10)).map(toDateKey)[0]).toBe('2024-03-11');
+        expect(getWeekDates(0, 1, new Date(2024, 9, 30, 10)).map(toDateKey)).toEqual(['2024-10-28', '2024-10-29', '2024-10-30', '2024-10-31', '2024-11-01', '2024-11-02', '2024-11-03']);
+    });
+
+    test('gives the same days whatever the time of day', () => {
+        // 21:30 in New York is already the next day in UTC; 00:15 is still the day before in IST.
+        const late = getWeekDates(0, 1, new Date(2024, 0, 7, 21, 30));
+        expect(late.map(toDateKey)).toEqual(getWeekDates(0, 1, new Date(2024, 0, 7, 0, 15)).map(toDateKey));
+        expect(toDateKey(late[6])).toBe('2024-01-07');
+        expect(late.every(date => date.getHours() === 12)).toBe(true);
+    });
+});
+
+describe('date keys', () => {
+    test('are the local calendar date, not the UTC one', () => {
+        expect(toDateKey(new Date(2024, 0, 31, 21, 0))).toBe('2024-01-31');
+        expect(toDateKey(new Date(2024, 0, 31, 0, 5))).toBe('2024-01-31');
+        expect(toDateKey(new Date(2024, 11, 31, 23, 59))).toBe('2024-12-31');
+        expect(dayNameOfKey('2024-01-31')).toBe('Wednesday');
+    });
+
+    test('addDaysToKey crosses month ends, leap days and clock changes', () => {
+        expect(addDaysToKey('2024-02-28', 1)).toBe('2024-02-29');
+        expect(addDaysToKey('2024-02-29', 1)).toBe('2024-03-01');
+        expect(addDaysToKey('2024-12-31', 1)).toBe('2025-01-01');
+        expect(addDaysToKey('2024-01-01', -1)).toBe('2023-12-31');
+        expect(addDaysToKey('2024-03-09', 2)).toBe('2024-03-11');
+        expect(addDaysToKey('2024-11-02', 2)).toBe('2024-11-04');
+    });
+
+    test('a key survives the round trip through a date, including on clock-change days', () => {
+        ['2024-01-01', '2024-03-10', '2024-11-03', '2024-12-31'].forEach(dateKey => {
+            expect(toDateKey(dateFromKey(dateKey))).toBe(dateKey);
+        });
+        expect(dateFromKey('2024-03-10').getDay()).toBe(0);
+    });
+
+    test('a class end time is the local moment on its own day', () => {
+        expect(dateTimeFromKey('2024-01-31', '21:30')).toEqual(new Date(2024, 0, 31, 21, 30));
+        expect(dateTimeFromKey('2024-03-10', '09:00').getHours()).toBe(9);
+    });
+
+    test('times of day are zero-padded and convert to minutes', () => {
+        expect(getTimeOfDay(new Date(2024, 0, 1, 7, 5))).toBe('07:05');
+        expect(minutesOfDay('09:30')).toBe(570);
+    });
+});
@@ -0,0 +1,61 @@
+import { profileKey } from './profiles';
+
+// --- Undo / Redo History ---
+// Each history entry holds only the slices of app state that an action changed, as `before`/`after`
+// pairs, so undoing puts those slices back and redoing re-applies them. The stacks live in
+// sessionStorage, one per profile: they survive a reload but not closing the tab.
+
+export const HISTORY_STORAGE_KEY = 'attendance-history';
+export const HISTORY_LIMIT = 50;
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+// The entry for an action labelled `label`, or null if it changed nothing. Slices are compared by
+// reference, which is enough because every update replaces the slice it touches.
+export const diffSnapshots = (label, before, after) => {
+    const changes = {};
+    Object.keys(after).forEach(key => {
+        if (before[key] !== after[key]) changes[key] = { before: before[key], after: after[key] };
+    });
+    return Object.keys(changes).length > 0 ? { label, changes } : null;
+};
+
+// The slices an entry sets when undone (`'before'`) or redone (`'after'`).
+export const snapshotOf = (entry, side) => Object.fromEntries(Object.entries(entry.changes).map(([key, change]) => [key, change[side]]));
+
+export const pushEntry = (history, entry) => ({ past: [...history.past, entry].slice(-HISTORY_LIMIT), future: [] });
+
+export const stepBack = (history) => {
+    const entry = history.past[history.past.length - 1];
+    if (!entry) return null;
+    return { entry, history: { past: history.past.slice(0, -1), future: [entry, ...history.future] } };
+};
+
+export const stepForward = (history) => {
+    const [entry, ...future] = history.future;
+    if (!entry) return null;
+    return { entry, history: { past: [...history.past, entry], future } };
+};
+
+export const loadHistory = () => {
+    try {
+        const stored = JSON.parse(sessionStorage.getItem(profileKey(HISTORY_STORAGE_KEY)));
+        return stored && Array.isArray(stored.past) && Array.isArray(stored.future) ? stored : EMPTY_HISTORY;
+    } catch (error) {
+        return EMPTY_HISTORY;
+    }
+};
+
+// Drops the oldest undo steps (then the furthest redo steps) until the history fits in sessionStorage.
+export const saveHistory = (history) => {
+    let trimmed = history;
+    for (;;) {
+        try {
+            sessionStorage.setItem(profileKey(HISTORY_STORAGE_KEY), JSON.stringify(trimmed));
+            return trimmed;
+        } catch (error) {
+            if (trimmed.past.length > 0) trimmed = { ...trimmed, past: trimmed.past.slice(1) };
+            else if (trimmed.future.length > 0) trimmed = { ...trimmed, future: trimmed.future.slice(0, -1) };
+            else return trimmed;
+        }
+    }
+};
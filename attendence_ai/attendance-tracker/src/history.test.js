@@ -0,0 +1,45 @@
+import { diffSnapshots, snapshotOf, pushEntry, stepBack, stepForward, saveHistory, loadHistory, EMPTY_HISTORY, HISTORY_LIMIT, HISTORY_STORAGE_KEY } from './history';
+
+const subjects = [{ id: 1, name: 'Maths', threshold: 75 }];
+const records = { '2024-01-01_10': { subjectId: 1, status: 'present', date: '2024-01-01' } };
+
+test('diffSnapshots keeps only the slices that changed', () => {
+    const entry = diffSnapshots('Subject deleted', { subjects, attendanceRecords: records }, { subjects: [], attendanceRecords: records });
+    expect(entry).toEqual({ label: 'Subject deleted', changes: { subjects: { before: subjects, after: [] } } });
+    expect(snapshotOf(entry, 'before')).toEqual({ subjects });
+    expect(diffSnapshots('Nothing', { subjects }, { subjects })).toBeNull();
+});
+
+test('undo and redo move entries between the stacks', () => {
+    const first = { label: 'one', changes: {} };
+    const second = { label: 'two', changes: {} };
+    const history = pushEntry(pushEntry(EMPTY_HISTORY, first), second);
+
+    const back = stepBack(history);
+    expect(back.entry).toBe(second);
+    expect(back.history).toEqual({ past: [first], future: [second] });
+
+    const forward = stepForward(back.history);
+    expect(forward.entry).toBe(second);
+    expect(forward.history).toEqual(history);
+
+    expect(stepForward(history)).toBeNull();
+    expect(stepBack(EMPTY_HISTORY)).toBeNull();
+});
+
+test('a new change clears the redo stack and the undo stack is capped', () => {
+    let history = { past: [], future: [{ label: 'undone', changes: {} }] };
+    for (let i = 0; i < HISTORY_LIMIT + 5; i++) history = pushEntry(history, { label: `step ${i}`, changes: {} });
+    expect(history.future).toEqual([]);
+    expect(history.past).toHaveLength(HISTORY_LIMIT);
+    expect(history.past[0].label).toBe('step 5');
+});
+
+test('saveHistory drops the oldest steps when session storage is full', () => {
+    const history = { past: [{ label: 'old', changes: {} }, { label: 'new', changes: {} }], future: [] };
+    const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementationOnce(() => { throw new Error('QuotaExceededError'); });
+    expect(saveHistory(history).past.map(entry => entry.label)).toEqual(['new']);
+    expect(loadHistory().past.map(entry => entry.label)).toEqual(['new']);
+    setItem.mockRestore();
+    sessionStorage.removeItem(HISTORY_STORAGE_KEY);
+});
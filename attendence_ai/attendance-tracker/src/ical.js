@@ -0,0 +1,321 @@
+import { findStatus } from './statuses';
+import { DAY_NAMES, toDateKey, dateFromKey, addDaysToKey, dayNameOfKey, getTimeOfDay } from './dates';
+import { validateTimeSlot } from './timetable';
+
+// --- iCalendar (.ics) ---
+// Export writes each weekly timetable entry as one recurring VEVENT (FREQ=WEEKLY) that runs from the
+// semester start to the semester end, with holidays and cancelled classes as EXDATEs and extra
+// classes as one-off events. Times are "floating" local times, which calendar apps read in the
+// calendar's own time zone. With attendance included, every marked class becomes an override of its
+// occurrence (RECURRENCE-ID) carrying an X-ATTENDANCE-STATUS property.
+//
+// Import reads VEVENTs back into weekly classes: recurring events repeat on their BYDAY days, and
+// single events that share a weekday, time and title (the way many college exports list a term)
+// collapse into one class.
+
+const BYDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const CLASS_TYPE_IDS = ['lecture', 'lab', 'tutorial'];
+
+// The first date on or after `dateKey` that falls on `dayName`.
+const nextDayOnOrAfter = (dateKey, dayName) => addDaysToKey(dateKey, (DAY_NAMES.indexOf(dayName) - dateFromKey(dateKey).getDay() + 7) % 7);
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// --- Writing ---
+const escapeText = (text) => String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+const utf8Length = (char) => {
+    const code = char.codePointAt(0);
+    return code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+};
+
+// Lines longer than 75 octets are folded onto continuation lines that start with a space.
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let length = 0;
+    for (const char of line) {
+        if (length + utf8Length(char) > 75) {
+            parts.push(current);
+            current = ' ';
+            length = 1;
+        }
+        current += char;
+        length += utf8Length(char);
+    }
+    parts.push(current);
+    return parts.join('\r\n');
+};
+
+const formatDateTime = (dateKey, time) => `${dateKey.replace(/-/g, '')}T${time.replace(':', '')}00`;
+const formatStamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Every date from `first` to `last` (inclusive) that a holiday or a cancellation takes `entryId` out of.
+const exceptionDates = (semester, entryId, dayName, first, last) => {
+    const dates = new Set();
+    (semester.holidays || []).forEach(holiday => {
+        for (let dateKey = holiday.start; dateKey <= (holiday.end || holiday.start); dateKey = addDaysToKey(dateKey, 1)) dates.add(dateKey);
+    });
+    Object.entries(semester.overrides || {}).forEach(([dateKey, override]) => {
+        if ((override.cancelled || []).includes(entryId)) dates.add(dateKey);
+    });
+    return [...dates].filter(dateKey => dayNameOfKey(dateKey) === dayName && dateKey >= first && (!last || dateKey <= last)).sort();
+};
+
+const eventLines = ({ uid, dateKey, entry, summary, stamp, extra = [] }) => [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatDateTime(dateKey, entry.startTime)}`,
+    `DTEND:${formatDateTime(dateKey, entry.endTime)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `CATEGORIES:${escapeText(capitalize(entry.classType || 'lecture'))}`,
+    `X-ATTENDANCE-CLASS-TYPE:${entry.classType || 'lecture'}`,
+    `X-ATTENDANCE-WEIGHT:${entry.weight ?? 1}`,
+    ...extra,
+    'END:VEVENT',
+];
+
+const attendanceLines = (record, statuses) => {
+    const status = findStatus(statuses, record.status);
+    return [`X-ATTENDANCE-STATUS:${escapeText(record.status)}`, `DESCRIPTION:${escapeText(`Attendance: ${status ? status.label : record.status}`)}`];
+};
+
+// The whole timetable as an iCalendar document. Classes start no earlier than the semester start
+// (or today, if it has none) and repeat until the semester end, if set.
+export const timetableToIcs = ({ subjects, timetable, semester, attendanceRecords, statuses }, { includeAttendance = false, now = new Date(), timeZone } = {}) => {
+    const stamp = formatStamp(now);
+    const subjectName = (subjectId) => subjects.find(s => s.id === subjectId)?.name || 'Class';
+    const workingDays = semester.workingDays || DAY_NAMES.slice(1, 6);
+    const semesterStart = semester.startDate || toDateKey(now);
+    const recordsByEntry = new Map();
+    Object.entries(attendanceRecords).forEach(([recordKey, record]) => {
+        const entryId = Number(recordKey.split('_')[1]);
+        recordsByEntry.set(entryId, [...(recordsByEntry.get(entryId) || []), record]);
+    });
+
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Attendance Pro//Timetable//EN', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH', 'X-WR-CALNAME:Timetable'];
+    if (timeZone) lines.push(`X-WR-TIMEZONE:${timeZone}`);
+
+    Object.entries(timetable).forEach(([dayName, entries]) => {
+        if (!workingDays.includes(dayName)) return;
+        entries.forEach(entry => {
+            const first = nextDayOnOrAfter(entry.validFrom && entry.validFrom > semesterStart ? entry.validFrom : semesterStart, dayName);
+            const last = [semester.endDate, entry.validUntil].filter(Boolean).sort()[0];
+            if (last && first > last) return;
+            const uid = `entry-${entry.id}@attendance-pro`;
+            const summary = subjectName(entry.subjectId);
+            const excluded = exceptionDates(semester, entry.id, dayName, first, last);
+            const rule = `RRULE:FREQ=WEEKLY;BYDAY=${BYDAY_CODES[DAY_NAMES.indexOf(dayName)]}${last ? `;UNTIL=${last.replace(/-/g, '')}T235959` : ''}`;
+            lines.push(...eventLines({ uid, dateKey: first, entry, summary, stamp, extra: [rule, ...excluded.map(dateKey => `EXDATE:${formatDateTime(dateKey, entry.startTime)}`)] }));
+            if (!includeAttendance) return;
+            (recordsByEntry.get(entry.id) || [])
+                .filter(record => record.date >= first && (!last || record.date <= last) && dayNameOfKey(record.date) === dayName && !excluded.includes(record.date))
+                .sort((a, b) => a.date.localeCompare(b.date))
+                .forEach(record => lines.push(...eventLines({ uid, dateKey: record.date, entry, summary, stamp, extra: [`RECURRENCE-ID:${formatDateTime(record.date, entry.startTime)}`, ...attendanceLines(record, statuses)] })));
+        });
+    });
+
+    Object.entries(semester.overrides || {}).sort(([a], [b]) => a.localeCompare(b)).forEach(([dateKey, override]) => {
+        (override.extra || []).forEach(entry => {
+            if ((override.cancelled || []).includes(entry.id)) return;
+            const record = attendanceRecords[`${dateKey}_${entry.id}`];
+            const extra = includeAttendance && record ? attendanceLines(record, statuses) : [];
+            lines.push(...eventLines({ uid: `extra-${entry.id}@attendance-pro`, dateKey, entry, summary: subjectName(entry.subjectId), stamp, extra }));
+        });
+    });
+
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// --- Reading ---
+const unescapeText = (text) => text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// `NAME;PARAM=a;PARAM2="b:c":value` -> { name, params, value }.
+const parseProperty = (line) => {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length && colon === -1; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        else if (line[i] === ':' && !inQuotes) colon = i;
+    }
+    if (colon === -1) return null;
+    const [name, ...paramParts] = line.slice(0, colon).split(';');
+    const params = {};
+    paramParts.forEach(part => {
+        const [key, ...rest] = part.split('=');
+        params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    });
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+// A DATE or DATE-TIME value as a local `{ dateKey, time }`. UTC times (ending in Z) are converted to
+// this device's time zone; times with a TZID or no zone at all are taken as they are written.
+const parseDateTime = (value, params) => {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+    if (!match) return null;
+    const [, year, month, day, hours, minutes, , utc] = match;
+    if (params.VALUE === 'DATE' || hours === undefined) return { dateKey: `${year}-${month}-${day}`, time: null };
+    if (utc) {
+        const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes)));
+        return { dateKey: toDateKey(date), time: getTimeOfDay(date) };
+    }
+    return { dateKey: `${year}-${month}-${day}`, time: `${hours}:${minutes}` };
+};
+
+const addMinutes = (time, minutes) => {
+    const [hours, mins] = time.split(':').map(Number);
+    const total = hours * 60 + mins + minutes;
+    return total >= 24 * 60 ? null : `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+};
+
+const parseDurationMinutes = (value) => {
+    const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:\d+S)?)?$/.exec(value.trim());
+    if (!match) return null;
+    const [, weeks = 0, days = 0, hours = 0, minutes = 0] = match;
+    return ((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes);
+};
+
+const parseRule = (value) => Object.fromEntries(value.split(';').map(part => part.split('=')).map(([key, rest]) => [key.toUpperCase(), rest || '']));
+
+// Every VEVENT in an .ics document, with the fields the importer needs.
+export const parseIcs = (text) => {
+    const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) throw new Error('This is not an iCalendar (.ics) file.');
+    const events = [];
+    let event = null;
+    let nested = 0;
+    lines.forEach(line => {
+        const property = parseProperty(line.trim());
+        if (!property) return;
+        const { name, params, value } = property;
+        if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') { event = { params: {} }; return; }
+        if (!event) return;
+        if (name === 'BEGIN') { nested++; return; }
+        if (name === 'END' && nested > 0) { nested--; return; }
+        if (nested > 0) return;
+        if (name === 'END' && value.toUpperCase() === 'VEVENT') {
+            events.push(event);
+            event = null;
+            return;
+        }
+        if (name === 'SUMMARY') event.summary = unescapeText(value).trim();
+        else if (name === 'UID') event.uid = value;
+        else if (name === 'DTSTART') event.start = parseDateTime(value, params);
+        else if (name === 'DTEND') event.end = parseDateTime(value, params);
+        else if (name === 'DURATION') event.durationMinutes = parseDurationMinutes(value);
+        else if (name === 'RRULE') event.rule = parseRule(value);
+        else if (name === 'RECURRENCE-ID') event.isOverride = true;
+        else if (name === 'STATUS') event.status = value.toUpperCase();
+        else if (name === 'X-ATTENDANCE-CLASS-TYPE') event.classType = value.toLowerCase();
+        else if (name === 'X-ATTENDANCE-WEIGHT') event.weight = Number(value);
+    });
+    return events;
+};
+
+// --- Importing ---
+// Whether a planned class will be added: not already in the timetable and its time slot fits.
+export const isAddable = (plannedClass) => !plannedClass.isDuplicate && !plannedClass.slotError;
+
+// The slots in `candidates` that fit alongside `timeSlots` and each other, in order; `onReject(slot, error)`
+// hears about the rest.
+const acceptSlots = (timeSlots, candidates, onReject = () => {}) => candidates.reduce((accepted, slot) => {
+    const error = validateTimeSlot([...timeSlots, ...accepted], slot.start, slot.end);
+    if (error) {
+        onReject(slot, error);
+        return accepted;
+    }
+    return [...accepted, slot];
+}, []);
+
+// Turns parsed events into the weekly classes they describe, matched against the current data.
+// Subjects are matched by name (ignoring case) and time slots by start time; anything missing is
+// marked new. Classes already in the timetable are flagged as duplicates, and classes whose new slot
+// would overlap an existing one carry the reason in `slotError`; both are left out on import.
+export const planTimetableImport = (events, { subjects, timeSlots, timetable }) => {
+    const classes = new Map();
+    const newNames = new Map();
+    let skipped = 0;
+    let startDate = '';
+    let endDate = '';
+
+    events.forEach(event => {
+        const end = event.end?.time ? event.end : event.start && event.durationMinutes != null ? { ...event.start, time: event.start.time && addMinutes(event.start.time, event.durationMinutes) } : null;
+        const isUsable = event.summary && event.start?.time && end?.time && end.dateKey === event.start.dateKey && end.time > event.start.time;
+        const isWeeklyOrSingle = !event.rule || event.rule.FREQ === 'WEEKLY';
+        if (event.isOverride || event.status === 'CANCELLED') return;
+        if (!isUsable || !isWeeklyOrSingle) {
+            skipped++;
+            return;
+        }
+
+        const days = event.rule?.BYDAY
+            ? event.rule.BYDAY.split(',').map(code => DAY_NAMES[BYDAY_CODES.indexOf(code.replace(/^[-+\d]+/, '').toUpperCase())]).filter(Boolean)
+            : [dayNameOfKey(event.start.dateKey)];
+        const until = event.rule?.UNTIL ? parseDateTime(event.rule.UNTIL, {})?.dateKey : event.rule ? '' : event.start.dateKey;
+        if (!startDate || event.start.dateKey < startDate) startDate = event.start.dateKey;
+        if (until && until > endDate) endDate = until;
+
+        const classType = CLASS_TYPE_IDS.includes(event.classType) ? event.classType : 'lecture';
+        days.forEach(day => {
+            const key = [day, event.start.time, end.time, event.summary.toLowerCase(), classType].join('|');
+            if (classes.has(key)) return;
+            const subject = subjects.find(s => s.name.trim().toLowerCase() === event.summary.toLowerCase());
+            if (!subject && !newNames.has(event.summary.toLowerCase())) newNames.set(event.summary.toLowerCase(), event.summary);
+            classes.set(key, {
+                day,
+                startTime: event.start.time,
+                endTime: end.time,
+                subjectName: subject ? subject.name : newNames.get(event.summary.toLowerCase()),
+                classType,
+                weight: event.weight > 0 ? event.weight : 1,
+                isNewSubject: !subject,
+                isNewSlot: !timeSlots.some(ts => ts.start === event.start.time),
+                isDuplicate: !!subject && (timetable[day] || []).some(entry => !entry.validUntil && entry.subjectId === subject.id && entry.startTime === event.start.time && entry.endTime === end.time),
+            });
+        });
+    });
+
+    const sorted = [...classes.values()].sort((a, b) => DAY_NAMES.indexOf(a.day) - DAY_NAMES.indexOf(b.day) || a.startTime.localeCompare(b.startTime));
+    const candidateSlots = [...new Map(sorted.filter(c => !c.isDuplicate && c.isNewSlot).map(c => [c.startTime, { start: c.startTime, end: c.endTime }])).values()];
+    const newSlots = acceptSlots(timeSlots, candidateSlots, (slot, error) => sorted.forEach(c => {
+        if (!c.isDuplicate && c.startTime === slot.start) c.slotError = error;
+    }));
+    const toAdd = sorted.filter(isAddable);
+    return {
+        classes: sorted,
+        newSubjects: [...new Set(toAdd.filter(c => c.isNewSubject).map(c => c.subjectName))],
+        newSlots,
+        skipped,
+        range: { startDate, endDate },
+    };
+};
+
+// The subjects, time slots and timetable after adding a planned import. New ids count up from `idBase`.
+// Slots are checked again against the current ones, so a plan made before the slots changed can't
+// add an overlap; `skipped` counts the classes left out for that.
+export const applyTimetableImport = (plan, { subjects, timeSlots, timetable }, idBase = Date.now()) => {
+    const slots = acceptSlots(timeSlots, plan.newSlots);
+    const planned = plan.classes.filter(isAddable);
+    const toAdd = planned.filter(c => [...timeSlots, ...slots].some(ts => ts.start === c.startTime));
+    let nextId = idBase;
+    const newSubjects = plan.newSubjects.filter(name => toAdd.some(c => c.subjectName === name)).map(name => ({ id: nextId++, name, threshold: 75 }));
+    const newSlots = slots.map(slot => ({ id: nextId++, ...slot }));
+    const allSubjects = [...subjects, ...newSubjects];
+    const allSlots = [...timeSlots, ...newSlots].sort((a, b) => a.start.localeCompare(b.start));
+    const nextTimetable = { ...timetable };
+    toAdd.forEach(c => {
+        const entry = {
+            id: nextId++,
+            startTime: c.startTime,
+            endTime: c.endTime,
+            subjectId: allSubjects.find(s => s.name === c.subjectName).id,
+            timeSlotId: allSlots.find(ts => ts.start === c.startTime).id,
+            classType: c.classType,
+            weight: c.weight,
+        };
+        nextTimetable[c.day] = [...(nextTimetable[c.day] || []), entry].sort((a, b) => a.startTime.localeCompare(b.startTime));
+    });
+    return { subjects: allSubjects, timeSlots: allSlots, timetable: nextTimetable, skipped: planned.length - toAdd.length };
+};
@@ -0,0 +1,102 @@
+import { timetableToIcs, parseIcs, planTimetableImport, applyTimetableImport } from './ical';
+import { DEFAULT_STATUSES } from './statuses';
+
+const subjects = [{ id: 1, name: 'Maths, Pure', threshold: 75 }];
+const timeSlots = [{ id: 10, start: '09:00', end: '10:00' }, { id: 11, start: '10:00', end: '11:00' }];
+const timetable = { Monday: [{ id: 100, startTime: '09:00', endTime: '11:00', subjectId: 1, timeSlotId: 10, classType: 'lab', weight: 2 }] };
+const semester = {
+    startDate: '2024-01-03', endDate: '2024-01-31', workingDays: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+    holidays: [{ id: 1, start: '2024-01-15', end: '2024-01-16', label: 'Break' }],
+    overrides: { '2024-01-22': { cancelled: [100] }, '2024-01-24': { extra: [{ id: 200, startTime: '10:00', endTime: '11:00', subjectId: 1, timeSlotId: 11, classType: 'lecture', weight: 1 }] } },
+};
+const attendanceRecords = { '2024-01-08_100': { subjectId: 1, status: 'present', date: '2024-01-08' } };
+const data = { subjects, timetable, timeSlots, semester, attendanceRecords, statuses: DEFAULT_STATUSES };
+
+test('exports weekly classes bounded by the semester with holidays and cancellations excluded', () => {
+    const ics = timetableToIcs(data, { now: new Date(Date.UTC(2024, 0, 1)) });
+    expect(ics).toContain('DTSTART:20240108T090000\r\nDTEND:20240108T110000');
+    expect(ics).toContain('SUMMARY:Maths\\, Pure');
+    expect(ics).toContain('RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20240131T235959');
+    expect(ics).toContain('EXDATE:20240115T090000');
+    expect(ics).toContain('EXDATE:20240122T090000');
+    expect(ics).toContain('UID:extra-200@attendance-pro');
+    expect(ics).not.toContain('X-ATTENDANCE-STATUS');
+    expect(ics.split('\r\n').every(line => line.length <= 75)).toBe(true);
+});
+
+test('adds attendance as overrides of the marked occurrences', () => {
+    const ics = timetableToIcs(data, { includeAttendance: true });
+    expect(ics).toContain('RECURRENCE-ID:20240108T090000');
+    expect(ics).toContain('X-ATTENDANCE-STATUS:present');
+});
+
+test('an exported timetable imports back without duplicates', () => {
+    const events = parseIcs(timetableToIcs(data, { includeAttendance: true }));
+    const plan = planTimetableImport(events, { subjects, timeSlots, timetable });
+    expect(plan.classes).toEqual([
+        expect.objectContaining({ day: 'Monday', startTime: '09:00', endTime: '11:00', subjectName: 'Maths, Pure', classType: 'lab', weight: 2, isDuplicate: true }),
+        expect.objectContaining({ day: 'Wednesday', startTime: '10:00', endTime: '11:00', subjectName: 'Maths, Pure', isDuplicate: false }),
+    ]);
+    expect(plan.range).toEqual({ startDate: '2024-01-08', endDate: '2024-01-31' });
+});
+
+test('collapses single weekly events from other calendars and creates missing subjects and slots', () => {
+    const ics = [
+        'BEGIN:VCALENDAR', 'VERSION:2.0',
+        'BEGIN:VEVENT', 'SUMMARY:Physics', 'DTSTART;TZID=Europe/London:20240902T140000', 'DURATION:PT1H30M', 'BEGIN:VALARM', 'SUMMARY:Reminder', 'END:VALARM', 'END:VEVENT',
+        'BEGIN:VEVENT', 'SUMMARY:physics', 'DTSTART:20240909T140000', 'DTEND:20240909T153000', 'END:VEVENT',
+        'BEGIN:VEVENT', 'SUMMARY:Freshers', 'DTSTART;VALUE=DATE:20240901', 'END:VEVENT',
+        'BEGIN:VEVENT', 'SUMMARY:Chem', 'DTSTART:20240903T090000', 'DTEND:20240903T100000', 'RRULE:FREQ=WEEKLY;BYDAY=TU,TH', 'END:VEVENT',
+        'END:VCALENDAR',
+    ].join('\r\n');
+    const plan = planTimetableImport(parseIcs(ics), { subjects, timeSlots, timetable });
+    expect(plan.classes.map(c => `${c.day} ${c.startTime}-${c.endTime} ${c.subjectName}`)).toEqual(['Monday 14:00-15:30 Physics', 'Tuesday 09:00-10:00 Chem', 'Thursday 09:00-10:00 Chem']);
+    expect(plan.newSubjects).toEqual(['Physics', 'Chem']);
+    expect(plan.newSlots).toEqual([{ start: '14:00', end: '15:30' }]);
+    expect(plan.skipped).toBe(1);
+
+    const next = applyTimetableImport(plan, { subjects, timeSlots, timetable }, 1000);
+    expect(next.subjects.map(s => s.name)).toEqual(['Maths, Pure', 'Physics', 'Chem']);
+    expect(next.timeSlots.map(ts => ts.start)).toEqual(['09:00', '10:00', '14:00']);
+    expect(next.timetable.Monday).toHaveLength(2);
+    expect(next.timetable.Thursday[0]).toEqual(expect.objectContaining({ subjectId: 1001, timeSlotId: 10, startTime: '09:00' }));
+});
+
+test('leaves out classes whose new time slot would overlap an existing one', () => {
+    const ics = [
+        'BEGIN:VCALENDAR', 'VERSION:2.0',
+        'BEGIN:VEVENT', 'SUMMARY:Biology', 'DTSTART:20240904T103000', 'DTEND:20240904T113000', 'END:VEVENT',
+        'BEGIN:VEVENT', 'SUMMARY:Chem', 'DTSTART:20240905T140000', 'DTEND:20240905T150000', 'END:VEVENT',
+        'BEGIN:VEVENT', 'SUMMARY:Chem', 'DTSTART:20240906T143000', 'DTEND:20240906T153000', 'END:VEVENT',
+        'END:VCALENDAR',
+    ].join('\r\n');
+    const plan = planTimetableImport(parseIcs(ics), { subjects, timeSlots, timetable });
+    expect(plan.classes.map(c => [c.subjectName, c.startTime, c.slotError])).toEqual([
+        ['Biology', '10:30', 'Overlaps the 10:00 AM - 11:00 AM slot.'],
+        ['Chem', '14:00', undefined],
+        ['Chem', '14:30', 'Overlaps the 2:00 PM - 3:00 PM slot.'],
+    ]);
+    expect(plan.newSlots).toEqual([{ start: '14:00', end: '15:00' }]);
+    expect(plan.newSubjects).toEqual(['Chem']);
+
+    const next = applyTimetableImport(plan, { subjects, timeSlots, timetable }, 1000);
+    expect(next.timeSlots.map(ts => ts.start)).toEqual(['09:00', '10:00', '14:00']);
+    expect(next.timetable.Wednesday).toBeUndefined();
+    expect(next.timetable.Thursday).toEqual([expect.objectContaining({ subjectId: 1000, timeSlotId: 1001 })]);
+    expect(next.skipped).toBe(0);
+});
+
+test('checks the planned slots again against the slots at import time', () => {
+    const ics = ['BEGIN:VCALENDAR', 'BEGIN:VEVENT', 'SUMMARY:Chem', 'DTSTART:20240905T140000', 'DTEND:20240905T150000', 'END:VEVENT', 'END:VCALENDAR'].join('\r\n');
+    const plan = planTimetableImport(parseIcs(ics), { subjects, timeSlots, timetable });
+    const laterSlots = [...timeSlots, { id: 12, start: '14:30', end: '15:30' }];
+    const next = applyTimetableImport(plan, { subjects, timeSlots: laterSlots, timetable }, 1000);
+    expect(next.timeSlots).toEqual(laterSlots);
+    expect(next.subjects).toEqual(subjects);
+    expect(next.timetable).toEqual(timetable);
+    expect(next.skipped).toBe(1);
+});
+
+test('rejects files that are not calendars', () => {
+    expect(() => parseIcs('hello')).toThrow('not an iCalendar');
+});
@@ -0,0 +1,107 @@
+import { profileKey } from './profiles';
+import { addDaysToKey, formatTime12Hour, getTimeOfDay, minutesOfDay, toDateKey } from './dates';
+import { getClassWeight, getHeldClasses } from './timetable';
+import { listUnmarkedClasses, recordKey } from './attendance';
+
+// --- Browser Notifications ---
+// Reminders are planned by the app while it is open (see `planNotifications` below) and shown
+// through the service worker (src/service-worker.js) when it is installed, so they still appear as
+// system notifications on mobile and clicking one brings the tracker back to the front. Development
+// builds have no service worker and fall back to plain `Notification`s.
+
+export const NOTIFICATION_SETTINGS_KEY = 'attendance-notifications';
+export const SENT_NOTIFICATIONS_KEY = 'attendance-notifications-sent';
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+    enabled: false,
+    endOfClass: true,
+    dailyDigest: true,
+    lowAttendance: true,
+    digestTime: '20:00',
+    quietStart: '22:00',
+    quietEnd: '07:00',
+    subjectIds: [],
+};
+
+export const isNotificationSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+export const getNotificationPermission = () => (isNotificationSupported() ? Notification.permission : 'unsupported');
+
+export const requestNotificationPermission = async () => {
+    if (!isNotificationSupported()) return 'unsupported';
+    if (Notification.permission !== 'default') return Notification.permission;
+    return Notification.requestPermission();
+};
+
+// Quiet hours may wrap past midnight (22:00 – 07:00). Equal start and end means no quiet hours.
+export const isQuietTime = (settings, time) => {
+    const { quietStart, quietEnd } = settings;
+    if (!quietStart || !quietEnd || quietStart === quietEnd) return false;
+    return quietStart < quietEnd ? time >= quietStart && time < quietEnd : time >= quietStart || time < quietEnd;
+};
+
+export const showNotification = async ({ title, body, tag }) => {
+    const options = { body, tag, icon: `${process.env.PUBLIC_URL}/logo192.png`, data: { url: `${process.env.PUBLIC_URL}/` } };
+    const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    if (registration) return registration.showNotification(title, options);
+    return new Notification(title, options);
+};
+
+// Ids of notifications already shown, with the date they were shown, so each one fires only once.
+// Entries older than two weeks are dropped to keep the log small.
+export const loadSentNotifications = () => JSON.parse(localStorage.getItem(profileKey(SENT_NOTIFICATIONS_KEY))) || {};
+
+export const saveSentNotifications = (sent, todayKey) => {
+    const cutoffKey = addDaysToKey(todayKey, -14);
+    const kept = Object.fromEntries(Object.entries(sent).filter(([, dateKey]) => dateKey >= cutoffKey));
+    localStorage.setItem(profileKey(SENT_NOTIFICATIONS_KEY), JSON.stringify(kept));
+};
+
+// --- Planning ---
+// End-of-class prompts go out for up to an hour after a class ends; low-attendance warnings an hour before it starts.
+const END_OF_CLASS_WINDOW_MINUTES = 60;
+const LOW_ATTENDANCE_LEAD_MINUTES = 60;
+
+// Reminders due at `now` for the subjects the user opted in to, skipping any whose tag is already in `sent`.
+export const planNotifications = ({ subjects, subjectStats, timetable, semester, attendanceRecords, settings, sent = {}, now = new Date() }) => {
+    const todayKey = toDateKey(now);
+    const nowTime = getTimeOfDay(now);
+    const optedIn = new Set(settings.subjectIds);
+    const subjectName = (subjectId) => subjects.find(s => s.id === subjectId)?.name || 'Unknown subject';
+    const due = [];
+    const add = (notification) => { if (!sent[notification.tag]) due.push(notification); };
+    const todaysClasses = getHeldClasses(timetable, semester, todayKey).filter(entry => optedIn.has(entry.subjectId));
+
+    if (settings.endOfClass) {
+        todaysClasses
+            .filter(entry => entry.endTime <= nowTime && minutesOfDay(nowTime) - minutesOfDay(entry.endTime) <= END_OF_CLASS_WINDOW_MINUTES && !attendanceRecords[recordKey(todayKey, entry.id)])
+            .forEach(entry => add({ tag: `end_${todayKey}_${entry.id}`, title: `Mark attendance: ${subjectName(entry.subjectId)}`, body: `The ${formatTime12Hour(entry.startTime)} class has ended. Were you there?` }));
+    }
+
+    if (settings.dailyDigest && nowTime >= settings.digestTime) {
+        const unmarked = listUnmarkedClasses(timetable, semester, attendanceRecords, now).filter(({ entry }) => optedIn.has(entry.subjectId));
+        if (unmarked.length > 0) {
+            const perSubject = {};
+            unmarked.forEach(({ entry }) => { perSubject[entry.subjectId] = (perSubject[entry.subjectId] || 0) + 1; });
+            const summary = Object.entries(perSubject).map(([subjectId, count]) => `${subjectName(Number(subjectId))} (${count})`).join(', ');
+            add({ tag: `digest_${todayKey}`, title: `${unmarked.length} class${unmarked.length === 1 ? '' : 'es'} still unmarked`, body: summary });
+        }
+    }
+
+    if (settings.lowAttendance) {
+        todaysClasses
+            .filter(entry => entry.startTime > nowTime && minutesOfDay(entry.startTime) - minutesOfDay(nowTime) <= LOW_ATTENDANCE_LEAD_MINUTES)
+            .forEach(entry => {
+                const subject = subjects.find(s => s.id === entry.subjectId);
+                const stats = subjectStats[entry.subjectId];
+                if (!subject || !stats || stats.total === 0) return;
+                const ifMissed = (stats.attended / (stats.total + getClassWeight(entry))) * 100;
+                if (ifMissed >= subject.threshold) return;
+                const body = stats.percentage >= subject.threshold
+                    ? `Missing the ${formatTime12Hour(entry.startTime)} class would drop you to ${ifMissed.toFixed(1)}%, below your ${subject.threshold}% minimum.`
+                    : `You're at ${stats.percentage.toFixed(1)}%, under your ${subject.threshold}% minimum. The ${formatTime12Hour(entry.startTime)} class counts.`;
+                add({ tag: `low_${todayKey}_${entry.id}`, title: `Don't skip ${subject.name}`, body });
+            });
+    }
+    return due;
+};
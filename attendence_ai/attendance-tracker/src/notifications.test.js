@@ -0,0 +1,87 @@
+import { isQuietTime, saveSentNotifications, loadSentNotifications, planNotifications, SENT_NOTIFICATIONS_KEY, DEFAULT_NOTIFICATION_SETTINGS } from './notifications';
+import { markClasses } from './attendance';
+import { maths, sampleData } from './testData';
+
+describe('isQuietTime', () => {
+    test('handles quiet hours that wrap past midnight', () => {
+        const settings = { quietStart: '22:00', quietEnd: '07:00' };
+        expect(isQuietTime(settings, '23:30')).toBe(true);
+        expect(isQuietTime(settings, '06:59')).toBe(true);
+        expect(isQuietTime(settings, '07:00')).toBe(false);
+        expect(isQuietTime(settings, '12:00')).toBe(false);
+    });
+
+    test('handles quiet hours within a single day', () => {
+        const settings = { quietStart: '13:00', quietEnd: '14:00' };
+        expect(isQuietTime(settings, '13:15')).toBe(true);
+        expect(isQuietTime(settings, '14:00')).toBe(false);
+    });
+
+    test('treats equal start and end as no quiet hours', () => {
+        expect(isQuietTime({ quietStart: '08:00', quietEnd: '08:00' }, '08:00')).toBe(false);
+    });
+});
+
+test('saveSentNotifications drops entries older than two weeks', () => {
+    saveSentNotifications({ 'digest_2024-03-01': '2024-03-01', 'digest_2024-03-20': '2024-03-20' }, '2024-03-21');
+    expect(loadSentNotifications()).toEqual({ 'digest_2024-03-20': '2024-03-20' });
+    localStorage.removeItem(SENT_NOTIFICATIONS_KEY);
+});
+
+describe('planNotifications', () => {
+    const only = (kind, overrides = {}) => ({
+        ...DEFAULT_NOTIFICATION_SETTINGS, enabled: true, endOfClass: false, dailyDigest: false, lowAttendance: false, subjectIds: [1, 2], [kind]: true, ...overrides,
+    });
+    const plan = ({ settings, now, attendanceRecords = {}, subjectStats = {}, sent, subjects }) => {
+        const data = sampleData(subjects ? { subjects } : {});
+        return planNotifications({ ...data, attendanceRecords, subjectStats, settings, sent, now });
+    };
+    // 2024-01-08 is a Monday: Maths 9:00–10:00, then the Physics lab until 12:00.
+    const monday = (hours, minutes = 0) => new Date(2024, 0, 8, hours, minutes);
+
+    test('asks to mark a class for up to an hour after it ends', () => {
+        expect(plan({ settings: only('endOfClass'), now: monday(10, 30) })).toEqual([
+            { tag: 'end_2024-01-08_10', title: 'Mark attendance: Maths', body: 'The 9:00 AM class has ended. Were you there?' },
+        ]);
+        expect(plan({ settings: only('endOfClass'), now: monday(11, 0) })).toHaveLength(1);
+        expect(plan({ settings: only('endOfClass'), now: monday(11, 1) })).toEqual([]);
+    });
+
+    test('does not ask about a class already marked or a subject left out of reminders', () => {
+        const attendanceRecords = markClasses({}, [{ dateKey: '2024-01-08', entry: maths }], 'present');
+        expect(plan({ settings: only('endOfClass'), now: monday(10, 30), attendanceRecords })).toEqual([]);
+        expect(plan({ settings: only('endOfClass', { subjectIds: [2] }), now: monday(10, 30) })).toEqual([]);
+    });
+
+    test('sends the digest of unmarked classes per subject once the digest time has come', () => {
+        const attendanceRecords = markClasses({}, [{ dateKey: '2024-01-01', entry: maths }], 'present');
+        expect(plan({ settings: only('dailyDigest'), now: monday(19, 59), attendanceRecords })).toEqual([]);
+        expect(plan({ settings: only('dailyDigest'), now: monday(20, 0), attendanceRecords })).toEqual([
+            { tag: 'digest_2024-01-08', title: '3 classes still unmarked', body: 'Maths (1), Physics (2)' },
+        ]);
+        expect(plan({ settings: only('dailyDigest', { subjectIds: [1] }), now: monday(20, 0), attendanceRecords })).toEqual([
+            { tag: 'digest_2024-01-08', title: '1 class still unmarked', body: 'Maths (1)' },
+        ]);
+    });
+
+    test('warns before a class only when missing it would drop the subject below its minimum', () => {
+        const settings = only('lowAttendance');
+        // At 8:30 only Maths starts within the hour; 3 of 4 is 75%, and missing it leaves 3 of 5.
+        const atRisk = { 1: { attended: 3, total: 4, percentage: 75 } };
+        expect(plan({ settings, now: monday(8, 30), subjectStats: atRisk })).toEqual([
+            { tag: 'low_2024-01-08_10', title: "Don't skip Maths", body: 'Missing the 9:00 AM class would drop you to 60.0%, below your 75% minimum.' },
+        ]);
+        expect(plan({ settings, now: monday(8, 30), subjectStats: { 1: { attended: 2, total: 4, percentage: 50 } } })[0].body)
+            .toBe("You're at 50.0%, under your 75% minimum. The 9:00 AM class counts.");
+        expect(plan({ settings, now: monday(8, 30), subjectStats: { 1: { attended: 8, total: 9, percentage: 88.9 } } })).toEqual([]);
+        const lenient = [{ id: 1, name: 'Maths', threshold: 60 }, { id: 2, name: 'Physics', threshold: 75 }];
+        expect(plan({ settings, now: monday(8, 30), subjectStats: atRisk, subjects: lenient })).toEqual([]);
+        expect(plan({ settings, now: monday(7, 59), subjectStats: atRisk })).toEqual([]);
+    });
+
+    test('skips reminders whose tag has already been sent', () => {
+        const sent = { 'end_2024-01-08_10': '2024-01-08' };
+        expect(plan({ settings: only('endOfClass'), now: monday(10, 30), sent })).toEqual([]);
+        expect(plan({ settings: { ...only('endOfClass'), dailyDigest: true, digestTime: '10:00' }, now: monday(10, 30), sent }).map(n => n.tag)).toEqual(['digest_2024-01-08']);
+    });
+});
@@ -0,0 +1,84 @@
+import { STORAGE_KEYS } from './backup';
+import { rekeyToLocalDates } from './attendance';
+
+// --- Profiles ---
+// A profile is usually one semester: it has its own subjects, time slots, timetable, records, statuses
+// and per-semester settings (reminders, sync, undo history). The first profile keeps the original
+// localStorage keys, so data saved before profiles existed simply becomes it; every other profile's
+// keys end in `:<profileId>`. Dark mode and the profile list itself are shared. Archived profiles
+// stay viewable but read-only.
+
+export const PROFILES_KEY = 'attendance-profiles';
+export const DEFAULT_PROFILE_ID = 'default';
+
+const DEFAULT_PROFILES = { activeId: DEFAULT_PROFILE_ID, profiles: [{ id: DEFAULT_PROFILE_ID, name: 'My Semester', archived: false, createdAt: null }] };
+
+export const loadProfiles = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PROFILES_KEY));
+        if (stored && Array.isArray(stored.profiles) && stored.profiles.some(p => p.id === stored.activeId)) return stored;
+    } catch (error) {
+        // Fall through to the default profile.
+    }
+    return DEFAULT_PROFILES;
+};
+
+export const saveProfiles = (state) => localStorage.setItem(PROFILES_KEY, JSON.stringify(state));
+
+export const getActiveProfileId = () => loadProfiles().activeId;
+
+// The storage key that `key` has in a profile (the active one unless given).
+export const profileKey = (key, profileId = getActiveProfileId()) => (profileId === DEFAULT_PROFILE_ID ? key : `${key}:${profileId}`);
+
+// Whether a localStorage/sessionStorage key holds data of `profileId`.
+const isProfileKey = (storageKey, profileId) => {
+    if (!storageKey.startsWith('attendance-') || storageKey === PROFILES_KEY) return false;
+    return profileId === DEFAULT_PROFILE_ID ? !storageKey.includes(':') : storageKey.endsWith(`:${profileId}`);
+};
+
+export const makeProfile = (name, now = new Date()) => ({ id: `p${now.getTime().toString(36)}`, name, archived: false, createdAt: now.toISOString() });
+
+export const updateProfile = (state, profileId, changes) => ({ ...state, profiles: state.profiles.map(p => (p.id === profileId ? { ...p, ...changes } : p)) });
+
+export const removeProfile = (state, profileId) => ({ ...state, profiles: state.profiles.filter(p => p.id !== profileId) });
+
+export const deleteProfileData = (profileId) => {
+    [localStorage, sessionStorage].forEach(storage => {
+        Object.keys(storage).filter(key => isProfileKey(key, profileId)).forEach(key => storage.removeItem(key));
+    });
+};
+
+// Starts a new profile from an existing one's setup: time slots, statuses and working week always;
+// subjects and the current weekly timetable if `copyClasses` is set. Records, dates and holidays
+// are never copied.
+export const seedProfile = (profileId, source, { copyClasses = false } = {}) => {
+    const write = (key, value) => localStorage.setItem(profileKey(key, profileId), JSON.stringify(value));
+    write(STORAGE_KEYS.timeSlots, source.timeSlots);
+    write(STORAGE_KEYS.statuses, source.statuses);
+    write(STORAGE_KEYS.semester, { workingDays: source.semester.workingDays, weekStartsOn: source.semester.weekStartsOn });
+    if (!copyClasses) return;
+    write(STORAGE_KEYS.subjects, source.subjects.map(({ carryOver, ...subject }) => subject));
+    const timetable = {};
+    Object.entries(source.timetable).forEach(([day, entries]) => {
+        timetable[day] = entries.filter(entry => !entry.validUntil).map(({ validFrom, ...entry }) => entry);
+    });
+    write(STORAGE_KEYS.timetable, timetable);
+};
+
+// --- Local dates ---
+// Records and calendar changes saved while dates were UTC (see `rekeyToLocalDates`) are re-keyed once
+// per profile, before its data is loaded. Profiles with nothing to move just get the marker.
+const DATE_MODEL_KEY = 'attendance-date-model';
+
+export const migrateDateKeys = (profileId) => {
+    const storageKey = (key) => profileKey(key, profileId);
+    if (localStorage.getItem(storageKey(DATE_MODEL_KEY)) === 'local') return;
+    const read = (key) => JSON.parse(localStorage.getItem(storageKey(key)));
+    const semester = { overrides: {}, ...read(STORAGE_KEYS.semester) };
+    const next = rekeyToLocalDates({ timetable: read(STORAGE_KEYS.timetable) || {}, semester, attendanceRecords: read(STORAGE_KEYS.attendanceRecords) || {} });
+    if (next.moved > 0) {
+        localStorage.setItem(storageKey(STORAGE_KEYS.semester), JSON.stringify(next.semester));
+        localStorage.setItem(storageKey(STORAGE_KEYS.attendanceRecords), JSON.stringify(next.attendanceRecords));
+    }
+    localStorage.setItem(storageKey(DATE_MODEL_KEY), 'local');
+};
@@ -0,0 +1,82 @@
+import { loadProfiles, saveProfiles, profileKey, makeProfile, updateProfile, removeProfile, deleteProfileData, seedProfile, migrateDateKeys, DEFAULT_PROFILE_ID, PROFILES_KEY } from './profiles';
+import { DEFAULT_STATUSES } from './statuses';
+
+beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+});
+
+test('the first profile keeps the original storage keys', () => {
+    expect(loadProfiles().activeId).toBe(DEFAULT_PROFILE_ID);
+    expect(profileKey('attendance-subjects')).toBe('attendance-subjects');
+    expect(profileKey('attendance-subjects', 'p1')).toBe('attendance-subjects:p1');
+
+    saveProfiles({ activeId: 'p1', profiles: [{ id: DEFAULT_PROFILE_ID, name: 'Old' }, { id: 'p1', name: 'New' }] });
+    expect(profileKey('attendance-history')).toBe('attendance-history:p1');
+});
+
+test('a stored list whose active profile is missing falls back to the default', () => {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify({ activeId: 'gone', profiles: [{ id: 'p1', name: 'New' }] }));
+    expect(loadProfiles().activeId).toBe(DEFAULT_PROFILE_ID);
+});
+
+test('profiles can be created, renamed and removed', () => {
+    const profile = makeProfile('Spring', new Date(Date.UTC(2025, 0, 1)));
+    expect(profile).toEqual({ id: `p${Date.UTC(2025, 0, 1).toString(36)}`, name: 'Spring', archived: false, createdAt: '2025-01-01T00:00:00.000Z' });
+    let state = { activeId: DEFAULT_PROFILE_ID, profiles: [...loadProfiles().profiles, profile] };
+    state = updateProfile(state, profile.id, { name: 'Spring 2025', archived: true });
+    expect(state.profiles[1]).toEqual({ ...profile, name: 'Spring 2025', archived: true });
+    expect(removeProfile(state, profile.id).profiles.map(p => p.id)).toEqual([DEFAULT_PROFILE_ID]);
+});
+
+test('deleting a profile removes only its own keys', () => {
+    localStorage.setItem('attendance-subjects', '[]');
+    localStorage.setItem('attendance-subjects:p1', '[]');
+    localStorage.setItem('attendance-records:p1', '{}');
+    localStorage.setItem('attendance-subjects:p2', '[]');
+    localStorage.setItem('dark-mode', 'true');
+    sessionStorage.setItem('attendance-history:p1', '{}');
+
+    deleteProfileData('p1');
+    expect(Object.keys(localStorage).sort()).toEqual(['attendance-subjects', 'attendance-subjects:p2', 'dark-mode']);
+    expect(sessionStorage.length).toBe(0);
+
+    deleteProfileData(DEFAULT_PROFILE_ID);
+    expect(Object.keys(localStorage).sort()).toEqual(['attendance-subjects:p2', 'dark-mode']);
+});
+
+test('a new semester copies the setup but not the records', () => {
+    const source = {
+        subjects: [{ id: 1, name: 'Maths', threshold: 75, carryOver: { attended: 3, total: 4 } }],
+        timetable: { Monday: [{ id: 10, subjectId: 1, startTime: '09:00', endTime: '10:00', validUntil: '2024-03-01' }, { id: 11, subjectId: 1, startTime: '09:00', endTime: '10:00', validFrom: '2024-03-02' }] },
+        timeSlots: [{ id: 1, start: '09:00', end: '10:00' }],
+        semester: { startDate: '2024-01-01', endDate: '2024-05-31', holidays: [{ id: 1 }], overrides: {}, workingDays: ['Monday'], weekStartsOn: 0 },
+        statuses: DEFAULT_STATUSES,
+    };
+    const read = (key) => JSON.parse(localStorage.getItem(`${key}:p1`));
+
+    seedProfile('p1', source);
+    expect(read('attendance-timeSlots')).toEqual(source.timeSlots);
+    expect(read('attendance-semester')).toEqual({ workingDays: ['Monday'], weekStartsOn: 0 });
+    expect(read('attendance-subjects')).toBeNull();
+
+    seedProfile('p1', source, { copyClasses: true });
+    expect(read('attendance-subjects')).toEqual([{ id: 1, name: 'Maths', threshold: 75 }]);
+    expect(read('attendance-timetable')).toEqual({ Monday: [{ id: 11, subjectId: 1, startTime: '09:00', endTime: '10:00' }] });
+});
+
+test('stored records are re-keyed to local dates once per profile', () => {
+    const read = (key) => JSON.parse(localStorage.getItem(key));
+    localStorage.setItem('attendance-timetable:p1', JSON.stringify({ Monday: [{ id: 10, subjectId: 1, timeSlotId: 100, startTime: '19:00', endTime: '20:00' }] }));
+    localStorage.setItem('attendance-records:p1', JSON.stringify({ '2024-01-02_10': { subjectId: 1, status: 'present', date: '2024-01-02' } }));
+
+    migrateDateKeys('p1');
+    expect(Object.keys(read('attendance-records:p1'))).toEqual(['2024-01-01_10']);
+    expect(read('attendance-semester:p1').overrides).toEqual({});
+
+    // Later marks are already local and are not touched again, even if they look a day off.
+    localStorage.setItem('attendance-records:p1', JSON.stringify({ '2024-01-02_10': { subjectId: 1, status: 'absent', date: '2024-01-02' } }));
+    migrateDateKeys('p1');
+    expect(Object.keys(read('attendance-records:p1'))).toEqual(['2024-01-02_10']);
+    expect(localStorage.getItem('attendance-records')).toBeNull();
+});
@@ -0,0 +1,106 @@
+import { dayNameOfKey, formatDateKey, formatTime12Hour, toDateKey } from './dates';
+import { indexEntries } from './timetable';
+import { getWeightedRecords, computeOverallAttendance, buildAttendanceTrend, buildWeekdayBreakdown, listClassesInRange } from './attendance';
+import { findStatus } from './statuses';
+
+// --- Attendance report ---
+// A printable summary of the classes held between two dates: per-subject counts against each
+// subject's minimum, every class not fully attended, and the history charts. Only marks inside the
+// range count, so counts carried over from the old tracker are left out. The same markup is shown in
+// the app, printed (or saved as PDF) from the browser's print dialog, and exported as one HTML file
+// with `REPORT_CSS` inlined, so the report never depends on the app's stylesheet.
+
+// The first and last day of the month `monthOffset` months from the one containing `now`.
+export const monthRange = (monthOffset = 0, now = new Date()) => ({
+    from: toDateKey(new Date(now.getFullYear(), now.getMonth() + monthOffset, 1, 12)),
+    to: toDateKey(new Date(now.getFullYear(), now.getMonth() + monthOffset + 1, 0, 12)),
+});
+
+export const buildReport = ({ subjects, timetable, semester, attendanceRecords, statuses }, { from, to, subjectId = null }, now = new Date()) => {
+    const inRange = Object.fromEntries(Object.entries(attendanceRecords).filter(([, record]) => from <= record.date && record.date <= to));
+    const entries = indexEntries(timetable, semester);
+    const shown = subjects.filter(subject => subjectId === null || subject.id === subjectId);
+
+    const rows = shown.map(subject => {
+        const records = getWeightedRecords(inRange, timetable, semester, statuses, subject.id);
+        const total = records.reduce((sum, rec) => sum + rec.weight, 0);
+        const attended = records.reduce((sum, rec) => sum + rec.weight * rec.credit, 0);
+        const percentage = total > 0 ? (attended / total) * 100 : 0;
+        const absences = records
+            .filter(rec => rec.credit < 1)
+            .sort((a, b) => a.date.localeCompare(b.date) || (entries.get(a.entryId)?.startTime || '').localeCompare(entries.get(b.entryId)?.startTime || ''))
+            .map(rec => {
+                const entry = entries.get(rec.entryId);
+                return { key: rec.key, date: rec.date, day: dayNameOfKey(rec.date), time: entry ? `${formatTime12Hour(entry.startTime)} - ${formatTime12Hour(entry.endTime)}` : '', status: findStatus(statuses, rec.status)?.label || rec.status, weight: rec.weight };
+            });
+        return { id: subject.id, name: subject.name, threshold: subject.threshold, attended, total, percentage, meetsThreshold: total === 0 || percentage >= subject.threshold, absences };
+    });
+
+    const weightedRecords = getWeightedRecords(inRange, timetable, semester, statuses).filter(rec => shown.some(subject => subject.id === rec.subjectId));
+    const unmarked = listClassesInRange(timetable, semester, attendanceRecords, from, to, { subjectId, onlyUnmarked: true }, now)
+        .filter(({ entry }) => shown.some(subject => subject.id === entry.subjectId)).length;
+
+    return {
+        from,
+        to,
+        generatedAt: now.toISOString(),
+        rows,
+        overall: computeOverallAttendance(Object.fromEntries(rows.map(row => [row.id, row]))),
+        trend: buildAttendanceTrend(weightedRecords),
+        weekdays: buildWeekdayBreakdown(weightedRecords),
+        unmarked,
+    };
+};
+
+// "Mar 1, 2024 – Mar 31, 2024": the range a report covers.
+export const describeRange = ({ from, to }) => `${formatDateKey(from)} – ${formatDateKey(to)}`;
+
+// --- Styles & export ---
+// Plain CSS so the exported file looks the same as the print preview. While a report is open, the
+// print rules hide the rest of the app.
+export const REPORT_CSS = `
+.report { font-family: system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif; color: #111827; background: #fff; max-width: 760px; margin: 0 auto; padding: 32px; line-height: 1.4; }
+.report h1 { font-size: 24px; margin: 0 0 4px; }
+.report h2 { font-size: 18px; margin: 28px 0 8px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; }
+.report h3 { font-size: 15px; margin: 20px 0 6px; }
+.report p { margin: 4px 0; }
+.report-meta { color: #4b5563; font-size: 13px; }
+.report table { width: 100%; border-collapse: collapse; font-size: 13px; }
+.report th, .report td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; }
+.report th { background: #f3f4f6; font-weight: 600; }
+.report td.report-number, .report th.report-number { text-align: right; font-variant-numeric: tabular-nums; }
+.report tfoot td { font-weight: 700; border-top: 2px solid #9ca3af; }
+.report-ok { color: #047857; font-weight: 600; }
+.report-low { color: #b91c1c; font-weight: 600; }
+.report-chart { margin: 8px 0; }
+.report-subject { break-inside: avoid; page-break-inside: avoid; }
+.report-subject-summary { display: flex; align-items: center; gap: 16px; }
+.report-note { color: #6b7280; font-size: 12px; }
+.report-footer { margin-top: 32px; color: #6b7280; font-size: 11px; }
+@media print {
+    @page { margin: 15mm; }
+    body > :not(.report-screen) { display: none !important; }
+    .report-screen { position: static !important; overflow: visible !important; background: #fff !important; }
+    .report-toolbar { display: none !important; }
+    .report { padding: 0; max-width: none; }
+    .report h2 { break-after: avoid; page-break-after: avoid; }
+    .report tr { break-inside: avoid; page-break-inside: avoid; }
+}
+`;
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+
+// A standalone HTML document around the report's rendered markup (charts are inline SVG already).
+// The wrapper keeps the report visible under the print rules when the file itself is printed.
+export const reportToHtml = (title, bodyHtml) => [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>${REPORT_CSS}</style>`,
+    '</head>',
+    `<body><div class="report-screen">${bodyHtml}</div></body>`,
+    '</html>',
+].join('\n');
@@ -0,0 +1,59 @@
+import { monthRange, buildReport, describeRange, reportToHtml } from './report';
+import { markClasses } from './attendance';
+import { maths, physicsLab, sampleData as baseData } from './testData';
+
+// Maths carries over 10 of 10; Physics has a lower minimum.
+const sampleData = () => {
+    let attendanceRecords = markClasses({}, [{ dateKey: '2024-01-01', entry: maths }, { dateKey: '2024-01-01', entry: physicsLab }], 'present');
+    attendanceRecords = markClasses(attendanceRecords, [{ dateKey: '2024-01-08', entry: maths }], 'late');
+    attendanceRecords = markClasses(attendanceRecords, [{ dateKey: '2024-01-08', entry: physicsLab }], 'absent');
+    attendanceRecords = markClasses(attendanceRecords, [{ dateKey: '2024-01-22', entry: maths }], 'absent');
+    return baseData({
+        subjects: [{ id: 1, name: 'Maths', threshold: 75, carryOver: { attended: 10, total: 10 } }, { id: 2, name: 'Physics', threshold: 60 }],
+        attendanceRecords,
+    });
+};
+
+test('monthRange covers whole calendar months', () => {
+    expect(monthRange(0, new Date(2024, 1, 10))).toEqual({ from: '2024-02-01', to: '2024-02-29' });
+    expect(monthRange(-1, new Date(2024, 0, 31, 23, 30))).toEqual({ from: '2023-12-01', to: '2023-12-31' });
+});
+
+describe('buildReport', () => {
+    test('counts only marks inside the range, without carried-over counts', () => {
+        const report = buildReport(sampleData(), { from: '2024-01-01', to: '2024-01-14' }, new Date(2024, 1, 1));
+        expect(report.rows.map(({ name, attended, total, meetsThreshold }) => ({ name, attended, total, meetsThreshold }))).toEqual([
+            { name: 'Maths', attended: 1.5, total: 2, meetsThreshold: true },
+            { name: 'Physics', attended: 2, total: 4, meetsThreshold: false },
+        ]);
+        expect(report.overall).toEqual({ percentage: (3.5 / 6) * 100, totalAttended: 3.5, totalConducted: 6 });
+        expect(report.trend.map(point => point.percentage)).toEqual([100, 58.3]);
+        expect(report.weekdays).toEqual([{ day: 'Mon', attended: 3.5, missed: 2.5 }]);
+    });
+
+    test('lists every class not fully attended with its date, time and status', () => {
+        const report = buildReport(sampleData(), { from: '2024-01-01', to: '2024-01-31' }, new Date(2024, 1, 1));
+        expect(report.rows[0].absences).toEqual([
+            { key: '2024-01-08_10', date: '2024-01-08', day: 'Monday', time: '9:00 AM - 10:00 AM', status: 'Late', weight: 1 },
+            { key: '2024-01-22_10', date: '2024-01-22', day: 'Monday', time: '9:00 AM - 10:00 AM', status: 'Absent', weight: 1 },
+        ]);
+        expect(report.rows[1].absences.map(absence => [absence.date, absence.weight])).toEqual([['2024-01-08', 2]]);
+    });
+
+    test('counts held classes left unmarked, for one subject when asked', () => {
+        // 15 and 29 January are unmarked for both subjects; 22 January only for Physics.
+        expect(buildReport(sampleData(), { from: '2024-01-01', to: '2024-01-31' }, new Date(2024, 1, 1)).unmarked).toBe(5);
+        const physics = buildReport(sampleData(), { from: '2024-01-01', to: '2024-01-31', subjectId: 2 }, new Date(2024, 1, 1));
+        expect(physics.rows.map(row => row.name)).toEqual(['Physics']);
+        expect(physics.unmarked).toBe(3);
+    });
+});
+
+test('the HTML export is one standalone document', () => {
+    const html = reportToHtml(`Attendance report: ${describeRange({ from: '2024-01-01', to: '2024-01-31' })}`, '<article class="report"><h1>R&D</h1></article>');
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('<title>Attendance report: Jan 1, 2024 – Jan 31, 2024</title>');
+    expect(html).toContain('@media print');
+    expect(html).toContain('<div class="report-screen"><article class="report"><h1>R&D</h1></article></div>');
+    expect(html).not.toMatch(/<link|<script/);
+});
@@ -0,0 +1,46 @@
+/* eslint-disable no-restricted-globals */
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+// --- Service Worker ---
+// Built by react-scripts (Workbox InjectManifest) into build/service-worker.js, so it only exists in
+// production builds. It precaches the app shell and every hashed bundle, answers navigations with
+// index.html so the tracker starts offline, and shows the reminders the app plans (see notifications.js).
+// A new build waits until the app asks it to take over (see serviceWorkerRegistration.js).
+
+clientsClaim();
+
+// `self.__WB_MANIFEST` is replaced at build time with the list of files to precache.
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Navigations that aren't for a file or an API call get the precached index.html.
+const fileExtensionRegexp = /[^/?]+\.[^/]+$/;
+registerRoute(
+    ({ request, url }) => request.mode === 'navigate' && !url.pathname.startsWith('/_') && !url.pathname.match(fileExtensionRegexp),
+    createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// The web app manifest and icons in public/ aren't part of the precache; keep the last copy seen.
+registerRoute(
+    ({ url }) => url.origin === self.location.origin && /(\.png|\.ico|\/manifest\.json)$/.test(url.pathname),
+    new StaleWhileRevalidate({ cacheName: 'public-assets', plugins: [new ExpirationPlugin({ maxEntries: 50 })] })
+);
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = event.notification.data?.url || '/';
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+            const open = clients.find(client => client.url.startsWith(self.location.origin));
+            if (open) return open.focus();
+            return self.clients.openWindow(url);
+        })
+    );
+});
@@ -0,0 +1,56 @@
+// --- Service Worker Registration ---
+// Registers the service worker built from src/service-worker.js. Production builds only: development
+// has no service worker. A new build installs in the background and then waits; `subscribeToUpdates`
+// tells the app so it can offer a reload, and `applyUpdate` lets the waiting worker take over and
+// reloads the page once it has.
+
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+let waitingRegistration = null;
+const updateListeners = new Set();
+
+const announceUpdate = (registration) => {
+    waitingRegistration = registration;
+    updateListeners.forEach(listener => listener(registration));
+};
+
+// Calls `listener` with the registration whenever an update is waiting, straight away if one already is.
+// Returns a function that unsubscribes.
+export const subscribeToUpdates = (listener) => {
+    updateListeners.add(listener);
+    if (waitingRegistration) listener(waitingRegistration);
+    return () => updateListeners.delete(listener);
+};
+
+export const register = () => {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+    window.addEventListener('load', async () => {
+        try {
+            const registration = await navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`);
+            // An update that finished installing while the app was closed is already waiting.
+            if (registration.waiting && navigator.serviceWorker.controller) announceUpdate(registration);
+            registration.addEventListener('updatefound', () => {
+                const installing = registration.installing;
+                if (!installing) return;
+                // The first install has no page to hand over from, so only updates are announced.
+                installing.addEventListener('statechange', () => {
+                    if (installing.state === 'installed' && navigator.serviceWorker.controller) announceUpdate(registration);
+                });
+            });
+            // Tabs left open for days still find out about new builds.
+            setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL_MS);
+        } catch (error) {
+            console.error('Service worker registration failed:', error);
+        }
+    });
+};
+
+export const applyUpdate = (registration) => {
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloading) return;
+        reloading = true;
+        window.location.reload();
+    });
+    registration.waiting?.postMessage({ type: 'SKIP_WAITING' });
+};
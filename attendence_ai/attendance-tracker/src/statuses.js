@@ -0,0 +1,48 @@
+// --- Attendance Statuses ---
+// Every status a class can be marked with carries a policy that decides how it counts:
+//  - attended:   the class counts in full as attended,
+//  - missed:     the class counts in full as missed,
+//  - excluded:   the class is left out of the totals altogether,
+//  - fractional: the class counts, but only `credit` (0–1) of it as attended.
+// Present and absent are built in; the rest can be re-tuned, removed or added to.
+
+export const STATUS_POLICIES = {
+    attended: 'Counts as attended',
+    missed: 'Counts as missed',
+    excluded: 'Excluded from totals',
+    fractional: 'Partial credit',
+};
+
+// Tailwind class sets per status colour; listed in full so the JIT compiler keeps them.
+export const STATUS_COLORS = {
+    green: { cell: 'bg-green-100 dark:bg-green-900/50', button: 'bg-green-500 text-white', swatch: 'bg-green-500' },
+    red: { cell: 'bg-red-100 dark:bg-red-900/50', button: 'bg-red-500 text-white', swatch: 'bg-red-500' },
+    yellow: { cell: 'bg-amber-100 dark:bg-amber-900/50', button: 'bg-amber-500 text-white', swatch: 'bg-amber-500' },
+    blue: { cell: 'bg-blue-100 dark:bg-blue-900/50', button: 'bg-blue-500 text-white', swatch: 'bg-blue-500' },
+    purple: { cell: 'bg-purple-100 dark:bg-purple-900/50', button: 'bg-purple-500 text-white', swatch: 'bg-purple-500' },
+    gray: { cell: 'bg-gray-200 dark:bg-gray-700', button: 'bg-gray-500 text-white', swatch: 'bg-gray-500' },
+};
+
+export const DEFAULT_STATUSES = [
+    { id: 'present', label: 'Present', policy: 'attended', color: 'green', builtIn: true },
+    { id: 'absent', label: 'Absent', policy: 'missed', color: 'red', builtIn: true },
+    { id: 'late', label: 'Late', policy: 'fractional', credit: 0.5, color: 'yellow' },
+    { id: 'excused', label: 'Excused / Medical', policy: 'excluded', color: 'blue' },
+    { id: 'cancelled', label: 'Cancelled', policy: 'excluded', color: 'gray' },
+];
+
+export const findStatus = (statuses, statusId) => statuses.find(status => status.id === statusId);
+
+// Share of a class credited as attended under the status's policy, or null when it is excluded.
+// Statuses that are no longer configured fall back to the built-in meaning of their id.
+export const getStatusCredit = (statuses, statusId) => {
+    const status = findStatus(statuses, statusId) || findStatus(DEFAULT_STATUSES, statusId) || { policy: 'missed' };
+    switch (status.policy) {
+        case 'attended': return 1;
+        case 'excluded': return null;
+        case 'fractional': return Math.min(1, Math.max(0, Number(status.credit) || 0));
+        default: return 0;
+    }
+};
+
+export const describePolicy = (status) => (status.policy === 'fractional' ? `Counts as ${Math.round((Number(status.credit) || 0) * 100)}% attended` : STATUS_POLICIES[status.policy]);
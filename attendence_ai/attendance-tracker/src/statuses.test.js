@@ -0,0 +1,51 @@
+import { DEFAULT_STATUSES, getStatusCredit, describePolicy } from './statuses';
+
+const statuses = [
+    ...DEFAULT_STATUSES,
+    { id: 'custom-1', label: 'Left early', policy: 'fractional', credit: 0.75, color: 'purple' },
+    { id: 'custom-2', label: 'Overcredited', policy: 'fractional', credit: 1.5, color: 'purple' },
+    { id: 'custom-3', label: 'Broken', policy: 'fractional', credit: 'n/a', color: 'purple' },
+];
+
+describe('getStatusCredit', () => {
+    test('credits attended classes in full and missed ones not at all', () => {
+        expect(getStatusCredit(statuses, 'present')).toBe(1);
+        expect(getStatusCredit(statuses, 'absent')).toBe(0);
+    });
+
+    test('leaves excluded classes out of the totals', () => {
+        expect(getStatusCredit(statuses, 'excused')).toBeNull();
+        expect(getStatusCredit(statuses, 'cancelled')).toBeNull();
+    });
+
+    test('gives fractional statuses their credit, clamped to 0–1', () => {
+        expect(getStatusCredit(statuses, 'late')).toBe(0.5);
+        expect(getStatusCredit(statuses, 'custom-1')).toBe(0.75);
+        expect(getStatusCredit(statuses, 'custom-2')).toBe(1);
+        expect(getStatusCredit(statuses, 'custom-3')).toBe(0);
+    });
+
+    test('uses the configured policy over the built-in one', () => {
+        const retuned = DEFAULT_STATUSES.map(status => status.id === 'late' ? { ...status, policy: 'attended' } : status);
+        expect(getStatusCredit(retuned, 'late')).toBe(1);
+    });
+
+    test('falls back to the built-in meaning of a removed status, and counts unknown ones as missed', () => {
+        const withoutLate = DEFAULT_STATUSES.filter(status => status.id !== 'late' && status.id !== 'excused');
+        expect(getStatusCredit(withoutLate, 'late')).toBe(0.5);
+        expect(getStatusCredit(withoutLate, 'excused')).toBeNull();
+        expect(getStatusCredit(statuses, 'custom-99')).toBe(0);
+        expect(getStatusCredit([], undefined)).toBe(0);
+    });
+});
+
+describe('describePolicy', () => {
+    test('names each policy, with the share for partial credit', () => {
+        expect(describePolicy(statuses[0])).toBe('Counts as attended');
+        expect(describePolicy(statuses[1])).toBe('Counts as missed');
+        expect(describePolicy(statuses[3])).toBe('Excluded from totals');
+        expect(describePolicy(statuses[2])).toBe('Counts as 50% attended');
+        expect(describePolicy({ policy: 'fractional', credit: 0.333 })).toBe('Counts as 33% attended');
+        expect(describePolicy({ policy: 'fractional' })).toBe('Counts as 0% attended');
+    });
+});
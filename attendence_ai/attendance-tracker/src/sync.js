@@ -0,0 +1,192 @@
+import { DEFAULT_STATUSES } from './statuses';
+import { profileKey } from './profiles';
+
+// --- Sync ---
+// Optional sync with a self-hosted server (attendence_ai/sync-server). Tracker data is flattened into
+// one entry per key — `subjects/<id>`, `timeSlots/<id>`, `timetable/<day>/<id>`, `records/<YYYY-MM-DD_entryId>`,
+// `semester/settings`, `semester/holidays/<id>`, `semester/overrides/<date>` and `statuses/<id>` — and
+// every local edit becomes a queued change for the keys it touched. Changes wait in localStorage while
+// offline and are pushed on reconnect; the server keeps the newest write per key (last writer wins) and
+// reports any edit that lost or overwrote an unseen one as a conflict.
+
+export const SYNC_SETTINGS_KEY = 'attendance-sync';
+const SYNC_STATE_KEY = 'attendance-sync-state';
+
+export const DEFAULT_SYNC_SETTINGS = { enabled: false, serverUrl: 'http://localhost:4000', userId: '', token: '' };
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+// `shadow` is the flattened data as of the last sync or local edit, so the next edit can be diffed
+// against it. `cursor` is the server's change sequence number this device has caught up to.
+// `syncedWith` names the server and user the shadow and cursor belong to.
+const EMPTY_SYNC_STATE = { deviceId: '', syncedWith: '', shadow: null, queue: [], cursor: 0, lastSyncedAt: null, conflicts: [] };
+
+export const loadSyncState = () => {
+    const state = { ...EMPTY_SYNC_STATE, ...JSON.parse(localStorage.getItem(profileKey(SYNC_STATE_KEY))) };
+    if (!state.deviceId) state.deviceId = `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    return state;
+};
+
+export const saveSyncState = (state) => localStorage.setItem(profileKey(SYNC_STATE_KEY), JSON.stringify(state));
+
+export const syncTarget = (settings) => `${settings.serverUrl.replace(/\/+$/, '')}|${settings.userId}`;
+
+// Starts over when sync is switched on for a different server or user than last time; switching it
+// back on for the same one keeps the queue of edits made in between.
+export const prepareSyncState = (settings) => {
+    const state = loadSyncState();
+    if (state.syncedWith === syncTarget(settings)) return;
+    saveSyncState({ ...EMPTY_SYNC_STATE, deviceId: state.deviceId, syncedWith: syncTarget(settings) });
+};
+
+// --- Flattening ---
+export const flattenData = ({ subjects, timetable, timeSlots, attendanceRecords, semester, statuses }) => {
+    const flat = {};
+    subjects.forEach(subject => { flat[`subjects/${subject.id}`] = subject; });
+    timeSlots.forEach(slot => { flat[`timeSlots/${slot.id}`] = slot; });
+    Object.entries(timetable).forEach(([day, entries]) => entries.forEach(entry => { flat[`timetable/${day}/${entry.id}`] = entry; }));
+    Object.entries(attendanceRecords).forEach(([recordKey, record]) => { flat[`records/${recordKey}`] = record; });
+    const { holidays, overrides, ...settings } = semester;
+    flat['semester/settings'] = settings;
+    holidays.forEach(holiday => { flat[`semester/holidays/${holiday.id}`] = holiday; });
+    Object.entries(overrides).forEach(([dateKey, override]) => { flat[`semester/overrides/${dateKey}`] = override; });
+    statuses.forEach(status => { flat[`statuses/${status.id}`] = status; });
+    return flat;
+};
+
+const builtInOrder = (status) => {
+    const index = DEFAULT_STATUSES.findIndex(s => s.id === status.id);
+    return index === -1 ? DEFAULT_STATUSES.length : index;
+};
+
+export const unflattenData = (flat, defaults) => {
+    const data = { subjects: [], timetable: {}, timeSlots: [], attendanceRecords: {}, semester: { ...defaults.semester, holidays: [], overrides: {} }, statuses: [] };
+    Object.entries(flat).forEach(([key, value]) => {
+        const [collection, ...rest] = key.split('/');
+        if (collection === 'subjects') data.subjects.push(value);
+        else if (collection === 'timeSlots') data.timeSlots.push(value);
+        else if (collection === 'timetable') (data.timetable[rest[0]] = data.timetable[rest[0]] || []).push(value);
+        else if (collection === 'records') data.attendanceRecords[rest.join('/')] = value;
+        else if (collection === 'statuses') data.statuses.push(value);
+        else if (key === 'semester/settings') data.semester = { ...data.semester, ...value };
+        else if (rest[0] === 'holidays') data.semester.holidays.push(value);
+        else if (rest[0] === 'overrides') data.semester.overrides[rest[1]] = value;
+    });
+    data.subjects.sort((a, b) => a.id - b.id);
+    data.timeSlots.sort((a, b) => a.start.localeCompare(b.start));
+    Object.values(data.timetable).forEach(entries => entries.sort((a, b) => a.startTime.localeCompare(b.startTime)));
+    data.semester.holidays.sort((a, b) => a.start.localeCompare(b.start));
+    data.statuses.sort((a, b) => builtInOrder(a) - builtInOrder(b) || a.id.localeCompare(b.id));
+    if (data.statuses.length === 0) data.statuses = defaults.statuses;
+    return data;
+};
+
+// Changes that turn `before` into `after`, one per key. Removed keys become tombstones.
+export const diffFlat = (before, after) => {
+    const changes = [];
+    Object.entries(after).forEach(([key, value]) => {
+        if (JSON.stringify(before[key]) !== JSON.stringify(value)) changes.push({ key, value });
+    });
+    Object.keys(before).forEach(key => {
+        if (!(key in after)) changes.push({ key, deleted: true });
+    });
+    return changes;
+};
+
+// Adds changes to the queue, keeping only the latest change per key.
+export const enqueueChanges = (queue, changes, updatedAt) => {
+    const byKey = new Map(queue.map(change => [change.key, change]));
+    changes.forEach(change => byKey.set(change.key, { ...change, updatedAt }));
+    return [...byKey.values()];
+};
+
+// Applies server entries on top of local data. Keys with a newer local change still queued are left
+// alone; that change will be pushed on the next sync.
+export const applyRemoteChanges = (flat, remoteChanges, queue) => {
+    const queued = new Set(queue.map(change => change.key));
+    const next = { ...flat };
+    remoteChanges.forEach(change => {
+        if (queued.has(change.key)) return;
+        if (change.deleted) delete next[change.key];
+        else next[change.key] = change.value;
+    });
+    return next;
+};
+
+// Diffs the current data against the shadow and queues whatever changed. The first time sync is
+// switched on every local key is queued with timestamp 0, so data already on the server wins and
+// only things the server has never seen are uploaded.
+export const recordLocalChanges = (data, now = Date.now()) => {
+    const state = loadSyncState();
+    const flat = flattenData(data);
+    const isFirstSync = state.shadow === null;
+    const changes = diffFlat(state.shadow || {}, flat);
+    if (changes.length === 0 && !isFirstSync) return state;
+    const next = { ...state, shadow: flat, queue: enqueueChanges(state.queue, changes, isFirstSync ? 0 : now) };
+    saveSyncState(next);
+    return next;
+};
+
+// --- Server ---
+const request = async (settings, path, options = {}) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    try {
+        const response = await fetch(`${settings.serverUrl.replace(/\/+$/, '')}${path}`, {
+            ...options,
+            signal: controller.signal,
+            headers: { 'Content-Type': 'application/json', ...(settings.token ? { Authorization: `Bearer ${settings.token}` } : {}) },
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(body.error || `Server responded with ${response.status}.`);
+        return body;
+    } catch (error) {
+        if (error.name === 'AbortError') throw new Error('The sync server did not respond in time.');
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+// Pushes the queue and pulls everything changed since the cursor. `getData` returns the tracker data
+// as it is now; it is read again once the server answers so edits made meanwhile are kept. Returns the
+// flattened data with remote changes applied (or null if nothing came back) and the new sync state.
+export const syncWithServer = async (settings, getData) => {
+    const state = recordLocalChanges(getData());
+    const sent = state.queue;
+    const result = await request(settings, `/api/users/${encodeURIComponent(settings.userId)}/sync`, {
+        method: 'POST',
+        body: JSON.stringify({ deviceId: state.deviceId, since: state.cursor, changes: sent }),
+    });
+
+    // Anything queued while the request was in flight stays queued.
+    const latest = recordLocalChanges(getData());
+    const sentAt = new Map(sent.map(change => [change.key, change.updatedAt]));
+    const queue = latest.queue.filter(change => sentAt.get(change.key) !== change.updatedAt);
+    const hasRemote = result.changes.length > 0;
+    const flat = hasRemote ? applyRemoteChanges(flattenData(getData()), result.changes, queue) : null;
+    const conflicts = [...result.conflicts.map(conflict => ({ ...conflict, reportedAt: Date.now() })), ...latest.conflicts].slice(0, 100);
+    // The shadow takes the same remote changes, so they are not mistaken for local edits and sent back.
+    const shadow = hasRemote ? applyRemoteChanges(latest.shadow || {}, result.changes, queue) : latest.shadow;
+    const next = { ...latest, queue, shadow, cursor: result.cursor, lastSyncedAt: Date.now(), conflicts };
+    saveSyncState(next);
+    return { flat, state: next };
+};
+
+export const checkServer = (settings) => request(settings, '/api/health');
+
+export const clearConflicts = () => saveSyncState({ ...loadSyncState(), conflicts: [] });
+
+// A readable name for a synced key, e.g. "Record 2024-01-31 (Maths)".
+export const describeSyncKey = (key, subjects) => {
+    const [collection, ...rest] = key.split('/');
+    const subjectName = (id) => subjects.find(s => s.id === Number(id))?.name;
+    switch (collection) {
+        case 'subjects': return `Subject ${subjectName(rest[0]) || rest[0]}`;
+        case 'timeSlots': return 'Time slot';
+        case 'timetable': return `${rest[0]} class`;
+        case 'records': return `Attendance on ${rest.join('/').split('_')[0]}`;
+        case 'statuses': return `Status "${rest[0]}"`;
+        default: return rest[0] === 'settings' ? 'Semester settings' : rest[0] === 'holidays' ? 'Holiday' : `Calendar change on ${rest[1]}`;
+    }
+};
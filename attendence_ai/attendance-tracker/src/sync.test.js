@@ -0,0 +1,59 @@
+import { flattenData, unflattenData, diffFlat, enqueueChanges, applyRemoteChanges, recordLocalChanges, loadSyncState } from './sync';
+import { DEFAULT_STATUSES } from './statuses';
+import { markClasses } from './attendance';
+import { maths, sampleData as baseData } from './testData';
+
+const semester = {
+    ...baseData().semester,
+    endDate: '2024-05-31',
+    holidays: [{ id: 1, start: '2024-03-01', end: '2024-03-07', label: 'Spring break' }],
+    overrides: { '2024-01-08': { cancelled: [10], extra: [{ id: 20, subjectId: 2, timeSlotId: 101, startTime: '10:00', endTime: '11:00', isExtra: true }] } },
+};
+const sampleData = baseData({
+    subjects: [{ id: 1, name: 'Maths', threshold: 75 }, { id: 2, name: 'Physics', threshold: 75, typeThresholds: { lab: 80 } }],
+    attendanceRecords: markClasses({}, [{ dateKey: '2024-01-01', entry: maths }], 'present'),
+    semester,
+});
+
+describe('sync flattening', () => {
+    test('round-trips tracker data through flat keys', () => {
+        const flat = flattenData(sampleData);
+        expect(flat['records/2024-01-01_10']).toEqual(sampleData.attendanceRecords['2024-01-01_10']);
+        expect(flat['timetable/Monday/10']).toEqual(sampleData.timetable.Monday[0]);
+        expect(flat['semester/overrides/2024-01-08']).toEqual(semester.overrides['2024-01-08']);
+        expect(flat['semester/settings']).not.toHaveProperty('holidays');
+        expect(unflattenData(flat, { semester, statuses: DEFAULT_STATUSES })).toEqual(sampleData);
+    });
+
+    test('diffFlat reports edits and tombstones removed keys', () => {
+        const before = { a: 1, b: { x: 1 } };
+        const after = { b: { x: 2 }, c: 3 };
+        expect(diffFlat(before, after)).toEqual([{ key: 'b', value: { x: 2 } }, { key: 'c', value: 3 }, { key: 'a', deleted: true }]);
+    });
+});
+
+describe('sync queue', () => {
+    beforeEach(() => localStorage.clear());
+
+    test('keeps only the latest change per key', () => {
+        const queue = enqueueChanges([{ key: 'a', value: 1, updatedAt: 1 }], [{ key: 'a', deleted: true }, { key: 'b', value: 2 }], 5);
+        expect(queue).toEqual([{ key: 'a', deleted: true, updatedAt: 5 }, { key: 'b', value: 2, updatedAt: 5 }]);
+    });
+
+    test('remote changes do not overwrite keys still queued locally', () => {
+        const flat = { a: 'local', b: 'old' };
+        const next = applyRemoteChanges(flat, [{ key: 'a', value: 'remote' }, { key: 'b', deleted: true }, { key: 'c', value: 'new' }], [{ key: 'a', value: 'local', updatedAt: 9 }]);
+        expect(next).toEqual({ a: 'local', c: 'new' });
+    });
+
+    test('queues everything with timestamp 0 on first sync, then only real edits', () => {
+        const first = recordLocalChanges(sampleData, 1000);
+        expect(first.queue.every(change => change.updatedAt === 0)).toBe(true);
+        expect(first.queue).toHaveLength(Object.keys(flattenData(sampleData)).length);
+
+        const absent = { ...sampleData.attendanceRecords['2024-01-01_10'], status: 'absent' };
+        const second = recordLocalChanges({ ...sampleData, attendanceRecords: { '2024-01-01_10': absent } }, 2000);
+        expect(second.queue.find(change => change.key === 'records/2024-01-01_10')).toEqual({ key: 'records/2024-01-01_10', value: absent, updatedAt: 2000 });
+        expect(loadSyncState().queue).toEqual(second.queue);
+    });
+});
@@ -0,0 +1,20 @@
+import { DEFAULT_SEMESTER } from './timetable';
+import { DEFAULT_STATUSES } from './statuses';
+
+// --- Test data ---
+// The tracker data the unit tests start from: January 2024, with Maths every Monday at 9:00 and a
+// two-hour Physics lab after it. 2024-01-01 is a Monday. Tests pass `overrides` for the parts they
+// need to differ.
+
+export const maths = { id: 10, subjectId: 1, timeSlotId: 100, startTime: '09:00', endTime: '10:00' };
+export const physicsLab = { id: 11, subjectId: 2, timeSlotId: 101, startTime: '10:00', endTime: '12:00', classType: 'lab', weight: 2 };
+
+export const sampleData = (overrides = {}) => ({
+    subjects: [{ id: 1, name: 'Maths', threshold: 75 }, { id: 2, name: 'Physics', threshold: 75 }],
+    timeSlots: [{ id: 100, start: '09:00', end: '10:00' }, { id: 101, start: '10:00', end: '11:00' }, { id: 102, start: '11:00', end: '12:00' }],
+    timetable: { Monday: [maths, physicsLab] },
+    attendanceRecords: {},
+    semester: { ...DEFAULT_SEMESTER, startDate: '2024-01-01', endDate: '2024-01-31' },
+    statuses: DEFAULT_STATUSES,
+    ...overrides,
+});
@@ -0,0 +1,6 @@
+// Jest global setup: runs once, before any test file, so every worker inherits the zone. The suite
+// runs in a zone with daylight saving time and a non-zero UTC offset, so date handling is checked
+// the way most users hit it rather than only on a UTC build machine.
+module.exports = async () => {
+    process.env.TZ = 'America/New_York';
+};
@@ -0,0 +1,210 @@
+import { formatTime12Hour, DAY_NAMES, toDateKey, addDaysToKey, dayNameOfKey, getTimeOfDay, minutesOfDay } from './dates';
+
+// --- Timetable ---
+// The weekly timetable, time slots and semester calendar, and which classes they put on a given date.
+// Weekly entries can be limited to a date range (`validFrom`/`validUntil`) so edits don't rewrite
+// past weeks; `semester.overrides[date]` holds cancellations and one-off extra classes.
+
+const DEFAULT_WORKING_DAYS = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday"];
+export const DEFAULT_SEMESTER = { startDate: '', endDate: '', holidays: [], overrides: {}, workingDays: DEFAULT_WORKING_DAYS, weekStartsOn: 1 };
+export const DEFAULT_TIME_SLOTS = [
+    { id: 1, start: '09:00', end: '10:00' },
+    { id: 2, start: '10:00', end: '11:00' },
+];
+
+const isWorkingDay = (semester, dateKey) => (semester.workingDays || DEFAULT_WORKING_DAYS).includes(dayNameOfKey(dateKey));
+
+// --- Class types ---
+// Each timetable entry has a type and a weight; a weight-2 lab counts as two classes in every total.
+export const CLASS_TYPES = {
+    lecture: { label: 'Lecture', defaultWeight: 1 },
+    lab: { label: 'Lab', defaultWeight: 2 },
+    tutorial: { label: 'Tutorial', defaultWeight: 1 },
+};
+export const getClassType = (entry) => entry?.classType || 'lecture';
+export const getClassWeight = (entry) => entry?.weight ?? 1;
+export const getTypeThreshold = (subject, classType) => subject.typeThresholds?.[classType] ?? subject.threshold;
+
+// A session occupies its own time slot and every later slot that falls inside its start and end times.
+export const entryCoversSlot = (entry, timeSlot) => entry.timeSlotId !== timeSlot.id && entry.startTime <= timeSlot.start && timeSlot.end <= entry.endTime;
+
+// End time of a session that starts in `timeSlotId` and runs for `slotSpan` consecutive slots.
+export const getSpanEndTime = (timeSlots, timeSlotId, slotSpan = 1) => {
+    const sorted = [...timeSlots].sort((a, b) => a.start.localeCompare(b.start));
+    const startIndex = sorted.findIndex(ts => ts.id === timeSlotId);
+    return sorted[Math.min(sorted.length - 1, startIndex + slotSpan - 1)].end;
+};
+
+// Turns the slot editor's form values into the stored fields of a session starting in `timeSlotId`.
+export const buildSession = (timeSlots, timeSlotId, { subjectId, classType, weight, slotSpan }) => {
+    const timeSlot = timeSlots.find(ts => ts.id === timeSlotId);
+    if (!timeSlot) return null;
+    return {
+        startTime: timeSlot.start,
+        endTime: getSpanEndTime(timeSlots, timeSlotId, slotSpan),
+        subjectId: parseInt(subjectId, 10),
+        timeSlotId,
+        classType: classType || 'lecture',
+        weight: Number(weight) > 0 ? Number(weight) : 1,
+    };
+};
+
+// --- Time slot validation & conflicts ---
+export const timesOverlap = (a, b) => a.start < b.end && b.start < a.end;
+export const entryTimes = (entry) => ({ start: entry.startTime, end: entry.endTime });
+
+// Why a slot from `start` to `end` can't be saved, or '' if it can. `ignoreId` is the slot being edited.
+export const validateTimeSlot = (timeSlots, start, end, ignoreId = null) => {
+    if (!start || !end) return 'Enter both a start and an end time.';
+    if (start >= end) return 'Start time must be before end time.';
+    const clash = timeSlots.find(ts => ts.id !== ignoreId && timesOverlap({ start, end }, ts));
+    return clash ? `Overlaps the ${formatTime12Hour(clash.start)} - ${formatTime12Hour(clash.end)} slot.` : '';
+};
+
+// Moves a class along with a slot whose times changed: classes starting in the slot take its new start
+// and classes ending with it take its new end. A class that would end before it starts shrinks back to
+// its own first slot.
+const retimeEntry = (entry, oldSlot, newSlot, timeSlots) => {
+    const next = { ...entry };
+    if (entry.timeSlotId === oldSlot.id) next.startTime = newSlot.start;
+    if (entry.endTime === oldSlot.end && entry.startTime < oldSlot.end) next.endTime = newSlot.end;
+    if (next.endTime <= next.startTime) next.endTime = timeSlots.find(ts => ts.id === entry.timeSlotId).end;
+    return next;
+};
+
+// Whether two versions of weekly classes are ever in force at the same time.
+const validityOverlaps = (a, b) => (!a.validUntil || !b.validFrom || b.validFrom <= a.validUntil) && (!b.validUntil || !a.validFrom || a.validFrom <= b.validUntil);
+
+// Classes booked at the same time from `fromKey` on: weekly classes on the same day whose times and
+// validity overlap, and extra classes that clash with anything else held on their date.
+export const findTimetableConflicts = (timetable, semester, fromKey) => {
+    const conflicts = [];
+    const addPairs = (entries, day, dateKey, isRelevant) => entries.forEach((a, i) => entries.slice(i + 1).forEach(b => {
+        if (isRelevant(a, b) && timesOverlap(entryTimes(a), entryTimes(b))) conflicts.push({ day, dateKey, entries: [a, b] });
+    }));
+    Object.entries(timetable).forEach(([day, entries]) => {
+        addPairs(entries.filter(entry => !entry.validUntil || entry.validUntil >= fromKey), day, null, validityOverlaps);
+    });
+    Object.entries(semester.overrides || {}).forEach(([dateKey, override]) => {
+        if (dateKey < fromKey || !(override.extra || []).length) return;
+        const held = getScheduledClasses(timetable, semester, dateKey).filter(entry => !entry.isCancelled);
+        addPairs(held, dayNameOfKey(dateKey), dateKey, (a, b) => a.isExtra || b.isExtra);
+    });
+    return conflicts.sort((a, b) => (a.dateKey || '').localeCompare(b.dateKey || '') || DAY_NAMES.indexOf(a.day) - DAY_NAMES.indexOf(b.day) || a.entries[0].startTime.localeCompare(b.entries[0].startTime));
+};
+
+// Every timetable entry and extra class by id, to fill in type and weight for records saved before they existed.
+export const indexEntries = (timetable, semester) => {
+    const index = new Map();
+    Object.values(timetable).forEach(entries => entries.forEach(entry => index.set(entry.id, entry)));
+    Object.values(semester.overrides || {}).forEach(override => (override.extra || []).forEach(entry => index.set(entry.id, entry)));
+    return index;
+};
+
+const isEntryActiveOn = (entry, dateKey) => (!entry.validFrom || entry.validFrom <= dateKey) && (!entry.validUntil || dateKey <= entry.validUntil);
+export const isWithinSemester = (semester, dateKey) => (!semester.startDate || semester.startDate <= dateKey) && (!semester.endDate || dateKey <= semester.endDate);
+export const findHoliday = (semester, dateKey) => (semester.holidays || []).find(h => h.start <= dateKey && dateKey <= (h.end || h.start));
+export const isClassCancelled = (semester, dateKey, entryId) => (semester.overrides?.[dateKey]?.cancelled || []).includes(entryId);
+
+// Every class scheduled on a date: the weekly entries in force that day (working days only) plus
+// one-off extra classes. Cancelled classes are kept (flagged) so the grid can still show them.
+export const getScheduledClasses = (timetable, semester, dateKey) => {
+    const dayName = dayNameOfKey(dateKey);
+    const regular = isWorkingDay(semester, dateKey) ? (timetable[dayName] || []).filter(entry => isEntryActiveOn(entry, dateKey)) : [];
+    const extra = semester.overrides?.[dateKey]?.extra || [];
+    return [...regular, ...extra].map(entry => ({ ...entry, isCancelled: isClassCancelled(semester, dateKey, entry.id) }));
+};
+
+// The classes that actually take place on a date: nothing outside the semester or on holidays, no cancelled ones.
+export const getHeldClasses = (timetable, semester, dateKey) => {
+    if (!isWithinSemester(semester, dateKey) || findHoliday(semester, dateKey)) return [];
+    return getScheduledClasses(timetable, semester, dateKey).filter(entry => !entry.isCancelled);
+};
+
+// Counts the classes per subject (by weight) from `from` up to and including the semester end date.
+// Classes earlier today that have already ended are not counted as remaining.
+export const countRemainingClasses = (timetable, semester, from = new Date()) => {
+    const counts = {};
+    if (!semester.endDate) return counts;
+    const todayKey = toDateKey(from);
+    const nowTime = getTimeOfDay(from);
+    for (let dateKey = todayKey; dateKey <= semester.endDate; dateKey = addDaysToKey(dateKey, 1)) {
+        getHeldClasses(timetable, semester, dateKey).forEach(entry => {
+            if (dateKey === todayKey && entry.endTime <= nowTime) return;
+            counts[entry.subjectId] = (counts[entry.subjectId] || 0) + getClassWeight(entry);
+        });
+    }
+    return counts;
+};
+
+// --- Today ---
+// The app opens on the Today view from this long before the first class until the last one ends.
+const CLASS_HOURS_LEAD_MINUTES = 30;
+
+// Today's classes in order, each with where it stands at `now`: 'done', 'now', 'next' (the first one
+// still to start) or 'later'.
+export const getTodaySchedule = (timetable, semester, now = new Date()) => {
+    const nowTime = getTimeOfDay(now);
+    let hasNext = false;
+    return getHeldClasses(timetable, semester, toDateKey(now))
+        .sort((a, b) => a.startTime.localeCompare(b.startTime))
+        .map(entry => {
+            let phase = 'later';
+            if (entry.endTime <= nowTime) phase = 'done';
+            else if (entry.startTime <= nowTime) phase = 'now';
+            else if (!hasNext) {
+                phase = 'next';
+                hasNext = true;
+            }
+            return { entry, phase };
+        });
+};
+
+export const isDuringClassHours = (timetable, semester, now = new Date()) => {
+    const schedule = getTodaySchedule(timetable, semester, now);
+    const nowMinutes = minutesOfDay(getTimeOfDay(now));
+    return schedule.length > 0
+        && nowMinutes >= minutesOfDay(schedule[0].entry.startTime) - CLASS_HOURS_LEAD_MINUTES
+        && schedule.some(({ entry }) => nowMinutes < minutesOfDay(entry.endTime));
+};
+
+// --- Edits that cascade ---
+// `semester` without the extra classes matching `predicate`.
+const withoutExtraClasses = (semester, predicate) => ({
+    ...semester,
+    overrides: Object.fromEntries(Object.entries(semester.overrides).map(([dateKey, override]) => [dateKey, { ...override, extra: (override.extra || []).filter(entry => !predicate(entry)) }])),
+});
+
+const filterTimetable = (timetable, keep) => Object.fromEntries(Object.entries(timetable).map(([day, entries]) => [day, entries.filter(keep)]));
+
+// Deleting a subject takes its weekly classes, extra classes and attendance records with it.
+export const removeSubject = ({ subjects, timetable, attendanceRecords, semester }, subjectId) => ({
+    subjects: subjects.filter(subject => subject.id !== subjectId),
+    timetable: filterTimetable(timetable, entry => entry.subjectId !== subjectId),
+    attendanceRecords: Object.fromEntries(Object.entries(attendanceRecords).filter(([, record]) => record.subjectId !== subjectId)),
+    semester: withoutExtraClasses(semester, entry => entry.subjectId === subjectId),
+});
+
+// Deleting a time slot drops the weekly and extra classes that start in it. Marks already made for
+// them are kept, with the type and weight stored on each record.
+export const removeTimeSlot = ({ timeSlots, timetable, semester }, timeSlotId) => ({
+    timeSlots: timeSlots.filter(ts => ts.id !== timeSlotId),
+    timetable: filterTimetable(timetable, entry => entry.timeSlotId !== timeSlotId),
+    semester: withoutExtraClasses(semester, entry => entry.timeSlotId === timeSlotId),
+});
+
+// Changing a slot's times moves every class in it, weekly and extra, so the grid and the stored times stay in step.
+export const changeTimeSlot = ({ timeSlots, timetable, semester }, timeSlotId, start, end) => {
+    const oldSlot = timeSlots.find(ts => ts.id === timeSlotId);
+    const newSlot = { ...oldSlot, start, end };
+    const nextSlots = timeSlots.map(ts => ts.id === timeSlotId ? newSlot : ts).sort((a, b) => a.start.localeCompare(b.start));
+    const retime = (entries) => entries.map(entry => retimeEntry(entry, oldSlot, newSlot, nextSlots)).sort((a, b) => a.startTime.localeCompare(b.startTime));
+    return {
+        timeSlots: nextSlots,
+        timetable: Object.fromEntries(Object.entries(timetable).map(([day, entries]) => [day, retime(entries)])),
+        semester: {
+            ...semester,
+            overrides: Object.fromEntries(Object.entries(semester.overrides).map(([dateKey, override]) => [dateKey, override.extra ? { ...override, extra: retime(override.extra) } : override])),
+        },
+    };
+};
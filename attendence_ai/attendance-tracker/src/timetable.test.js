@@ -0,0 +1,137 @@
+import { buildSession, getScheduledClasses, getHeldClasses, countRemainingClasses, validateTimeSlot, findTimetableConflicts, removeSubject, removeTimeSlot, changeTimeSlot, getTodaySchedule, isDuringClassHours } from './timetable';
+import { maths, physicsLab, sampleData as baseData } from './testData';
+
+// Adds Physics on Tuesdays, a holiday, a cancelled Maths class and an extra one.
+const sampleData = () => baseData({
+    timetable: { Monday: [maths, physicsLab], Tuesday: [{ id: 12, subjectId: 2, timeSlotId: 100, startTime: '09:00', endTime: '10:00' }] },
+    attendanceRecords: {
+        '2024-01-01_10': { subjectId: 1, status: 'present', date: '2024-01-01', classType: 'lecture', weight: 1 },
+        '2024-01-01_11': { subjectId: 2, status: 'absent', date: '2024-01-01', classType: 'lab', weight: 2 },
+    },
+    semester: {
+        ...baseData().semester,
+        holidays: [{ id: 1, start: '2024-01-15', end: '2024-01-15', label: 'MLK Day' }],
+        overrides: {
+            '2024-01-08': { cancelled: [10], extra: [] },
+            '2024-01-10': { cancelled: [], extra: [{ id: 20, subjectId: 1, timeSlotId: 102, startTime: '11:00', endTime: '12:00', isExtra: true }] },
+        },
+    },
+});
+
+describe('schedule', () => {
+    test('lists weekly classes on their day, with cancellations flagged', () => {
+        const { timetable, semester } = sampleData();
+        expect(getScheduledClasses(timetable, semester, '2024-01-01').map(entry => entry.id)).toEqual([10, 11]);
+        expect(getScheduledClasses(timetable, semester, '2024-01-08').find(entry => entry.id === 10).isCancelled).toBe(true);
+        expect(getHeldClasses(timetable, semester, '2024-01-08').map(entry => entry.id)).toEqual([11]);
+    });
+
+    test('adds extra classes and drops holidays, weekends and dates outside the semester', () => {
+        const { timetable, semester } = sampleData();
+        expect(getHeldClasses(timetable, semester, '2024-01-10').map(entry => entry.id)).toEqual([20]);
+        expect(getHeldClasses(timetable, semester, '2024-01-15')).toEqual([]);
+        expect(getScheduledClasses(timetable, { ...semester, workingDays: ['Tuesday'] }, '2024-01-01')).toEqual([]);
+        expect(getHeldClasses(timetable, semester, '2024-02-05')).toEqual([]);
+    });
+
+    test('only applies an entry between its validFrom and validUntil dates', () => {
+        const { semester } = sampleData();
+        const timetable = { Monday: [{ id: 10, subjectId: 1, timeSlotId: 100, startTime: '09:00', endTime: '10:00', validUntil: '2024-01-07' }, { id: 13, subjectId: 2, timeSlotId: 100, startTime: '09:00', endTime: '10:00', validFrom: '2024-01-08' }] };
+        expect(getHeldClasses(timetable, semester, '2024-01-01').map(entry => entry.id)).toEqual([10]);
+        expect(getHeldClasses(timetable, semester, '2024-01-22').map(entry => entry.id)).toEqual([13]);
+    });
+
+    test('counts remaining classes by weight, skipping ones already over today', () => {
+        const { timetable, semester } = sampleData();
+        // From Monday 29 January at 10:30: the lab (weight 2) is still running, Maths has ended; Tuesday's Physics is left.
+        expect(countRemainingClasses(timetable, semester, new Date(2024, 0, 29, 10, 30))).toEqual({ 2: 3 });
+    });
+
+    test('buildSession spans consecutive slots', () => {
+        const { timeSlots } = sampleData();
+        expect(buildSession(timeSlots, 100, { subjectId: '2', classType: 'lab', weight: '2', slotSpan: 3 })).toEqual({ startTime: '09:00', endTime: '12:00', subjectId: 2, timeSlotId: 100, classType: 'lab', weight: 2 });
+        expect(buildSession(timeSlots, 999, { subjectId: '2' })).toBeNull();
+    });
+});
+
+describe('time slots', () => {
+    test('rejects inverted and overlapping slots', () => {
+        const { timeSlots } = sampleData();
+        expect(validateTimeSlot(timeSlots, '13:00', '12:00')).toMatch(/before end/);
+        expect(validateTimeSlot(timeSlots, '09:30', '10:30')).toBe('Overlaps the 9:00 AM - 10:00 AM slot.');
+        expect(validateTimeSlot(timeSlots, '12:00', '13:00')).toBe('');
+        expect(validateTimeSlot(timeSlots, '09:00', '09:45', 100)).toBe('');
+    });
+
+    test('changing a slot moves the classes that start or end in it', () => {
+        const next = changeTimeSlot(sampleData(), 102, '11:15', '12:30');
+        expect(next.timeSlots.find(ts => ts.id === 102)).toEqual({ id: 102, start: '11:15', end: '12:30' });
+        expect(next.timetable.Monday.find(entry => entry.id === 11)).toMatchObject({ startTime: '10:00', endTime: '12:30' });
+        expect(next.semester.overrides['2024-01-10'].extra[0]).toMatchObject({ startTime: '11:15', endTime: '12:30' });
+        expect(next.timetable.Tuesday).toEqual(sampleData().timetable.Tuesday);
+    });
+
+    test('deleting a slot drops the weekly and extra classes that start in it', () => {
+        const data = sampleData();
+        const physicsExtra = { id: 21, subjectId: 2, timeSlotId: 100, startTime: '09:00', endTime: '10:00', isExtra: true };
+        data.semester.overrides['2024-01-10'].extra.push(physicsExtra);
+        const next = removeTimeSlot(data, 100);
+        expect(next.timeSlots.map(ts => ts.id)).toEqual([101, 102]);
+        // Maths on Monday and Physics on Tuesday start at 9:00; the lab starts in the next slot.
+        expect(next.timetable).toEqual({ Monday: [data.timetable.Monday[1]], Tuesday: [] });
+        expect(next.semester.overrides['2024-01-10'].extra.map(entry => entry.id)).toEqual([20]);
+        expect(next.semester.overrides['2024-01-08']).toEqual(data.semester.overrides['2024-01-08']);
+    });
+
+    test('lists weekly and extra classes booked at the same time', () => {
+        const { timetable, semester } = sampleData();
+        expect(findTimetableConflicts(timetable, semester, '2024-01-01')).toEqual([]);
+        const clashing = { ...timetable, Tuesday: [...timetable.Tuesday, { id: 14, subjectId: 1, timeSlotId: 100, startTime: '09:30', endTime: '10:30' }] };
+        const withExtra = { ...semester, overrides: { '2024-01-08': { cancelled: [], extra: [{ id: 21, subjectId: 1, timeSlotId: 101, startTime: '10:00', endTime: '11:00', isExtra: true }] } } };
+        expect(findTimetableConflicts(clashing, withExtra, '2024-01-01').map(conflict => [conflict.day, conflict.dateKey, conflict.entries.map(entry => entry.id)])).toEqual([
+            ['Tuesday', null, [12, 14]],
+            ['Monday', '2024-01-08', [11, 21]],
+        ]);
+        // Versions of a class that are never in force together don't clash.
+        const replaced = { Tuesday: [{ ...timetable.Tuesday[0], validUntil: '2024-01-07' }, { id: 14, subjectId: 1, timeSlotId: 100, startTime: '09:00', endTime: '10:00', validFrom: '2024-01-08' }] };
+        expect(findTimetableConflicts(replaced, semester, '2024-01-01')).toEqual([]);
+    });
+});
+
+describe('removeSubject', () => {
+    test('takes the subject\'s classes, extra classes and records with it', () => {
+        const data = sampleData();
+        const next = removeSubject(data, 1);
+        expect(next.subjects.map(subject => subject.id)).toEqual([2]);
+        expect(next.timetable.Monday.map(entry => entry.id)).toEqual([11]);
+        expect(next.timetable.Tuesday).toEqual(data.timetable.Tuesday);
+        expect(Object.keys(next.attendanceRecords)).toEqual(['2024-01-01_11']);
+        expect(next.semester.overrides['2024-01-10'].extra).toEqual([]);
+        expect(next.semester.overrides['2024-01-08'].cancelled).toEqual([10]);
+    });
+
+    test('leaves the input untouched', () => {
+        const data = sampleData();
+        removeSubject(data, 1);
+        expect(data).toEqual(sampleData());
+    });
+});
+
+describe('today', () => {
+    test('marks the class in progress and the next one', () => {
+        const { timetable, semester } = sampleData();
+        const phases = (now) => getTodaySchedule(timetable, semester, now).map(({ entry, phase }) => [entry.id, phase]);
+        expect(phases(new Date(2024, 0, 22, 8, 0))).toEqual([[10, 'next'], [11, 'later']]);
+        expect(phases(new Date(2024, 0, 22, 9, 30))).toEqual([[10, 'now'], [11, 'next']]);
+        expect(phases(new Date(2024, 0, 22, 12, 0))).toEqual([[10, 'done'], [11, 'done']]);
+    });
+
+    test('class hours start half an hour before the first class and end with the last', () => {
+        const { timetable, semester } = sampleData();
+        expect(isDuringClassHours(timetable, semester, new Date(2024, 0, 22, 8, 29))).toBe(false);
+        expect(isDuringClassHours(timetable, semester, new Date(2024, 0, 22, 8, 30))).toBe(true);
+        expect(isDuringClassHours(timetable, semester, new Date(2024, 0, 22, 11, 59))).toBe(true);
+        expect(isDuringClassHours(timetable, semester, new Date(2024, 0, 22, 12, 0))).toBe(false);
+        expect(isDuringClassHours(timetable, semester, new Date(2024, 0, 15, 9, 30))).toBe(false);
+    });
+});
@@ -0,0 +1,167 @@
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const fs = require('fs');
+
+const app = express();
+const port = process.env.PORT || 4000;
+
+// Set SYNC_TOKEN to require `Authorization: Bearer <token>` on every API call.
+const syncToken = process.env.SYNC_TOKEN || '';
+const dataDir = process.env.SYNC_DATA_DIR || path.join(__dirname, 'data');
+
+app.use(cors({
+    origin: process.env.SYNC_ORIGIN || '*',
+    methods: ['GET', 'POST'],
+    allowedHeaders: ['Content-Type', 'Authorization']
+}));
+app.use(express.json({ limit: '10mb' }));
+
+// Create necessary directories if they don't exist
+const ensureDirectoryExists = (dir) => {
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+};
+
+ensureDirectoryExists(dataDir);
+
+// --- Storage ---
+// Each user is one JSON file: `{ seq, entries: { key: { value | deleted, updatedAt, deviceId, seq } } }`.
+// `seq` goes up by one for every stored write, so clients can ask for "everything after N" without
+// trusting their own clocks. Writes go to a temp file first and are renamed into place.
+const USER_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const userFile = (userId) => path.join(dataDir, `${userId}.json`);
+
+const readStore = async (userId) => {
+    try {
+        return JSON.parse(await fs.promises.readFile(userFile(userId), 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return { seq: 0, entries: {} };
+        throw err;
+    }
+};
+
+const writeStore = async (userId, store) => {
+    const tempFile = `${userFile(userId)}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify(store));
+    await fs.promises.rename(tempFile, userFile(userId));
+};
+
+// Requests for the same user run one after another so concurrent syncs can't lose each other's writes.
+const userQueues = new Map();
+const withUserLock = (userId, task) => {
+    const previous = userQueues.get(userId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    userQueues.set(userId, next);
+    next.finally(() => {
+        if (userQueues.get(userId) === next) userQueues.delete(userId);
+    }).catch(() => {});
+    return next;
+};
+
+// --- Merging ---
+// Last writer wins per key: the later `updatedAt` is kept, ties go to the larger device id so every
+// server picks the same winner.
+const isNewer = (change, current) => change.updatedAt > current.updatedAt || (change.updatedAt === current.updatedAt && change.deviceId > current.deviceId);
+
+const sameContent = (a, b) => !!a.deleted === !!b.deleted && JSON.stringify(a.value) === JSON.stringify(b.value);
+
+const describe = (entry) => (entry.deleted ? { deleted: true } : { value: entry.value });
+
+// Applies a device's changes and returns the conflicts it should hear about:
+//  - its change lost to a newer one already stored (`kept: 'server'`), or
+//  - its change replaced one from another device that it had not pulled yet (`kept: 'device'`).
+// Changes stamped 0 come from a device's first sync and never report conflicts.
+const mergeChanges = (store, changes, deviceId, since) => {
+    const conflicts = [];
+    changes.forEach(change => {
+        const incoming = { ...describe(change), updatedAt: change.updatedAt, deviceId };
+        const current = store.entries[change.key];
+        if (current && sameContent(current, incoming)) return;
+        if (!current || isNewer(incoming, current)) {
+            if (current && current.seq > since && current.deviceId !== deviceId && change.updatedAt > 0) {
+                conflicts.push({ key: change.key, kept: 'device', device: describe(incoming), server: describe(current), serverUpdatedAt: current.updatedAt });
+            }
+            store.seq += 1;
+            store.entries[change.key] = { ...incoming, seq: store.seq };
+        } else if (change.updatedAt > 0) {
+            conflicts.push({ key: change.key, kept: 'server', device: describe(incoming), server: describe(current), serverUpdatedAt: current.updatedAt });
+        }
+    });
+    return conflicts;
+};
+
+const changesSince = (store, since) => Object.entries(store.entries)
+    .filter(([, entry]) => entry.seq > since)
+    .map(([key, entry]) => ({ key, ...describe(entry), updatedAt: entry.updatedAt }));
+
+const validateChanges = (changes) => Array.isArray(changes) && changes.every(change =>
+    change && typeof change.key === 'string' && change.key.length > 0 && typeof change.updatedAt === 'number' && (change.deleted === true || 'value' in change)
+);
+
+// --- Routes ---
+const requireToken = (req, res, next) => {
+    if (syncToken && req.get('Authorization') !== `Bearer ${syncToken}`) {
+        return res.status(401).json({ error: 'Missing or wrong sync token.' });
+    }
+    next();
+};
+
+const requireUser = (req, res, next) => {
+    if (!USER_ID_PATTERN.test(req.params.userId)) {
+        return res.status(400).json({ error: 'User ids may only contain letters, numbers, "-" and "_".' });
+    }
+    next();
+};
+
+app.get('/api/health', requireToken, (req, res) => {
+    res.json({ ok: true });
+});
+
+// Pull only: everything stored after `?since=N`.
+app.get('/api/users/:userId/sync', requireToken, requireUser, async (req, res) => {
+    try {
+        const since = parseInt(req.query.since, 10) || 0;
+        const store = await readStore(req.params.userId);
+        res.json({ cursor: store.seq, changes: changesSince(store, since), conflicts: [] });
+    } catch (error) {
+        console.error('Sync read error:', error);
+        res.status(500).json({ error: 'Could not read sync data.' });
+    }
+});
+
+// Push and pull: merges `changes` from `deviceId`, then returns everything stored after `since`.
+app.post('/api/users/:userId/sync', requireToken, requireUser, async (req, res) => {
+    const { deviceId, since = 0, changes = [] } = req.body || {};
+    if (typeof deviceId !== 'string' || !deviceId) {
+        return res.status(400).json({ error: 'A deviceId is required.' });
+    }
+    if (!validateChanges(changes)) {
+        return res.status(400).json({ error: 'Each change needs a key, an updatedAt timestamp and a value or deleted flag.' });
+    }
+
+    try {
+        const result = await withUserLock(req.params.userId, async () => {
+            const store = await readStore(req.params.userId);
+            const conflicts = mergeChanges(store, changes, deviceId, since);
+            if (changes.length > 0) await writeStore(req.params.userId, store);
+            return { cursor: store.seq, changes: changesSince(store, since), conflicts };
+        });
+        console.log(`Synced ${req.params.userId} from ${deviceId}: ${changes.length} in, ${result.changes.length} out, ${result.conflicts.length} conflict(s)`);
+        res.json(result);
+    } catch (error) {
+        console.error('Sync error:', error);
+        res.status(500).json({ error: 'Sync failed.', details: error.message });
+    }
+});
+
+if (require.main === module) {
+    app.listen(port, () => {
+        console.log(`Sync server running at http://localhost:${port}`);
+        console.log(`Storing data in ${dataDir}`);
+    });
+}
+
+module.exports = { app, mergeChanges, changesSince };
@@ -0,0 +1,144 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-server-'));
+process.env.SYNC_DATA_DIR = dataDir;
+process.env.SYNC_TOKEN = 'secret';
+const { app, mergeChanges, changesSince } = require('./server');
+
+const record = (status) => ({ subjectId: 1, status, date: '2024-01-01', classType: 'lecture', weight: 1 });
+const storeWith = (entries) => ({ seq: Math.max(0, ...Object.values(entries).map(entry => entry.seq)), entries });
+
+describe('mergeChanges', () => {
+    test('stores new keys and numbers every write', () => {
+        const store = { seq: 0, entries: {} };
+        const conflicts = mergeChanges(store, [
+            { key: 'records/2024-01-01_10', value: record('present'), updatedAt: 100 },
+            { key: 'subjects/1', deleted: true, updatedAt: 100 },
+        ], 'phone', 0);
+        assert.deepEqual(conflicts, []);
+        assert.equal(store.seq, 2);
+        assert.deepEqual(store.entries['records/2024-01-01_10'], { value: record('present'), updatedAt: 100, deviceId: 'phone', seq: 1 });
+        assert.deepEqual(store.entries['subjects/1'], { deleted: true, updatedAt: 100, deviceId: 'phone', seq: 2 });
+    });
+
+    test('skips changes that match what is stored', () => {
+        const store = storeWith({ 'records/2024-01-01_10': { value: record('present'), updatedAt: 100, deviceId: 'laptop', seq: 1 } });
+        assert.deepEqual(mergeChanges(store, [{ key: 'records/2024-01-01_10', value: record('present'), updatedAt: 200 }], 'phone', 0), []);
+        assert.equal(store.seq, 1);
+        assert.equal(store.entries['records/2024-01-01_10'].deviceId, 'laptop');
+    });
+
+    test('keeps the newer write and tells the device whose change lost', () => {
+        const store = storeWith({ 'records/2024-01-01_10': { value: record('present'), updatedAt: 200, deviceId: 'laptop', seq: 1 } });
+        const conflicts = mergeChanges(store, [{ key: 'records/2024-01-01_10', value: record('absent'), updatedAt: 100 }], 'phone', 1);
+        assert.deepEqual(conflicts, [{ key: 'records/2024-01-01_10', kept: 'server', device: { value: record('absent') }, server: { value: record('present') }, serverUpdatedAt: 200 }]);
+        assert.equal(store.entries['records/2024-01-01_10'].value.status, 'present');
+    });
+
+    test('breaks timestamp ties by device id', () => {
+        const stored = { value: record('present'), updatedAt: 100, deviceId: 'b', seq: 1 };
+        const lower = storeWith({ key: { ...stored } });
+        mergeChanges(lower, [{ key: 'key', value: record('absent'), updatedAt: 100 }], 'a', 1);
+        assert.equal(lower.entries.key.value.status, 'present');
+        const higher = storeWith({ key: { ...stored } });
+        mergeChanges(higher, [{ key: 'key', value: record('absent'), updatedAt: 100 }], 'c', 1);
+        assert.equal(higher.entries.key.value.status, 'absent');
+    });
+
+    test('reports overwriting another device\'s write the device had not pulled yet', () => {
+        const store = storeWith({ 'records/2024-01-01_10': { value: record('present'), updatedAt: 100, deviceId: 'laptop', seq: 3 } });
+        const conflicts = mergeChanges(store, [{ key: 'records/2024-01-01_10', value: record('absent'), updatedAt: 200 }], 'phone', 2);
+        assert.deepEqual(conflicts, [{ key: 'records/2024-01-01_10', kept: 'device', device: { value: record('absent') }, server: { value: record('present') }, serverUpdatedAt: 100 }]);
+        assert.deepEqual(store.entries['records/2024-01-01_10'], { value: record('absent'), updatedAt: 200, deviceId: 'phone', seq: 4 });
+        // Once pulled, or when it was the device's own write, replacing it is no conflict.
+        const seen = storeWith({ key: { value: 1, updatedAt: 100, deviceId: 'laptop', seq: 3 } });
+        assert.deepEqual(mergeChanges(seen, [{ key: 'key', value: 2, updatedAt: 200 }], 'phone', 3), []);
+        const own = storeWith({ key: { value: 1, updatedAt: 100, deviceId: 'phone', seq: 3 } });
+        assert.deepEqual(mergeChanges(own, [{ key: 'key', value: 2, updatedAt: 200 }], 'phone', 0), []);
+    });
+
+    test('never reports conflicts for a first sync', () => {
+        const store = storeWith({ key: { value: 1, updatedAt: 100, deviceId: 'laptop', seq: 1 } });
+        assert.deepEqual(mergeChanges(store, [{ key: 'key', value: 2, updatedAt: 0 }, { key: 'other', value: 3, updatedAt: 0 }], 'phone', 0), []);
+        assert.equal(store.entries.key.value, 1);
+        assert.equal(store.entries.other.value, 3);
+    });
+
+    test('changesSince lists writes after a cursor without device details', () => {
+        const store = storeWith({
+            a: { value: 1, updatedAt: 100, deviceId: 'laptop', seq: 1 },
+            b: { deleted: true, updatedAt: 200, deviceId: 'phone', seq: 2 },
+        });
+        assert.deepEqual(changesSince(store, 1), [{ key: 'b', deleted: true, updatedAt: 200 }]);
+        assert.equal(changesSince(store, 0).length, 2);
+    });
+});
+
+describe('routes', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://localhost:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    const request = async (method, url, body, token = 'secret') => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) headers.Authorization = `Bearer ${token}`;
+        const res = await fetch(`${baseUrl}${url}`, { method, headers, body: body && JSON.stringify(body) });
+        return { status: res.status, body: await res.json() };
+    };
+
+    test('requires the sync token', async () => {
+        assert.equal((await request('GET', '/api/health', undefined, null)).status, 401);
+        assert.equal((await request('GET', '/api/health', undefined, 'wrong')).status, 401);
+        assert.deepEqual(await request('GET', '/api/health'), { status: 200, body: { ok: true } });
+    });
+
+    test('rejects bad user ids, missing device ids and malformed changes', async () => {
+        assert.equal((await request('GET', '/api/users/not%20ok/sync')).status, 400);
+        assert.equal((await request('POST', '/api/users/alice/sync', { changes: [] })).status, 400);
+        assert.equal((await request('POST', '/api/users/alice/sync', { deviceId: 'phone', changes: [{ key: 'a', value: 1 }] })).status, 400);
+        assert.equal((await request('POST', '/api/users/alice/sync', { deviceId: 'phone', changes: [{ key: 'a', updatedAt: 1 }] })).status, 400);
+    });
+
+    test('pushes changes, pulls them on another device and reports conflicts', async () => {
+        const pushed = await request('POST', '/api/users/bob/sync', { deviceId: 'laptop', since: 0, changes: [
+            { key: 'records/2024-01-01_10', value: record('present'), updatedAt: 100 },
+            { key: 'subjects/1', value: { id: 1, name: 'Maths', threshold: 75 }, updatedAt: 100 },
+        ] });
+        assert.equal(pushed.status, 200);
+        assert.equal(pushed.body.cursor, 2);
+        assert.deepEqual(pushed.body.conflicts, []);
+
+        const pulled = await request('GET', '/api/users/bob/sync?since=1');
+        assert.deepEqual(pulled.body, { cursor: 2, changes: [{ key: 'subjects/1', value: { id: 1, name: 'Maths', threshold: 75 }, updatedAt: 100 }], conflicts: [] });
+
+        const stale = await request('POST', '/api/users/bob/sync', { deviceId: 'phone', since: 0, changes: [{ key: 'records/2024-01-01_10', value: record('absent'), updatedAt: 50 }] });
+        assert.equal(stale.body.cursor, 2);
+        assert.equal(stale.body.conflicts[0].kept, 'server');
+        assert.equal(stale.body.changes.length, 2);
+
+        const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'bob.json'), 'utf8'));
+        assert.equal(stored.entries['records/2024-01-01_10'].value.status, 'present');
+    });
+
+    test('serialises concurrent syncs for one user', async () => {
+        const pushes = ['a', 'b', 'c', 'd'].map((deviceId, i) => request('POST', '/api/users/carol/sync', { deviceId, since: 0, changes: [{ key: `k${i}`, value: i, updatedAt: 100 }] }));
+        await Promise.all(pushes);
+        const { body } = await request('GET', '/api/users/carol/sync');
+        assert.equal(body.cursor, 4);
+        assert.deepEqual(body.changes.map(change => change.key).sort(), ['k0', 'k1', 'k2', 'k3']);
+    });
+});
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform, pipeline } = require('stream');
+
+// SHA-256 in lowercase hex: how processed media is named and looked up.
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+// Passes bytes through unchanged while feeding them to `hash` and counting them.
+const hashingStream = (hash) => {
+    const stream = new Transform({
+        transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            stream.bytes += chunk.length;
+            callback(null, chunk);
+        }
+    });
+    stream.bytes = 0;
+    return stream;
+};
+
+/**
+ * A multer storage engine that writes uploads to disk like `multer.diskStorage`, hashing them as
+ * they stream in so the file never has to be read a second time. Sets `req.file.hash`.
+ *
+ * @param {string} destination  directory for uploads
+ * @param {function} filename   (req, file) => name of the file on disk
+ */
+const hashStorage = ({ destination, filename }) => ({
+    _handleFile(req, file, cb) {
+        const name = filename(req, file);
+        const filePath = path.join(destination, name);
+        const hash = crypto.createHash('sha256');
+        const hasher = hashingStream(hash);
+
+        pipeline(file.stream, hasher, fs.createWriteStream(filePath), (err) => {
+            if (err) {
+                fs.unlink(filePath, () => cb(err));
+                return;
+            }
+            cb(null, { destination, filename: name, path: filePath, size: hasher.bytes, hash: hash.digest('hex') });
+        });
+    },
+
+    _removeFile(req, file, cb) {
+        fs.unlink(file.path, (err) => cb(err && err.code !== 'ENOENT' ? err : null));
+    }
+});
+
+module.exports = { HASH_PATTERN, hashStorage, hashingStream };
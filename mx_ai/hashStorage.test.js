@@ -0,0 +1,64 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { HASH_PATTERN, hashStorage, hashingStream } = require('./hashStorage');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+test('hashingStream passes bytes through while hashing and counting them', async () => {
+    const hash = crypto.createHash('sha256');
+    const hasher = hashingStream(hash);
+    const received = [];
+    await pipeline(Readable.from([Buffer.from('hello '), Buffer.from('world')]), hasher, async function* (source) {
+        for await (const chunk of source) received.push(chunk);
+    });
+    assert.equal(Buffer.concat(received).toString(), 'hello world');
+    assert.equal(hasher.bytes, 11);
+    assert.equal(hash.digest('hex'), sha256('hello world'));
+});
+
+test('HASH_PATTERN only accepts lowercase hex SHA-256 digests', () => {
+    assert.ok(HASH_PATTERN.test(sha256('x')));
+    assert.ok(!HASH_PATTERN.test(sha256('x').toUpperCase()));
+    assert.ok(!HASH_PATTERN.test('../../etc/passwd'));
+});
+
+describe('hashStorage', () => {
+    let dir;
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hash-storage-'));
+    });
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const handleFile = (storage, stream) => new Promise((resolve, reject) => {
+        storage._handleFile({}, { originalname: 'clip.mp4', stream }, (err, info) => (err ? reject(err) : resolve(info)));
+    });
+
+    test('writes the upload to disk and reports its size and hash', async () => {
+        const storage = hashStorage({ destination: dir, filename: (req, file) => `123-${file.originalname}` });
+        const data = crypto.randomBytes(200 * 1024);
+        const info = await handleFile(storage, Readable.from([data.subarray(0, 1000), data.subarray(1000)]));
+        assert.deepEqual(info, { destination: dir, filename: '123-clip.mp4', path: path.join(dir, '123-clip.mp4'), size: data.length, hash: sha256(data) });
+        assert.ok(fs.readFileSync(info.path).equals(data));
+
+        await new Promise((resolve, reject) => storage._removeFile({}, info, err => (err ? reject(err) : resolve())));
+        assert.equal(fs.existsSync(info.path), false);
+        // Removing a file that is already gone is not an error.
+        await new Promise((resolve, reject) => storage._removeFile({}, info, err => (err ? reject(err) : resolve())));
+    });
+
+    test('removes the partial file when the upload stream fails', async () => {
+        const storage = hashStorage({ destination: dir, filename: () => 'broken.mp4' });
+        const stream = new Readable({ read() {} });
+        const handled = handleFile(storage, stream);
+        stream.push(Buffer.from('partial'));
+        stream.destroy(new Error('Client went away'));
+        await assert.rejects(handled, /Client went away/);
+        assert.equal(fs.existsSync(path.join(dir, 'broken.mp4')), false);
+    });
+});
@@ -0,0 +1,168 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+// A job is 'queued', then 'running', and ends 'done', 'failed' or 'cancelled'.
+const isFinished = (job) => ['done', 'failed', 'cancelled'].includes(job.status);
+
+class JobCancelledError extends Error {
+    constructor() {
+        super('Job was cancelled');
+        this.name = 'JobCancelledError';
+    }
+}
+
+// What clients see of a job: no process handles or internals.
+const toJSON = (job) => ({
+    id: job.id,
+    filename: job.filename,
+    status: job.status,
+    cancelRequested: job.cancelRequested,
+    progress: job.stages.length
+        ? Math.round(job.stages.reduce((sum, stage) => sum + stage.percent, 0) / job.stages.length)
+        : 0,
+    stages: job.stages.map(stage => ({ ...stage })),
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt
+});
+
+/**
+ * Runs jobs in arrival order, at most `concurrency` at a time.
+ *
+ * `add(filename, task, cleanup)` queues `task(job)` and returns the job at once. The task reports
+ * progress through the job:
+ *   - job.setStages([{ id, label }])         declare the stages up front
+ *   - job.updateStage(id, percent, status)   report one stage's progress
+ *   - job.track(command)                     register an ffmpeg command so cancel() can kill it
+ *   - job.throwIfCancelled()                 stop between stages once cancelled
+ * and resolves with the job's result. Every change is emitted as an 'update' event with the job.
+ *
+ * `cleanup(job)`, if given, runs once the job is over, whether it finished, failed or was cancelled
+ * (even before it started). Finished jobs are kept for `retainMs` so clients can still fetch their result.
+ */
+const createJobQueue = ({ concurrency = 2, retainMs = 60 * 60 * 1000 } = {}) => {
+    const events = new EventEmitter();
+    events.setMaxListeners(0);
+    const jobs = new Map();
+    const waiting = [];
+    let running = 0;
+
+    const emit = (job) => events.emit('update', job);
+
+    const killCommands = (job) => {
+        job.commands.forEach(command => {
+            try {
+                command.kill('SIGKILL');
+            } catch (err) {
+                console.error('Error killing FFmpeg process:', err);
+            }
+        });
+    };
+
+    const finish = (job, status, fields = {}) => {
+        // One failed stage fails the job; stop the others rather than let them write into a removed folder.
+        if (status !== 'done') killCommands(job);
+        Object.assign(job, fields, { status, finishedAt: new Date().toISOString() });
+        job.stages.forEach(stage => {
+            if (stage.status !== 'done') stage.status = status;
+        });
+        job.commands.clear();
+        try {
+            job.cleanup(job);
+        } catch (err) {
+            console.error('Error cleaning up job:', err);
+        }
+        emit(job);
+        setTimeout(() => jobs.delete(job.id), retainMs).unref();
+    };
+
+    const runNext = () => {
+        while (running < concurrency && waiting.length > 0) {
+            const job = waiting.shift();
+            running++;
+            job.status = 'running';
+            emit(job);
+            Promise.resolve()
+                .then(() => job.task(job))
+                .then(
+                    result => job.cancelRequested ? finish(job, 'cancelled') : finish(job, 'done', { result }),
+                    error => job.cancelRequested
+                        ? finish(job, 'cancelled')
+                        : finish(job, 'failed', { error: error.message || String(error) })
+                )
+                .finally(() => {
+                    running--;
+                    runNext();
+                });
+        }
+    };
+
+    const add = (filename, task, cleanup = () => {}) => {
+        const job = {
+            id: crypto.randomUUID(),
+            filename,
+            status: 'queued',
+            stages: [],
+            result: null,
+            error: null,
+            createdAt: new Date().toISOString(),
+            finishedAt: null,
+            task,
+            cleanup,
+            commands: new Set(),
+            cancelRequested: false,
+            setStages: (stages) => {
+                job.stages = stages.map(({ id, label }) => ({ id, label, status: 'pending', percent: 0 }));
+                emit(job);
+            },
+            updateStage: (id, percent, status = 'running') => {
+                const stage = job.stages.find(s => s.id === id);
+                if (!stage) return;
+                stage.percent = Math.max(0, Math.min(100, Math.round(percent)));
+                stage.status = status;
+                emit(job);
+            },
+            track: (command) => {
+                job.throwIfCancelled();
+                job.commands.add(command);
+                return command;
+            },
+            throwIfCancelled: () => {
+                if (job.cancelRequested) throw new JobCancelledError();
+            }
+        };
+        jobs.set(job.id, job);
+        waiting.push(job);
+        emit(job);
+        runNext();
+        return job;
+    };
+
+    // Returns false for unknown or already finished jobs.
+    const cancel = (id) => {
+        const job = jobs.get(id);
+        if (!job || isFinished(job)) return false;
+        job.cancelRequested = true;
+        const queuedAt = waiting.indexOf(job);
+        if (queuedAt !== -1) {
+            waiting.splice(queuedAt, 1);
+            finish(job, 'cancelled');
+            return true;
+        }
+        killCommands(job);
+        return true;
+    };
+
+    return {
+        add,
+        cancel,
+        get: (id) => jobs.get(id),
+        subscribe: (listener) => {
+            events.on('update', listener);
+            return () => events.off('update', listener);
+        }
+    };
+};
+
+module.exports = { JobCancelledError, createJobQueue, isFinished, toJSON };
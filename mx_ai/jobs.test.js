@@ -0,0 +1,155 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { JobCancelledError, createJobQueue, isFinished, toJSON } = require('./jobs');
+
+// A promise with its resolve and reject exposed, so a test decides when a task finishes.
+const deferred = () => {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    return { promise, resolve, reject };
+};
+
+// Resolves once `job` has finished.
+const settled = (queue, job) => new Promise(resolve => {
+    if (isFinished(job)) return resolve(job);
+    const unsubscribe = queue.subscribe(updated => {
+        if (updated === job && isFinished(updated)) {
+            unsubscribe();
+            resolve(updated);
+        }
+    });
+});
+
+// Stands in for an ffmpeg command: records the signals it was killed with.
+const fakeCommand = () => {
+    const command = { signals: [], kill: (signal) => command.signals.push(signal) };
+    return command;
+};
+
+describe('createJobQueue', () => {
+    test('runs at most `concurrency` jobs at once, in arrival order', async () => {
+        const queue = createJobQueue({ concurrency: 2 });
+        const tasks = [deferred(), deferred(), deferred()];
+        const started = [];
+        const jobs = tasks.map((task, i) => queue.add(`video-${i}.mp4`, () => {
+            started.push(i);
+            return task.promise;
+        }));
+        await new Promise(setImmediate);
+        assert.deepEqual(started, [0, 1]);
+        assert.deepEqual(jobs.map(job => job.status), ['running', 'running', 'queued']);
+
+        tasks[1].resolve('second');
+        await settled(queue, jobs[1]);
+        await new Promise(setImmediate);
+        assert.deepEqual(started, [0, 1, 2]);
+        assert.equal(jobs[2].status, 'running');
+
+        tasks[0].resolve('first');
+        tasks[2].resolve('third');
+        await Promise.all(jobs.map(job => settled(queue, job)));
+        assert.deepEqual(jobs.map(job => [job.status, job.result]), [['done', 'first'], ['done', 'second'], ['done', 'third']]);
+    });
+
+    test('cancels a queued job at once without running it', async () => {
+        const queue = createJobQueue({ concurrency: 1 });
+        const blocker = deferred();
+        const cleanups = [];
+        queue.add('first.mp4', () => blocker.promise);
+        let ran = false;
+        const job = queue.add('second.mp4', () => { ran = true; }, (finished) => cleanups.push(finished.status));
+
+        assert.equal(queue.cancel(job.id), true);
+        assert.equal(job.status, 'cancelled');
+        assert.deepEqual(cleanups, ['cancelled']);
+
+        blocker.resolve();
+        await new Promise(setImmediate);
+        assert.equal(ran, false);
+        assert.deepEqual(cleanups, ['cancelled']);
+        assert.equal(queue.cancel(job.id), false);
+    });
+
+    test('cancels a running job by killing its commands and finishes it once the task stops', async () => {
+        const queue = createJobQueue({ concurrency: 1 });
+        const task = deferred();
+        const command = fakeCommand();
+        let cleanups = 0;
+        const job = queue.add('video.mp4', (running) => {
+            running.track(command);
+            return task.promise;
+        }, () => cleanups++);
+        await new Promise(setImmediate);
+
+        assert.equal(queue.cancel(job.id), true);
+        assert.deepEqual(command.signals, ['SIGKILL']);
+        assert.equal(job.status, 'running');
+        assert.equal(toJSON(job).cancelRequested, true);
+        assert.equal(cleanups, 0);
+        assert.throws(() => job.track(fakeCommand()), JobCancelledError);
+
+        task.reject(new Error('ffmpeg was killed with signal SIGKILL'));
+        await settled(queue, job);
+        assert.equal(job.status, 'cancelled');
+        assert.equal(job.error, null);
+        assert.equal(cleanups, 1);
+    });
+
+    test('runs cleanup exactly once whether a job finishes or fails', async () => {
+        const queue = createJobQueue({ concurrency: 2 });
+        const cleanups = [];
+        const done = queue.add('ok.mp4', async () => 'result', (job) => cleanups.push(job.filename));
+        const failed = queue.add('bad.mp4', async () => { throw new Error('Invalid data found'); }, (job) => cleanups.push(job.filename));
+        await Promise.all([settled(queue, done), settled(queue, failed)]);
+        assert.deepEqual(cleanups.sort(), ['bad.mp4', 'ok.mp4']);
+        assert.equal(failed.status, 'failed');
+        assert.equal(failed.error, 'Invalid data found');
+        assert.equal(queue.cancel(done.id), false);
+    });
+
+    test('fails the stages still open and kills the other commands when one stage fails', async () => {
+        const queue = createJobQueue({ concurrency: 1 });
+        const other = fakeCommand();
+        const job = queue.add('video.mp4', async (running) => {
+            running.setStages([{ id: 'video', label: 'Video' }, { id: 'audio-0', label: 'Audio 1' }]);
+            running.track(other);
+            running.updateStage('video', 100, 'done');
+            running.updateStage('audio-0', 40);
+            throw new Error('Audio stream failed');
+        });
+        await settled(queue, job);
+        assert.deepEqual(job.stages.map(stage => [stage.id, stage.status]), [['video', 'done'], ['audio-0', 'failed']]);
+        assert.deepEqual(other.signals, ['SIGKILL']);
+    });
+
+    test('emits every change and stops telling unsubscribed listeners', async () => {
+        const queue = createJobQueue();
+        const statuses = [];
+        const unsubscribe = queue.subscribe(job => statuses.push(job.status));
+        const job = queue.add('video.mp4', async (running) => {
+            running.setStages([{ id: 'video', label: 'Video' }]);
+            running.updateStage('video', 50);
+        });
+        await settled(queue, job);
+        assert.deepEqual(statuses, ['queued', 'running', 'running', 'running', 'done']);
+        unsubscribe();
+        await settled(queue, queue.add('other.mp4', async () => {}));
+        assert.equal(statuses.length, 5);
+    });
+});
+
+test('toJSON averages stage progress and leaves out internals', () => {
+    const queue = createJobQueue();
+    const job = queue.add('video.mp4', () => new Promise(() => {}));
+    job.setStages([{ id: 'video', label: 'Video' }, { id: 'audio-0', label: 'Audio 1' }]);
+    job.updateStage('video', 100, 'done');
+    job.updateStage('audio-0', 25);
+    const json = toJSON(job);
+    assert.equal(json.progress, 63);
+    assert.deepEqual(Object.keys(json).sort(), ['cancelRequested', 'createdAt', 'error', 'filename', 'finishedAt', 'id', 'progress', 'result', 'stages', 'status']);
+    assert.deepEqual(json.stages[1], { id: 'audio-0', label: 'Audio 1', status: 'running', percent: 25 });
+});
@@ -0,0 +1,76 @@
+// HLS playlists for a processed video. ffmpeg writes the video and audio media playlists itself;
+// the master playlist that ties the renditions together, and the one-segment playlists around each
+// WebVTT file, are written here.
+
+// Used when ffprobe reports no bitrate; BANDWIDTH is required in a master playlist.
+const DEFAULT_BANDWIDTH = 5000000;
+
+// Only text subtitles convert to WebVTT; bitmap formats (Blu-ray, DVD, DVB) are skipped.
+const TEXT_SUBTITLE_CODECS = ['subrip', 'srt', 'ass', 'ssa', 'webvtt', 'mov_text', 'text'];
+
+const quote = (value) => `"${String(value).replace(/"/g, "'")}"`;
+
+// ISO 639-2 tags ("eng") are valid RFC 5646 language tags; "und" means no language is known.
+const languageOf = (stream) => {
+    const language = stream.tags?.language;
+    return language && language !== 'und' ? language : null;
+};
+
+const mediaTag = ({ type, groupId, name, language, isDefault, uri, forced }) => [
+    `#EXT-X-MEDIA:TYPE=${type}`,
+    `GROUP-ID=${quote(groupId)}`,
+    `NAME=${quote(name)}`,
+    language ? `LANGUAGE=${quote(language)}` : null,
+    `DEFAULT=${isDefault ? 'YES' : 'NO'}`,
+    `AUTOSELECT=${isDefault || language ? 'YES' : 'NO'}`,
+    forced !== undefined ? `FORCED=${forced ? 'YES' : 'NO'}` : null,
+    `URI=${quote(uri)}`
+].filter(Boolean).join(',');
+
+/**
+ * The master playlist: one video rendition, each audio track as an alternate audio rendition and
+ * each subtitle track as a subtitle rendition. Track URIs are relative to the playlist.
+ *
+ * @param {object} video         { uri, bandwidth, width, height }
+ * @param {object[]} audioTracks [{ uri, label, language }]
+ * @param {object[]} subtitleTracks [{ uri, label, language }]
+ */
+const buildMasterPlaylist = ({ video, audioTracks, subtitleTracks }) => {
+    const audioBandwidth = audioTracks.length > 0 ? 192000 : 0;
+    const streamInf = [
+        `#EXT-X-STREAM-INF:BANDWIDTH=${(video.bandwidth || DEFAULT_BANDWIDTH) + audioBandwidth}`,
+        video.width && video.height ? `RESOLUTION=${video.width}x${video.height}` : null,
+        audioTracks.length > 0 ? 'AUDIO="audio"' : null,
+        subtitleTracks.length > 0 ? 'SUBTITLES="subs"' : null
+    ].filter(Boolean).join(',');
+
+    return [
+        '#EXTM3U',
+        '#EXT-X-VERSION:7',
+        '#EXT-X-INDEPENDENT-SEGMENTS',
+        ...audioTracks.map((track, i) => mediaTag({
+            type: 'AUDIO', groupId: 'audio', name: track.label, language: track.language, isDefault: i === 0, uri: track.uri
+        })),
+        ...subtitleTracks.map(track => mediaTag({
+            type: 'SUBTITLES', groupId: 'subs', name: track.label, language: track.language, isDefault: false, forced: false, uri: track.uri
+        })),
+        streamInf,
+        video.uri,
+        ''
+    ].join('\n');
+};
+
+// A media playlist with the whole WebVTT file as its one segment.
+const buildSubtitlePlaylist = (vttUri, duration) => [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${Math.max(1, Math.ceil(duration))}`,
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    '#EXT-X-PLAYLIST-TYPE:VOD',
+    `#EXTINF:${duration.toFixed(3)},`,
+    vttUri,
+    '#EXT-X-ENDLIST',
+    ''
+].join('\n');
+
+module.exports = { TEXT_SUBTITLE_CODECS, buildMasterPlaylist, buildSubtitlePlaylist, languageOf };
@@ -0,0 +1,64 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { TEXT_SUBTITLE_CODECS, buildMasterPlaylist, buildSubtitlePlaylist, languageOf } = require('./playlists');
+
+describe('buildMasterPlaylist', () => {
+    test('lists audio and subtitle renditions and the video stream that uses them', () => {
+        const playlist = buildMasterPlaylist({
+            video: { uri: 'video/index.m3u8', bandwidth: 2000000, width: 1920, height: 1080 },
+            audioTracks: [
+                { uri: 'audio-0/index.m3u8', label: 'English', language: 'eng' },
+                { uri: 'audio-1/index.m3u8', label: 'Director "commentary"', language: null }
+            ],
+            subtitleTracks: [{ uri: 'subs-0/index.m3u8', label: 'Français', language: 'fre' }]
+        });
+        assert.equal(playlist, [
+            '#EXTM3U',
+            '#EXT-X-VERSION:7',
+            '#EXT-X-INDEPENDENT-SEGMENTS',
+            '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",NAME="English",LANGUAGE="eng",DEFAULT=YES,AUTOSELECT=YES,URI="audio-0/index.m3u8"',
+            '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",NAME="Director \'commentary\'",DEFAULT=NO,AUTOSELECT=NO,URI="audio-1/index.m3u8"',
+            '#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="Français",LANGUAGE="fre",DEFAULT=NO,AUTOSELECT=YES,FORCED=NO,URI="subs-0/index.m3u8"',
+            '#EXT-X-STREAM-INF:BANDWIDTH=2192000,RESOLUTION=1920x1080,AUDIO="audio",SUBTITLES="subs"',
+            'video/index.m3u8',
+            ''
+        ].join('\n'));
+    });
+
+    test('leaves out the groups a video has no tracks for and falls back to a default bandwidth', () => {
+        const playlist = buildMasterPlaylist({ video: { uri: 'video/index.m3u8' }, audioTracks: [], subtitleTracks: [] });
+        assert.equal(playlist, '#EXTM3U\n#EXT-X-VERSION:7\n#EXT-X-INDEPENDENT-SEGMENTS\n#EXT-X-STREAM-INF:BANDWIDTH=5000000\nvideo/index.m3u8\n');
+    });
+});
+
+describe('buildSubtitlePlaylist', () => {
+    test('wraps the whole WebVTT file in one segment as long as the video', () => {
+        assert.equal(buildSubtitlePlaylist('subs.vtt', 125.4321), [
+            '#EXTM3U',
+            '#EXT-X-VERSION:3',
+            '#EXT-X-TARGETDURATION:126',
+            '#EXT-X-MEDIA-SEQUENCE:0',
+            '#EXT-X-PLAYLIST-TYPE:VOD',
+            '#EXTINF:125.432,',
+            'subs.vtt',
+            '#EXT-X-ENDLIST',
+            ''
+        ].join('\n'));
+    });
+
+    test('keeps the target duration at least one second', () => {
+        assert.match(buildSubtitlePlaylist('subs.vtt', 0), /#EXT-X-TARGETDURATION:1\n[^]*#EXTINF:0\.000,/);
+    });
+});
+
+test('languageOf reads the stream language, ignoring "und"', () => {
+    assert.equal(languageOf({ tags: { language: 'eng' } }), 'eng');
+    assert.equal(languageOf({ tags: { language: 'und' } }), null);
+    assert.equal(languageOf({}), null);
+});
+
+test('only text subtitle codecs convert to WebVTT', () => {
+    assert.ok(TEXT_SUBTITLE_CODECS.includes('subrip'));
+    assert.ok(!TEXT_SUBTITLE_CODECS.includes('hdmv_pgs_subtitle'));
+    assert.ok(!TEXT_SUBTITLE_CODECS.includes('dvd_subtitle'));
+});
@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { hashingStream } = require('./hashStorage');
+
+// An upload request the client got wrong; `status` is the HTTP status to answer with.
+class UploadError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.name = 'UploadError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Fails the stream once more than `limit` bytes have passed through.
+const byteLimit = (limit) => {
+    let bytes = 0;
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            bytes += chunk.length;
+            if (bytes > limit) return callback(new UploadError(413, `Chunk is larger than the ${limit} bytes expected.`));
+            callback(null, chunk);
+        }
+    });
+};
+
+/**
+ * Uploads sent in chunks, so a dropped connection only costs the chunk in flight.
+ *
+ * The client creates an upload, then sends the file in order, one chunk at a time, each with the
+ * offset it starts at and its SHA-256. A chunk is written to a scratch file and only appended once
+ * its checksum matches, so the stored part is always a verified prefix of the file. The state of
+ * each upload is saved next to its part (`<id>.json`, `<id>.part`) and survives a restart; the
+ * client asks for the offset and carries on from there. Uploads untouched for `ttlMs` are dropped.
+ * A completed file moves to `completedDir`, named like the uploads multer writes there.
+ */
+const createResumableUploads = ({ dir, completedDir, maxSize, chunkSize, allowedTypes, ttlMs }) => {
+    fs.mkdirSync(dir, { recursive: true });
+    const uploads = new Map();
+    // Hashes of each upload's bytes so far; lost on restart and rebuilt from the part when needed.
+    const fileHashes = new Map();
+    const busy = new Set();
+
+    const statePath = (id) => path.join(dir, `${id}.json`);
+    const partPath = (id) => path.join(dir, `${id}.part`);
+
+    const save = (upload) => {
+        upload.updatedAt = new Date().toISOString();
+        fs.writeFileSync(`${statePath(upload.id)}.tmp`, JSON.stringify(upload));
+        fs.renameSync(`${statePath(upload.id)}.tmp`, statePath(upload.id));
+    };
+
+    // After a restart the part may hold the start of a chunk that was being appended; cut it back to
+    // the last recorded offset.
+    const load = (id) => {
+        if (uploads.has(id)) return uploads.get(id);
+        if (!/^[a-f0-9-]{36}$/.test(id)) return null;
+        let upload;
+        try {
+            upload = JSON.parse(fs.readFileSync(statePath(id), 'utf8'));
+        } catch (err) {
+            return null;
+        }
+        const partSize = fs.statSync(partPath(id), { throwIfNoEntry: false })?.size || 0;
+        if (partSize < upload.offset) upload.offset = partSize;
+        if (partSize > upload.offset) fs.truncateSync(partPath(id), upload.offset);
+        uploads.set(id, upload);
+        return upload;
+    };
+
+    const get = (id) => {
+        const upload = load(id);
+        if (!upload) throw new UploadError(404, 'Upload not found.');
+        return upload;
+    };
+
+    const fileHashOf = async (upload) => {
+        if (!fileHashes.has(upload.id)) {
+            const hash = crypto.createHash('sha256');
+            if (upload.offset > 0) {
+                for await (const chunk of fs.createReadStream(partPath(upload.id), { end: upload.offset - 1 })) {
+                    hash.update(chunk);
+                }
+            }
+            fileHashes.set(upload.id, hash);
+        }
+        return fileHashes.get(upload.id);
+    };
+
+    const create = ({ filename, size, mimetype, sha256 }) => {
+        if (!filename || typeof filename !== 'string') throw new UploadError(400, 'A file name is required.');
+        if (!Number.isInteger(size) || size <= 0) throw new UploadError(400, 'A file size is required.');
+        if (size > maxSize) throw new UploadError(413, `File is larger than the ${Math.round(maxSize / (1024 * 1024))}MB limit.`);
+        if (!allowedTypes.includes(mimetype)) throw new UploadError(415, 'Invalid file type. Only video files are allowed.');
+        if (sha256 !== undefined && !/^[a-f0-9]{64}$/.test(sha256)) throw new UploadError(400, 'Invalid file checksum.');
+
+        const upload = {
+            id: crypto.randomUUID(),
+            filename: path.basename(filename),
+            size,
+            mimetype,
+            sha256: sha256 || null,
+            offset: 0,
+            chunkSize,
+            createdAt: new Date().toISOString()
+        };
+        fs.writeFileSync(partPath(upload.id), '');
+        save(upload);
+        uploads.set(upload.id, upload);
+        return upload;
+    };
+
+    // Appends the chunk read from `stream` at `offset`. A chunk for any other offset is refused with
+    // the offset the server expects, so a client that lost track can pick up from there.
+    const appendChunk = async (id, offset, checksum, stream) => {
+        const upload = get(id);
+        if (busy.has(id)) throw new UploadError(409, 'Another chunk of this upload is being written.', { offset: upload.offset });
+        if (offset !== upload.offset) throw new UploadError(409, 'Chunk is not at the current offset.', { offset: upload.offset });
+        if (!/^[a-f0-9]{64}$/.test(checksum || '')) throw new UploadError(400, 'Each chunk needs its SHA-256 checksum.');
+
+        busy.add(id);
+        const scratch = `${partPath(id)}.chunk`;
+        try {
+            const chunkHash = crypto.createHash('sha256');
+            const counter = hashingStream(chunkHash);
+            await pipeline(stream, byteLimit(Math.min(chunkSize, upload.size - upload.offset)), counter, fs.createWriteStream(scratch));
+            if (chunkHash.digest('hex') !== checksum) {
+                throw new UploadError(422, 'Chunk checksum does not match; send it again.', { offset: upload.offset });
+            }
+            if (counter.bytes === 0) throw new UploadError(400, 'Chunk is empty.');
+
+            const fileHash = await fileHashOf(upload);
+            try {
+                await pipeline(fs.createReadStream(scratch), hashingStream(fileHash), fs.createWriteStream(partPath(id), { flags: 'a' }));
+            } catch (err) {
+                // The part may now end with half a chunk; load() trims it back to the saved offset.
+                fileHashes.delete(id);
+                uploads.delete(id);
+                throw err;
+            }
+            upload.offset += counter.bytes;
+            save(upload);
+            return upload;
+        } finally {
+            fs.rmSync(scratch, { force: true });
+            busy.delete(id);
+        }
+    };
+
+    // Once every byte is in: the file's path and hash, to be processed like any other upload. The
+    // upload's record goes; the file is the caller's to remove.
+    const complete = async (id) => {
+        const upload = get(id);
+        if (busy.has(id)) throw new UploadError(409, 'A chunk of this upload is still being written.', { offset: upload.offset });
+        if (upload.offset !== upload.size) {
+            throw new UploadError(409, `Upload is incomplete: ${upload.offset} of ${upload.size} bytes received.`, { offset: upload.offset });
+        }
+        busy.add(id);
+        let hash;
+        try {
+            hash = (await fileHashOf(upload)).digest('hex');
+        } finally {
+            fileHashes.delete(id);
+            busy.delete(id);
+        }
+        if (upload.sha256 && upload.sha256 !== hash) {
+            remove(id);
+            throw new UploadError(422, 'The uploaded file does not match its checksum; upload it again.');
+        }
+        const filePath = path.join(completedDir, `${Date.now()}-${upload.filename}`);
+        fs.renameSync(partPath(id), filePath);
+        uploads.delete(id);
+        fs.rmSync(statePath(id), { force: true });
+        return { path: filePath, hash, size: upload.size, originalname: upload.filename };
+    };
+
+    const remove = (id) => {
+        const upload = get(id);
+        if (busy.has(id)) throw new UploadError(409, 'A chunk of this upload is being written.');
+        uploads.delete(upload.id);
+        fileHashes.delete(upload.id);
+        fs.rmSync(statePath(upload.id), { force: true });
+        fs.rmSync(partPath(upload.id), { force: true });
+    };
+
+    // Drops uploads abandoned for longer than the TTL, and files that belong to no upload.
+    const sweep = (now = Date.now()) => {
+        const removed = [];
+        fs.readdirSync(dir).forEach(name => {
+            const id = name.split('.')[0];
+            const upload = busy.has(id) ? uploads.get(id) : load(id);
+            const stale = !upload || (ttlMs > 0 && now - Date.parse(upload.updatedAt) > ttlMs && !busy.has(id));
+            if (!stale) return;
+            uploads.delete(id);
+            fileHashes.delete(id);
+            fs.rmSync(path.join(dir, name), { force: true });
+            removed.push(name);
+        });
+        removed.forEach(name => console.log(`Removed stale upload file ${name}`));
+        return removed;
+    };
+
+    return { create, get, appendChunk, complete, remove, sweep };
+};
+
+module.exports = { UploadError, createResumableUploads };
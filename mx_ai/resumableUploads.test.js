@@ -0,0 +1,131 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { UploadError, createResumableUploads } = require('./resumableUploads');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const FILE = Buffer.from('0123456789abcdef');
+
+describe('createResumableUploads', () => {
+    let root;
+    let dir;
+    let completedDir;
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'resumable-'));
+        dir = path.join(root, 'resumable');
+        completedDir = root;
+    });
+    afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    const uploads = () => createResumableUploads({ dir, completedDir, maxSize: 1024, chunkSize: 8, allowedTypes: ['video/mp4'], ttlMs: DAY_MS });
+    const start = (store, fields = {}) => store.create({ filename: 'clip.mp4', size: FILE.length, mimetype: 'video/mp4', sha256: sha256(FILE), ...fields });
+    const send = (store, id, offset, chunk, checksum = sha256(chunk)) => store.appendChunk(id, offset, checksum, Readable.from([chunk]));
+    const rejection = (status, offset) => (err) => {
+        assert.ok(err instanceof UploadError);
+        assert.equal(err.status, status);
+        if (offset !== undefined) assert.equal(err.details.offset, offset);
+        return true;
+    };
+
+    test('refuses uploads that are missing details, too large or not video', () => {
+        const store = uploads();
+        assert.throws(() => start(store, { filename: '' }), rejection(400));
+        assert.throws(() => start(store, { size: 0 }), rejection(400));
+        assert.throws(() => start(store, { size: 2048 }), rejection(413));
+        assert.throws(() => start(store, { mimetype: 'text/plain' }), rejection(415));
+        assert.throws(() => start(store, { sha256: 'abc' }), rejection(400));
+        assert.equal(fs.readdirSync(dir).length, 0);
+    });
+
+    test('appends chunks in order and completes into a file named like multer uploads', async () => {
+        const store = uploads();
+        const upload = start(store, { filename: '../clip.mp4' });
+        assert.equal(upload.filename, 'clip.mp4');
+        assert.equal((await send(store, upload.id, 0, FILE.subarray(0, 8))).offset, 8);
+        await assert.rejects(store.complete(upload.id), rejection(409, 8));
+        assert.equal((await send(store, upload.id, 8, FILE.subarray(8))).offset, 16);
+
+        const { path: filePath, ...file } = await store.complete(upload.id);
+        assert.deepEqual(file, { hash: sha256(FILE), size: FILE.length, originalname: 'clip.mp4' });
+        assert.equal(path.dirname(filePath), completedDir);
+        assert.match(path.basename(filePath), /^\d+-clip\.mp4$/);
+        assert.ok(fs.readFileSync(filePath).equals(FILE));
+        assert.deepEqual(fs.readdirSync(dir), []);
+        assert.throws(() => store.get(upload.id), rejection(404));
+    });
+
+    test('refuses a chunk whose checksum does not match, leaving the offset where it was', async () => {
+        const store = uploads();
+        const upload = start(store);
+        await send(store, upload.id, 0, FILE.subarray(0, 8));
+        await assert.rejects(send(store, upload.id, 8, FILE.subarray(8), sha256('something else')), rejection(422, 8));
+        assert.equal(store.get(upload.id).offset, 8);
+        assert.equal(fs.statSync(path.join(dir, `${upload.id}.part`)).size, 8);
+    });
+
+    test('refuses a chunk at the wrong offset and tells the client where to carry on', async () => {
+        const store = uploads();
+        const upload = start(store);
+        await send(store, upload.id, 0, FILE.subarray(0, 8));
+        await assert.rejects(send(store, upload.id, 0, FILE.subarray(0, 8)), rejection(409, 8));
+        await assert.rejects(send(store, upload.id, 12, FILE.subarray(12)), rejection(409, 8));
+    });
+
+    test('refuses a chunk larger than the chunk size', async () => {
+        const store = uploads();
+        const upload = start(store);
+        await assert.rejects(send(store, upload.id, 0, FILE.subarray(0, 12)), rejection(413));
+        assert.equal(store.get(upload.id).offset, 0);
+    });
+
+    test('after a restart, cuts a half-written chunk off the part and carries on from the saved offset', async () => {
+        const before = uploads();
+        const upload = start(before);
+        await send(before, upload.id, 0, FILE.subarray(0, 8));
+        fs.appendFileSync(path.join(dir, `${upload.id}.part`), 'half a chunk');
+
+        const after = uploads();
+        assert.equal(after.get(upload.id).offset, 8);
+        assert.equal(fs.statSync(path.join(dir, `${upload.id}.part`)).size, 8);
+        await send(after, upload.id, 8, FILE.subarray(8));
+        const file = await after.complete(upload.id);
+        assert.equal(file.hash, sha256(FILE));
+        assert.ok(fs.readFileSync(file.path).equals(FILE));
+    });
+
+    test('drops an upload whose file does not match the checksum it was created with', async () => {
+        const store = uploads();
+        const upload = start(store, { sha256: sha256('another file') });
+        await send(store, upload.id, 0, FILE.subarray(0, 8));
+        await send(store, upload.id, 8, FILE.subarray(8));
+        await assert.rejects(store.complete(upload.id), rejection(422));
+        assert.throws(() => store.get(upload.id), rejection(404));
+        assert.deepEqual(fs.readdirSync(dir), []);
+        assert.deepEqual(fs.readdirSync(completedDir), ['resumable']);
+    });
+
+    test('only looks up ids that look like upload ids', () => {
+        const store = uploads();
+        fs.writeFileSync(path.join(root, 'secret.json'), JSON.stringify({ offset: 0 }));
+        assert.throws(() => store.get('../secret'), rejection(404));
+    });
+
+    test('sweep drops uploads left untouched past the TTL and files that belong to no upload', async () => {
+        const store = uploads();
+        const upload = start(store);
+        fs.writeFileSync(path.join(dir, 'stray.part'), 'x');
+        assert.deepEqual(store.sweep(), ['stray.part']);
+        assert.equal(store.get(upload.id).offset, 0);
+
+        const removed = store.sweep(Date.now() + 2 * DAY_MS);
+        assert.deepEqual(removed.sort(), [`${upload.id}.json`, `${upload.id}.part`]);
+        assert.deepEqual(fs.readdirSync(dir), []);
+        assert.throws(() => store.get(upload.id), rejection(404));
+    });
+});
@@ -4,17 +4,60 @@ const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs');
 const cors = require('cors');
+const { createJobQueue, isFinished, toJSON } = require('./jobs');
+const { TEXT_SUBTITLE_CODECS, buildMasterPlaylist, buildSubtitlePlaylist, languageOf } = require('./playlists');
+const { HASH_PATTERN, hashStorage } = require('./hashStorage');
+const { createStorageManager } = require('./storage');
+const { UploadError, createResumableUploads } = require('./resumableUploads');
 
 const app = express();
 const port = 3000;
 
+// How many uploads are processed at once; the rest wait their turn.
+const MAX_CONCURRENT_JOBS = Number(process.env.MAX_CONCURRENT_JOBS) || 2;
+
+// Target length in seconds of each HLS segment.
+const HLS_SEGMENT_SECONDS = 6;
+
+// Processed media is evicted, least recently used first, once processed/ grows past the quota, and
+// removed anyway once it hasn't been opened for the TTL. 0 turns either limit off.
+const numberFromEnv = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return process.env[name] && Number.isFinite(value) ? value : fallback;
+};
+const STORAGE_QUOTA_BYTES = Math.floor(numberFromEnv('STORAGE_QUOTA_GB', 20) * 1024 * 1024 * 1024);
+const MEDIA_TTL_MS = numberFromEnv('MEDIA_TTL_DAYS', 30) * 24 * 60 * 60 * 1000;
+const STORAGE_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+const ALLOWED_VIDEO_TYPES = [
+    'video/mp4', 'video/webm', 'video/ogg', 'video/x-matroska',
+    'video/quicktime', 'video/x-msvideo', 'video/x-flv'
+];
+const MAX_UPLOAD_BYTES = 500 * 1024 * 1024; // 500MB limit
+
+// Resumable uploads arrive in chunks of this size, and are dropped if left unfinished this long.
+const UPLOAD_CHUNK_BYTES = 8 * 1024 * 1024;
+const RESUMABLE_UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+
+// If set, the /admin endpoints require `Authorization: Bearer <token>`. If not, they only answer
+// requests from this machine; set it when the server sits behind a proxy, where every request
+// looks local.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
 // Enhanced CORS configuration
 app.use(cors({
     origin: 'http://localhost:3000',
-    methods: ['GET', 'POST'],
-    allowedHeaders: ['Content-Type']
+    methods: ['GET', 'HEAD', 'POST', 'PUT', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Upload-Offset', 'Upload-Checksum']
 }));
 
+// Opening a video counts as using it, for eviction; see storage.js.
+app.get('/processed/:hash/master.m3u8', (req, res, next) => {
+    if (HASH_PATTERN.test(req.params.hash)) storageManager.touch(req.params.hash);
+    next();
+});
+
 // Static file serving
 app.use('/processed', express.static(path.join(__dirname, 'processed')));
 app.use(express.static(__dirname));
@@ -32,45 +75,68 @@ const ensureDirectoryExists = (dir) => {
 ensureDirectoryExists(path.join(__dirname, 'uploads'));
 ensureDirectoryExists(path.join(__dirname, 'processed'));
 
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        cb(null, path.join(__dirname, 'uploads'));
-    },
-    filename: function (req, file, cb) {
-        cb(null, Date.now() + '-' + file.originalname);
-    }
+const storageManager = createStorageManager({
+    uploadsDir: path.join(__dirname, 'uploads'),
+    processedDir: path.join(__dirname, 'processed'),
+    quotaBytes: STORAGE_QUOTA_BYTES,
+    ttlMs: MEDIA_TTL_MS,
+    isBusy: (hash) => activeJobsByHash.has(hash),
+    keepUploads: ['resumable']
+});
+
+// Uploads are hashed as they are written; processed output is stored under that hash.
+const storage = hashStorage({
+    destination: path.join(__dirname, 'uploads'),
+    filename: (req, file) => Date.now() + '-' + file.originalname
 });
 
 const upload = multer({ 
     storage: storage,
     fileFilter: (req, file, cb) => {
-        const allowedTypes = [
-            'video/mp4', 'video/webm', 'video/ogg', 'video/x-matroska',
-            'video/quicktime', 'video/x-msvideo', 'video/x-flv'
-        ];
-        if (!allowedTypes.includes(file.mimetype)) {
+        if (!ALLOWED_VIDEO_TYPES.includes(file.mimetype)) {
             return cb(new Error('Invalid file type. Only video files are allowed.'));
         }
         cb(null, true);
     },
     limits: {
-        fileSize: 500 * 1024 * 1024 // 500MB limit
+        fileSize: MAX_UPLOAD_BYTES
     }
 });
 
-const getFilePaths = (filename) => {
-    const baseName = path.basename(filename, path.extname(filename));
-    const processedDir = path.join(__dirname, 'processed', baseName);
-    ensureDirectoryExists(processedDir);
+const resumableUploads = createResumableUploads({
+    dir: path.join(__dirname, 'uploads', 'resumable'),
+    completedDir: path.join(__dirname, 'uploads'),
+    maxSize: MAX_UPLOAD_BYTES,
+    chunkSize: UPLOAD_CHUNK_BYTES,
+    allowedTypes: ALLOWED_VIDEO_TYPES,
+    ttlMs: RESUMABLE_UPLOAD_TTL_MS
+});
+
+const getMediaPaths = (hash) => {
+    const processedDir = path.join(__dirname, 'processed', hash);
     return {
-        baseName,
         processedDir,
-        videoPath: path.join(processedDir, 'video.mp4'),
-        audioPaths: [],
-        subtitlePaths: []
+        urlPrefix: `/processed/${hash}`,
+        manifestPath: path.join(processedDir, 'manifest.json')
     };
 };
 
+// The manifest is written last, so a folder without one holds unfinished output.
+const readManifest = (hash) => {
+    try {
+        return JSON.parse(fs.readFileSync(getMediaPaths(hash).manifestPath, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') console.error('Error reading manifest:', err);
+        return null;
+    }
+};
+
+const writeManifest = (hash, manifest) => {
+    const { manifestPath } = getMediaPaths(hash);
+    fs.writeFileSync(`${manifestPath}.tmp`, JSON.stringify(manifest, null, 2));
+    fs.renameSync(`${manifestPath}.tmp`, manifestPath);
+};
+
 const cleanupFiles = (filePath) => {
     try {
         if (fs.existsSync(filePath)) {
@@ -85,122 +151,414 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
-app.post('/upload', upload.single('video'), async (req, res) => {
+const jobQueue = createJobQueue({ concurrency: MAX_CONCURRENT_JOBS });
+
+// "00:01:02.50" -> 62.5
+const timemarkToSeconds = (timemark) => {
+    if (!timemark) return 0;
+    return String(timemark).split(':').reduce((total, part) => total * 60 + parseFloat(part || 0), 0);
+};
+
+// Runs one ffmpeg command as a stage of `job`, reporting its progress against the input's duration.
+const runStage = (job, stageId, command, duration) => new Promise((resolve, reject) => {
+    job.track(command)
+        .on('start', (commandLine) => {
+            console.log('Spawned FFmpeg with command: ' + commandLine);
+            job.updateStage(stageId, 0);
+        })
+        .on('progress', (progress) => {
+            const percent = duration > 0 ? (timemarkToSeconds(progress.timemark) / duration) * 100 : progress.percent;
+            if (Number.isFinite(percent)) job.updateStage(stageId, Math.min(percent, 99));
+        })
+        .on('end', () => {
+            job.updateStage(stageId, 100, 'done');
+            resolve();
+        })
+        .on('error', reject)
+        .run();
+});
+
+// Segmented VOD output in fragmented MP4, which both hls.js and native (Safari) playback accept.
+// The segment path goes in as separate arguments so spaces in file names aren't split apart.
+const withHlsOutput = (command, dir) => command
+    .addOutputOptions([
+        '-f hls',
+        `-hls_time ${HLS_SEGMENT_SECONDS}`,
+        '-hls_playlist_type vod',
+        '-hls_segment_type fmp4',
+        '-hls_fmp4_init_filename init.mp4'
+    ])
+    .addOutputOption('-hls_segment_filename', path.join(dir, 'seg_%05d.m4s'));
+
+const processVideo = async (job, inputFile, { hash, originalname, size }, { processedDir, urlPrefix }) => {
+    job.setStages([{ id: 'probe', label: 'Reading file' }]);
+    job.updateStage('probe', 0);
+
+    // 1. Get video metadata
+    const metadata = await new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(inputFile, (err, metadata) => {
+            if (err) return reject(err);
+            resolve(metadata);
+        });
+    });
+    job.throwIfCancelled();
+
+    if (!metadata.streams || metadata.streams.length === 0) {
+        throw new Error('No streams found in the video file');
+    }
+
+    const videoStream = metadata.streams.find(s => s.codec_type === 'video');
+    const audioStreams = metadata.streams.filter(s => s.codec_type === 'audio');
+    const subtitleStreams = metadata.streams.filter(s => s.codec_type === 'subtitle' && TEXT_SUBTITLE_CODECS.includes(s.codec_name));
+    const skippedSubtitles = metadata.streams.filter(s => s.codec_type === 'subtitle').length - subtitleStreams.length;
+    const duration = parseFloat(metadata.format?.duration) || 0;
+    const audioLabel = (stream, i) => stream.tags?.title || stream.tags?.language || `Audio ${i + 1}`;
+    const subtitleLabel = (stream, i) => stream.tags?.title || stream.tags?.language || `Subtitle ${i + 1}`;
+
+    console.log(`Processing: ${originalname}`);
+    console.log(`Video streams: ${videoStream ? 1 : 0}`);
+    console.log(`Audio streams: ${audioStreams.length}`);
+    console.log(`Subtitle streams: ${subtitleStreams.length}${skippedSubtitles ? ` (${skippedSubtitles} image-based skipped)` : ''}`);
+
+    if (!videoStream) {
+        throw new Error('No video stream found in the file');
+    }
+
+    job.setStages([
+        { id: 'probe', label: 'Reading file' },
+        { id: 'video', label: 'Video' },
+        ...audioStreams.map((stream, i) => ({ id: `audio_${i}`, label: `Audio: ${audioLabel(stream, i)}` })),
+        ...subtitleStreams.map((stream, i) => ({ id: `subtitle_${i}`, label: `Subtitles: ${subtitleLabel(stream, i)}` }))
+    ]);
+    job.updateStage('probe', 100, 'done');
+
+    // 2. Package the video as one HLS rendition. Browsers play H.264; anything else is re-encoded.
+    fs.mkdirSync(path.join(processedDir, 'video'), { recursive: true });
+    const videoCommand = withHlsOutput(ffmpeg(inputFile)
+        .output(path.join(processedDir, 'video', 'index.m3u8'))
+        .addOutputOptions([`-map 0:${videoStream.index}`, '-an', '-sn'])
+        .videoCodec(videoStream.codec_name === 'h264' ? 'copy' : 'libx264'), path.join(processedDir, 'video'));
+    await runStage(job, 'video', videoCommand, duration);
+
+    // 3. Package each audio stream as an alternate audio rendition
+    const audioTracks = await Promise.all(audioStreams.map(async (stream, i) => {
+        const dir = path.join(processedDir, `audio_${i}`);
+        fs.mkdirSync(dir, { recursive: true });
+        const command = withHlsOutput(ffmpeg(inputFile)
+            .output(path.join(dir, 'index.m3u8'))
+            .addOutputOptions([`-map 0:${stream.index}`, '-vn', '-sn'])
+            .audioCodec('aac')
+            .audioChannels(Math.min(stream.channels || 2, 2)), dir);
+        await runStage(job, `audio_${i}`, command, duration);
+        return { uri: `audio_${i}/index.m3u8`, label: audioLabel(stream, i), language: languageOf(stream) };
+    }));
+
+    // 4. Convert each subtitle stream to WebVTT, wrapped in a one-segment playlist
+    const subtitleTracks = await Promise.all(subtitleStreams.map(async (stream, i) => {
+        const command = ffmpeg(inputFile)
+            .output(path.join(processedDir, `sub_${i}.vtt`))
+            .addOutputOptions([`-map 0:${stream.index}`, '-c:s webvtt']);
+        await runStage(job, `subtitle_${i}`, command, duration);
+        fs.writeFileSync(path.join(processedDir, `sub_${i}.m3u8`), buildSubtitlePlaylist(`sub_${i}.vtt`, duration));
+        return { uri: `sub_${i}.m3u8`, label: subtitleLabel(stream, i), language: languageOf(stream) };
+    }));
+
+    // 5. Tie the renditions together
+    job.throwIfCancelled();
+    fs.writeFileSync(path.join(processedDir, 'master.m3u8'), buildMasterPlaylist({
+        video: {
+            uri: 'video/index.m3u8',
+            bandwidth: parseInt(videoStream.bit_rate, 10) || parseInt(metadata.format?.bit_rate, 10),
+            width: videoStream.width,
+            height: videoStream.height
+        },
+        audioTracks,
+        subtitleTracks
+    }));
+
+    const manifest = {
+        version: 1,
+        hash,
+        filename: originalname,
+        size,
+        createdAt: new Date().toISOString(),
+        duration,
+        video: { codec: videoStream.codec_name, width: videoStream.width, height: videoStream.height },
+        playlistUrl: `${urlPrefix}/master.m3u8`,
+        audioTracks: audioTracks.map((track, i) => ({
+            label: track.label,
+            language: track.language,
+            codec: audioStreams[i].codec_name,
+            channels: audioStreams[i].channels,
+            url: `${urlPrefix}/${track.uri}`
+        })),
+        subtitleTracks: subtitleTracks.map((track, i) => ({
+            label: track.label,
+            language: track.language,
+            codec: subtitleStreams[i].codec_name,
+            url: `${urlPrefix}/${track.uri}`
+        }))
+    };
+    writeManifest(hash, manifest);
+    return { success: true, ...manifest };
+};
+
+// Jobs still running, by the hash of the file they process, so a second upload joins the first.
+const activeJobsByHash = new Map();
+
+const jobResponse = (jobId, hash) => ({
+    success: true,
+    hash,
+    jobId,
+    statusUrl: `/jobs/${jobId}`,
+    eventsUrl: `/jobs/${jobId}/events`
+});
+
+// Responds at once: with the stored result if this file was processed before, otherwise with the
+// id of the job processing it. `file` is a complete upload: { path, hash, originalname, size }.
+const startProcessing = (file, res) => {
+    const { path: inputFile, hash, originalname, size } = file;
+
+    const manifest = readManifest(hash);
+    if (manifest) {
+        cleanupFiles(inputFile);
+        storageManager.touch(hash);
+        return res.json({ success: true, cached: true, hash, result: { success: true, ...manifest, filename: originalname } });
+    }
+
+    const activeJobId = activeJobsByHash.get(hash);
+    if (activeJobId) {
+        cleanupFiles(inputFile);
+        return res.status(202).json(jobResponse(activeJobId, hash));
+    }
+
+    // Anything already in the folder was left by an interrupted run; start it over.
+    const paths = getMediaPaths(hash);
+    fs.rmSync(paths.processedDir, { recursive: true, force: true });
+    ensureDirectoryExists(paths.processedDir);
+
+    const job = jobQueue.add(
+        originalname,
+        (job) => processVideo(job, inputFile, { hash, originalname, size }, paths),
+        (job) => {
+            activeJobsByHash.delete(hash);
+            // The upload is only needed while processing; a failed or cancelled job leaves nothing behind.
+            cleanupFiles(inputFile);
+            if (job.status !== 'done') {
+                fs.rmSync(paths.processedDir, { recursive: true, force: true });
+            } else {
+                storageManager.enforce();
+            }
+            if (job.status === 'failed') {
+                console.error(`Processing error (${originalname}):`, job.error);
+            }
+        }
+    );
+
+    activeJobsByHash.set(hash, job.id);
+
+    res.status(202).json(jobResponse(job.id, hash));
+};
+
+app.post('/upload', upload.single('video'), (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'No file uploaded.' });
     }
+    startProcessing(req.file, res);
+});
 
-    const inputFile = req.file.path;
-    const { baseName, processedDir } = getFilePaths(req.file.filename);
+// --- Resumable uploads ---
+// POST /uploads { filename, size, mimetype, sha256? } starts one; PUT /uploads/:id sends the next
+// chunk with `Upload-Offset: <byte offset>` and `Upload-Checksum: sha256 <hex>`; GET /uploads/:id
+// says how far it got; POST /uploads/:id/complete hands the file to processing like /upload.
 
+const uploadStatus = (upload) => ({
+    success: true,
+    uploadId: upload.id,
+    filename: upload.filename,
+    size: upload.size,
+    offset: upload.offset,
+    chunkSize: upload.chunkSize
+});
+
+const sendUploadError = (res, err) => {
+    if (err instanceof UploadError) {
+        return res.status(err.status).json({ success: false, error: err.message, ...err.details });
+    }
+    console.error('Upload error:', err);
+    res.status(500).json({ success: false, error: 'Upload failed', details: err.message });
+};
+
+app.post('/uploads', express.json(), (req, res) => {
     try {
-        // 1. Get video metadata
-        const metadata = await new Promise((resolve, reject) => {
-            ffmpeg.ffprobe(inputFile, (err, metadata) => {
-                if (err) return reject(err);
-                resolve(metadata);
-            });
-        });
+        const { filename, size, mimetype, sha256 } = req.body || {};
+        res.status(201).json(uploadStatus(resumableUploads.create({ filename, size, mimetype, sha256 })));
+    } catch (err) {
+        sendUploadError(res, err);
+    }
+});
+
+app.get('/uploads/:id', (req, res) => {
+    try {
+        res.json(uploadStatus(resumableUploads.get(req.params.id)));
+    } catch (err) {
+        sendUploadError(res, err);
+    }
+});
 
-        if (!metadata.streams || metadata.streams.length === 0) {
-            throw new Error('No streams found in the video file');
+app.put('/uploads/:id', async (req, res) => {
+    const offset = Number(req.get('Upload-Offset'));
+    const [algorithm, checksum] = (req.get('Upload-Checksum') || '').split(' ');
+    try {
+        if (!Number.isInteger(offset) || offset < 0) {
+            throw new UploadError(400, 'Upload-Offset header is required.');
+        }
+        if (algorithm !== 'sha256') {
+            throw new UploadError(400, 'Upload-Checksum must be "sha256 <hex digest>".');
         }
+        res.json(uploadStatus(await resumableUploads.appendChunk(req.params.id, offset, checksum, req)));
+    } catch (err) {
+        sendUploadError(res, err);
+    }
+});
 
-        const videoStream = metadata.streams.find(s => s.codec_type === 'video');
-        const audioStreams = metadata.streams.filter(s => s.codec_type === 'audio');
-        const subtitleStreams = metadata.streams.filter(s => s.codec_type === 'subtitle');
-
-        console.log(`Processing: ${req.file.originalname}`);
-        console.log(`Video streams: ${videoStream ? 1 : 0}`);
-        console.log(`Audio streams: ${audioStreams.length}`);
-        console.log(`Subtitle streams: ${subtitleStreams.length}`);
-
-        // 2. Process Video Stream
-        await new Promise((resolve, reject) => {
-            const command = ffmpeg(inputFile)
-                .output(path.join(processedDir, 'video.mp4'))
-                .noAudio()
-                .videoCodec('copy')
-                .on('start', (commandLine) => {
-                    console.log('Spawned FFmpeg with command: ' + commandLine);
-                })
-                .on('progress', (progress) => {
-                    console.log(`Processing: ${progress.timemark}`);
-                })
-                .on('end', () => {
-                    console.log('Video processing finished');
-                    resolve();
-                })
-                .on('error', (err) => {
-                    console.error('Video processing error:', err);
-                    reject(err);
-                });
-
-            if (videoStream && videoStream.codec_name === 'h264') {
-                command.addOutputOption('-c:v libx264');
-            }
+app.post('/uploads/:id/complete', async (req, res) => {
+    try {
+        startProcessing(await resumableUploads.complete(req.params.id), res);
+    } catch (err) {
+        sendUploadError(res, err);
+    }
+});
 
-            command.run();
-        });
+app.delete('/uploads/:id', (req, res) => {
+    try {
+        resumableUploads.remove(req.params.id);
+        res.json({ success: true });
+    } catch (err) {
+        sendUploadError(res, err);
+    }
+});
 
-        // 3. Process Audio Streams
-        const audioTracks = await Promise.all(audioStreams.map(async (stream, i) => {
-            const outputAudioPath = path.join(processedDir, `audio_${i}.aac`);
-            await new Promise((resolve, reject) => {
-                ffmpeg(inputFile)
-                    .output(outputAudioPath)
-                    .noVideo()
-                    .audioCodec('aac')
-                    .addOutputOption(`-map 0:${stream.index}`)
-                    .on('end', resolve)
-                    .on('error', reject)
-                    .run();
-            });
-            return {
-                url: `/processed/${baseName}/audio_${i}.aac`,
-                label: stream.tags?.title || stream.tags?.language || `Audio ${i + 1}`
-            };
-        }));
-
-        // 4. Process Subtitle Streams
-        const subtitleTracks = await Promise.all(subtitleStreams.map(async (stream, i) => {
-            const outputSubtitlePath = path.join(processedDir, `sub_${i}.vtt`);
-            await new Promise((resolve, reject) => {
-                ffmpeg(inputFile)
-                    .output(outputSubtitlePath)
-                    .addOutputOption(`-map 0:${stream.index}`)
-                    .on('end', resolve)
-                    .on('error', reject)
-                    .run();
-            });
-            return {
-                url: `/processed/${baseName}/sub_${i}.vtt`,
-                label: stream.tags?.title || stream.tags?.language || `Subtitle ${i + 1}`
-            };
-        }));
-
-        // Cleanup the uploaded file
-        cleanupFiles(inputFile);
+// Lets a client that hashed a file itself skip the upload when the result already exists.
+app.head('/media/:hash', (req, res) => {
+    const { hash } = req.params;
+    res.sendStatus(HASH_PATTERN.test(hash) && fs.existsSync(getMediaPaths(hash).manifestPath) ? 200 : 404);
+});
 
-        res.json({
-            success: true,
-            videoUrl: `/processed/${baseName}/video.mp4`,
-            audioTracks,
-            subtitleTracks,
-            filename: req.file.originalname
-        });
+app.get('/media/:hash', (req, res) => {
+    const { hash } = req.params;
+    if (!HASH_PATTERN.test(hash)) {
+        return res.status(400).json({ error: 'Invalid media hash.' });
+    }
+    const manifest = readManifest(hash);
+    if (!manifest) {
+        return res.status(404).json({ error: 'Media not found.' });
+    }
+    storageManager.touch(hash);
+    res.json({ success: true, ...manifest });
+});
 
-    } catch (error) {
-        console.error('Processing error:', error);
-        cleanupFiles(inputFile);
-        res.status(500).json({ 
-            success: false,
-            error: 'Video processing failed',
-            details: error.message 
-        });
+const requireAdmin = (req, res, next) => {
+    if (!ADMIN_TOKEN && !LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress)) {
+        return res.status(403).json({ error: 'Admin endpoints are only available from this machine unless ADMIN_TOKEN is set.' });
+    }
+    if (ADMIN_TOKEN && req.get('Authorization') !== `Bearer ${ADMIN_TOKEN}`) {
+        return res.status(401).json({ error: 'Admin token required.' });
+    }
+    next();
+};
+
+// Processed media with sizes, most recently used first, and the totals against the quota.
+app.get('/admin/media', requireAdmin, (req, res) => {
+    res.json(storageManager.usage());
+});
+
+app.delete('/admin/media/:hash', requireAdmin, (req, res) => {
+    const { hash } = req.params;
+    if (!HASH_PATTERN.test(hash)) {
+        return res.status(400).json({ error: 'Invalid media hash.' });
+    }
+    if (activeJobsByHash.has(hash)) {
+        return res.status(409).json({ error: 'Media is still being processed.' });
+    }
+    if (!readManifest(hash)) {
+        return res.status(404).json({ error: 'Media not found.' });
+    }
+    if (!storageManager.remove(hash)) {
+        return res.status(500).json({ error: 'Could not delete media.' });
+    }
+    res.json({ success: true, hash });
+});
+
+// Applies the quota and TTL now rather than at the next sweep.
+app.post('/admin/media/evict', requireAdmin, (req, res) => {
+    res.json({ success: true, evicted: storageManager.enforce() });
+});
+
+app.get('/jobs/:id', (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found.' });
+    }
+    res.json(toJSON(job));
+});
+
+// Server-Sent Events: the job's state now and after every change, until it is over.
+app.get('/jobs/:id/events', (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found.' });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+
+    let unsubscribe = () => {};
+    const send = (current) => {
+        res.write(`data: ${JSON.stringify(toJSON(current))}\n\n`);
+        if (isFinished(current)) {
+            unsubscribe();
+            res.end();
+        }
+    };
+    // Comments keep proxies from closing an idle stream while a long stage runs.
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+    unsubscribe = jobQueue.subscribe((updated) => {
+        if (updated.id === job.id) send(updated);
+    });
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        unsubscribe();
+    });
+    send(job);
+});
+
+app.delete('/jobs/:id', (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found.' });
     }
+    if (!jobQueue.cancel(job.id)) {
+        return res.status(409).json({ error: `Job is already ${job.status}.` });
+    }
+    // A queued job is cancelled on the spot. A running one is only asked to stop: it reports
+    // `cancelRequested` until its FFmpeg processes have exited, and the events stream then sends
+    // the 'cancelled' status.
+    res.status(isFinished(job) ? 200 : 202).json(toJSON(job));
 });
 
+storageManager.reconcile();
+storageManager.enforce();
+resumableUploads.sweep();
+setInterval(() => {
+    storageManager.enforce();
+    resumableUploads.sweep();
+}, STORAGE_SWEEP_INTERVAL_MS).unref();
+
 app.listen(port, () => {
     console.log(`Server running at http://localhost:${port}`);
     console.log('Make sure FFmpeg is installed and available in your system PATH');
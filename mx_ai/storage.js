@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const { HASH_PATTERN } = require('./hashStorage');
+
+const MANIFEST = 'manifest.json';
+
+// Bytes used by a file or everything under a directory.
+const sizeOf = (target) => {
+    const stats = fs.statSync(target, { throwIfNoEntry: false });
+    if (!stats) return 0;
+    if (!stats.isDirectory()) return stats.size;
+    return fs.readdirSync(target).reduce((total, name) => total + sizeOf(path.join(target, name)), 0);
+};
+
+const removeQuietly = (target) => {
+    try {
+        fs.rmSync(target, { recursive: true, force: true });
+        return true;
+    } catch (err) {
+        console.error(`Error removing ${target}:`, err);
+        return false;
+    }
+};
+
+/**
+ * Keeps uploads/ and processed/ within bounds.
+ *
+ * Processed media lives in processed/<hash>/ and is complete once its manifest exists. The
+ * manifest's modification time doubles as the last time the media was opened (see `touch`), which
+ * drives both the TTL and least-recently-used eviction once the folder grows past `quotaBytes`.
+ * Media that `isBusy(hash)` reports as still being processed is never removed. Entries of uploads/
+ * named in `keepUploads` are managed elsewhere and left alone.
+ */
+const createStorageManager = ({ uploadsDir, processedDir, quotaBytes, ttlMs, isBusy = () => false, keepUploads = [] }) => {
+    // Finished media never changes, so sizes are only measured once.
+    const sizes = new Map();
+
+    const manifestPath = (hash) => path.join(processedDir, hash, MANIFEST);
+
+    const describe = (hash) => {
+        const stats = fs.statSync(manifestPath(hash), { throwIfNoEntry: false });
+        if (!stats) return null;
+        if (!sizes.has(hash)) sizes.set(hash, sizeOf(path.join(processedDir, hash)));
+        let manifest = {};
+        try {
+            manifest = JSON.parse(fs.readFileSync(manifestPath(hash), 'utf8'));
+        } catch (err) {
+            console.error(`Error reading manifest for ${hash}:`, err);
+        }
+        return {
+            hash,
+            filename: manifest.filename || null,
+            size: sizes.get(hash),
+            duration: manifest.duration || null,
+            createdAt: manifest.createdAt || stats.birthtime.toISOString(),
+            lastAccessedAt: stats.mtime.toISOString()
+        };
+    };
+
+    // Complete media, most recently used first.
+    const list = () => fs.readdirSync(processedDir)
+        .filter(name => HASH_PATTERN.test(name))
+        .map(describe)
+        .filter(Boolean)
+        .sort((a, b) => b.lastAccessedAt.localeCompare(a.lastAccessedAt));
+
+    const usage = () => {
+        const media = list();
+        return { media, usedBytes: media.reduce((total, item) => total + item.size, 0), quotaBytes, ttlMs };
+    };
+
+    const touch = (hash) => {
+        const now = new Date();
+        try {
+            fs.utimesSync(manifestPath(hash), now, now);
+        } catch (err) {
+            if (err.code !== 'ENOENT') console.error(`Error touching ${hash}:`, err);
+        }
+    };
+
+    // Returns false if the media is being processed or couldn't be removed.
+    const remove = (hash) => {
+        if (!HASH_PATTERN.test(hash) || isBusy(hash)) return false;
+        sizes.delete(hash);
+        return removeQuietly(path.join(processedDir, hash));
+    };
+
+    // Drops media unused for longer than the TTL, then the least recently used until under quota.
+    // The most recently used item always stays, even if it alone is over quota.
+    const enforce = (now = Date.now()) => {
+        const { media } = usage();
+        const evicted = [];
+        const kept = media.filter(item => {
+            const expired = ttlMs > 0 && now - Date.parse(item.lastAccessedAt) > ttlMs;
+            if (expired && remove(item.hash)) {
+                evicted.push({ ...item, reason: 'expired' });
+                return false;
+            }
+            return true;
+        });
+
+        let used = kept.reduce((total, item) => total + item.size, 0);
+        for (let i = kept.length - 1; i >= 1 && quotaBytes > 0 && used > quotaBytes; i--) {
+            if (remove(kept[i].hash)) {
+                used -= kept[i].size;
+                evicted.push({ ...kept[i], reason: 'quota' });
+            }
+        }
+
+        evicted.forEach(item => console.log(`Evicted ${item.hash} (${item.filename}, ${item.size} bytes): ${item.reason}`));
+        return evicted;
+    };
+
+    // At startup no job is running, so every upload is an orphan and any processed folder without a
+    // manifest was left half-written by a crash.
+    const reconcile = () => {
+        const removed = [];
+        fs.readdirSync(uploadsDir).forEach(name => {
+            if (!keepUploads.includes(name) && removeQuietly(path.join(uploadsDir, name))) removed.push(path.join('uploads', name));
+        });
+        fs.readdirSync(processedDir).forEach(name => {
+            const target = path.join(processedDir, name);
+            const complete = HASH_PATTERN.test(name) && fs.existsSync(path.join(target, MANIFEST));
+            if (!complete && !isBusy(name) && removeQuietly(target)) removed.push(path.join('processed', name));
+        });
+        removed.forEach(item => console.log(`Removed leftover ${item}`));
+        return removed;
+    };
+
+    return { list, usage, touch, remove, enforce, reconcile };
+};
+
+module.exports = { createStorageManager };
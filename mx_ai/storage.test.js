@@ -0,0 +1,124 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorageManager } = require('./storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2025-06-30T12:00:00Z');
+const hashOf = (name) => crypto.createHash('sha256').update(name).digest('hex');
+
+describe('createStorageManager', () => {
+    let root;
+    let uploadsDir;
+    let processedDir;
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+        uploadsDir = path.join(root, 'uploads');
+        processedDir = path.join(root, 'processed');
+        fs.mkdirSync(uploadsDir);
+        fs.mkdirSync(processedDir);
+    });
+    afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    // Finished media of about `bytes` bytes, last opened `daysAgo` days before NOW.
+    const addMedia = (name, daysAgo, bytes = 1000) => {
+        const hash = hashOf(name);
+        const dir = path.join(processedDir, hash);
+        fs.mkdirSync(dir);
+        fs.writeFileSync(path.join(dir, 'video.mp4'), Buffer.alloc(bytes));
+        fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify({ filename: name, duration: 60 }));
+        const accessed = new Date(NOW - daysAgo * DAY_MS);
+        fs.utimesSync(path.join(dir, 'manifest.json'), accessed, accessed);
+        return hash;
+    };
+
+    const manager = (options = {}) => createStorageManager({ uploadsDir, processedDir, quotaBytes: 0, ttlMs: 0, ...options });
+    const stored = () => fs.readdirSync(processedDir).sort();
+
+    test('lists complete media, most recently used first, with sizes and totals', () => {
+        const old = addMedia('old.mp4', 10);
+        const recent = addMedia('recent.mp4', 1, 2000);
+        fs.mkdirSync(path.join(processedDir, hashOf('unfinished.mp4')));
+        const usage = manager({ quotaBytes: 5000 }).usage();
+        assert.deepEqual(usage.media.map(item => [item.hash, item.filename]), [[recent, 'recent.mp4'], [old, 'old.mp4']]);
+        assert.ok(usage.media[0].size > 2000);
+        assert.equal(usage.usedBytes, usage.media[0].size + usage.media[1].size);
+        assert.equal(usage.media[1].lastAccessedAt, new Date(NOW - 10 * DAY_MS).toISOString());
+        assert.equal(usage.quotaBytes, 5000);
+    });
+
+    test('touch marks media as just used and ignores media that is gone', () => {
+        const hash = addMedia('video.mp4', 10);
+        const storage = manager();
+        const before = Date.now();
+        storage.touch(hash);
+        assert.ok(Date.parse(storage.list()[0].lastAccessedAt) >= before - 1000);
+        assert.doesNotThrow(() => storage.touch(hashOf('missing.mp4')));
+    });
+
+    test('drops media unused for longer than the TTL', () => {
+        const expired = addMedia('expired.mp4', 40);
+        const fresh = addMedia('fresh.mp4', 5);
+        const evicted = manager({ ttlMs: 30 * DAY_MS }).enforce(NOW);
+        assert.deepEqual(evicted.map(item => [item.hash, item.reason]), [[expired, 'expired']]);
+        assert.deepEqual(stored(), [fresh]);
+    });
+
+    test('evicts the least recently used media until under quota', () => {
+        const oldest = addMedia('oldest.mp4', 3);
+        const middle = addMedia('middle.mp4', 2);
+        const newest = addMedia('newest.mp4', 1);
+        const evicted = manager({ quotaBytes: 2500 }).enforce(NOW);
+        assert.deepEqual(evicted.map(item => [item.hash, item.reason]), [[oldest, 'quota']]);
+        assert.deepEqual(stored(), [middle, newest].sort());
+    });
+
+    test('always keeps the most recently used media, even alone over quota', () => {
+        const older = addMedia('older.mp4', 2, 5000);
+        const newest = addMedia('newest.mp4', 1, 5000);
+        const evicted = manager({ quotaBytes: 1000 }).enforce(NOW);
+        assert.deepEqual(evicted.map(item => item.hash), [older]);
+        assert.deepEqual(stored(), [newest]);
+    });
+
+    test('never removes media that is being processed', () => {
+        const busy = addMedia('busy.mp4', 50);
+        const idle = addMedia('idle.mp4', 40);
+        const newest = addMedia('newest.mp4', 1);
+        const storage = manager({ quotaBytes: 1500, ttlMs: 30 * DAY_MS, isBusy: hash => hash === busy });
+        assert.deepEqual(storage.enforce(NOW).map(item => [item.hash, item.reason]), [[idle, 'expired']]);
+        assert.deepEqual(stored(), [busy, newest].sort());
+        assert.equal(storage.remove(busy), false);
+    });
+
+    test('remove refuses anything that is not a media hash', () => {
+        fs.writeFileSync(path.join(root, 'keep.txt'), 'x');
+        assert.equal(manager().remove('../keep.txt'), false);
+        assert.ok(fs.existsSync(path.join(root, 'keep.txt')));
+    });
+
+    test('reconcile clears leftover uploads and unfinished media, but keeps what is managed elsewhere', () => {
+        const complete = addMedia('complete.mp4', 1);
+        const busy = hashOf('busy.mp4');
+        fs.mkdirSync(path.join(processedDir, busy));
+        fs.mkdirSync(path.join(processedDir, hashOf('crashed.mp4')));
+        fs.mkdirSync(path.join(processedDir, 'old-style-folder'));
+        fs.writeFileSync(path.join(uploadsDir, '123-video.mp4'), 'x');
+        fs.mkdirSync(path.join(uploadsDir, 'resumable'));
+        fs.writeFileSync(path.join(uploadsDir, 'resumable', 'upload.part'), 'x');
+
+        const removed = manager({ keepUploads: ['resumable'], isBusy: hash => hash === busy }).reconcile();
+        assert.deepEqual(removed.sort(), [
+            path.join('processed', hashOf('crashed.mp4')),
+            path.join('processed', 'old-style-folder'),
+            path.join('uploads', '123-video.mp4')
+        ].sort());
+        assert.deepEqual(stored(), [busy, complete].sort());
+        assert.deepEqual(fs.readdirSync(uploadsDir), ['resumable']);
+        assert.ok(fs.existsSync(path.join(uploadsDir, 'resumable', 'upload.part')));
+    });
+});